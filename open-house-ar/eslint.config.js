@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['scripts/**/*.js', 'server/**/*.js', 'src/**/*.test.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/pwa/serviceWorker.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ])
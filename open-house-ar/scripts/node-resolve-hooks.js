@@ -0,0 +1,12 @@
+// Module hooks registered by node-resolve.js: a relative import without an
+// extension is tried as "<name>.js" first.
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.{1,2}\//.test(specifier) && !/\.[a-z]+$/i.test(specifier)) {
+    try {
+      return await nextResolve(`${specifier}.js`, context);
+    } catch {
+      // Not a .js module; let Node report the original specifier
+    }
+  }
+  return nextResolve(specifier, context);
+}
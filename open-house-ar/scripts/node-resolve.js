@@ -0,0 +1,9 @@
+import { register } from "node:module";
+
+// ---------------------------
+// Vite-style imports under plain Node
+// ---------------------------
+// The app imports its own modules without the ".js" extension, which Vite
+// resolves but Node does not. `npm test` loads this file with --import so
+// the tests can use the src modules as they are.
+register("./node-resolve-hooks.js", import.meta.url);
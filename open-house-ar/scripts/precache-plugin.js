@@ -0,0 +1,48 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { join, relative, resolve, sep } from "node:path";
+
+// ---------------------------
+// Vite plugin: generate dist/sw.js
+// ---------------------------
+// After the build is written, lists every file in the output directory
+// (hashed chunks, the lazily loaded scanner and AR chunks, public quests and
+// icons) and bakes that list plus a content hash into the service worker
+// source. A new hash is what makes browsers offer the update banner.
+
+const SKIP = [/\.map$/, /^sw\.js$/];
+
+function listFiles(dir, root = dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) return listFiles(path, root);
+    return [relative(root, path).split(sep).join("/")];
+  });
+}
+
+export default function precachePlugin({ source }) {
+  let outDir;
+
+  return {
+    name: "ohq-precache",
+    apply: "build",
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      const files = listFiles(outDir)
+        .filter((f) => !SKIP.some((re) => re.test(f)))
+        .sort();
+
+      const hash = createHash("sha256");
+      files.forEach((f) => hash.update(f).update(readFileSync(join(outDir, f))));
+      const version = hash.digest("hex").slice(0, 12);
+
+      const code = readFileSync(source, "utf8")
+        .replace("self.__PRECACHE_MANIFEST__", JSON.stringify(["./", ...files]))
+        .replace("__CACHE_VERSION__", version);
+      writeFileSync(join(outDir, "sw.js"), code);
+      this.info?.(`sw.js precaches ${files.length} files (version ${version})`);
+    },
+  };
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// ---------------------------
+// Organiser tool for signed station codes
+// ---------------------------
+//   npm run sign-codes -- keygen
+//       Prints a new Ed25519 key pair. Put publicKey into the quest file's
+//       "security" block and keep privateKey secret (never commit it).
+//
+//   npm run sign-codes -- sign public/quests/default.json --key private.key \
+//       [--event np-2025] [--from 2025-11-01T08:00] [--until 2025-11-01T18:00]
+//       [--link https://example.org/quest/?quest=trail]
+//       Prints one signed QR payload per station. --event defaults to the
+//       quest's security.eventId. With --link, prints station links for that
+//       quest address instead (for NFC tags and the phone's camera app).
+//
+//   npm run sign-codes -- short-codes public/quests/default.json --key private.key
+//       Prints each station's short code for typing in instead of scanning,
+//       and the "shortCodeHash" to add to that station in the quest file.
+//       The codes are derived with the private key (see src/quest/shortCodes.js).
+//
+//   npm run sign-codes -- pin <pin>
+//       Prints the "organiser": { "pinHash": … } value for that PIN.
+import { readFile } from "node:fs/promises";
+import { parse as parseYaml } from "yaml";
+import { validateQuest } from "../src/quest/schema.js";
+import { buildStationLink, generateSigningKeys, signStationCode } from "../src/quest/stationCodes.js";
+import { hashPin } from "../src/organiser/pin.js";
+import { hashShortCode, keyedShortCode } from "../src/quest/shortCodes.js";
+
+function readFlags(args) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+    else rest.push(args[i]);
+  }
+  return { flags, rest };
+}
+
+function toSeconds(value, flag) {
+  if (!value) return undefined;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`--${flag} is not a valid date: ${value}`);
+  return ms / 1000;
+}
+
+async function readQuest(path) {
+  const text = await readFile(path, "utf8");
+  return validateQuest(/\.ya?ml$/i.test(path) ? parseYaml(text) : JSON.parse(text));
+}
+
+async function main([command, ...args]) {
+  const { flags, rest } = readFlags(args);
+
+  if (command === "keygen") {
+    console.log(JSON.stringify(await generateSigningKeys(), null, 2));
+    return;
+  }
+
+  if (command === "sign") {
+    if (!rest[0] || !flags.key) throw new Error("usage: sign <quest-file> --key <private-key-file>");
+    const quest = await readQuest(rest[0]);
+    const privateKey = (await readFile(flags.key, "utf8")).trim();
+    const claims = {
+      eventId: flags.event ?? quest.security?.eventId,
+      notBefore: toSeconds(flags.from, "from"),
+      expires: toSeconds(flags.until, "until"),
+    };
+    for (const station of quest.stations) {
+      const payload = await signStationCode(station.code, privateKey, claims);
+      console.log(`${station.id}\t${flags.link ? buildStationLink(flags.link, station, payload) : payload}`);
+    }
+    return;
+  }
+
+  if (command === "short-codes") {
+    if (!rest[0] || !flags.key) throw new Error("usage: short-codes <quest-file> --key <private-key-file>");
+    const quest = await readQuest(rest[0]);
+    const privateKey = (await readFile(flags.key, "utf8")).trim();
+    for (const station of quest.stations) {
+      const code = await keyedShortCode(quest, station, privateKey);
+      console.log(`${station.id}\t${code}\t"shortCodeHash": "${await hashShortCode(code)}"`);
+    }
+    return;
+  }
+
+  if (command === "pin") {
+    if (!/^\d{4,12}$/.test(rest[0] || "")) throw new Error("usage: pin <4 to 12 digits>");
+    console.log(await hashPin(rest[0]));
+    return;
+  }
+
+  throw new Error("usage: sign-codes.js keygen | sign <quest-file> --key <file> | short-codes <quest-file> --key <file> | pin <PIN>");
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.issues ? `${err.message}:\n  ${err.issues.join("\n  ")}` : err.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+import { appendFileSync, existsSync, readFileSync } from "node:fs";
+
+// ---------------------------
+// Event stores for the reference sync server
+// ---------------------------
+// A store has two methods:
+//   add(event) -> true if stored, false if the id was already known
+//   all()      -> every stored event, oldest first
+
+// One JSON event per line; the whole file is read once at startup.
+export function createFileStore(path) {
+  const events = existsSync(path)
+    ? readFileSync(path, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+    : [];
+  const ids = new Set(events.map((e) => e.id));
+
+  return {
+    add(event) {
+      if (ids.has(event.id)) return false;
+      appendFileSync(path, `${JSON.stringify(event)}\n`);
+      ids.add(event.id);
+      events.push(event);
+      return true;
+    },
+    all() {
+      return events;
+    },
+  };
+}
+
+// Uses the SQLite module built into Node 22.5 and later; no npm packages.
+export async function createSqliteStore(path) {
+  let sqlite;
+  try {
+    sqlite = await import("node:sqlite");
+  } catch {
+    throw new Error("The SQLite store needs Node 22.5 or later (node:sqlite). Use --store file instead.");
+  }
+  const db = new sqlite.DatabaseSync(path);
+  db.exec(`CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    at INTEGER NOT NULL,
+    body TEXT NOT NULL
+  )`);
+  const insert = db.prepare("INSERT OR IGNORE INTO events (id, at, body) VALUES (?, ?, ?)");
+  const select = db.prepare("SELECT body FROM events ORDER BY at");
+
+  return {
+    add(event) {
+      return insert.run(event.id, event.at, JSON.stringify(event)).changes > 0;
+    },
+    all() {
+      return select.all().map((row) => JSON.parse(row.body));
+    },
+  };
+}
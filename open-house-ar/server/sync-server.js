@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// ---------------------------
+// Reference organiser backend for quest sync
+// ---------------------------
+//   npm run sync-server -- [--port 8787] [--store file|sqlite] [--data sync-events.jsonl]
+//       [--origin https://your-school.github.io]
+//
+//   POST /events   { events: [...] } from the app (see src/sync/syncClient.js).
+//                  Events with an id that was seen before are ignored, so
+//                  clients can safely retry. Malformed events are skipped and
+//                  the rest stored. Replies { accepted, duplicates, rejected }
+//                  where rejected lists the positions of the skipped events.
+//   GET  /stats    Visitors, completions and scans per station for each quest.
+//   GET  /export   Every stored event as JSON.
+//
+// No npm dependencies. This is a starting point for a school server, not a
+// hardened service: put it behind HTTPS and restrict --origin.
+import { createServer } from "node:http";
+import { createFileStore, createSqliteStore } from "./stores.js";
+
+const MAX_BODY_BYTES = 256 * 1024;
+const EVENT_TYPES = ["scan", "complete"];
+
+function readFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+  }
+  return flags;
+}
+
+// Returns the cleaned event or null when it is malformed
+function cleanEvent(e) {
+  if (!e || typeof e !== "object") return null;
+  const { id, type, questId, deviceId, stationId, at, score } = e;
+  if (typeof id !== "string" || id.length < 8 || id.length > 64) return null;
+  if (!EVENT_TYPES.includes(type) || typeof questId !== "string" || typeof deviceId !== "string") return null;
+  if (!Number.isFinite(at)) return null;
+  if (type === "scan" && typeof stationId !== "string") return null;
+  return {
+    id,
+    type,
+    questId,
+    deviceId,
+    stationId: type === "scan" ? stationId : undefined,
+    at,
+    score: Number.isFinite(score) ? score : undefined,
+    receivedAt: Date.now(),
+  };
+}
+
+function summarise(events) {
+  const quests = {};
+  events.forEach((e) => {
+    const q = (quests[e.questId] ||= { visitors: new Set(), completions: 0, stations: {}, lastEventAt: 0 });
+    q.visitors.add(e.deviceId);
+    q.lastEventAt = Math.max(q.lastEventAt, e.at);
+    if (e.type === "complete") q.completions += 1;
+    if (e.type === "scan") q.stations[e.stationId] = (q.stations[e.stationId] || 0) + 1;
+  });
+  Object.values(quests).forEach((q) => {
+    q.visitors = q.visitors.size;
+    q.onTrail = q.visitors - q.completions;
+  });
+  return quests;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function main(args) {
+  const flags = readFlags(args);
+  const port = Number(flags.port || 8787);
+  const kind = flags.store || "file";
+  const origin = flags.origin || "*";
+  const store =
+    kind === "sqlite"
+      ? await createSqliteStore(flags.data || "sync-events.sqlite")
+      : createFileStore(flags.data || "sync-events.jsonl");
+
+  const server = createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": origin,
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+    const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+
+    try {
+      if (req.method === "OPTIONS") return send(204);
+      if (req.method === "POST" && path === "/events") {
+        const body = await readJson(req);
+        if (!Array.isArray(body?.events)) return send(400, { error: "Expected { events: [...] }" });
+        const cleaned = body.events.map(cleanEvent);
+        const rejected = cleaned.flatMap((e, i) => (e ? [] : [i]));
+        const events = cleaned.filter(Boolean);
+        const accepted = events.filter((e) => store.add(e)).length;
+        return send(200, { accepted, duplicates: events.length - accepted, rejected });
+      }
+      if (req.method === "GET" && path === "/stats") return send(200, { quests: summarise(store.all()) });
+      if (req.method === "GET" && path === "/export") return send(200, { events: store.all() });
+      return send(404, { error: "Not found" });
+    } catch (err) {
+      return send(err.status || 500, { error: err.message });
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Quest sync server on http://localhost:${port} (${kind} store)`);
+  });
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
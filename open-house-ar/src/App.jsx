@@ -1,159 +1,289 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { motion as Motion, AnimatePresence, MotionConfig } from "framer-motion";
+import { useQuest } from "./quest/useQuest";
+import { createPayloadValidator } from "./quest/stationCodes";
+import { createShortCodeMatcher } from "./quest/shortCodes";
+import { proofFor } from "./quest/stationProofs";
+import { createCompletionToken } from "./quest/completionToken";
+import { checkScanAllowed, evaluateProgress } from "./quest/questRules";
+import { checkScanTime, stationOpening } from "./quest/schedule";
+import { useSchedule } from "./quest/useSchedule";
+import { computeScore } from "./quest/scoring";
+import { checkAnswer, recordAnswer } from "./quest/challenges";
+import { appendScan, createRepeatFilter, scanEntry } from "./quest/scanHistory";
+import { useQrScanner } from "./scanner/useQrScanner";
+import { useNfcReader } from "./scanner/useNfcReader";
+import { useStationLink } from "./quest/useStationLink";
+import { coverTransform, drawDetection, rectCorners } from "./scanner/overlay";
+import { createStabilityFilter } from "./scanner/stableCodes";
+import { focusAt, loadCameraPreference, saveCameraPreference } from "./scanner/cameraControls";
+import { useHashRoute } from "./useHashRoute";
+import QuestErrorScreen from "./components/QuestErrorScreen";
+import StaffVerifier from "./components/StaffVerifier";
+import PosterStudio from "./components/PosterStudio";
+import Leaderboard from "./components/Leaderboard";
+import Dashboard from "./components/Dashboard";
+import QrCode from "./components/QrCode";
+import ChallengeModal from "./components/ChallengeModal";
+import ArOverlay from "./components/ArOverlay";
+import CameraSettings from "./components/CameraSettings";
+import JourneyTimeline from "./components/JourneyTimeline";
+import ManualEntry from "./components/ManualEntry";
+import StationPicker from "./components/StationPicker";
+import ScanToast from "./components/ScanToast";
+import TeamPanel from "./components/TeamPanel";
+import CampusMap from "./components/CampusMap";
+import MapEditor from "./components/MapEditor";
+import OrganiserPanel from "./components/OrganiserPanel";
+import EventCountdown from "./components/EventCountdown";
+import PwaBanner from "./components/PwaBanner";
+import { useOnlineStatus } from "./pwa/usePwa";
+import { useSync } from "./sync/useSync";
+import I18nProvider from "./i18n/I18nProvider";
+import { useI18n } from "./i18n/useI18n";
+import { localizeQuest } from "./i18n/localizeQuest";
+import LanguageSwitcher from "./components/LanguageSwitcher";
+import { clearQuestState, loadQuestState, saveQuestState } from "./storage/questState";
+import { loadCuesEnabled, playCue, saveCuesEnabled, unlockAudio } from "./feedback/cues";
+import { FEEDBACK_CUES, TEAM_FEEDBACK, createFeedbackGate, rejectionFeedback } from "./feedback/scanFeedback";
+import { useTeam } from "./team/useTeam";
+import { isTeamCode } from "./team/teamCodes";
+import { mergeProgress } from "./team/teamState";
 
 // ---------------------------
-// Configure quest stops here
+// Progress list appearance per station state (see quest/questRules.js)
 // ---------------------------
-/*
-const STATIONS = [
-  { id: "ENTRANCE", name: "Main Entrance", code: "OPENHOUSE:ENTRANCE", hint: "Start here" },
-  { id: "LIBRARY", name: "School Library", code: "OPENHOUSE:LIBRARY", hint: "Find the quiet thinkers" },
-  { id: "GYM", name: "Gymnasium", code: "OPENHOUSE:GYM", hint: "Where the action happens" },
-  { id: "SCI-LAB", name: "Science Lab", code: "OPENHOUSE:SCI-LAB", hint: "Bubbling beakers ahead" },
-  { id: "ART", name: "Art Studio", code: "OPENHOUSE:ART", hint: "Color and canvas" },
-  { id: "COUNSEL", name: "Student Services", code: "OPENHOUSE:COUNSEL", hint: "Future planning" },
-];
-*/
-const STATIONS = [
-  { id: "ENTRANCE", name: "Main Entrance", code: "OPENHOUSE:ENTRANCE", hint: "Start here" },
-  { id: "LIBRARY", name: "School Library", code: "OPENHOUSE:LIBRARY", hint: "Find the quiet thinkers" },
-  { id: "GYM", name: "Gymnasium", code: "OPENHOUSE:GYM", hint: "Where the action happens" },
-];
+const STATE_STYLES = {
+  done: "bg-green-600",
+  next: "bg-zinc-800 ring-2 ring-emerald-400",
+  available: "bg-zinc-800",
+  locked: "bg-zinc-800 opacity-50",
+  closed: "bg-zinc-800 opacity-40 line-through",
+};
+const STATE_LABELS = {
+  done: "✅",
+  locked: "🔒",
+};
+// States labelled with text, as message keys (see i18n/messages)
+const STATE_MESSAGES = {
+  next: "station.next",
+  closed: "station.closed",
+};
 
 // ---------------------------
-// LocalStorage keys
+// Main Component
 // ---------------------------
-const LS_KEY_PROGRESS = "ohq_progress_v1";
-const LS_KEY_COMPLETED = "ohq_completed_v1";
+// Stations come from the quest definition file (see src/quest/schema.js),
+// so the same build can serve several events. Animations are skipped for
+// visitors whose device asks for reduced motion.
+export default function OpenHouseAR() {
+  return (
+    <I18nProvider>
+      <MotionConfig reducedMotion="user">
+        <Screen />
+        <PwaBanner />
+      </MotionConfig>
+    </I18nProvider>
+  );
+}
 
-// ---------------------------
-// Optional barcode formats
-// ---------------------------
-const BARCODE_FORMATS = ["qr_code"];
+function Screen() {
+  const { status, quest, error } = useQuest();
+  const route = useHashRoute();
+  const { t } = useI18n();
+
+  if (status === "loading") {
+    return (
+      <div className="min-h-screen bg-zinc-900 text-white p-4 flex items-center justify-center">
+        <p className="text-zinc-400">{t("app.loading")}</p>
+      </div>
+    );
+  }
+  if (status === "error") return <QuestErrorScreen error={error} />;
+  if (route === "/staff") return <StaffVerifier quest={quest} />;
+  if (route === "/posters") return <PosterStudio quest={quest} />;
+  if (route === "/leaderboard") return <Leaderboard quest={quest} />;
+  if (route === "/dashboard") return <Dashboard quest={quest} />;
+  if (route === "/map") return <MapEditor quest={quest} />;
+  return <QuestView quest={quest} />;
+}
 
 // ---------------------------
-// Main Component
+// Quest screen
 // ---------------------------
-export default function OpenHouseAR() {
+// Works on the quest in the visitor's language (see i18n/localizeQuest.js);
+// ids and codes are the same in every language.
+function QuestView({ quest: sourceQuest }) {
+  const { lang, t, formatTime, formatDateTime, formatList, formatNumber } = useI18n();
+  const quest = useMemo(() => localizeQuest(sourceQuest, lang), [sourceQuest, lang]);
+  const stations = quest.stations;
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
 
-  const [granted, setGranted] = useState(null);
-  const [error, setError] = useState(null);
   const [active, setActive] = useState(true);
-  const [lastPayload, setLastPayload] = useState(null);
-  const [box, setBox] = useState(null);
+  // Latest outline per code in view for the overlay: payload -> { corners, status, label, at }
+  const detectionsRef = useRef(new Map());
   const [justScanned, setJustScanned] = useState(null);
-  const [usingDetector, setUsingDetector] = useState(false);
-  const [completeAt, setCompleteAt] = useState(() => {
-    const saved = localStorage.getItem(LS_KEY_COMPLETED);
-    return saved ? Number(saved) : null;
-  });
+  // Latest scan feedback for the toast: { kind, message, at }
+  const [toast, setToast] = useState(null);
+  const toastTimer = useRef(0);
+  const feedbackGate = useRef(null);
+  if (!feedbackGate.current) feedbackGate.current = createFeedbackGate();
+  const [challengeFor, setChallengeFor] = useState(null);
+  // Saved progress for this quest, fitted to its current stations
+  const [saved] = useState(() => loadQuestState(quest));
+  const [challengeState, setChallengeState] = useState(saved.challenges);
+  // A challenge closed with "Later" stays closed while its code is in view
+  const dismissedChallenge = useRef({ id: null, until: 0 });
+  // Latest accepted code in view, read by the AR overlay every frame
+  const arAnchor = useRef(null);
+  const hasAr = stations.some((s) => s.ar);
+  const [completeAt, setCompleteAt] = useState(saved.completedAt);
+  const completionRef = useRef(null);
+
+  // Progress state (station.id -> time scanned in ms, false while pending)
+  let [progress, setProgress] = useState(saved.progress);
+  // Every scan attempt (see quest/scanHistory.js)
+  const [history, setHistory] = useState(saved.history);
+  // The code that checked each station in (see quest/stationProofs.js)
+  const [proofs, setProofs] = useState(saved.proofs);
+  const repeatFilter = useRef(null);
+  if (!repeatFilter.current) repeatFilter.current = createRepeatFilter();
+  const stabilityFilter = useRef(null);
+  if (!stabilityFilter.current) stabilityFilter.current = createStabilityFilter();
+  // Stations to pick from when several new ones are in view at once
+  const [choices, setChoices] = useState(null);
+  // Stations as a list or on the campus map (quests with a "map")
+  const [stationView, setStationView] = useState(quest.map ? "map" : "list");
+  const dismissedChoice = useRef({ key: "", until: 0 });
+
+  // Persist every change (see storage/questState.js)
+  useEffect(() => {
+    saveQuestState(quest.id, { progress, completedAt: completeAt, challenges: challengeState, history, proofs });
+  }, [quest.id, progress, completeAt, challengeState, history, proofs]);
+
+  // Station states, next station(s) and completion per the quest's rules
+  const trail = useMemo(() => evaluateProgress(quest, progress), [quest, progress]);
+  const completedCount = trail.doneCount;
+  const allDone = trail.complete;
+  // Event window (see quest/schedule.js). With afterEnd "finish", a quest
+  // still going when the event ends is finished with the stations found.
+  const clock = useSchedule(quest);
+  const timeUp = quest.schedule?.afterEnd === "finish" && clock.phase === "ended" && !allDone && completedCount > 0;
+  const finished = allDone || timeUp;
+  const score = useMemo(
+    () => computeScore(quest, progress, challengeState),
+    [quest, progress, challengeState]
+  );
 
-  // Progress state (station.id -> boolean)
-  let [progress, setProgress] = useState(() => {
-    const saved = localStorage.getItem(LS_KEY_PROGRESS);
-    if (saved) return JSON.parse(saved);
-    const init = {};
-    STATIONS.forEach((s) => (init[s.id] = false));
-    return init;
-  });
+  // ---------------------------
+  // Validate QR code payload
+  // ---------------------------
+  // Signed codes are verified offline against quest.security.publicKey;
+  // plain OPENHOUSE:<ID> codes only pass when the quest allows legacy codes.
+  const validatePayload = useMemo(() => createPayloadValidator(quest), [quest]);
 
-  const completedCount = useMemo(
-    () => Object.values(progress).filter(Boolean).length,
-    [progress]
-  );
-  const allDone = completedCount === STATIONS.length;
+  // ---------------------------
+  // Optional organiser sync (quest.sync.endpoint)
+  // ---------------------------
+  const { pending: syncPending, record: recordSync } = useSync(quest);
+  const syncedScans = useRef(null);
+  if (!syncedScans.current) {
+    syncedScans.current = new Set(stations.filter((s) => progress[s.id]).map((s) => s.id));
+  }
 
   // ---------------------------
   // Camera + Scanner initialization
   // ---------------------------
-  useEffect(() => {
-    let stop = false;
-    let zxingReader = null;
-
-    async function startCamera() {
-      setError(null);
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { facingMode: "environment", width: 1280, height: 720 },
-          audio: false,
-        });
-        if (!videoRef.current) return;
-        videoRef.current.srcObject = stream;
-        await videoRef.current.play();
-        setGranted(true);
-      } catch (err) {
-        console.error(err);
-        setError(err?.message || "Camera access failed. Allow permissions and reload.");
-        setGranted(false);
-      }
-    }
-
-    // Use native BarcodeDetector if available
-    async function loopBarcodeDetector() {
-      if (!videoRef.current) return;
-      const hasDetector = typeof window !== "undefined" && window.BarcodeDetector;
-      if (!hasDetector) return;
-      const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
-      setUsingDetector(true);
-
-      const tick = async () => {
-        if (stop || !active) return;
-        try {
-          if (videoRef.current.readyState >= 2) {
-            const barcodes = await detector.detect(videoRef.current);
-            if (barcodes && barcodes.length > 0) {
-              const raw = barcodes[0].rawValue || "";
-              const rect = barcodes[0].boundingBox || null;
-              onDetected(raw, rect);
-            }
-          }
-        } catch (e) {}
-        requestAnimationFrame(tick);
-      };
-      requestAnimationFrame(tick);
-    }
+  const online = useOnlineStatus();
+  const [cameraId, setCameraId] = useState(loadCameraPreference);
+  // Add ?debug to the URL to show the scanner's decode rate over the feed
+  const debug = useMemo(() => new URLSearchParams(window.location.search).has("debug"), []);
+  const { errorCode, track, engine, stats } = useQrScanner(videoRef, {
+    active,
+    deviceId: cameraId,
+    debug,
+    onCodes,
+  });
 
-    // Fallback using ZXing
-    async function loopZXing() {
-      try {
-        const { BrowserMultiFormatReader } = await import("@zxing/browser");
-        zxingReader = new BrowserMultiFormatReader();
-        const tick = async () => {
-          if (stop || !active) return;
-          try {
-            const result = await zxingReader.decodeOnceFromVideoElement(videoRef.current);
-            if (result?.getText) onDetected(result.getText(), null);
-          } catch (e) {}
-          setTimeout(tick, 150);
-        };
-        tick();
-      } catch (e) {
-        setError("Scanner library failed to load. Try a newer browser.");
-      }
-    }
+  // ---------------------------
+  // Sound and vibration cues (see feedback/cues.js)
+  // ---------------------------
+  const [cuesEnabled, setCuesEnabled] = useState(loadCuesEnabled);
+  function cue(kind) {
+    if (cuesEnabled) playCue(kind);
+  }
 
-    startCamera().then(() => {
-      if (typeof window !== "undefined" && window.BarcodeDetector) {
-        loopBarcodeDetector();
-      } else {
-        setUsingDetector(false);
-        loopZXing();
-      }
-    });
+  function toggleCues() {
+    saveCuesEnabled(!cuesEnabled);
+    setCuesEnabled(!cuesEnabled);
+    if (!cuesEnabled) unlockAudio();
+  }
 
+  // Audio may only start after the visitor has touched the page
+  useEffect(() => {
+    window.addEventListener("pointerdown", unlockAudio, { once: true });
+    window.addEventListener("keydown", unlockAudio, { once: true });
     return () => {
-      stop = true;
-      if (zxingReader?.reset) zxingReader.reset();
-      const stream = videoRef.current?.srcObject;
-      stream?.getTracks().forEach((t) => t.stop());
+      window.removeEventListener("pointerdown", unlockAudio);
+      window.removeEventListener("keydown", unlockAudio);
     };
-  }, [active]);
+  }, []);
+
+  function chooseCamera(id) {
+    saveCameraPreference(id);
+    setCameraId(id);
+  }
+
+  // Tap on the feed to focus there (mapped back through object-cover)
+  function tapToFocus(e) {
+    const video = videoRef.current;
+    if (!track || !video) return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const t = coverTransform(video, bounds.width, bounds.height);
+    if (!t) return;
+    const x = (e.clientX - bounds.left - t.dx) / t.scale / video.videoWidth;
+    const y = (e.clientY - bounds.top - t.dy) / t.scale / video.videoHeight;
+    focusAt(track, Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y)));
+  }
+
+  // ---------------------------
+  // Record the finish time once every station is done
+  // ---------------------------
+  // A quest ended by the clock finishes at the end of the event and is not
+  // reported to the organiser backend as complete.
+  useEffect(() => {
+    if (!finished || completeAt) return;
+    if (allDone) {
+      setCompleteAt(Date.now());
+      recordSync("complete", score ? { score: score.total } : {});
+    } else {
+      setCompleteAt(quest.schedule.end);
+    }
+    if (cuesEnabled) playCue("complete");
+  }, [finished, allDone, completeAt, quest.schedule, recordSync, score, cuesEnabled]);
+
+  // ---------------------------
+  // Move focus to the completion panel
+  // ---------------------------
+  // Once, when the last station is done (after any challenge is closed), so
+  // screen readers read the prize and keyboard users land on the QR.
+  const focusedCompletion = useRef(finished);
+  useEffect(() => {
+    if (!finished) {
+      focusedCompletion.current = false;
+      return;
+    }
+    if (focusedCompletion.current || challengeFor) return;
+    focusedCompletion.current = true;
+    completionRef.current?.focus();
+  }, [finished, challengeFor]);
 
   // ---------------------------
-  // Draw bounding box overlay
+  // Draw detection overlay
   // ---------------------------
+  // The canvas follows the element's CSS size; detector coordinates are mapped
+  // through the video's object-cover transform (see scanner/overlay.js).
   useEffect(() => {
     const canvas = canvasRef.current;
     const video = videoRef.current;
@@ -164,175 +294,697 @@ export default function OpenHouseAR() {
 
     const draw = () => {
       if (!ctx || !video) return;
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-      if (box) {
-        ctx.lineWidth = 4;
-        ctx.strokeStyle = "#22c55e"; // green
-        ctx.strokeRect(box.x, box.y, box.width, box.height);
+      const dpr = window.devicePixelRatio || 1;
+      const width = Math.round(canvas.clientWidth * dpr);
+      const height = Math.round(canvas.clientHeight * dpr);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
       }
+      ctx.clearRect(0, 0, width, height);
+      const transform = coverTransform(video, width, height);
+      detectionsRef.current.forEach((detection, key) => {
+        if (!drawDetection(ctx, detection, transform)) detectionsRef.current.delete(key);
+      });
       raf = requestAnimationFrame(draw);
     };
 
     draw();
     return () => cancelAnimationFrame(raf);
-  }, [box]);
+  }, []);
 
   // ---------------------------
-  // Handle QR code detection
+  // Handle the codes in each camera frame
   // ---------------------------
-  function onDetected(payload, rect) {
-    setLastPayload(payload);
-    if (rect) setBox(rect);
-
-    const match = validatePayload(payload);
-    if (!match) return;
+  // Every code in view is checked and outlined. One new station checks in
+  // straight away; several at once (posters side by side) ask the visitor
+  // which station they are at. Otherwise the visitor hears why nothing
+  // happened: a locked station, a rejected or foreign code, a station already
+  // collected. A code only counts once it has been read in several
+  // frames in a row (see scanner/stableCodes.js).
+  async function onCodes(codes) {
+    const stable = stabilityFilter.current.update(codes.map((c) => c.payload));
+    if (stable.size === 0) return;
+    // A teammate's team QR, read once per sighting
+    const teamCodes = team.enabled ? codes.filter((c) => stable.has(c.payload) && isTeamCode(c.payload)) : [];
+    teamCodes.forEach((c) => !repeatFilter.current.isRepeat(c.payload) && onTeamCode(c.payload));
+    const checked = await Promise.all(
+      codes
+        .filter((c) => stable.has(c.payload) && !teamCodes.includes(c))
+        .map(async (c) => ({ ...c, match: await validatePayload(c.payload) }))
+    );
 
-    const id = match.id;
-    if (!progress[id]) {
-      const updated = { ...progress, [id]: true };
-      //setProgress(updated);
-      markStationAsComplete(id, setProgress);
-      console.log("progress:", progress, "updated:", updated);
-      //localStorage.setItem(LS_KEY_PROGRESS, JSON.stringify(progress));
+    // Log each code once per sighting, not once per frame
+    const logScan = (result, { payload, match }) => {
+      if (repeatFilter.current.isRepeat(match.ok ? match.id : payload)) return;
+      setHistory((prev) => appendScan(prev, scanEntry(result, { stationId: match.id || null, code: payload })));
+    };
+    const showDetection = (code, status, label = null) => {
+      const corners = code.corners || rectCorners(code.rect);
+      if (corners) detectionsRef.current.set(code.payload, { corners, status, label, at: Date.now() });
+    };
 
-      // Tiny confetti effect
-      setJustScanned(id);
-      setTimeout(() => setJustScanned(null), 1500);
+    const fresh = [];
+    const blocked = [];
+    const duplicates = [];
+    const rejected = [];
+    checked.forEach((code) => {
+      const { match } = code;
+      if (!match.ok) {
+        logScan(match.id ? "rejected" : "unknown", code);
+        showDetection(code, match.reason === "other-event" ? "other-event" : "unknown");
+        rejected.push(code);
+        return;
+      }
+      const { name } = stations.find((s) => s.id === match.id);
+      if (code.corners) arAnchor.current = { stationId: match.id, corners: code.corners, at: Date.now() };
+      if (progress[match.id]) {
+        logScan("duplicate", code);
+        // Stay green briefly after the scan that completed it
+        showDetection(code, justScanned === match.id ? "valid" : "done", name);
+        duplicates.push(match.id);
+      } else if (scanBlock(match.id)) {
+        logScan("blocked", code);
+        showDetection(code, "blocked", name);
+        blocked.push(match.id);
+      } else {
+        showDetection(code, "valid", name);
+        rememberProof(match.id, proofFor(code.payload, "camera", stations));
+        if (!fresh.includes(match.id)) fresh.push(match.id);
+      }
+    });
 
-      const done = Object.values(updated).every(Boolean);
-      if (done && !completeAt) {
-        const now = Date.now();
-        setCompleteAt(now);
-        localStorage.setItem(LS_KEY_COMPLETED, String(now));
+    if (choices) return;
+    if (fresh.length === 1) {
+      const code = checked.find((c) => c.match.id === fresh[0]);
+      logScan(checkIn(fresh[0], { reopen: false }), code);
+    } else if (fresh.length > 1) {
+      askWhichStation(fresh);
+    } else if (blocked.length > 0) {
+      // Shows why the station cannot be scanned yet
+      checkIn(blocked[0], { reopen: false });
+    } else {
+      // Problems with our own codes first, then other events, then the rest
+      const rejectedAs = (kind) => rejected.find((c) => rejectionFeedback(c.match) === kind);
+      const code = rejectedAs("rejected") || rejectedAs("other-event");
+      if (code) {
+        notify(rejectionFeedback(code.match), t(`code.${code.match.reason}`), code.match.id || code.payload);
+      } else if (duplicates.length > 0) {
+        notify("duplicate", duplicateMessage(duplicates[0]), duplicates[0]);
+      } else if (rejected.length > 0) {
+        notify("unknown", t("code.unknown"), rejected[0].payload);
       }
     }
   }
 
   // ---------------------------
-  // Validate QR code payload
+  // Several new stations in view (see components/StationPicker.jsx)
   // ---------------------------
-  function validatePayload(payload) {
-    if (!payload) return null;
-    const normalized = payload.replace(/\\:/g, ":").trim(); // handle escaped colon
-    const station = STATIONS.find(
-      (s) => s.code.trim().toUpperCase() === normalized.toUpperCase()
+  const choiceKey = (ids) => [...ids].sort().join("|");
+
+  function askWhichStation(ids) {
+    const dismissed = dismissedChoice.current;
+    if (dismissed.key === choiceKey(ids) && Date.now() < dismissed.until) return;
+    setChoices(ids);
+  }
+
+  function chooseStation(id) {
+    setChoices(null);
+    const result = checkIn(id, { reopen: true });
+    setHistory((prev) => appendScan(prev, scanEntry(result, { stationId: id })));
+  }
+
+  // Not asked again while the same codes stay in view
+  function cancelChoice() {
+    dismissedChoice.current = { key: choiceKey(choices), until: Date.now() + 5000 };
+    setChoices(null);
+  }
+
+  // ---------------------------
+  // Codes that arrive without the camera
+  // ---------------------------
+  // via: "typed" short codes (components/ManualEntry.jsx), "nfc" tags
+  // (scanner/useNfcReader.js) or "link" for a station link that opened the
+  // app (quest/useStationLink.js). Each one is deliberate, so every attempt
+  // is logged. Resolves to true when the code names a station.
+  const matchShortCode = useMemo(() => createShortCodeMatcher(quest), [quest]);
+  async function onExternalCode(text, via) {
+    const match = via === "typed" ? await matchShortCode(text) : await validatePayload(text);
+    const logAttempt = (result) => {
+      const entry = scanEntry(result, { stationId: match.id || null, code: text, via });
+      setHistory((prev) => appendScan(prev, entry));
+    };
+    if (!match.ok) {
+      logAttempt(match.id ? "rejected" : "unknown");
+      // The typed-code form explains unknown codes itself
+      if (match.reason !== "unknown" || via !== "typed") notify(rejectionFeedback(match), t(`code.${match.reason}`));
+      else cue("error");
+      return false;
+    }
+    rememberProof(match.id, proofFor(text, via, stations));
+    const result = checkIn(match.id, { reopen: true });
+    logAttempt(result);
+    if (result === "duplicate") notify("duplicate", duplicateMessage(match.id));
+    return true;
+  }
+
+  const nfc = useNfcReader({ onRead: (text) => onExternalCode(text, "nfc") });
+  useStationLink((link) => onExternalCode(link, "link"));
+
+  // ---------------------------
+  // Team play (see team/useTeam.js)
+  // ---------------------------
+  // Stations a teammate found count on this phone too, with the teammate's
+  // proofs. They are logged as found by the team and not reported to the
+  // organiser backend again.
+  const team = useTeam(quest, { progress, proofs, onProgress: mergeTeamProgress });
+
+  function mergeTeamProgress(received, theirProofs) {
+    // The event window and opening hours apply at the time the teammate
+    // found the station (see quest/schedule.js)
+    const theirs = {};
+    stations.forEach(({ id }) => {
+      const at = received[id];
+      if (at && !checkScanTime(quest, id, Number.isFinite(at) ? at : Date.now())) theirs[id] = at;
+    });
+    const added = mergeProgress(quest, progress, theirs).added.filter((id) => !syncedScans.current.has(id));
+    if (added.length === 0) return;
+    added.forEach((id) => syncedScans.current.add(id));
+    setProgress((prev) => mergeProgress(quest, prev, theirs).progress);
+    setProofs((prev) => ({ ...theirProofs, ...prev }));
+    setHistory((prev) =>
+      added.reduce((h, id) => appendScan(h, scanEntry("valid", { stationId: id, via: "team" })), prev)
     );
-    return station ? { id: station.id } : null;
+    const names = added.map((id) => stations.find((s) => s.id === id).name);
+    notify("new", t("team.found", { stations: formatList(names) }));
+  }
+
+  async function onTeamCode(text) {
+    const result = await team.handleCode(text);
+    if (result) notify(TEAM_FEEDBACK[result], t(`team.${result}`));
+  }
+
+  // ---------------------------
+  // Check in at a station, however its code arrived
+  // ---------------------------
+  // Returns the scan history result: "valid", "blocked" or "duplicate".
+  // reopen is set for deliberate check-ins (typed, NFC, links, the picker).
+  function checkIn(id, { reopen }) {
+    if (progress[id]) return "duplicate";
+
+    const blocked = scanBlock(id);
+    if (blocked) {
+      notify("blocked", blockedMessage(id, blocked), reopen ? null : id);
+      return "blocked";
+    }
+
+    // Stations with a challenge only complete once it is answered. Codes
+    // from outside the camera reopen one closed with "Later" straight away.
+    if (stations.find((s) => s.id === id).challenge) {
+      const dismissed = dismissedChallenge.current;
+      if (!challengeFor && (reopen || !(dismissed.id === id && Date.now() < dismissed.until))) {
+        setChallengeFor(id);
+      }
+      return "valid";
+    }
+
+    completeStation(id);
+    return "valid";
+  }
+
+  // The first accepted code for a station; kept even while the station waits
+  // for its challenge or the visitor's choice
+  function rememberProof(id, proof) {
+    setProofs((prev) => (prev[id] ? prev : { ...prev, [id]: proof }));
+  }
+
+  // The trail rules (quest/questRules.js), then the event window and the
+  // station's opening hours (quest/schedule.js)
+  function scanBlock(id) {
+    return checkScanAllowed(quest, progress, id) || checkScanTime(quest, id);
+  }
+
+  function blockedMessage(id, blocked) {
+    const station = stations.find((s) => s.id === id).name;
+    if (blocked.reason === "locked") {
+      return t("rule.locked", { stations: formatList(blocked.next, "disjunction") });
+    }
+    if (blocked.reason === "not-started") return t("rule.not-started", { time: formatDateTime(blocked.at) });
+    if (blocked.reason === "station-closed") {
+      return blocked.at
+        ? t("rule.station-closed", { station, time: formatTime(blocked.at) })
+        : t("rule.station-closed-today", { station });
+    }
+    return t(`rule.${blocked.reason}`);
+  }
+
+  function completeStation(id) {
+    markStationAsComplete(id, setProgress);
+    // The detector may report the code again before progress updates
+    if (syncedScans.current.has(id)) return;
+    syncedScans.current.add(id);
+    recordSync("scan", { stationId: id });
+
+    notify("new", t("toast.new", { station: stations.find((s) => s.id === id).name }), id);
+
+    // Tiny confetti effect, and the screen reader announcement below
+    setJustScanned(id);
+    setTimeout(() => setJustScanned(null), 1500);
+  }
+
+  // ---------------------------
+  // Station challenges
+  // ---------------------------
+  function answerChallenge(response) {
+    const station = stations.find((s) => s.id === challengeFor);
+    const correct = checkAnswer(station.challenge, response);
+    const updated = {
+      ...challengeState,
+      [station.id]: recordAnswer(station.challenge, challengeState[station.id], correct),
+    };
+    setChallengeState(updated);
+    if (correct) completeStation(station.id);
+    return correct;
+  }
+
+  function closeChallenge() {
+    dismissedChallenge.current = { id: challengeFor, until: Date.now() + 5000 };
+    setChallengeFor(null);
+  }
+
+  // ---------------------------
+  // Scan feedback (see feedback/scanFeedback.js)
+  // ---------------------------
+  // key: the station id or code text for camera sightings, which are rate
+  // limited; left out for deliberate check-ins, which always get feedback.
+  function notify(kind, message, key) {
+    if (key !== undefined && key !== null && !feedbackGate.current.allow(kind, key)) return;
+    cue(FEEDBACK_CUES[kind]);
+    setToast({ kind, message, at: Date.now() });
+    clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setToast(null), 3000);
+  }
+
+  function duplicateMessage(id) {
+    return t("station.duplicate", { station: stations.find((s) => s.id === id).name });
   }
 
   function markStationAsComplete(stationId, setProgress) {
     setProgress(prev => {
+      // keep the first scan time if the detector reports the code again
+      if (prev[stationId]) return prev;
+
       // create a new object by copying the previous state
-      const updated = { 
-        ...prev, 
-        [stationId]: true  // mark this station as complete
+      return {
+        ...prev,
+        [stationId]: Date.now()  // mark this station as complete, with its time
       };
-
-      // persist to localStorage
-      localStorage.setItem(LS_KEY_PROGRESS, JSON.stringify(updated));
-
-      return updated; // return the new state
     });
   }
 
 
   // ---------------------------
-  // Reset progress
+  // Organiser tools (see components/OrganiserPanel.jsx)
   // ---------------------------
+  const [organiserOpen, setOrganiserOpen] = useState(false);
+  const closeOrganiser = useCallback(() => setOrganiserOpen(false), []);
+
+  // Returns what was cleared so the organiser can undo it
   function resetProgress() {
+    const snapshot = { progress, completedAt: completeAt, challenges: challengeState, history, proofs };
     const cleared = {};
-    STATIONS.forEach((s) => (cleared[s.id] = false));
+    stations.forEach((s) => (cleared[s.id] = false));
     setProgress(cleared);
     setCompleteAt(null);
-    localStorage.removeItem(LS_KEY_PROGRESS);
-    localStorage.removeItem(LS_KEY_COMPLETED);
+    clearQuestState(quest.id);
     setJustScanned(null);
+    setChallengeState({});
+    setHistory([]);
+    setProofs({});
+    setChoices(null);
+    repeatFilter.current.reset();
+    feedbackGate.current.reset();
+    syncedScans.current = new Set();
+    // Linked teammates would send the stations straight back
+    team.leave();
+    return snapshot;
+  }
+
+  function restoreProgress(snapshot) {
+    setProgress(snapshot.progress);
+    setCompleteAt(snapshot.completedAt);
+    setChallengeState(snapshot.challenges);
+    setHistory(snapshot.history);
+    setProofs(snapshot.proofs);
+    repeatFilter.current.reset();
+    syncedScans.current = new Set(stations.filter((s) => snapshot.progress[s.id]).map((s) => s.id));
+  }
+
+  // Marks one station done or not done, skipping the trail rules and any
+  // challenge. The sync backend keeps counting a scan that is undone.
+  function overrideStation(id, done) {
+    if (done) {
+      setHistory((prev) => appendScan(prev, scanEntry("valid", { stationId: id, via: "organiser" })));
+      completeStation(id);
+      return;
+    }
+    const updated = { ...progress, [id]: false };
+    setProgress(updated);
+    if (!evaluateProgress(quest, updated).complete) setCompleteAt(null);
+    syncedScans.current.delete(id);
   }
 
   // ---------------------------
   // Completion token
   // ---------------------------
-  const completionToken = useMemo(() => {
-    if (!completeAt) return "";
-    const pad = (n) => n.toString().padStart(2, "0");
-    const d = new Date(completeAt);
-    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
-    const ids = STATIONS.map((s) => s.id[0]).join("");
-    const check = (Array.from(ids + stamp).reduce((a, c) => a + c.charCodeAt(0), 0) % 997)
-      .toString(36)
-      .toUpperCase();
-    return `OHQ-${check}-${d.getTime().toString(36).toUpperCase()}`;
-  }, [completeAt]);
+  // Signed with this device's key so staff can verify it offline (#/staff).
+  // Before completion the same token can be shown on request ("Share my
+  // visit") so organisers can import unfinished visits into #/dashboard.
+  // Browsers without WebCrypto (pages served over plain http) cannot sign:
+  // the visitor is told to show the screen to staff instead.
+  const [shareVisit, setShareVisit] = useState(false);
+  const [completionToken, setCompletionToken] = useState("");
+  const [tokenFailed, setTokenFailed] = useState(false);
+  useEffect(() => {
+    setTokenFailed(false);
+    if (!completeAt && !shareVisit) {
+      setCompletionToken("");
+      return undefined;
+    }
+    let cancelled = false;
+    createCompletionToken({ quest, progress, completeAt, challengeState, team: team.team, proofs })
+      .then((token) => !cancelled && setCompletionToken(token))
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setTokenFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [quest, progress, completeAt, challengeState, shareVisit, team.team, proofs]);
+
+  // ---------------------------
+  // Screen reader announcements
+  // ---------------------------
+  // Read out from a visually hidden live region: the station just found with
+  // the new count, the station picker's question, otherwise the latest scan
+  // feedback.
+  const foundStation = justScanned && stations.find((s) => s.id === justScanned);
+  const announcement = foundStation
+    ? t("announce.found", {
+        station: foundStation.name,
+        done: formatNumber(completedCount),
+        total: formatNumber(trail.targetCount),
+      })
+    : choices
+      ? t("picker.title")
+      : toast?.message;
 
   // ---------------------------
   // JSX Rendering
   // ---------------------------
   return (
     <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4">
-      <h1 className="text-2xl font-bold text-center">Open House AR Quest</h1>
+      <p role="status" aria-live="polite" className="sr-only">
+        {announcement}
+      </p>
+      <div className="max-w-md mx-auto flex justify-end items-center gap-3">
+        <button
+          onClick={toggleCues}
+          aria-pressed={cuesEnabled}
+          title={t("app.cues")}
+          className="px-2 py-1 rounded bg-zinc-800 border border-zinc-700 text-sm"
+        >
+          <span aria-hidden="true">{cuesEnabled ? "🔊" : "🔇"}</span>
+          <span className="sr-only">{t("app.cues")}</span>
+        </button>
+        <LanguageSwitcher quest={sourceQuest} />
+      </div>
+      <h1 className="text-2xl font-bold text-center">{quest.title}</h1>
+      {!online && (
+        <p className="text-center text-xs">
+          <span className="px-2 py-0.5 rounded-full bg-amber-500 text-black font-semibold">{t("app.offline")}</span>
+          <span className="text-zinc-400"> – {t("app.offlineNote")}</span>
+        </p>
+      )}
+      {quest.schedule && <EventCountdown schedule={quest.schedule} finished={allDone} />}
+      {score && (
+        <p className="text-center text-emerald-400 font-semibold">
+          {t("app.score", { score: formatNumber(score.total) })}
+        </p>
+      )}
 
       {/* Camera feed with overlay */}
-      <div className="relative w-full max-w-md mx-auto rounded-lg overflow-hidden border border-zinc-700">
+      <div
+        onClick={tapToFocus}
+        className="relative w-full max-w-md mx-auto rounded-lg overflow-hidden border border-zinc-700"
+      >
         <video ref={videoRef} autoPlay playsInline muted className="w-full h-auto object-cover" />
         <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+        {hasAr && <ArOverlay videoRef={videoRef} anchorRef={arAnchor} stations={stations} />}
+        {debug && stats && (
+          <p className="absolute top-1 start-1 px-2 py-0.5 rounded bg-black/60 font-mono text-xs text-lime-300">
+            {engine} · {stats.fps} fps · {stats.decodeMs} ms{stats.idle ? " · idle" : ""}
+          </p>
+        )}
       </div>
+      <CameraSettings track={track} deviceId={cameraId} onDeviceChange={chooseCamera} />
+      {nfc.status !== "unsupported" && (
+        <div className="max-w-md mx-auto text-center text-sm">
+          {nfc.status === "idle" ? (
+            <button onClick={nfc.start} className="px-3 py-1 rounded-lg bg-zinc-800 border border-zinc-700">
+              {t("nfc.start")}
+            </button>
+          ) : (
+            <p className={nfc.status === "listening" ? "text-zinc-400" : "text-amber-400"}>{t(`nfc.${nfc.status}`)}</p>
+          )}
+        </div>
+      )}
+      {quest.manualEntry && (
+        <ManualEntry open={Boolean(errorCode)} onSubmit={(text) => onExternalCode(text, "typed")} />
+      )}
+
+      {/* Several new stations in view */}
+      {choices && (
+        <StationPicker
+          stations={choices.map((id) => stations.find((s) => s.id === id))}
+          onChoose={chooseStation}
+          onCancel={cancelChoice}
+        />
+      )}
+
+      {/* Scan feedback, at the top so it stays clear of the install/update banner */}
+      <AnimatePresence>
+        {toast && (
+          <Motion.div
+            key={toast.at}
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-x-4 top-4 z-40 pointer-events-none"
+          >
+            <ScanToast toast={toast} />
+          </Motion.div>
+        )}
+      </AnimatePresence>
 
       {/* Progress list */}
-      <ul className="space-y-2 max-w-md mx-auto">
-        {STATIONS.map((s) => (
-          <li
-            key={s.id}
-            className={`p-2 rounded-lg flex justify-between items-center ${
-              progress[s.id] ? "bg-green-600" : "bg-zinc-800"
-            }`}
-          >
-            <span>{s.name}</span>
-            {progress[s.id] && <span>✅</span>}
-          </li>
-        ))}
-      </ul>
+      <p className="text-sm text-zinc-400 text-center">
+        {t("app.completed", { done: formatNumber(completedCount), total: formatNumber(trail.targetCount) })}
+      </p>
+      {syncPending > 0 && (
+        <p className="text-xs text-zinc-500 text-center">{t("app.syncPending", { count: syncPending })}</p>
+      )}
+      {quest.map && (
+        <div className="flex justify-center gap-2 text-sm" role="group" aria-label={t("map.view")}>
+          {["map", "list"].map((view) => (
+            <button
+              key={view}
+              onClick={() => setStationView(view)}
+              aria-pressed={stationView === view}
+              className={`px-3 py-1 rounded-lg ${stationView === view ? "bg-emerald-600" : "bg-zinc-800"}`}
+            >
+              {t(view === "map" ? "map.showMap" : "map.showList")}
+            </button>
+          ))}
+        </div>
+      )}
+      {stationView === "map" ? (
+        <CampusMap quest={quest} stations={stations} trail={trail} />
+      ) : (
+        <ul className="space-y-2 max-w-md mx-auto">
+          {stations.map((s) => {
+            const state = trail.states[s.id];
+            const label = STATE_MESSAGES[state] ? t(STATE_MESSAGES[state]) : STATE_LABELS[state];
+            // Opening hours only matter for stations still to find
+            const opening = state === "done" || state === "closed" ? { open: true } : stationOpening(s, clock.now);
+            return (
+              <li
+                key={s.id}
+                className={`p-2 rounded-lg flex justify-between items-center gap-2 ${STATE_STYLES[state]}`}
+              >
+                <span>
+                  {s.name}
+                  {s.optional && <span className="text-xs text-zinc-400"> {t("station.optional")}</span>}
+                  {s.hint && (state === "next" || state === "available") && (
+                    <span className="block text-xs text-zinc-400">{s.hint}</span>
+                  )}
+                  {!opening.open && (
+                    <span className="block text-xs text-amber-400">
+                      {opening.opensAt
+                        ? t("hours.closedUntil", { time: formatTime(opening.opensAt) })
+                        : t("hours.closedToday")}
+                    </span>
+                  )}
+                </span>
+                <span className="text-sm">{label}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {team.enabled && <TeamPanel team={team} />}
+
+      <JourneyTimeline
+        quest={quest}
+        progress={progress}
+        completedAt={completeAt}
+        history={history}
+        timeUp={timeUp}
+      />
+
+      {/* Visit in progress, for the organisers' dashboard */}
+      {!finished && completedCount > 0 && (
+        <div className="max-w-md mx-auto text-center text-sm">
+          <button onClick={() => setShareVisit(!shareVisit)} className="text-zinc-400 underline">
+            {shareVisit ? t("visit.hide") : t("visit.share")}
+          </button>
+          {shareVisit && completionToken && (
+            <div className="mt-2 p-3 rounded-lg bg-zinc-800 border border-zinc-700">
+              <p className="text-zinc-300">{t("visit.explain")}</p>
+              <QrCode
+                value={completionToken}
+                label={t("visit.qrLabel")}
+                className="mx-auto my-3 rounded bg-white"
+                fallback={
+                  <>
+                    <p className="my-2">{t("qr.tooLong")}</p>
+                    <p className="text-xs font-mono break-all select-all">{completionToken}</p>
+                  </>
+                }
+              />
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Completion message */}
       <AnimatePresence>
-        {allDone && (
-          <motion.div
+        {finished && (
+          <Motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: 20 }}
-            className="p-4 bg-green-700 rounded-lg text-center max-w-md mx-auto"
+            ref={completionRef}
+            tabIndex={-1}
+            aria-labelledby="complete-title"
+            role="region"
+            className="p-4 bg-green-700 rounded-lg text-center max-w-md mx-auto focus:outline-none"
           >
-            <p className="font-semibold">Quest Complete!</p>
-            <p className="text-sm break-all">{completionToken}</p>
-          </motion.div>
+            <p id="complete-title" className="font-semibold">
+              {allDone
+                ? t("complete.title")
+                : t("complete.timeUp", {
+                    done: formatNumber(completedCount),
+                    total: formatNumber(trail.targetCount),
+                  })}
+            </p>
+            {completeAt && <p className="text-xs">{t("complete.finishedAt", { time: formatDateTime(completeAt) })}</p>}
+            {quest.prize && <p className="text-sm">{quest.prize}</p>}
+            {score && (
+              <p className="text-sm">
+                {t("complete.score", {
+                  total: formatNumber(score.total),
+                  base: formatNumber(score.base),
+                  quiz: formatNumber(score.quizBonus),
+                  streak: formatNumber(score.streakBonus),
+                  time: formatNumber(score.timeBonus),
+                })}
+              </p>
+            )}
+            {completionToken && (
+              <QrCode
+                value={completionToken}
+                label={t("complete.qrLabel")}
+                className="mx-auto my-3 rounded bg-white"
+                fallback={<p className="my-3 text-sm">{t("qr.tooLong")}</p>}
+              />
+            )}
+            <p className="text-xs font-mono break-all select-all">{completionToken}</p>
+            {tokenFailed && <p className="text-sm">{t("complete.tokenFailed")}</p>}
+          </Motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Station challenge */}
+      <AnimatePresence>
+        {challengeFor && (
+          <ChallengeModal
+            key={challengeFor}
+            station={stations.find((s) => s.id === challengeFor)}
+            record={challengeState[challengeFor]}
+            onAnswer={answerChallenge}
+            onClose={closeChallenge}
+          />
         )}
       </AnimatePresence>
 
       {/* Tiny confetti animation */}
       <AnimatePresence>
         {justScanned && (
-          <motion.div
+          <Motion.div
             initial={{ opacity: 0, scale: 0.8 }}
             animate={{ opacity: 1, scale: 1 }}
             exit={{ opacity: 0 }}
             className="absolute inset-0 pointer-events-none"
           >
-            <div className="absolute inset-0 animate-ping rounded-2xl bg-emerald-500/20" />
-          </motion.div>
+            <div className="absolute inset-0 motion-safe:animate-ping rounded-2xl bg-emerald-500/20" />
+          </Motion.div>
         )}
       </AnimatePresence>
 
-      {/* Reset button */}
-      <div className="text-center">
-        <button onClick={resetProgress} className="px-4 py-2 bg-red-600 rounded-lg">
-          Reset Progress
-        </button>
-      </div>
+      {/* Organiser tools, behind the quest's PIN */}
+      {quest.organiser &&
+        (organiserOpen ? (
+          <OrganiserPanel
+            quest={quest}
+            trail={trail}
+            onReset={resetProgress}
+            onRestore={restoreProgress}
+            onOverride={overrideStation}
+            diagnostics={{
+              engine,
+              errorCode,
+              track,
+              stats,
+              nfcStatus: nfc.status,
+              online,
+              syncPending,
+              historyCount: history.length,
+            }}
+            onClose={closeOrganiser}
+          />
+        ) : (
+          <div className="text-center">
+            <button onClick={() => setOrganiserOpen(true)} className="text-xs text-zinc-500 underline">
+              {t("organiser.open")}
+            </button>
+          </div>
+        ))}
 
       {/* Error messages */}
-      {error && <p className="text-red-400 text-center">{error}</p>}
+      {errorCode && <p className="text-red-400 text-center">{t(`scanner.${errorCode}`)}</p>}
     </div>
   );
 }
@@ -0,0 +1,110 @@
+import { evaluateProgress } from "../quest/questRules";
+
+// ---------------------------
+// Event statistics for the organiser dashboard
+// ---------------------------
+// analyseVisits(quest, visits) works on the visit records from visits.js and
+// labels everything with the quest's station names.
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const toProgress = (visit) =>
+  Object.fromEntries(Object.entries(visit.stations).map(([id, at]) => [id, at ?? true]));
+
+// Scans with known times, oldest first
+const timedScans = (visit) =>
+  Object.entries(visit.stations)
+    .filter(([, at]) => typeof at === "number")
+    .map(([id, at]) => ({ id, at }))
+    .sort((a, b) => a.at - b.at);
+
+// Picks a bucket size that gives at most ~24 columns
+function bucketSize(span) {
+  const steps = [5, 10, 15, 30, 60, 120].map((m) => m * 60000);
+  return steps.find((s) => span / s <= 24) || steps[steps.length - 1];
+}
+
+export function analyseVisits(quest, visits) {
+  const names = Object.fromEntries(quest.stations.map((s) => [s.id, s.name]));
+  const ids = quest.stations.map((s) => s.id);
+  const complete = (v) => v.completedAt !== null || evaluateProgress(quest, toProgress(v)).complete;
+
+  // Scans per station
+  const stationCounts = ids.map((id) => ({
+    id,
+    name: names[id],
+    count: visits.filter((v) => id in v.stations).length,
+  }));
+
+  // Scans per station over time
+  const times = visits.flatMap((v) => timedScans(v).map((s) => s.at));
+  let timeline = null;
+  if (times.length > 0) {
+    const first = Math.min(...times);
+    const last = Math.max(...times);
+    const size = bucketSize(last - first);
+    const start = Math.floor(first / size) * size;
+    const buckets = Array.from({ length: Math.floor((last - start) / size) + 1 }, (_, i) => start + i * size);
+    const series = Object.fromEntries(ids.map((id) => [id, buckets.map(() => 0)]));
+    visits.forEach((v) =>
+      timedScans(v).forEach(({ id, at }) => {
+        if (series[id]) series[id][Math.floor((at - start) / size)] += 1;
+      })
+    );
+    timeline = { bucketMs: size, buckets, series };
+  }
+
+  // Funnel: visitors who reached at least n stations, then completed
+  const target = evaluateProgress(quest, {}).targetCount;
+  const reached = visits.map((v) => Object.keys(v.stations).filter((id) => names[id]).length);
+  const funnel = Array.from({ length: target }, (_, i) => ({
+    label: i === 0 ? "Scanned a first station" : `Reached ${i + 1} stations`,
+    count: reached.filter((n) => n >= i + 1).length,
+  }));
+  funnel.push({ label: "Completed the quest", count: visits.filter(complete).length });
+
+  // Time between consecutive stations
+  const legs = new Map();
+  const gaps = [];
+  visits.forEach((v) => {
+    const scans = timedScans(v);
+    for (let i = 1; i < scans.length; i++) {
+      const key = `${scans[i - 1].id}→${scans[i].id}`;
+      const ms = scans[i].at - scans[i - 1].at;
+      gaps.push(ms);
+      if (!legs.has(key)) legs.set(key, { from: names[scans[i - 1].id], to: names[scans[i].id], times: [] });
+      legs.get(key).times.push(ms);
+    }
+  });
+  const legStats = [...legs.values()]
+    .map((l) => ({ from: l.from, to: l.to, count: l.times.length, medianMs: median(l.times) }))
+    .sort((a, b) => b.count - a.count || b.medianMs - a.medianMs);
+
+  // Drop-off: the last station of visitors who did not finish
+  const dropOff = Object.fromEntries(ids.map((id) => [id, 0]));
+  visits
+    .filter((v) => !complete(v))
+    .forEach((v) => {
+      const last = timedScans(v).pop();
+      if (last && last.id in dropOff) dropOff[last.id] += 1;
+    });
+
+  return {
+    visitors: visits.length,
+    completed: funnel[funnel.length - 1].count,
+    stationCounts,
+    timeline,
+    funnel,
+    medianGapMs: median(gaps),
+    legs: legStats,
+    dropOff: ids
+      .map((id) => ({ id, name: names[id], count: dropOff[id] }))
+      .filter((d) => d.count > 0)
+      .sort((a, b) => b.count - a.count),
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { analyseVisits, median } from "./analyse";
+import { mergeVisit, parseVisitsFile, visitFromToken } from "./visits";
+import { validateQuest } from "../quest/schema";
+
+const read = (path) => readFileSync(new URL(`../../${path}`, import.meta.url), "utf8");
+const quest = validateQuest(JSON.parse(read("public/quests/trail.json")));
+const fixture = (name) => parseVisitsFile(name, read(`fixtures/analytics/${name}`), quest);
+const counts = (list) => list.map((item) => item.count);
+
+describe("analysing the fixture files", () => {
+  it("reads a dashboard export", () => {
+    const result = analyseVisits(quest, fixture("trail-visits.json"));
+    assert.equal(result.visitors, 24);
+    assert.equal(result.completed, 18);
+    // ENTRANCE, LIBRARY, SCI-LAB, ART, COUNSEL, GYM
+    assert.deepEqual(counts(result.stationCounts), [24, 22, 16, 4, 3, 18]);
+    assert.deepEqual(counts(result.funnel), [24, 22, 20, 18, 18]);
+    assert.equal(result.funnel.at(-1).label, "Completed the quest");
+    assert.deepEqual(result.dropOff.map((d) => [d.id, d.count]), [
+      ["ENTRANCE", 2],
+      ["LIBRARY", 2],
+      ["SCI-LAB", 1],
+      ["ART", 1],
+    ]);
+  });
+
+  it("measures the time between stations", () => {
+    const { medianGapMs, legs } = analyseVisits(quest, fixture("trail-visits.json"));
+    assert.equal(medianGapMs, 667392);
+    assert.deepEqual(legs[0], { from: "Main Entrance", to: "School Library", count: 22, medianMs: 777131 });
+    assert.equal(legs.reduce((sum, leg) => sum + leg.count, 0), 63);
+  });
+
+  it("reads a CSV of events by station name", () => {
+    const visits = fixture("trail-events.csv");
+    const result = analyseVisits(quest, visits);
+    assert.equal(result.visitors, 10);
+    assert.equal(result.completed, 9);
+    assert.deepEqual(counts(result.stationCounts), [10, 10, 6, 3, 4, 9]);
+    assert.deepEqual(counts(result.funnel), [10, 10, 9, 9, 9]);
+    assert.equal(result.medianGapMs, 661491.5);
+    assert.deepEqual(result.timeline.bucketMs, 15 * 60000);
+  });
+
+  it("refuses an export of another quest", () => {
+    const other = JSON.stringify({ questId: "science-day", visits: [] });
+    assert.throws(() => parseVisitsFile("visits.json", other, quest), /science-day/);
+  });
+});
+
+describe("visits", () => {
+  it("keep the earliest known time when merged", () => {
+    const a = { deviceId: "D", stations: { ENTRANCE: 2000, LIBRARY: null }, completedAt: null };
+    const b = { deviceId: "D", stations: { ENTRANCE: 1000, LIBRARY: 3000 }, completedAt: 5000 };
+    assert.deepEqual(mergeVisit(a, b), {
+      deviceId: "D",
+      stations: { ENTRANCE: 1000, LIBRARY: 3000 },
+      completedAt: 5000,
+    });
+  });
+
+  it("leave out stations a token could not prove and count time-up finishes as unfinished", () => {
+    const token = {
+      deviceId: "D",
+      stations: { ENTRANCE: 1000, LIBRARY: 2000 },
+      finishedAt: 3000,
+      unproven: ["LIBRARY"],
+      timeUp: true,
+    };
+    assert.deepEqual(visitFromToken(token), { deviceId: "D", stations: { ENTRANCE: 1000 }, completedAt: null });
+  });
+
+  it("have a median", () => {
+    assert.equal(median([]), null);
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 2, 3]), 2.5);
+  });
+});
@@ -0,0 +1,187 @@
+import { readJson, writeJson } from "../storage/safeStorage";
+
+// ---------------------------
+// Visit records for the organiser dashboard
+// ---------------------------
+// Every source is normalised to one visit per device:
+//
+//   { deviceId, stations: { stationId: ms | null }, completedAt: ms | null }
+//
+// null times mean "scanned, time unknown". Sources:
+//   - completion / "Share my visit" QR codes (see quest/completionToken.js)
+//   - the sync server's GET /export: { events: [{ type, deviceId, stationId, at }] }
+//   - a dashboard export: { visits: [...] } or a plain array of visits
+//   - CSV with a header row: deviceId,stationId,at[,type]
+// Imported visits are kept on the organiser's device, per quest.
+
+const LS_KEY_VISITS = "ohq_visits_v1";
+
+function readAll() {
+  return readJson(LS_KEY_VISITS, {});
+}
+
+export function loadVisits(questId) {
+  return Object.values(readAll()[questId] || {});
+}
+
+// Merges into what is stored and returns the full list for the quest
+export function saveVisits(questId, visits) {
+  const all = readAll();
+  const byDevice = { ...all[questId] };
+  visits.forEach((v) => (byDevice[v.deviceId] = mergeVisit(byDevice[v.deviceId], v)));
+  all[questId] = byDevice;
+  writeJson(LS_KEY_VISITS, all);
+  return Object.values(byDevice);
+}
+
+export function clearVisits(questId) {
+  const all = readAll();
+  delete all[questId];
+  writeJson(LS_KEY_VISITS, all);
+}
+
+// Earliest known time wins; a known time beats "unknown"
+const earlier = (a, b) => {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.min(a, b);
+};
+
+export function mergeVisit(a, b) {
+  if (!a) return b;
+  const stations = { ...a.stations };
+  Object.entries(b.stations).forEach(([id, at]) => (stations[id] = earlier(stations[id], at)));
+  const finished = [a.completedAt, b.completedAt].filter((t) => typeof t === "number");
+  return { deviceId: a.deviceId, stations, completedAt: finished.length ? Math.min(...finished) : null };
+}
+
+function mergeAll(visits) {
+  const byDevice = new Map();
+  visits.forEach((v) => byDevice.set(v.deviceId, mergeVisit(byDevice.get(v.deviceId), v)));
+  return [...byDevice.values()];
+}
+
+// ---------------------------
+// Parsing
+// ---------------------------
+function toMs(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n < 1e11 ? n * 1000 : n; // unix seconds or ms
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Station column may hold ids or names
+function stationResolver(quest) {
+  const lookup = new Map();
+  quest.stations.forEach((s) => {
+    lookup.set(s.id.toLowerCase(), s.id);
+    lookup.set(s.name.toLowerCase(), s.id);
+  });
+  return (value) => lookup.get(String(value ?? "").trim().toLowerCase()) || null;
+}
+
+export function visitsFromEvents(events, quest) {
+  const station = stationResolver(quest);
+  const visits = [];
+  events.forEach((e) => {
+    if (!e?.deviceId || (e.questId && e.questId !== quest.id)) return;
+    const at = toMs(e.at);
+    if (e.type === "complete") {
+      visits.push({ deviceId: e.deviceId, stations: {}, completedAt: at });
+      return;
+    }
+    const id = station(e.stationId);
+    if (id) visits.push({ deviceId: e.deviceId, stations: { [id]: at }, completedAt: null });
+  });
+  return mergeAll(visits);
+}
+
+function cleanVisit(v, quest) {
+  const station = stationResolver(quest);
+  if (!v?.deviceId || typeof v.stations !== "object") return null;
+  const stations = {};
+  Object.entries(v.stations).forEach(([key, at]) => {
+    const id = station(key);
+    if (id) stations[id] = toMs(at);
+  });
+  return { deviceId: String(v.deviceId), stations, completedAt: toMs(v.completedAt) };
+}
+
+export function parseVisitsJson(text, quest) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data?.events)) return visitsFromEvents(data.events, quest);
+  if (data?.questId && data.questId !== quest.id) {
+    throw new Error(`This export is for quest "${data.questId}", not "${quest.id}"`);
+  }
+  const list = Array.isArray(data) ? data : data?.visits;
+  if (!Array.isArray(list)) throw new Error("Expected { events: [...] }, { visits: [...] } or a list of visits");
+  return mergeAll(list.map((v) => cleanVisit(v, quest)).filter(Boolean));
+}
+
+// Minimal CSV: comma separated, optional double quotes, header row required
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted && c === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (c === '"') {
+      quoted = !quoted;
+    } else if (c === "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+export function parseVisitsCsv(text, quest) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length === 0) return [];
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const device = col("deviceid", "device");
+  const station = col("stationid", "station");
+  const at = col("at", "time", "timestamp");
+  const type = col("type");
+  if (device < 0 || at < 0) throw new Error("CSV needs deviceId and at columns");
+
+  const events = lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return {
+      deviceId: cells[device],
+      stationId: station >= 0 ? cells[station] : undefined,
+      at: cells[at],
+      type: type >= 0 && cells[type] ? cells[type].toLowerCase() : "scan",
+    };
+  });
+  return visitsFromEvents(events, quest);
+}
+
+export function parseVisitsFile(name, text, quest) {
+  return /\.csv$/i.test(name) ? parseVisitsCsv(text, quest) : parseVisitsJson(text, quest);
+}
+
+// Token result from readVisitToken() or verifyCompletionToken(); a quest
+// finished by the event clock counts as unfinished, and stations the staff
+// check found no valid code for are left out
+export function visitFromToken(result) {
+  const completedAt = result.timeUp ? null : result.finishedAt;
+  const stations = { ...result.stations };
+  result.unproven?.forEach((id) => delete stations[id]);
+  return { deviceId: result.deviceId, stations, completedAt };
+}
+
+export function exportVisits(quest, visits) {
+  return JSON.stringify({ questId: quest.id, exportedAt: new Date().toISOString(), visits }, null, 2);
+}
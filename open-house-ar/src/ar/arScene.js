@@ -0,0 +1,209 @@
+import { ASSUMED_FOV_Y } from "./pose";
+
+// ---------------------------
+// WebGL scene for station AR content
+// ---------------------------
+// Content is defined per station in the quest file ("ar") and placed in QR
+// units: the code is a 1 x 1 square at the origin, +Z points out of the poster.
+//
+//   { "type": "badge", "text": "📚", "color": "#22c55e" }   spinning coin
+//   { "type": "card", "title": "Library", "body": "Open 8am–6pm" }
+//   { "type": "model", "src": "models/robot.glb", "scale": 1 }
+//
+// three.js is imported lazily so quests without AR never download it.
+
+const SMOOTHING = 0.5;
+
+function textTexture(THREE, { width, height, background, draw }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  draw(ctx);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+  let line = "";
+  String(text || "")
+    .split(/\s+/)
+    .forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (ctx.measureText(next).width > maxWidth && line) {
+        ctx.fillText(line, x, y);
+        line = word;
+        y += lineHeight;
+      } else {
+        line = next;
+      }
+    });
+  if (line) ctx.fillText(line, x, y);
+}
+
+// ---------------------------
+// Content builders
+// ---------------------------
+function buildBadge(THREE, ar) {
+  const color = ar.color || "#22c55e";
+  const face = textTexture(THREE, {
+    width: 256,
+    height: 256,
+    background: color,
+    draw: (ctx) => {
+      ctx.fillStyle = "#ffffff";
+      ctx.font = "bold 120px system-ui, sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(ar.text || "★", 128, 136);
+    },
+  });
+  const coin = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.4, 0.4, 0.06, 48),
+    [
+      new THREE.MeshStandardMaterial({ color, metalness: 0.6, roughness: 0.3 }),
+      new THREE.MeshStandardMaterial({ map: face }),
+      new THREE.MeshStandardMaterial({ map: face }),
+    ]
+  );
+  coin.rotation.x = Math.PI / 2; // faces toward the viewer
+  const holder = new THREE.Group();
+  holder.position.z = 0.5;
+  holder.add(coin);
+  holder.userData.animate = (t) => {
+    holder.rotation.y = t * 2;
+    holder.position.z = 0.5 + Math.sin(t * 3) * 0.05;
+  };
+  return holder;
+}
+
+function buildCard(THREE, ar) {
+  const texture = textTexture(THREE, {
+    width: 512,
+    height: 320,
+    background: "rgba(24, 24, 27, 0.92)",
+    draw: (ctx) => {
+      ctx.fillStyle = ar.color || "#22c55e";
+      ctx.fillRect(0, 0, 512, 12);
+      ctx.fillStyle = "#ffffff";
+      ctx.font = "bold 40px system-ui, sans-serif";
+      wrapText(ctx, ar.title, 24, 70, 464, 46);
+      ctx.fillStyle = "#d4d4d8";
+      ctx.font = "28px system-ui, sans-serif";
+      wrapText(ctx, ar.body, 24, 150, 464, 36);
+    },
+  });
+  const card = new THREE.Mesh(
+    new THREE.PlaneGeometry(1.6, 1),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide })
+  );
+  card.position.set(0, 1.15, 0.05);
+  return card;
+}
+
+async function buildModel(THREE, ar) {
+  const { GLTFLoader } = await import("three/examples/jsm/loaders/GLTFLoader.js");
+  const url = new URL(ar.src, new URL(import.meta.env.BASE_URL, window.location.origin)).href;
+  const gltf = await new GLTFLoader().loadAsync(url);
+  const model = gltf.scene;
+  const scale = ar.scale ?? 1;
+  model.scale.setScalar(scale);
+  model.rotation.x = Math.PI / 2; // glTF is Y-up; stand it on the poster
+  const holder = new THREE.Group();
+  holder.add(model);
+  holder.userData.animate = (t) => {
+    model.rotation.y = t * 0.8;
+  };
+  return holder;
+}
+
+const BUILDERS = { badge: buildBadge, card: buildCard, model: buildModel };
+
+// ---------------------------
+// Scene
+// ---------------------------
+export async function createArScene(canvas) {
+  const THREE = await import("three");
+
+  const renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
+  renderer.setClearColor(0x000000, 0);
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(ASSUMED_FOV_Y, 16 / 9, 0.01, 100);
+  scene.add(new THREE.AmbientLight(0xffffff, 1.2));
+  const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+  sun.position.set(1, 2, 3);
+  scene.add(sun);
+
+  const anchor = new THREE.Group();
+  anchor.visible = false;
+  scene.add(anchor);
+
+  const cache = new Map(); // stationId -> Promise<Object3D | null>
+  let current = null;
+  let currentId = null;
+  const target = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() };
+  const matrix = new THREE.Matrix4();
+  const clock = new THREE.Clock();
+  const reducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)") || { matches: false };
+
+  function setContent(stationId, ar) {
+    if (stationId === currentId) return;
+    currentId = stationId;
+    if (current) anchor.remove(current);
+    current = null;
+    if (!ar) return;
+
+    if (!cache.has(stationId)) {
+      cache.set(
+        stationId,
+        Promise.resolve(BUILDERS[ar.type]?.(THREE, ar) ?? null).catch((err) => {
+          console.error("AR content failed to load", err);
+          return null;
+        })
+      );
+    }
+    cache.get(stationId).then((object) => {
+      if (currentId !== stationId || !object) return;
+      current = object;
+      anchor.add(object);
+    });
+  }
+
+  // pose: column-major 4x4 from estimatePose(), or null to hide
+  function render(pose, width, height) {
+    if (width && height && (canvas.width !== width || canvas.height !== height)) {
+      renderer.setSize(width, height, false);
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+    }
+
+    if (pose) {
+      matrix.fromArray(pose);
+      matrix.decompose(target.position, target.quaternion, target.scale);
+      if (anchor.visible) {
+        anchor.position.lerp(target.position, SMOOTHING);
+        anchor.quaternion.slerp(target.quaternion, SMOOTHING);
+      } else {
+        anchor.position.copy(target.position);
+        anchor.quaternion.copy(target.quaternion);
+      }
+      anchor.visible = true;
+    } else {
+      anchor.visible = false;
+    }
+
+    // Badges and models hold still for visitors who asked for less motion
+    if (!reducedMotion.matches) current?.userData.animate?.(clock.getElapsedTime());
+    renderer.render(scene, camera);
+  }
+
+  function dispose() {
+    renderer.dispose();
+    cache.clear();
+  }
+
+  return { setContent, render, dispose };
+}
@@ -0,0 +1,108 @@
+// ---------------------------
+// QR code pose estimation
+// ---------------------------
+// Treats the QR code as a unit square on a plane and recovers its rotation
+// and translation relative to the camera from the four detected corners
+// (planar homography decomposition). The camera's focal length is unknown in
+// the browser, so a typical phone field of view is assumed.
+
+export const ASSUMED_FOV_Y = 50; // degrees
+
+// Model corners in QR units, clockwise from top-left, Y up
+const MODEL_CORNERS = [
+  [-0.5, 0.5],
+  [0.5, 0.5],
+  [0.5, -0.5],
+  [-0.5, -0.5],
+];
+
+// Solves A x = b (n x n) by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+// 3x3 homography (row-major, h33 = 1) mapping model XY to image pixels
+export function homography(corners) {
+  const A = [];
+  const b = [];
+  MODEL_CORNERS.forEach(([X, Y], i) => {
+    const { x, y } = corners[i];
+    A.push([X, Y, 1, 0, 0, 0, -x * X, -x * Y]);
+    b.push(x);
+    A.push([0, 0, 0, X, Y, 1, -y * X, -y * Y]);
+    b.push(y);
+  });
+  const h = solve(A, b);
+  return h ? [...h, 1] : null;
+}
+
+export function focalLength(videoHeight, fovY = ASSUMED_FOV_Y) {
+  return videoHeight / (2 * Math.tan((fovY * Math.PI) / 360));
+}
+
+const normalize = (v) => {
+  const len = Math.hypot(...v);
+  return v.map((c) => c / len);
+};
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Returns a column-major 4x4 matrix (three.js / WebGL order) placing the QR
+// square in a camera looking down -Z with Y up, or null if degenerate.
+export function estimatePose(corners, videoWidth, videoHeight) {
+  if (!corners || corners.length < 4) return null;
+  const H = homography(corners);
+  if (!H) return null;
+
+  // M = K^-1 H with principal point at the frame centre
+  const f = focalLength(videoHeight);
+  const cx = videoWidth / 2;
+  const cy = videoHeight / 2;
+  const col = (j) => [(H[j] - cx * H[6 + j]) / f, (H[3 + j] - cy * H[6 + j]) / f, H[6 + j]];
+  const m1 = col(0);
+  const m2 = col(1);
+  const m3 = col(2);
+
+  let scale = 2 / (Math.hypot(...m1) + Math.hypot(...m2));
+  if (m3[2] * scale < 0) scale = -scale; // keep the code in front of the camera
+
+  // Orthonormal rotation (Gram-Schmidt) in camera space: x right, y down, z forward
+  const r1 = normalize(m1.map((c) => c * scale));
+  let r2 = m2.map((c) => c * scale);
+  r2 = normalize(r2.map((c, i) => c - dot(r1, r2) * r1[i]));
+  const r3 = cross(r1, r2);
+  const t = m3.map((c) => c * scale);
+
+  // Flip Y and Z into the WebGL camera convention
+  const flip = [1, -1, -1];
+  const R = [r1, r2, r3];
+  const e = new Array(16).fill(0);
+  for (let c = 0; c < 3; c++) {
+    for (let r = 0; r < 3; r++) e[c * 4 + r] = R[c][r] * flip[r];
+  }
+  for (let r = 0; r < 3; r++) e[12 + r] = t[r] * flip[r];
+  e[15] = 1;
+  return e;
+}
+
+// Corners from ZXing's result points: [bottomLeft, topLeft, topRight] finder
+// centres; the fourth corner completes the parallelogram.
+export function cornersFromFinderPatterns(points) {
+  if (!points || points.length < 3) return null;
+  const [bl, tl, tr] = points;
+  const br = { x: tr.x + bl.x - tl.x, y: tr.y + bl.y - tl.y };
+  return [tl, tr, br, bl];
+}
@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from "react";
+import { estimatePose } from "../ar/pose";
+
+// Hide content once the code has not been seen for this long
+const STALE_MS = 500;
+
+// ---------------------------
+// WebGL layer over the camera feed
+// ---------------------------
+// anchorRef.current = { stationId, corners, at } is written by the scanner on
+// every accepted frame; this component reads it on its own animation loop so
+// detections never cause React re-renders.
+export default function ArOverlay({ videoRef, anchorRef, stations }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const video = videoRef.current;
+    if (!canvas || !video) return undefined;
+
+    const arById = new Map(stations.filter((s) => s.ar).map((s) => [s.id, s.ar]));
+    let scene = null;
+    let raf = 0;
+    let stop = false;
+
+    const draw = () => {
+      if (stop) return;
+      const anchor = anchorRef.current;
+      const fresh = anchor && Date.now() - anchor.at < STALE_MS && arById.has(anchor.stationId);
+      const width = video.videoWidth;
+      const height = video.videoHeight;
+
+      if (fresh) scene.setContent(anchor.stationId, arById.get(anchor.stationId));
+      const pose = fresh && width ? estimatePose(anchor.corners, width, height) : null;
+      scene.render(pose, width, height);
+      raf = requestAnimationFrame(draw);
+    };
+
+    import("../ar/arScene")
+      .then(({ createArScene }) => createArScene(canvas))
+      .then((created) => {
+        if (stop) return created.dispose();
+        scene = created;
+        draw();
+      })
+      .catch((err) => console.error("AR overlay unavailable", err));
+
+    return () => {
+      stop = true;
+      cancelAnimationFrame(raf);
+      scene?.dispose();
+    };
+  }, [videoRef, anchorRef, stations]);
+
+  // Rendered at the video's intrinsic size; object-cover crops it like the video
+  return <canvas ref={canvasRef} className="absolute inset-0 w-full h-full object-cover pointer-events-none" />;
+}
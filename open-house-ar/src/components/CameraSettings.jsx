@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import { applyTrackSetting, listCameras, readCapabilities, readSettings } from "../scanner/cameraControls";
+import { useI18n } from "../i18n/useI18n";
+
+// Focus modes with a translated label (camera.focus.<mode>)
+const FOCUS_MODES = ["continuous", "single-shot", "manual"];
+
+// ---------------------------
+// Camera picker with torch, zoom and focus controls
+// ---------------------------
+// Only the controls the current camera supports are shown.
+export default function CameraSettings({ track, deviceId, onDeviceChange }) {
+  const { t, formatNumber } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [cameras, setCameras] = useState([]);
+  const [torch, setTorch] = useState(false);
+  const [zoom, setZoom] = useState(null);
+  const [focusMode, setFocusMode] = useState("");
+
+  // Device labels appear once the camera has started, so re-list per track
+  useEffect(() => {
+    let cancelled = false;
+    listCameras()
+      .then((list) => !cancelled && setCameras(list))
+      .catch((err) => console.warn(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [track]);
+
+  useEffect(() => {
+    const settings = readSettings(track);
+    setTorch(settings.torch === true);
+    setZoom(settings.zoom ?? null);
+    setFocusMode(settings.focusMode || "");
+  }, [track]);
+
+  const caps = readCapabilities(track);
+  const activeId = readSettings(track).deviceId;
+  const hasControls = caps.torch || caps.zoom || caps.focusModes.length > 0;
+
+  async function toggleTorch() {
+    if (await applyTrackSetting(track, "torch", !torch)) setTorch(!torch);
+  }
+
+  async function changeZoom(value) {
+    setZoom(value);
+    await applyTrackSetting(track, "zoom", value);
+  }
+
+  async function changeFocus(mode) {
+    if (await applyTrackSetting(track, "focusMode", mode)) setFocusMode(mode);
+  }
+
+  return (
+    <div className="max-w-md mx-auto text-sm">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="w-full px-3 py-2 bg-zinc-800 border border-zinc-700 rounded-lg text-start"
+      >
+        {open ? "▾" : "▸"} {t("camera.settings")}
+      </button>
+
+      {open && (
+        <div className="mt-2 p-3 rounded-lg bg-zinc-800 border border-zinc-700 space-y-3">
+          <label className="block space-y-1">
+            <span className="text-zinc-400">{t("camera.camera")}</span>
+            <select
+              value={deviceId || ""}
+              onChange={(e) => onDeviceChange(e.target.value || null)}
+              className="w-full px-2 py-1 rounded bg-zinc-900 border border-zinc-700"
+            >
+              <option value="">{t("camera.automatic")}</option>
+              {cameras.map((c) => (
+                <option key={c.deviceId} value={c.deviceId}>
+                  {c.label}
+                  {c.deviceId === activeId && !deviceId ? ` ${t("camera.inUse")}` : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {caps.torch && (
+            <button
+              onClick={toggleTorch}
+              aria-pressed={torch}
+              className={`w-full px-3 py-2 rounded-lg ${torch ? "bg-amber-500 text-black" : "bg-zinc-700"}`}
+            >
+              {torch ? t("camera.torchOn") : t("camera.torchOff")}
+            </button>
+          )}
+
+          {caps.zoom && (
+            <label className="block space-y-1">
+              <span className="text-zinc-400">
+                {t("camera.zoom")} {zoom ? `${formatNumber(Math.round(zoom * 10) / 10)}×` : ""}
+              </span>
+              <input
+                type="range"
+                min={caps.zoom.min}
+                max={caps.zoom.max}
+                step={caps.zoom.step}
+                value={zoom ?? caps.zoom.min}
+                onChange={(e) => changeZoom(Number(e.target.value))}
+                className="w-full"
+              />
+            </label>
+          )}
+
+          {caps.focusModes.length > 0 && (
+            <label className="block space-y-1">
+              <span className="text-zinc-400">{t("camera.focus")}</span>
+              <select
+                value={focusMode}
+                onChange={(e) => changeFocus(e.target.value)}
+                className="w-full px-2 py-1 rounded bg-zinc-900 border border-zinc-700"
+              >
+                {caps.focusModes.map((mode) => (
+                  <option key={mode} value={mode}>
+                    {FOCUS_MODES.includes(mode) ? t(`camera.focus.${mode}`) : mode}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {track && !hasControls && (
+            <p className="text-zinc-400">{t("camera.noControls")}</p>
+          )}
+          {caps.focusModes.length > 0 && (
+            <p className="text-zinc-400">{t("camera.tip")}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useId, useState } from "react";
+import FloorPlan from "./FloorPlan";
+import { useI18n } from "../i18n/useI18n";
+
+// ---------------------------
+// Pin appearance per station state (see quest/questRules.js)
+// ---------------------------
+const PIN_STYLES = {
+  done: "bg-green-600 text-white",
+  next: "bg-emerald-400 text-black ring-4 ring-emerald-300/60 motion-safe:animate-pulse",
+  available: "bg-zinc-800 text-white",
+  locked: "bg-zinc-500 text-white opacity-60",
+  closed: "bg-zinc-500 text-white opacity-40",
+};
+const STATE_MESSAGES = {
+  done: "map.state.done",
+  next: "map.state.next",
+  available: "map.state.available",
+  locked: "map.state.locked",
+  closed: "map.state.closed",
+};
+
+// Stations to point the visitor at: the trail's next stations, or in an
+// open quest the first required station still to find
+function suggestedStations(stations, states) {
+  const next = stations.filter((s) => states[s.id] === "next");
+  if (next.length) return next;
+  const first = stations.find((s) => states[s.id] === "available" && !s.optional);
+  return first ? [first] : [];
+}
+
+// ---------------------------
+// Campus map with live progress
+// ---------------------------
+// Floor plans and pins come from the quest file ("map" and each station's
+// "pin", see quest/schema.js). Found stations are green, the suggested next
+// one pulses, and tapping a pin shows its name, state and hint. The map opens
+// on the floor of the suggested station.
+export default function CampusMap({ quest, stations, trail }) {
+  const { t, formatNumber } = useI18n();
+  const id = useId();
+  const { floors } = quest.map;
+  const suggested = suggestedStations(stations, trail.states).filter((s) => s.pin);
+  const [floorId, setFloorId] = useState(() => suggested[0]?.pin.floor ?? floors[0].id);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const floor = floors.find((f) => f.id === floorId) ?? floors[0];
+  const onFloor = (f) => stations.filter((s) => s.pin?.floor === f.id);
+  const suggestedIds = new Set(suggested.map((s) => s.id));
+  const stateOf = (s) => (suggestedIds.has(s.id) ? "next" : trail.states[s.id]);
+  const selected = stations.find((s) => s.id === selectedId && s.pin?.floor === floor.id);
+  const elsewhere = suggested.filter((s) => s.pin.floor !== floor.id);
+
+  const pins = onFloor(floor).map((s) => {
+    const state = stateOf(s);
+    const number = stations.indexOf(s) + 1;
+    return {
+      id: s.id,
+      x: s.pin.x,
+      y: s.pin.y,
+      label: `${s.name}: ${t(STATE_MESSAGES[state])}`,
+      text: state === "done" ? "✓" : state === "locked" ? "🔒" : formatNumber(number),
+      className: PIN_STYLES[state],
+    };
+  });
+
+  function showFloor(next) {
+    setFloorId(next);
+    setSelectedId(null);
+  }
+
+  return (
+    <section aria-labelledby={`${id}-title`} className="max-w-md mx-auto space-y-2">
+      <h2 id={`${id}-title`} className="sr-only">
+        {t("map.title")}
+      </h2>
+      {floors.length > 1 && (
+        <div className="flex gap-2 overflow-x-auto" role="group" aria-label={t("map.floors")}>
+          {floors.map((f) => {
+            const here = onFloor(f);
+            const done = here.filter((s) => trail.states[s.id] === "done").length;
+            return (
+              <button
+                key={f.id}
+                onClick={() => showFloor(f.id)}
+                aria-pressed={f.id === floor.id}
+                className={`shrink-0 px-3 py-1 rounded-lg text-sm ${
+                  f.id === floor.id ? "bg-emerald-600" : "bg-zinc-800"
+                }`}
+              >
+                {f.name}
+                {here.length > 0 && (
+                  <span className="text-xs text-zinc-300">
+                    {" "}
+                    {t("map.floorProgress", { done: formatNumber(done), total: formatNumber(here.length) })}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <FloorPlan
+        key={floor.id}
+        image={floor.image}
+        alt={t("map.planAlt", { floor: floor.name })}
+        pins={pins}
+        selected={selected?.id}
+        onSelect={(pinId) => setSelectedId(pinId === selectedId ? null : pinId)}
+      />
+
+      {selected ? (
+        <div className="p-3 rounded-lg bg-zinc-800 border border-zinc-700 text-sm" aria-live="polite">
+          <p className="font-semibold">{selected.name}</p>
+          <p className="text-zinc-400">{t(STATE_MESSAGES[stateOf(selected)])}</p>
+          {selected.hint && stateOf(selected) !== "done" && <p className="mt-1">{selected.hint}</p>}
+        </div>
+      ) : (
+        <p className="text-xs text-zinc-400 text-center">{t("map.tapHint")}</p>
+      )}
+
+      {elsewhere.length > 0 && (
+        <div className="flex flex-wrap gap-2 justify-center text-sm">
+          {elsewhere.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => {
+                showFloor(s.pin.floor);
+                setSelectedId(s.id);
+              }}
+              className="px-3 py-1 rounded-lg bg-zinc-800 ring-2 ring-emerald-400"
+            >
+              {t("map.nextOnFloor", {
+                station: s.name,
+                floor: floors.find((f) => f.id === s.pin.floor).name,
+              })}
+            </button>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { motion as Motion } from "framer-motion";
+import { lockedFor, triesLeft } from "../quest/challenges";
+import { useI18n } from "../i18n/useI18n";
+
+// ---------------------------
+// Quiz shown after a station's code is scanned
+// ---------------------------
+// onAnswer(response) returns true when correct; the parent records the
+// attempt and marks the station complete.
+export default function ChallengeModal({ station, record, onAnswer, onClose }) {
+  const { challenge } = station;
+  const { t } = useI18n();
+  const [response, setResponse] = useState("");
+  const [solved, setSolved] = useState(false);
+  const [wrongOnce, setWrongOnce] = useState(false);
+
+  // Escape works like "Later"
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const waitMs = lockedFor(record);
+  const left = triesLeft(challenge, record);
+
+  function submit(e) {
+    e.preventDefault();
+    if (response === "" || waitMs) return;
+    if (onAnswer(response)) {
+      setSolved(true);
+    } else {
+      setWrongOnce(true);
+      setResponse("");
+    }
+  }
+
+  return (
+    <Motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4"
+    >
+      <Motion.div
+        initial={{ y: 40, scale: 0.95 }}
+        animate={{ y: 0, scale: 1 }}
+        exit={{ y: 20, opacity: 0 }}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="challenge-title"
+        className="w-full max-w-md p-4 rounded-lg bg-zinc-800 border border-zinc-700 space-y-3"
+      >
+        <p id="challenge-title" className="text-sm text-zinc-400">
+          {station.name}
+        </p>
+        <p className="font-semibold">{challenge.question}</p>
+
+        {solved ? (
+          <>
+            <p className="text-emerald-400 font-semibold">{t("challenge.correct")}</p>
+            {challenge.explanation && <p className="text-sm text-zinc-300">{challenge.explanation}</p>}
+            <button onClick={onClose} className="w-full px-4 py-2 bg-emerald-600 rounded-lg">
+              {t("challenge.continue")}
+            </button>
+          </>
+        ) : waitMs ? (
+          <>
+            <p className="text-amber-400 text-sm">{t("challenge.lockedOut", { count: Math.ceil(waitMs / 1000) })}</p>
+            <button onClick={onClose} className="w-full px-4 py-2 bg-zinc-700 rounded-lg">
+              {t("challenge.close")}
+            </button>
+          </>
+        ) : (
+          <form onSubmit={submit} className="space-y-3">
+            {challenge.type === "choice" ? (
+              <div className="space-y-2">
+                {challenge.choices.map((choice, i) => (
+                  <label
+                    key={i}
+                    className={`block p-2 rounded-lg border cursor-pointer ${
+                      String(i) === response ? "border-emerald-400 bg-zinc-700" : "border-zinc-700"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="choice"
+                      value={i}
+                      checked={String(i) === response}
+                      onChange={(e) => setResponse(e.target.value)}
+                      className="me-2"
+                    />
+                    {choice}
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <input
+                autoFocus
+                inputMode={challenge.type === "number" ? "decimal" : "text"}
+                value={response}
+                onChange={(e) => setResponse(e.target.value)}
+                className="w-full px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-700"
+                placeholder={t("challenge.placeholder")}
+              />
+            )}
+
+            {wrongOnce && (
+              <p className="text-amber-400 text-sm">
+                {t("challenge.wrong")}
+                {Number.isFinite(left) && ` ${t("challenge.triesLeft", { count: left })}`}
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <button type="button" onClick={onClose} className="flex-1 px-4 py-2 bg-zinc-700 rounded-lg">
+                {t("challenge.later")}
+              </button>
+              <button type="submit" className="flex-1 px-4 py-2 bg-emerald-600 rounded-lg">
+                {t("challenge.answer")}
+              </button>
+            </div>
+          </form>
+        )}
+      </Motion.div>
+    </Motion.div>
+  );
+}
@@ -0,0 +1,278 @@
+import React, { useMemo, useRef, useState } from "react";
+import { useQrScanner } from "../scanner/useQrScanner";
+import { readVisitToken } from "../quest/completionToken";
+import { analyseVisits } from "../analytics/analyse";
+import {
+  clearVisits,
+  exportVisits,
+  loadVisits,
+  parseVisitsFile,
+  saveVisits,
+  visitFromToken,
+} from "../analytics/visits";
+import { downloadBlob } from "../posters/posterSvg";
+
+const formatMinutes = (ms) => (ms === null ? "–" : `${Math.round(ms / 60000)} min`);
+const formatClock = (ms) => new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+function Bar({ label, value, max, color = "bg-emerald-500" }) {
+  return (
+    <li className="text-sm">
+      <div className="flex justify-between">
+        <span>{label}</span>
+        <span className="text-zinc-400">{value}</span>
+      </div>
+      <div className="h-2 rounded bg-zinc-800">
+        <div className={`h-2 rounded ${color}`} style={{ width: `${max ? (value / max) * 100 : 0}%` }} />
+      </div>
+    </li>
+  );
+}
+
+// ---------------------------
+// Organiser analytics (#/dashboard)
+// ---------------------------
+// Imports visit records (completion / visit QR codes, sync server exports,
+// CSV) and shows station traffic, the completion funnel, time between
+// stations and where unfinished visitors stopped. Completions verified at
+// the staff desk on this device are included automatically.
+export default function Dashboard({ quest }) {
+  const videoRef = useRef(null);
+  const [visits, setVisits] = useState(() => loadVisits(quest.id));
+  const [scanning, setScanning] = useState(false);
+  const [pasted, setPasted] = useState("");
+  const [notice, setNotice] = useState(null);
+  // Tokens already read by the camera this session, however many are in view
+  const seenTokens = useRef(new Set());
+
+  const { error } = useQrScanner(videoRef, {
+    active: scanning,
+    onCodes: (codes) =>
+      codes.forEach(({ payload }) => {
+        if (seenTokens.current.has(payload)) return;
+        seenTokens.current.add(payload);
+        importToken(payload);
+      }),
+  });
+
+  const stats = useMemo(() => analyseVisits(quest, visits), [quest, visits]);
+
+  function addVisits(list, source) {
+    setVisits(saveVisits(quest.id, list));
+    setNotice({ ok: true, text: `Imported ${list.length} visit${list.length === 1 ? "" : "s"} from ${source}.` });
+  }
+
+  async function importToken(token) {
+    const result = await readVisitToken(token, quest);
+    if (!result.ok) {
+      setNotice({ ok: false, text: result.message });
+      return;
+    }
+    addVisits([visitFromToken(result)], `device ${result.deviceId}`);
+  }
+
+  async function importFiles(files) {
+    for (const file of files) {
+      try {
+        addVisits(parseVisitsFile(file.name, await file.text(), quest), file.name);
+      } catch (err) {
+        setNotice({ ok: false, text: `${file.name}: ${err.message}` });
+      }
+    }
+  }
+
+  function download() {
+    const blob = new Blob([exportVisits(quest, visits)], { type: "application/json" });
+    downloadBlob(blob, `${quest.id}-visits.json`);
+  }
+
+  function clear() {
+    if (!window.confirm("Delete all imported visits for this quest on this device?")) return;
+    clearVisits(quest.id);
+    setVisits([]);
+    setNotice(null);
+  }
+
+  const maxCount = Math.max(0, ...stats.stationCounts.map((s) => s.count));
+  const maxBucket = stats.timeline ? Math.max(1, ...Object.values(stats.timeline.series).flat()) : 1;
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-6">
+      <div className="text-center">
+        <h1 className="text-2xl font-bold">Organiser Dashboard</h1>
+        <p className="text-sm text-zinc-400">{quest.title}</p>
+      </div>
+
+      {/* Import */}
+      <section className="max-w-2xl mx-auto p-4 rounded-lg bg-zinc-800 space-y-3">
+        <h2 className="font-semibold">Import visits</h2>
+        <label className="block text-sm">
+          <span className="text-zinc-400">JSON or CSV file (sync server export, dashboard export, spreadsheet)</span>
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            multiple
+            onChange={(e) => {
+              importFiles([...e.target.files]);
+              e.target.value = "";
+            }}
+            className="block mt-1 text-sm"
+          />
+        </label>
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            importToken(pasted);
+            setPasted("");
+          }}
+        >
+          <input
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            placeholder="Paste a completion or visit code (OHQT1.…)"
+            className="flex-1 px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-700 text-sm font-mono"
+          />
+          <button type="submit" className="px-4 py-2 bg-zinc-700 rounded-lg text-sm">
+            Add
+          </button>
+          <button type="button" onClick={() => setScanning(!scanning)} className="px-4 py-2 bg-zinc-700 rounded-lg text-sm">
+            {scanning ? "Stop camera" : "Scan QR"}
+          </button>
+        </form>
+        {scanning && (
+          <div className="w-full max-w-sm mx-auto rounded-lg overflow-hidden border border-zinc-700">
+            <video ref={videoRef} autoPlay playsInline muted className="w-full h-auto object-cover" />
+          </div>
+        )}
+        {error && scanning && <p className="text-red-400 text-sm">{error}</p>}
+        {notice && <p className={`text-sm ${notice.ok ? "text-emerald-400" : "text-red-400"}`}>{notice.text}</p>}
+      </section>
+
+      {visits.length === 0 ? (
+        <p className="text-center text-zinc-400">No visits imported yet.</p>
+      ) : (
+        <>
+          {/* Summary */}
+          <section className="max-w-2xl mx-auto grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+            {[
+              ["Visitors", stats.visitors],
+              ["Completed", stats.completed],
+              ["Completion rate", `${Math.round((stats.completed / stats.visitors) * 100)}%`],
+              ["Median between stations", formatMinutes(stats.medianGapMs)],
+            ].map(([label, value]) => (
+              <div key={label} className="p-3 rounded-lg bg-zinc-800">
+                <p className="text-2xl font-bold">{value}</p>
+                <p className="text-xs text-zinc-400">{label}</p>
+              </div>
+            ))}
+          </section>
+
+          {/* Station traffic */}
+          <section className="max-w-2xl mx-auto space-y-2">
+            <h2 className="font-semibold">Visitors per station</h2>
+            <ul className="space-y-2">
+              {stats.stationCounts.map((s) => (
+                <Bar key={s.id} label={s.name} value={s.count} max={maxCount} />
+              ))}
+            </ul>
+          </section>
+
+          {/* Scans over time */}
+          {stats.timeline && (
+            <section className="max-w-2xl mx-auto space-y-2">
+              <h2 className="font-semibold">
+                Scans over time <span className="text-sm font-normal text-zinc-400">({stats.timeline.bucketMs / 60000} min blocks)</span>
+              </h2>
+              <div className="overflow-x-auto">
+                <table className="text-xs border-separate border-spacing-0.5">
+                  <tbody>
+                    {stats.stationCounts.map((s) => (
+                      <tr key={s.id}>
+                        <th className="pr-2 text-left font-normal whitespace-nowrap">{s.name}</th>
+                        {stats.timeline.series[s.id].map((n, i) => (
+                          <td
+                            key={i}
+                            title={`${formatClock(stats.timeline.buckets[i])}: ${n}`}
+                            className="w-5 h-5 rounded-sm bg-emerald-500"
+                            style={{ opacity: n ? 0.15 + (0.85 * n) / maxBucket : 0.05 }}
+                          />
+                        ))}
+                      </tr>
+                    ))}
+                    <tr>
+                      <th />
+                      {stats.timeline.buckets.map((t, i) => (
+                        <td key={t} className="text-zinc-500 align-top">
+                          {i % 4 === 0 ? formatClock(t) : ""}
+                        </td>
+                      ))}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+
+          {/* Funnel */}
+          <section className="max-w-2xl mx-auto space-y-2">
+            <h2 className="font-semibold">Completion funnel</h2>
+            <ul className="space-y-2">
+              {stats.funnel.map((step) => (
+                <Bar key={step.label} label={step.label} value={step.count} max={stats.visitors} color="bg-sky-500" />
+              ))}
+            </ul>
+          </section>
+
+          {/* Time between stations */}
+          <section className="max-w-2xl mx-auto space-y-2">
+            <h2 className="font-semibold">Time between stations</h2>
+            <table className="w-full text-sm">
+              <thead className="text-zinc-400 text-left">
+                <tr>
+                  <th className="font-normal">From → to</th>
+                  <th className="font-normal text-right">Visitors</th>
+                  <th className="font-normal text-right">Median</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.legs.slice(0, 10).map((leg) => (
+                  <tr key={`${leg.from}-${leg.to}`}>
+                    <td>
+                      {leg.from} → {leg.to}
+                    </td>
+                    <td className="text-right">{leg.count}</td>
+                    <td className="text-right">{formatMinutes(leg.medianMs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {/* Drop-off */}
+          <section className="max-w-2xl mx-auto space-y-2">
+            <h2 className="font-semibold">Where unfinished visitors stopped</h2>
+            {stats.dropOff.length === 0 ? (
+              <p className="text-sm text-zinc-400">Every imported visitor finished the quest.</p>
+            ) : (
+              <ul className="space-y-2">
+                {stats.dropOff.map((d) => (
+                  <Bar key={d.id} label={`Last scan at ${d.name}`} value={d.count} max={stats.dropOff[0].count} color="bg-amber-500" />
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <div className="max-w-2xl mx-auto flex gap-2 justify-center">
+            <button onClick={download} className="px-4 py-2 bg-emerald-600 rounded-lg text-sm">
+              Download visits (JSON)
+            </button>
+            <button onClick={clear} className="px-4 py-2 bg-zinc-800 rounded-lg text-sm text-zinc-400">
+              Clear imported visits
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
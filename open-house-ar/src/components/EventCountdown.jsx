@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from "react";
+import { eventPhase } from "../quest/schedule";
+import { useI18n } from "../i18n/useI18n";
+
+// The banner turns amber for the last stretch
+const HURRY_MS = 15 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, "0");
+
+// 1:02:03, or 12:03 under an hour
+function countdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+// ---------------------------
+// Countdown to the end of the event
+// ---------------------------
+// Ticks every second on its own, so the rest of the quest screen is not
+// re-rendered with it (see quest/useSchedule.js). Before the event it counts
+// down to the start; afterwards it says what happens to unfinished quests
+// (schedule.afterEnd). role="timer" keeps screen readers from reading every
+// tick.
+export default function EventCountdown({ schedule, finished }) {
+  const { t, formatTime, formatDateTime } = useI18n();
+  const [now, setNow] = useState(Date.now);
+  const phase = eventPhase(schedule, now);
+  // The time alone when it is today
+  const when = (ms) =>
+    new Date(ms).toDateString() === new Date(now).toDateString() ? formatTime(ms) : formatDateTime(ms);
+
+  useEffect(() => {
+    if (phase === "ended") return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [phase]);
+
+  if (phase === "ended") {
+    return (
+      <p role="status" className="max-w-md mx-auto p-2 rounded-lg bg-zinc-800 text-center text-sm">
+        {t(finished ? "schedule.ended.done" : `schedule.ended.${schedule.afterEnd}`)}
+      </p>
+    );
+  }
+
+  const before = phase === "before";
+  const left = (before ? schedule.start : schedule.end) - now;
+  const hurry = !before && left < HURRY_MS;
+  return (
+    <div
+      role="timer"
+      className={`max-w-md mx-auto p-2 rounded-lg text-center text-sm ${
+        hurry ? "bg-amber-500 text-black font-semibold" : "bg-zinc-800"
+      }`}
+    >
+      {t(before ? "schedule.startsIn" : "schedule.endsIn", { countdown: countdown(left) })}
+      <span className={hurry ? "" : "text-zinc-400"}>
+        {" "}
+        ·{" "}
+        {t(before ? "schedule.startsAt" : "schedule.endsAt", { time: when(before ? schedule.start : schedule.end) })}
+      </span>
+    </div>
+  );
+}
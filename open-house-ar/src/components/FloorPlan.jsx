@@ -0,0 +1,87 @@
+import React from "react";
+import { usePanZoom } from "../map/usePanZoom";
+import { useI18n } from "../i18n/useI18n";
+
+// Floor images are resolved like quest files, relative to the site root;
+// blob: and data: URLs (an image picked in the pin editor) pass through
+const imageUrl = (src) => new URL(src, new URL(import.meta.env.BASE_URL, window.location.origin)).href;
+
+const ZOOM_STEP = 1.5;
+const ZOOM_BUTTON = "w-9 h-9 rounded-lg bg-zinc-800/90 border border-zinc-600 text-lg leading-none";
+
+// ---------------------------
+// Floor plan with pins
+// ---------------------------
+// Shared by the visitor's campus map and the organiser pin editor. pins are
+// { id, x, y, label, text, className } with x and y as fractions of the
+// image (see quest/schema.js). Pins keep their size while the plan is
+// zoomed. onSelect(id) runs when a pin is tapped; with onPlace(x, y) a tap
+// anywhere on the plan reports where, as fractions.
+export default function FloorPlan({ image, alt, pins, selected, onSelect, onPlace }) {
+  const { t } = useI18n();
+  const { view, viewportRef, handlers, zoomBy, reset, wasDrag, zoomed } = usePanZoom();
+
+  function place(e) {
+    if (!onPlace || wasDrag()) return;
+    const rect = viewportRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left - view.x) / (view.scale * rect.width);
+    const y = (e.clientY - rect.top - view.y) / (view.scale * rect.height);
+    if (x >= 0 && x <= 1 && y >= 0 && y <= 1) onPlace(Math.round(x * 1000) / 1000, Math.round(y * 1000) / 1000);
+  }
+
+  return (
+    <div className="relative">
+      <div
+        ref={viewportRef}
+        {...handlers}
+        onClick={place}
+        // Unzoomed, a vertical swipe still scrolls the page
+        style={{ touchAction: zoomed ? "none" : "pan-y" }}
+        className={`relative overflow-hidden rounded-lg border border-zinc-700 bg-white select-none ${
+          onPlace ? "cursor-crosshair" : ""
+        }`}
+      >
+        <div
+          style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`, transformOrigin: "0 0" }}
+        >
+          <img src={imageUrl(image)} alt={alt} draggable={false} className="block w-full h-auto" />
+          {pins.map((pin) => (
+            <button
+              key={pin.id}
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                if (!wasDrag()) onSelect?.(pin.id);
+              }}
+              aria-label={pin.label}
+              aria-pressed={selected === pin.id}
+              style={{
+                left: `${pin.x * 100}%`,
+                top: `${pin.y * 100}%`,
+                transform: `translate(-50%, -50%) scale(${1 / view.scale})`,
+              }}
+              className={`absolute w-8 h-8 rounded-full border-2 border-white shadow text-sm font-semibold flex items-center justify-center ${
+                pin.className
+              } ${selected === pin.id ? "outline outline-2 outline-offset-2 outline-sky-400" : ""}`}
+            >
+              {pin.text}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="absolute top-2 end-2 flex flex-col gap-1">
+        <button type="button" onClick={() => zoomBy(ZOOM_STEP)} aria-label={t("map.zoomIn")} className={ZOOM_BUTTON}>
+          +
+        </button>
+        <button type="button" onClick={() => zoomBy(1 / ZOOM_STEP)} aria-label={t("map.zoomOut")} className={ZOOM_BUTTON}>
+          −
+        </button>
+        {zoomed && (
+          <button type="button" onClick={reset} aria-label={t("map.resetZoom")} className={ZOOM_BUTTON}>
+            ⤢
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
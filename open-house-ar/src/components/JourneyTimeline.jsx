@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from "react";
+import { exportJourney, journey } from "../quest/scanHistory";
+import { downloadBlob } from "../posters/posterSvg";
+import { useI18n } from "../i18n/useI18n";
+
+// Scan results with a translated label (journey.result.<result>)
+const RESULTS = ["valid", "duplicate", "blocked", "rejected", "unknown"];
+
+// ---------------------------
+// "My journey" (under the station list)
+// ---------------------------
+// When each station was found and how long the walk between them took, plus
+// every scan attempt on request. The same data can be downloaded as JSON.
+// timeUp marks a quest the end of the event finished (see quest/schedule.js).
+export default function JourneyTimeline({ quest, progress, completedAt, history, timeUp = false }) {
+  const { t, formatTime, formatDuration } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+  const { steps, counts, totalScans, durationMs } = useMemo(
+    () => journey(quest, progress, history),
+    [quest, progress, history]
+  );
+  const names = useMemo(() => Object.fromEntries(quest.stations.map((s) => [s.id, s.name])), [quest]);
+
+  if (steps.length === 0 && totalScans === 0) return null;
+
+  function download() {
+    const blob = new Blob([exportJourney(quest, { progress, completedAt, history })], { type: "application/json" });
+    downloadBlob(blob, `${quest.id}-my-journey.json`);
+  }
+
+  return (
+    <section className="max-w-md mx-auto p-3 rounded-lg bg-zinc-800 space-y-3">
+      <div className="flex justify-between items-baseline">
+        <h2 className="font-semibold">{t("journey.title")}</h2>
+        {durationMs !== null && (
+          <span className="text-xs text-zinc-400">
+            {t(completedAt ? "journey.total" : "journey.soFar", { duration: formatDuration(durationMs) })}
+          </span>
+        )}
+      </div>
+
+      <ol className="relative border-s border-zinc-600 ms-2 space-y-3">
+        {steps.map((step) => (
+          <li key={step.id} className="ms-4">
+            <span className="absolute -start-1.5 mt-1.5 w-3 h-3 rounded-full bg-emerald-500" />
+            <p className="text-sm">{step.name}</p>
+            <p className="text-xs text-zinc-400">
+              {step.at === null ? t("journey.noTime") : formatTime(step.at)}
+              {step.gapMs !== null && ` · ${t("journey.after", { duration: formatDuration(step.gapMs) })}`}
+            </p>
+          </li>
+        ))}
+        {completedAt && (
+          <li className="ms-4">
+            <span className="absolute -start-1.5 mt-1.5 w-3 h-3 rounded-full bg-amber-400" />
+            <p className="text-sm font-semibold">{t(timeUp ? "journey.timeUp" : "journey.complete")}</p>
+            <p className="text-xs text-zinc-400">{formatTime(completedAt)}</p>
+          </li>
+        )}
+      </ol>
+
+      {totalScans > 0 && (
+        <p className="text-xs text-zinc-400">
+          {t("journey.summary", {
+            count: totalScans,
+            found: counts.valid,
+            repeats: counts.duplicate,
+            early: counts.blocked,
+            rejected: counts.rejected + counts.unknown,
+          })}
+        </p>
+      )}
+
+      <div className="flex gap-3 text-xs">
+        {totalScans > 0 && (
+          <button onClick={() => setShowAll(!showAll)} className="text-zinc-400 underline">
+            {showAll ? t("journey.hideAll") : t("journey.showAll")}
+          </button>
+        )}
+        <button onClick={download} className="text-zinc-400 underline">
+          {t("journey.download")}
+        </button>
+      </div>
+
+      {showAll && (
+        <ul className="text-xs space-y-1 max-h-48 overflow-y-auto">
+          {[...history].reverse().map((e, i) => (
+            <li key={`${e.at}-${i}`} className="flex justify-between gap-2">
+              <span className="text-zinc-400">{formatTime(e.at)}</span>
+              <span className="flex-1 truncate">
+                {e.stationId ? names[e.stationId] : e.code || "?"}
+                {e.via && <span className="text-zinc-500"> {t(`journey.via.${e.via}`)}</span>}
+              </span>
+              <span className={e.result === "valid" ? "text-emerald-400" : "text-zinc-500"}>
+                {RESULTS.includes(e.result) ? t(`journey.result.${e.result}`) : e.result}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
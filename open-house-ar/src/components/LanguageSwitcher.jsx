@@ -0,0 +1,32 @@
+import React, { useMemo } from "react";
+import { languageName } from "../i18n/i18n";
+import { questLanguages } from "../i18n/localizeQuest";
+import { useI18n } from "../i18n/useI18n";
+
+// ---------------------------
+// Language picker in the quest header
+// ---------------------------
+// The choice is remembered on the device (see I18nProvider).
+export default function LanguageSwitcher({ quest }) {
+  const { lang, setLang, t } = useI18n();
+  const languages = useMemo(() => questLanguages(quest), [quest]);
+
+  return (
+    <label className="flex items-center justify-end gap-2 text-sm">
+      <span aria-hidden="true">🌐</span>
+      <span className="sr-only">{t("app.language")}</span>
+      <select
+        value={languages.includes(lang) ? lang : ""}
+        onChange={(e) => e.target.value && setLang(e.target.value)}
+        className="px-2 py-1 rounded bg-zinc-800 border border-zinc-700"
+      >
+        {!languages.includes(lang) && <option value="">{languageName(lang)}</option>}
+        {languages.map((code) => (
+          <option key={code} value={code} lang={code}>
+            {languageName(code)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
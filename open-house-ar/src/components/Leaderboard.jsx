@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { LS_KEY_LEADERBOARD, clearLeaderboard, topScores } from "../quest/leaderboard";
+
+// ---------------------------
+// Kiosk leaderboard (#/leaderboard)
+// ---------------------------
+// Shows the top scores verified at this device's staff desk. Refreshes when
+// the staff verifier (another tab on the same device) records a score.
+export default function Leaderboard({ quest }) {
+  const size = quest.scoring?.leaderboardSize ?? 10;
+  const [entries, setEntries] = useState(() => topScores(quest.id, size));
+
+  useEffect(() => {
+    const refresh = () => setEntries(topScores(quest.id, size));
+    const onStorage = (e) => e.key === LS_KEY_LEADERBOARD && refresh();
+    window.addEventListener("storage", onStorage);
+    const timer = setInterval(refresh, 5000);
+    return () => {
+      window.removeEventListener("storage", onStorage);
+      clearInterval(timer);
+    };
+  }, [quest.id, size]);
+
+  function clear() {
+    if (!window.confirm("Clear all leaderboard scores on this device?")) return;
+    clearLeaderboard(quest.id);
+    setEntries([]);
+  }
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4">
+      <h1 className="text-3xl font-bold text-center">{quest.title}</h1>
+      <p className="text-center text-zinc-400">Top {size}</p>
+
+      {!quest.scoring && (
+        <p className="text-center text-amber-400">This quest has no scoring configured.</p>
+      )}
+      {quest.scoring && entries.length === 0 && (
+        <p className="text-center text-zinc-400">No verified scores yet. Finish the quest to get on the board!</p>
+      )}
+
+      <ol className="max-w-xl mx-auto space-y-2">
+        {entries.map((entry, i) => (
+          <li
+            key={entry.deviceId}
+            className={`p-3 rounded-lg flex items-center gap-3 text-xl ${i === 0 ? "bg-amber-500 text-black" : "bg-zinc-800"}`}
+          >
+            <span className="w-8 text-right font-bold">{i + 1}</span>
+            <span className="flex-1 truncate">{entry.nickname}</span>
+            <span className="font-mono font-semibold">{entry.score}</span>
+          </li>
+        ))}
+      </ol>
+
+      <div className="text-center">
+        <button onClick={clear} className="px-3 py-1 text-xs bg-zinc-800 rounded-lg text-zinc-400">
+          Clear leaderboard
+        </button>
+      </div>
+    </div>
+  );
+}
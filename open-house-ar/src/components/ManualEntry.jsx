@@ -0,0 +1,107 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { useI18n } from "../i18n/useI18n";
+
+// Wrong codes allowed before typing pauses, so codes cannot be guessed quickly
+const MAX_WRONG = 5;
+const LOCK_MS = 30000;
+
+// ---------------------------
+// Typed check-in for visitors who cannot scan
+// ---------------------------
+// Every poster prints a short code under its QR (see quest/shortCodes.js).
+// onSubmit(text) resolves to true when the code names a station; the parent
+// then handles it exactly like a scan. Shown expanded when the camera is
+// unavailable (open).
+export default function ManualEntry({ open, onSubmit }) {
+  const { t } = useI18n();
+  const id = useId();
+  const [expanded, setExpanded] = useState(false);
+  const [text, setText] = useState("");
+  const [problem, setProblem] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const wrong = useRef(0);
+  const shown = open || expanded;
+
+  // Unlock once the pause is over
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setTimeout(() => {
+      setLockedUntil(0);
+      setProblem(null);
+    }, lockedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!text.trim() || lockedUntil) return;
+    if (await onSubmit(text)) {
+      wrong.current = 0;
+      setText("");
+      setProblem(null);
+      return;
+    }
+    wrong.current += 1;
+    if (wrong.current >= MAX_WRONG) {
+      wrong.current = 0;
+      setLockedUntil(Date.now() + LOCK_MS);
+      setProblem(t("manual.lockedOut", { count: LOCK_MS / 1000 }));
+    } else {
+      setProblem(t("manual.unknown"));
+    }
+  }
+
+  return (
+    <section className="max-w-md mx-auto text-sm">
+      {!open && (
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          aria-expanded={expanded}
+          aria-controls={`${id}-form`}
+          className="w-full text-zinc-400 underline"
+        >
+          {t("manual.toggle")}
+        </button>
+      )}
+      {shown && (
+        <form
+          id={`${id}-form`}
+          onSubmit={submit}
+          className="mt-2 p-3 rounded-lg bg-zinc-800 border border-zinc-700 space-y-2"
+        >
+          <label htmlFor={`${id}-code`} className="block text-zinc-300">
+            {t("manual.label")}
+          </label>
+          <div className="flex gap-2">
+            <input
+              id={`${id}-code`}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={t("manual.placeholder")}
+              autoComplete="off"
+              autoCapitalize="characters"
+              spellCheck={false}
+              aria-invalid={Boolean(problem)}
+              aria-describedby={problem ? `${id}-problem` : undefined}
+              disabled={Boolean(lockedUntil)}
+              className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-700 font-mono uppercase"
+            />
+            <button
+              type="submit"
+              disabled={Boolean(lockedUntil)}
+              className="px-4 py-2 bg-emerald-600 rounded-lg disabled:opacity-50"
+            >
+              {t("manual.submit")}
+            </button>
+          </div>
+          {problem && (
+            <p id={`${id}-problem`} role="alert" className="text-amber-400">
+              {problem}
+            </p>
+          )}
+        </form>
+      )}
+    </section>
+  );
+}
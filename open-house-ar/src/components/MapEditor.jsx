@@ -0,0 +1,203 @@
+import React, { useEffect, useRef, useState } from "react";
+import FloorPlan from "./FloorPlan";
+
+const pinSnippet = (pin) => `"pin": ${JSON.stringify(pin)}`;
+const mapSnippet = (floors) =>
+  `"map": ${JSON.stringify({ floors: floors.map(({ id, name, image }) => ({ id, name, image })) })}`;
+const floorIdFor = (fileName, taken) => {
+  const base = fileName.replace(/\.[^.]*$/, "").replace(/[^A-Za-z0-9_-]+/g, "-") || "floor";
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+// ---------------------------
+// Organiser pin editor (#/map)
+// ---------------------------
+// Places station pins on the quest's floor plans: pick a station, then tap
+// where it is. Floor plans not yet in the quest file can be opened from this
+// device to try them out; copy the snippets into the quest file (JSON
+// snippets work in YAML files too) and put the images under public/maps/.
+export default function MapEditor({ quest }) {
+  // Floors from the quest file, plus images opened here (preview is a blob: URL)
+  const [floors, setFloors] = useState(() => quest.map?.floors ?? []);
+  const [floorId, setFloorId] = useState(() => quest.map?.floors[0].id ?? null);
+  const [pins, setPins] = useState(() =>
+    Object.fromEntries(quest.stations.filter((s) => s.pin).map((s) => [s.id, s.pin]))
+  );
+  const [stationId, setStationId] = useState(quest.stations[0]?.id);
+  const [notice, setNotice] = useState(null);
+  const previews = useRef([]);
+
+  const floor = floors.find((f) => f.id === floorId);
+  const added = floors.some((f) => f.preview);
+
+  // Previews are only needed while the editor is open
+  useEffect(() => {
+    const urls = previews.current;
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  function openImages(e) {
+    const files = [...e.target.files];
+    e.target.value = "";
+    if (!files.length) return;
+    const taken = new Set(floors.map((f) => f.id));
+    const opened = files.map((file) => {
+      const id = floorIdFor(file.name, taken);
+      taken.add(id);
+      const preview = URL.createObjectURL(file);
+      previews.current.push(preview);
+      return { id, name: id, image: `maps/${file.name}`, preview };
+    });
+    setFloors([...floors, ...opened]);
+    setFloorId(opened[0].id);
+  }
+
+  function renameFloor(name) {
+    setFloors(floors.map((f) => (f.id === floorId ? { ...f, name } : f)));
+  }
+
+  function place(x, y) {
+    if (!stationId) return;
+    const next = { ...pins, [stationId]: { floor: floorId, x, y } };
+    setPins(next);
+    // Straight on to the next station without a pin
+    const following = quest.stations.find((s) => !next[s.id]);
+    if (following) setStationId(following.id);
+  }
+
+  function removePin(id) {
+    const { [id]: removed, ...rest } = pins;
+    if (removed) setPins(rest);
+  }
+
+  async function copy(text, what) {
+    try {
+      await navigator.clipboard.writeText(text);
+      setNotice(`${what} copied.`);
+    } catch {
+      window.prompt(`Copy ${what}`, text);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <h1 className="text-2xl font-bold text-center">Station Map</h1>
+        <p className="text-center text-sm text-zinc-400">{quest.title}</p>
+
+        {!quest.map && (
+          <p className="text-sm text-zinc-300">
+            This quest has no map yet. Open a floor plan (an image or SVG) from this device, place the pins, then add
+            the <code>map</code> snippet below to the quest file and copy the image to <code>public/maps/</code>.
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-2 items-center text-sm">
+          {floors.map((f) => (
+            <button
+              key={f.id}
+              onClick={() => setFloorId(f.id)}
+              aria-pressed={f.id === floorId}
+              className={`px-3 py-1 rounded-lg ${f.id === floorId ? "bg-emerald-600" : "bg-zinc-800"}`}
+            >
+              {f.name}
+            </button>
+          ))}
+          <label className="px-3 py-1 rounded-lg bg-zinc-700 cursor-pointer">
+            Open floor plan…
+            <input type="file" accept="image/*,.svg" multiple onChange={openImages} className="sr-only" />
+          </label>
+        </div>
+
+        {floor?.preview && (
+          <label className="flex flex-col gap-1 text-sm">
+            Floor name
+            <input
+              value={floor.name}
+              onChange={(e) => renameFloor(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+            />
+          </label>
+        )}
+
+        {floor && (
+          <>
+            <p className="text-sm text-zinc-300">
+              {stationId
+                ? `Tap the plan where ${quest.stations.find((s) => s.id === stationId).name} is.`
+                : "Pick a station below."}
+            </p>
+            <FloorPlan
+              key={floor.id}
+              image={floor.preview ?? floor.image}
+              alt={`Floor plan: ${floor.name}`}
+              pins={quest.stations
+                .filter((s) => pins[s.id]?.floor === floor.id)
+                .map((s) => ({
+                  id: s.id,
+                  x: pins[s.id].x,
+                  y: pins[s.id].y,
+                  label: s.name,
+                  text: String(quest.stations.indexOf(s) + 1),
+                  className: s.id === stationId ? "bg-emerald-400 text-black" : "bg-zinc-800 text-white",
+                }))}
+              selected={stationId}
+              onSelect={setStationId}
+              onPlace={place}
+            />
+          </>
+        )}
+
+        {notice && <p className="text-emerald-400 text-sm">{notice}</p>}
+
+        <ol className="space-y-2 text-sm">
+          {quest.stations.map((s, i) => {
+            const pin = pins[s.id];
+            return (
+              <li
+                key={s.id}
+                className={`p-2 rounded-lg bg-zinc-800 flex flex-wrap items-center gap-2 ${
+                  s.id === stationId ? "ring-2 ring-emerald-400" : ""
+                }`}
+              >
+                <button onClick={() => setStationId(s.id)} className="flex-1 text-start">
+                  {i + 1}. {s.name}
+                  <span className="block text-xs text-zinc-400">
+                    {pin
+                      ? `${floors.find((f) => f.id === pin.floor)?.name ?? pin.floor} · ${pinSnippet(pin)}`
+                      : "No pin"}
+                  </span>
+                </button>
+                {pin && (
+                  <>
+                    <button
+                      onClick={() => copy(pinSnippet(pin), `Pin for ${s.name}`)}
+                      className="px-3 py-1 bg-zinc-700 rounded-lg"
+                    >
+                      Copy
+                    </button>
+                    <button onClick={() => removePin(s.id)} className="px-3 py-1 bg-zinc-700 rounded-lg">
+                      Remove
+                    </button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+
+        {added && (
+          <div className="space-y-2 text-sm">
+            <p className="text-zinc-300">Quest file map (image paths assume the files are copied to public/maps/):</p>
+            <pre className="p-2 rounded-lg bg-zinc-800 whitespace-pre-wrap break-all">{mapSnippet(floors)}</pre>
+            <button onClick={() => copy(mapSnippet(floors), "Map")} className="px-4 py-2 bg-zinc-700 rounded-lg">
+              Copy map
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from "react";
+import { verifyPin } from "../organiser/pin";
+import { storageBackend } from "../storage/safeStorage";
+import { questStateSize } from "../storage/questState";
+
+const MAX_WRONG = 5;
+const LOCK_MS = 60000;
+// Locks itself in case a helper hands the phone back without locking
+const AUTO_LOCK_MS = 5 * 60 * 1000;
+
+// ---------------------------
+// Organiser tools on the quest screen
+// ---------------------------
+// For the help desk, on the visitor's own phone: reset with undo, marking
+// single stations done or not done, and diagnostics. Opens with the PIN
+// whose hash is in the quest file (see organiser/pin.js). Like the other
+// organiser screens it is in English.
+//
+// onReset() clears the visitor's progress and returns what was cleared;
+// onRestore(snapshot) puts it back.
+export default function OrganiserPanel({ quest, trail, onReset, onRestore, onOverride, diagnostics, onClose }) {
+  const [unlocked, setUnlocked] = useState(false);
+
+  useEffect(() => {
+    if (!unlocked) return undefined;
+    const timer = setTimeout(onClose, AUTO_LOCK_MS);
+    return () => clearTimeout(timer);
+  }, [unlocked, onClose]);
+
+  return (
+    <section
+      aria-labelledby="organiser-title"
+      className="max-w-md mx-auto p-3 rounded-lg bg-zinc-800 border border-amber-500/60 space-y-3 text-sm"
+    >
+      <div className="flex justify-between items-center">
+        <h2 id="organiser-title" className="font-semibold text-amber-400">
+          Organiser tools
+        </h2>
+        <button onClick={onClose} className="px-3 py-1 bg-zinc-700 rounded-lg">
+          {unlocked ? "Lock" : "Close"}
+        </button>
+      </div>
+      {unlocked ? (
+        <>
+          <ResetTools onReset={onReset} onRestore={onRestore} />
+          <StationOverrides quest={quest} trail={trail} onOverride={onOverride} />
+          <Diagnostics quest={quest} diagnostics={diagnostics} />
+        </>
+      ) : (
+        <PinPrompt pinHash={quest.organiser.pinHash} onUnlock={() => setUnlocked(true)} />
+      )}
+    </section>
+  );
+}
+
+function PinPrompt({ pinHash, onUnlock }) {
+  const [pin, setPin] = useState("");
+  const [checking, setChecking] = useState(false);
+  const [wrong, setWrong] = useState(0);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [problem, setProblem] = useState(null);
+
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setTimeout(() => {
+      setLockedUntil(0);
+      setProblem(null);
+    }, lockedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!pin || checking || lockedUntil) return;
+    setChecking(true);
+    const ok = await verifyPin(pin, pinHash);
+    setChecking(false);
+    setPin("");
+    if (ok) {
+      onUnlock();
+      return;
+    }
+    if (wrong + 1 >= MAX_WRONG) {
+      setWrong(0);
+      setLockedUntil(Date.now() + LOCK_MS);
+      setProblem(`Too many wrong PINs. Try again in ${LOCK_MS / 1000} seconds.`);
+    } else {
+      setWrong(wrong + 1);
+      setProblem("Wrong PIN.");
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <label htmlFor="organiser-pin" className="block text-zinc-300">
+        Organiser PIN
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="organiser-pin"
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          autoFocus
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          disabled={Boolean(lockedUntil)}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-700"
+        />
+        <button
+          type="submit"
+          disabled={checking || Boolean(lockedUntil)}
+          className="px-4 py-2 bg-amber-600 rounded-lg disabled:opacity-50"
+        >
+          {checking ? "Checking…" : "Unlock"}
+        </button>
+      </div>
+      {problem && (
+        <p role="alert" className="text-amber-400">
+          {problem}
+        </p>
+      )}
+    </form>
+  );
+}
+
+// ---------------------------
+// Reset with confirmation and undo
+// ---------------------------
+function ResetTools({ onReset, onRestore }) {
+  const [confirming, setConfirming] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+
+  function reset() {
+    setSnapshot(onReset());
+    setConfirming(false);
+  }
+
+  function undo() {
+    onRestore(snapshot);
+    setSnapshot(null);
+  }
+
+  if (snapshot) {
+    return (
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-zinc-300">Progress reset.</p>
+        <button onClick={undo} className="px-3 py-1 bg-zinc-700 rounded-lg">
+          Undo
+        </button>
+      </div>
+    );
+  }
+  if (confirming) {
+    return (
+      <div className="space-y-2">
+        <p className="text-zinc-300">
+          Reset everything on this phone for this quest: found stations, challenge answers, scan history and the
+          finish time?
+        </p>
+        <div className="flex gap-2">
+          <button onClick={() => setConfirming(false)} className="flex-1 px-3 py-2 bg-zinc-700 rounded-lg">
+            Cancel
+          </button>
+          <button onClick={reset} className="flex-1 px-3 py-2 bg-red-600 rounded-lg">
+            Reset progress
+          </button>
+        </div>
+      </div>
+    );
+  }
+  return (
+    <button onClick={() => setConfirming(true)} className="w-full px-3 py-2 bg-red-600 rounded-lg">
+      Reset progress…
+    </button>
+  );
+}
+
+// ---------------------------
+// Mark single stations done or not done
+// ---------------------------
+// Skips the trail rules and challenges, for codes that would not scan or
+// were scanned by mistake.
+function StationOverrides({ quest, trail, onOverride }) {
+  return (
+    <details>
+      <summary className="cursor-pointer">Stations</summary>
+      <ul className="mt-2 space-y-1">
+        {quest.stations.map((s) => {
+          const done = trail.states[s.id] === "done";
+          return (
+            <li key={s.id} className="flex justify-between items-center gap-2">
+              <span>
+                {s.name} <span className="text-zinc-500">({trail.states[s.id]})</span>
+              </span>
+              <button onClick={() => onOverride(s.id, !done)} className="px-3 py-1 bg-zinc-700 rounded-lg shrink-0">
+                {done ? "Mark not done" : "Mark done"}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </details>
+  );
+}
+
+// ---------------------------
+// Diagnostics
+// ---------------------------
+function Diagnostics({ quest, diagnostics }) {
+  const { engine, errorCode, track, stats, nfcStatus, online, syncPending, historyCount } = diagnostics;
+  const [copied, setCopied] = useState(false);
+  const settings = track?.getSettings?.() || {};
+  const frameRate = settings.frameRate ? ` @ ${Math.round(settings.frameRate)} fps` : "";
+  const resolution = settings.width ? `${settings.width}×${settings.height}${frameRate}` : "unknown";
+
+  const rows = [
+    ["Quest", `${quest.id} (${quest.stations.length} stations)`],
+    ["Scanner", engine || (errorCode ? `error: ${errorCode}` : "starting")],
+    ["Camera", track ? track.label || "unnamed" : "none"],
+    ["Resolution", resolution],
+    ["Decode rate", stats ? `${stats.fps} fps, ${stats.decodeMs} ms` : "add ?debug to the address"],
+    ["NFC", nfcStatus],
+    ["Storage", `${storageBackend()}, ${questStateSize(quest.id)} characters saved`],
+    ["Scan history", `${historyCount} entries`],
+    ["Network", online ? "online" : "offline"],
+    ["Sync", quest.sync ? `${syncPending} waiting` : "not configured"],
+    ["Offline app", navigator.serviceWorker?.controller ? "installed" : "not active"],
+    ["Screen", `${window.innerWidth}×${window.innerHeight} @${window.devicePixelRatio || 1}x`],
+    ["Browser", navigator.userAgent],
+  ];
+
+  async function copy() {
+    const text = rows.map(([name, value]) => `${name}: ${value}`).join("\n");
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      window.prompt("Copy the diagnostics", text);
+    }
+  }
+
+  return (
+    <details>
+      <summary className="cursor-pointer">Diagnostics</summary>
+      <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+        {rows.map(([name, value]) => (
+          <React.Fragment key={name}>
+            <dt className="text-zinc-400">{name}</dt>
+            <dd className="break-words">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <button onClick={copy} className="mt-2 px-3 py-1 bg-zinc-700 rounded-lg">
+        {copied ? "Copied" : "Copy diagnostics"}
+      </button>
+    </details>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { buildStationLink, createPayloadValidator, signStationCode } from "../quest/stationCodes";
+import { stationShortCodes } from "../quest/shortCodes";
+import {
+  PAPER_SIZES,
+  QR_SIZE_CM,
+  buildPosterSvg,
+  downloadBlob,
+  maxQrSizeCm,
+  posterPngBlob,
+  svgDataUrl,
+} from "../posters/posterSvg";
+
+const toSeconds = (value) => (value ? Date.parse(value) / 1000 : undefined);
+const nfcWritable = typeof window !== "undefined" && "NDEFReader" in window;
+
+// ---------------------------
+// Organiser poster studio (#/posters)
+// ---------------------------
+// Renders one print-ready poster per station from the exact station codes,
+// entirely in the browser so it also works offline. The QR can hold the code
+// itself or the station link, which the phone's own camera app opens
+// straight into the quest; the same link is what NFC tags should carry.
+export default function PosterStudio({ quest }) {
+  const [paper, setPaper] = useState("A4");
+  const [sizeCm, setSizeCm] = useState(QR_SIZE_CM.default);
+  const [privateKey, setPrivateKey] = useState("");
+  const [validFrom, setValidFrom] = useState("");
+  const [validUntil, setValidUntil] = useState("");
+  const [qrContent, setQrContent] = useState("code");
+  const [posters, setPosters] = useState([]);
+  const [problem, setProblem] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const { publicKey, eventId, allowLegacyCodes } = quest.security || {};
+  const needsSignature = Boolean(publicKey) && !allowLegacyCodes;
+  const maxSize = maxQrSizeCm(paper);
+  const size = Math.min(Math.max(Number(sizeCm) || QR_SIZE_CM.default, QR_SIZE_CM.min), maxSize);
+  const outsideGuidance = size < QR_SIZE_CM.recommendedMin || size > QR_SIZE_CM.recommendedMax;
+  const validatePayload = useMemo(() => createPayloadValidator(quest), [quest]);
+
+  // ---------------------------
+  // Build posters whenever a setting changes
+  // ---------------------------
+  useEffect(() => {
+    let cancelled = false;
+
+    async function build() {
+      const claims = { eventId, notBefore: toSeconds(validFrom), expires: toSeconds(validUntil) };
+      const key = privateKey.trim();
+      const shortCodes = await stationShortCodes(quest, key);
+      // The quest's own address, keeping ?quest= for non-default quests
+      const questUrl = window.location.href.split("#")[0];
+      const built = [];
+      for (const station of quest.stations) {
+        const payload = key ? await signStationCode(station.code, key, claims) : station.code;
+        const link = buildStationLink(questUrl, station, payload);
+        const shortCode = shortCodes[station.id];
+        const svg = await buildPosterSvg({
+          quest,
+          station,
+          payload: qrContent === "link" ? link : payload,
+          shortCode,
+          paper,
+          sizeCm: size,
+        });
+        built.push({ station, payload, link, svg });
+      }
+
+      // A signed poster must pass the same check the visitor app runs
+      if (key) {
+        const check = await validatePayload(built[0].payload);
+        if (check.reason === "forged") {
+          throw new Error("This private key does not match the quest's public key.");
+        }
+      }
+      return built;
+    }
+
+    build()
+      .then((built) => {
+        if (cancelled) return;
+        setPosters(built);
+        setProblem(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setPosters([]);
+        setProblem(err.message || "Posters could not be generated.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [quest, paper, size, qrContent, privateKey, validFrom, validUntil, eventId, validatePayload]);
+
+  async function downloadPng({ station, svg }) {
+    try {
+      downloadBlob(await posterPngBlob(svg, paper), `poster-${station.id}.png`);
+    } catch (err) {
+      setProblem(err.message);
+    }
+  }
+
+  function downloadSvg({ station, svg }) {
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `poster-${station.id}.svg`);
+  }
+
+  async function copyLink({ station, link }) {
+    try {
+      await navigator.clipboard.writeText(link);
+      setNotice(`Link for ${station.name} copied.`);
+    } catch {
+      window.prompt("Copy the station link", link);
+    }
+  }
+
+  // Web NFC (Chrome on Android): hold a blank or rewritable tag to the phone
+  async function writeTag({ station, link }) {
+    setNotice(`Hold an NFC tag to the phone to write ${station.name}…`);
+    try {
+      await new window.NDEFReader().write({ records: [{ recordType: "url", data: link }] });
+      setNotice(`NFC tag written for ${station.name}.`);
+    } catch (err) {
+      setNotice(null);
+      setProblem(`The NFC tag could not be written: ${err.message}`);
+    }
+  }
+
+  const { width } = PAPER_SIZES[paper];
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4 print:bg-white print:p-0 print:space-y-0">
+      <style>{`@page { size: ${paper === "A4" ? "A4" : "letter"} portrait; margin: 0; }`}</style>
+
+      <div className="max-w-3xl mx-auto space-y-4 print:hidden">
+        <h1 className="text-2xl font-bold text-center">Station Posters</h1>
+        <p className="text-center text-sm text-zinc-400">{quest.title}</p>
+
+        <div className="grid sm:grid-cols-2 gap-3 text-sm">
+          <label className="flex flex-col gap-1">
+            Paper
+            <select
+              value={paper}
+              onChange={(e) => setPaper(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+            >
+              {Object.entries(PAPER_SIZES).map(([id, p]) => (
+                <option key={id} value={id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            QR code size (cm)
+            <input
+              type="number"
+              min={QR_SIZE_CM.min}
+              max={maxSize}
+              step="0.5"
+              value={sizeCm}
+              onChange={(e) => setSizeCm(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+            />
+          </label>
+          <label className="flex flex-col gap-1 sm:col-span-2">
+            QR code holds
+            <select
+              value={qrContent}
+              onChange={(e) => setQrContent(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+            >
+              <option value="code">Station code (scan inside the quest)</option>
+              <option value="link">Station link (also opens from the phone's camera app)</option>
+            </select>
+          </label>
+        </div>
+        {outsideGuidance && (
+          <p className="text-amber-400 text-sm">
+            {size} cm is outside the recommended {QR_SIZE_CM.recommendedMin}–{QR_SIZE_CM.recommendedMax} cm.
+          </p>
+        )}
+
+        <details open={needsSignature} className="text-sm space-y-2">
+          <summary className="cursor-pointer">Signed codes</summary>
+          {needsSignature && (
+            <p className="text-amber-400">This quest only accepts signed codes. Paste the private key to sign the posters.</p>
+          )}
+          <p className="text-zinc-400">The key stays in this browser tab and is never saved or uploaded.</p>
+          <input
+            type="password"
+            value={privateKey}
+            onChange={(e) => setPrivateKey(e.target.value)}
+            placeholder="Private key (from npm run sign-codes -- keygen)"
+            className="w-full px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700 font-mono"
+            disabled={!publicKey}
+          />
+          <div className="grid sm:grid-cols-2 gap-3">
+            <label className="flex flex-col gap-1">
+              Valid from
+              <input
+                type="datetime-local"
+                value={validFrom}
+                onChange={(e) => setValidFrom(e.target.value)}
+                className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Valid until
+              <input
+                type="datetime-local"
+                value={validUntil}
+                onChange={(e) => setValidUntil(e.target.value)}
+                className="px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700"
+              />
+            </label>
+          </div>
+        </details>
+
+        {problem && <p className="text-red-400 text-sm">{problem}</p>}
+        {notice && <p className="text-emerald-400 text-sm">{notice}</p>}
+
+        <div className="text-center">
+          <button onClick={() => window.print()} className="px-4 py-2 bg-emerald-600 rounded-lg">
+            Print / Save as PDF
+          </button>
+        </div>
+      </div>
+
+      {/* One page per station */}
+      <div className="space-y-6 print:space-y-0">
+        {posters.map((poster) => (
+          <div key={poster.station.id} className="break-after-page">
+            <img
+              src={svgDataUrl(poster.svg)}
+              alt={`Poster for ${poster.station.name}`}
+              style={{ width: `${width}mm` }}
+              className="mx-auto max-w-full h-auto bg-white print:max-w-none print:m-0"
+            />
+            <div className="flex justify-center gap-2 mt-2 text-sm print:hidden">
+              <button onClick={() => downloadSvg(poster)} className="px-3 py-1 bg-zinc-700 rounded-lg">
+                SVG
+              </button>
+              <button onClick={() => downloadPng(poster)} className="px-3 py-1 bg-zinc-700 rounded-lg">
+                PNG
+              </button>
+              <button onClick={() => copyLink(poster)} className="px-3 py-1 bg-zinc-700 rounded-lg">
+                Copy link
+              </button>
+              {nfcWritable && (
+                <button onClick={() => writeTag(poster)} className="px-3 py-1 bg-zinc-700 rounded-lg">
+                  Write NFC tag
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React, { useState } from "react";
+import { useInstallPrompt, useServiceWorker } from "../pwa/usePwa";
+import { useI18n } from "../i18n/useI18n";
+
+// ---------------------------
+// Update-available banner and install button
+// ---------------------------
+export default function PwaBanner() {
+  const { updateReady, applyUpdate } = useServiceWorker();
+  const { canInstall, install } = useInstallPrompt();
+  const [installDismissed, setInstallDismissed] = useState(false);
+  const { t } = useI18n();
+
+  if (!updateReady && !(canInstall && !installDismissed)) return null;
+  return (
+    <div className="fixed bottom-4 inset-x-4 z-40 max-w-md mx-auto p-3 rounded-lg bg-zinc-800 border border-zinc-600 text-white text-sm flex items-center gap-3 shadow-lg">
+      {updateReady ? (
+        <>
+          <span className="flex-1">{t("pwa.update")}</span>
+          <button onClick={applyUpdate} className="px-3 py-1 bg-emerald-600 rounded-lg">
+            {t("pwa.updateButton")}
+          </button>
+        </>
+      ) : (
+        <>
+          <span className="flex-1">{t("pwa.install")}</span>
+          <button onClick={install} className="px-3 py-1 bg-emerald-600 rounded-lg">
+            {t("pwa.installButton")}
+          </button>
+          <button onClick={() => setInstallDismissed(true)} aria-label={t("pwa.notNow")} className="text-zinc-400">
+            ✕
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+// Smallest drawn size of one QR module, in image pixels. Long values (the
+// completion code of a signed-only quest) need a high QR version, so the image
+// grows with the module count instead of squeezing ~150 modules into `size`.
+const MODULE_PX = 3;
+const MARGIN = 2;
+
+// Prefers level M and drops to L when the value does not fit; throws when it
+// does not fit at L either.
+function createQr(value) {
+  try {
+    return QRCode.create(value, { errorCorrectionLevel: "M" });
+  } catch {
+    return QRCode.create(value, { errorCorrectionLevel: "L" });
+  }
+}
+
+// ---------------------------
+// Renders `value` as a QR code image, or `fallback` when it cannot be encoded
+// ---------------------------
+export default function QrCode({ value, size = 240, className = "", label = "QR code", fallback = null }) {
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!value) return undefined;
+    Promise.resolve()
+      .then(() => {
+        const qr = createQr(value);
+        const width = Math.max(size, (qr.modules.size + 2 * MARGIN) * MODULE_PX);
+        return QRCode.toDataURL(value, { width, margin: MARGIN, errorCorrectionLevel: qr.errorCorrectionLevel }).then(
+          (src) => ({ value, src, width }),
+        );
+      })
+      .catch((err) => {
+        console.error(err);
+        return { value, failed: true };
+      })
+      .then((next) => !cancelled && setImage(next));
+    return () => {
+      cancelled = true;
+    };
+  }, [value, size]);
+
+  if (!value || !image || image.value !== value) return null;
+  if (image.failed) return fallback;
+  return (
+    <img
+      src={image.src}
+      width={image.width}
+      height={image.width}
+      alt={label}
+      className={className}
+      style={{ maxWidth: "100%", height: "auto", imageRendering: "pixelated" }}
+    />
+  );
+}
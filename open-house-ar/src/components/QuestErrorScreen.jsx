@@ -0,0 +1,25 @@
+// ---------------------------
+// Shown when the quest file is missing or invalid
+// ---------------------------
+export default function QuestErrorScreen({ error }) {
+  const issues = error?.issues || [];
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4">
+      <h1 className="text-2xl font-bold text-center">Open House AR Quest</h1>
+      <div className="max-w-md mx-auto p-4 rounded-lg border border-red-500/50 bg-red-950/40 space-y-2">
+        <p className="font-semibold text-red-300">{error?.message || "The quest could not be loaded."}</p>
+        {issues.length > 0 && (
+          <ul className="list-disc pl-5 text-sm text-red-200 space-y-1 break-words">
+            {issues.map((issue, i) => (
+              <li key={i}>{issue}</li>
+            ))}
+          </ul>
+        )}
+        <p className="text-xs text-zinc-400">
+          Organisers: fix the quest file and reload this page.
+        </p>
+      </div>
+    </div>
+  );
+}
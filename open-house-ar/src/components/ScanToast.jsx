@@ -0,0 +1,30 @@
+import React from "react";
+
+// Colours follow the camera overlay (see scanner/overlay.js)
+const TOAST_STYLES = {
+  new: { icon: "✓", className: "bg-emerald-600 border-emerald-400" },
+  duplicate: { icon: "↺", className: "bg-sky-800 border-sky-400" },
+  blocked: { icon: "🔒", className: "bg-amber-700 border-amber-400" },
+  rejected: { icon: "⚠", className: "bg-amber-700 border-amber-400" },
+  "other-event": { icon: "⚠", className: "bg-purple-800 border-purple-400" },
+  unknown: { icon: "✕", className: "bg-red-800 border-red-400" },
+};
+
+// ---------------------------
+// Scan feedback toast
+// ---------------------------
+// toast: { kind, message, at } from the quest view (see
+// feedback/scanFeedback.js). Screen readers get the same message from the
+// quest view's live region, so the toast itself is hidden from them.
+export default function ScanToast({ toast }) {
+  const style = TOAST_STYLES[toast.kind] || TOAST_STYLES.unknown;
+  return (
+    <p
+      aria-hidden="true"
+      className={`max-w-md mx-auto px-4 py-2 rounded-lg border text-sm text-center shadow ${style.className}`}
+    >
+      <span className="me-2">{style.icon}</span>
+      {toast.message}
+    </p>
+  );
+}
@@ -0,0 +1,206 @@
+import React, { useRef, useState } from "react";
+import { useQrScanner } from "../scanner/useQrScanner";
+import { verifyCompletionToken } from "../quest/completionToken";
+import { getRedemption, markRedeemed } from "../quest/redemptions";
+import { recordScore } from "../quest/leaderboard";
+import { saveVisits, visitFromToken } from "../analytics/visits";
+import { useI18n } from "../i18n/useI18n";
+
+// The phone that showed the token, then its teammates (see team/useTeam.js)
+const teamDeviceIds = (verdict) => [
+  verdict.deviceId,
+  ...(verdict.team?.members.map((m) => m.deviceId).filter((id) => id !== verdict.deviceId) || []),
+];
+
+// ---------------------------
+// Staff verifier (#/staff)
+// ---------------------------
+// Scans a visitor's completion QR, checks its signature offline and flags
+// devices that already collected a prize on this staff phone. A team's prize
+// is given once: every phone listed in the token counts as redeemed. A quest
+// the event clock finished (schedule.afterEnd "finish") says how many
+// stations were found, for desks that give a smaller prize. For quests with
+// signed codes, stations that came without a valid code are listed and do
+// not count (see quest/stationProofs.js).
+export default function StaffVerifier({ quest }) {
+  const videoRef = useRef(null);
+  const busy = useRef(false);
+  const [result, setResult] = useState(null);
+  const [pasted, setPasted] = useState("");
+  const [nickname, setNickname] = useState("");
+  // Staff text is English; times follow the language picked on this device
+  const { formatDateTime } = useI18n();
+  const formatTime = (ms) => (ms ? formatDateTime(ms) : "time unknown");
+  const stationNames = (ids) => ids.map((id) => quest.stations.find((s) => s.id === id)?.name ?? id).join(", ");
+
+  const { granted, error } = useQrScanner(videoRef, {
+    active: !result,
+    onCodes: (codes) => codes.length > 0 && verify(codes[0].payload),
+  });
+
+  async function verify(token) {
+    if (busy.current || result) return;
+    busy.current = true;
+    try {
+      const verdict = await verifyCompletionToken(token, quest);
+      const redeemedAt = verdict.ok
+        ? teamDeviceIds(verdict).map((id) => getRedemption(quest.id, id)).find(Boolean) || null
+        : null;
+      // Every verified completion also feeds this device's #/dashboard
+      if (verdict.ok) saveVisits(quest.id, [visitFromToken(verdict)]);
+      setResult({ ...verdict, redeemedAt });
+    } finally {
+      busy.current = false;
+    }
+  }
+
+  function redeem() {
+    const at = Date.now();
+    teamDeviceIds(result).forEach((id) => markRedeemed(quest.id, id, at));
+    if (result.score) {
+      recordScore(quest.id, result.deviceId, {
+        nickname: nickname.trim() || `Visitor ${result.deviceId.slice(0, 4)}`,
+        score: result.score.total,
+        finishedAt: result.finishedAt,
+      });
+    }
+    setResult({ ...result, redeemedNow: at });
+  }
+
+  function next() {
+    setResult(null);
+    setPasted("");
+    setNickname("");
+  }
+
+  return (
+    <div className="min-h-screen bg-zinc-900 text-white p-4 space-y-4">
+      <h1 className="text-2xl font-bold text-center">Staff: Verify Completion</h1>
+      <p className="text-center text-sm text-zinc-400">{quest.title}</p>
+
+      {!result && (
+        <>
+          <div className="relative w-full max-w-md mx-auto rounded-lg overflow-hidden border border-zinc-700">
+            <video ref={videoRef} autoPlay playsInline muted className="w-full h-auto object-cover" />
+          </div>
+          <p className="text-center text-sm text-zinc-400">
+            {granted === false ? "Camera blocked. Paste the code below instead." : "Point the camera at the visitor's completion QR."}
+          </p>
+          {error && <p className="text-red-400 text-center">{error}</p>}
+
+          <form
+            className="max-w-md mx-auto flex gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              verify(pasted);
+            }}
+          >
+            <input
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              placeholder="OHQT1.…"
+              className="flex-1 px-3 py-2 rounded-lg bg-zinc-800 border border-zinc-700 text-sm font-mono"
+            />
+            <button type="submit" className="px-4 py-2 bg-zinc-700 rounded-lg">
+              Verify
+            </button>
+          </form>
+        </>
+      )}
+
+      {result && !result.ok && (
+        <div className="max-w-md mx-auto p-4 rounded-lg bg-red-800 text-center space-y-2">
+          <p className="font-semibold">Not valid</p>
+          <p className="text-sm">{result.message}</p>
+          {result.unproven?.length > 0 && (
+            <p className="text-sm">Without a valid code: {stationNames(result.unproven)}</p>
+          )}
+        </div>
+      )}
+
+      {result?.ok && (
+        <div
+          className={`max-w-md mx-auto p-4 rounded-lg space-y-3 ${
+            result.redeemedAt ? "bg-amber-700" : "bg-green-700"
+          }`}
+        >
+          <p className="font-semibold text-center">
+            {result.redeemedAt ? "Valid, but prize already given" : "Valid completion"}
+          </p>
+          {result.timeUp && (
+            <p className="text-sm text-center">
+              The event ended before this quest was complete:{" "}
+              {Object.keys(result.stations).length - result.unproven.length} of {quest.stations.length} stations found.
+            </p>
+          )}
+          {result.redeemedAt && (
+            <p className="text-sm text-center">Redeemed on this device at {formatTime(result.redeemedAt)}</p>
+          )}
+          <dl className="text-sm grid grid-cols-2 gap-1">
+            <dt className="text-white/70">Device</dt>
+            <dd className="font-mono">{result.deviceId}</dd>
+            <dt className="text-white/70">Finished</dt>
+            <dd>{formatTime(result.finishedAt)}</dd>
+            {result.team && (
+              <>
+                <dt className="text-white/70">Team</dt>
+                <dd>
+                  <ul>
+                    {result.team.members.map((m) => (
+                      <li key={m.deviceId}>
+                        {m.name || "Unnamed"} <span className="font-mono text-white/70">{m.deviceId}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </dd>
+              </>
+            )}
+            {result.score && (
+              <>
+                <dt className="text-white/70">Score</dt>
+                <dd className="font-semibold">{result.score.total}</dd>
+              </>
+            )}
+          </dl>
+          <ul className="text-sm space-y-1">
+            {quest.stations.map((s) => (
+              <li key={s.id} className="flex justify-between">
+                <span>{s.name}</span>
+                <span className="text-white/70">
+                  {!(s.id in result.stations)
+                    ? "not visited"
+                    : result.unproven.includes(s.id)
+                      ? "no valid code"
+                      : formatTime(result.stations[s.id])}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {result.score && !result.redeemedAt && !result.redeemedNow && (
+            <input
+              value={nickname}
+              onChange={(e) => setNickname(e.target.value)}
+              maxLength={20}
+              placeholder="Nickname for the leaderboard (optional)"
+              className="w-full px-3 py-2 rounded-lg bg-white/90 text-black text-sm"
+            />
+          )}
+          {!result.redeemedAt && !result.redeemedNow && (
+            <button onClick={redeem} className="w-full px-4 py-2 bg-white text-black rounded-lg font-semibold">
+              Mark prize given
+            </button>
+          )}
+          {result.redeemedNow && <p className="text-sm text-center">Prize recorded.</p>}
+        </div>
+      )}
+
+      {result && (
+        <div className="text-center">
+          <button onClick={next} className="px-4 py-2 bg-zinc-700 rounded-lg">
+            Scan next visitor
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useEffect } from "react";
+import { useI18n } from "../i18n/useI18n";
+
+// ---------------------------
+// "Which station are you at?"
+// ---------------------------
+// Shown under the camera when codes for several new stations are in view at
+// once, for example two posters side by side. The codes are outlined with
+// their station names over the camera picture.
+export default function StationPicker({ stations, onChoose, onCancel }) {
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onCancel();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onCancel]);
+
+  return (
+    <section
+      role="dialog"
+      aria-labelledby="station-picker-title"
+      className="max-w-md mx-auto p-3 rounded-lg bg-zinc-800 border border-emerald-400 space-y-2"
+    >
+      <p id="station-picker-title" className="font-semibold text-center">
+        {t("picker.title")}
+      </p>
+      {stations.map((s, i) => (
+        <button
+          key={s.id}
+          autoFocus={i === 0}
+          onClick={() => onChoose(s.id)}
+          className="w-full px-4 py-2 bg-emerald-600 rounded-lg"
+        >
+          {s.name}
+        </button>
+      ))}
+      <button onClick={onCancel} className="w-full px-4 py-2 bg-zinc-700 rounded-lg">
+        {t("picker.cancel")}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useId } from "react";
+import QrCode from "./QrCode";
+import { useI18n } from "../i18n/useI18n";
+
+const PANEL = "max-w-md mx-auto p-3 rounded-lg bg-zinc-800 border border-zinc-700 text-sm space-y-2";
+const HELP = {
+  invite: "team.inviteHelp",
+  reply: "team.replyHelp",
+  sync: "team.syncHelp",
+};
+
+// ---------------------------
+// Team play: one quest on several phones
+// ---------------------------
+// team is the state and actions from team/useTeam.js. Team QR codes are read
+// by the quest camera above, like station codes.
+export default function TeamPanel({ team }) {
+  const { t } = useI18n();
+  const id = useId();
+  const { team: current, me, code, connected } = team;
+  const full = current && current.members.length >= team.maxMembers;
+
+  function leave() {
+    if (window.confirm(t("team.leaveConfirm"))) team.leave();
+  }
+
+  if (!current) {
+    return (
+      <section aria-labelledby={`${id}-title`} className={PANEL}>
+        <h2 id={`${id}-title`} className="font-semibold">
+          {t("team.title")}
+        </h2>
+        <p className="text-zinc-300">{t("team.intro")}</p>
+        <label htmlFor={`${id}-name`} className="block text-zinc-300">
+          {t("team.name")}
+        </label>
+        <input
+          id={`${id}-name`}
+          value={team.name}
+          onChange={(e) => team.setName(e.target.value)}
+          maxLength={24}
+          autoComplete="given-name"
+          className="w-full px-3 py-2 rounded-lg bg-zinc-900 border border-zinc-700"
+        />
+        <button
+          onClick={team.create}
+          disabled={!me}
+          className="w-full px-4 py-2 bg-emerald-600 rounded-lg disabled:opacity-50"
+        >
+          {t("team.create")}
+        </button>
+        <p className="text-zinc-400">{t("team.joinHint")}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section aria-labelledby={`${id}-title`} className={PANEL}>
+      <h2 id={`${id}-title`} className="font-semibold">
+        {t("team.members", { count: current.members.length })}
+      </h2>
+      <ul className="space-y-1">
+        {current.members.map((m) => (
+          <li key={m.id}>
+            {m.name || t("team.unnamed", { id: m.id.slice(0, 4) })}
+            {m.id === me && <span className="text-zinc-400"> {t("team.you")}</span>}
+          </li>
+        ))}
+      </ul>
+      <p className="text-zinc-400">
+        {connected > 0 ? t("team.connected", { count: connected }) : t("team.notConnected")}
+      </p>
+
+      {code ? (
+        <div className="text-center space-y-2">
+          <p className="text-zinc-300">{t(HELP[code.purpose])}</p>
+          <QrCode
+            value={code.text}
+            size={320}
+            label={t("team.qrLabel")}
+            className="mx-auto rounded bg-white"
+            fallback={<p className="text-zinc-300">{t("team.qrTooLong")}</p>}
+          />
+          <button onClick={team.hideCode} className="px-4 py-2 bg-zinc-700 rounded-lg">
+            {t("team.hide")}
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <button
+            onClick={team.invite}
+            disabled={full}
+            className="flex-1 px-4 py-2 bg-emerald-600 rounded-lg disabled:opacity-50"
+          >
+            {full ? t("team.full") : t("team.invite")}
+          </button>
+          <button onClick={team.showSync} className="flex-1 px-4 py-2 bg-zinc-700 rounded-lg">
+            {t("team.sync")}
+          </button>
+        </div>
+      )}
+      <button onClick={leave} className="w-full text-zinc-400 underline">
+        {t("team.leave")}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,68 @@
+import { storage } from "../storage/safeStorage";
+
+// ---------------------------
+// Sound and vibration cues
+// ---------------------------
+// Confirms a scan without looking at the screen; scanFeedback.js picks the
+// cue for each kind of scan. Tones are synthesised with Web Audio (no files
+// to download or cache); vibration uses navigator.vibrate where the phone
+// supports it (not iOS). Visitors can turn both off; the choice is
+// remembered on the device.
+
+export const LS_KEY_CUES = "ohq_cues_v1";
+
+// kind -> { tones: [[frequency Hz, start s, length s]], vibrate: pattern ms }
+const CUES = {
+  success: { tones: [[880, 0, 0.09], [1320, 0.1, 0.14]], vibrate: [60] },
+  complete: { tones: [[660, 0, 0.12], [880, 0.13, 0.12], [1320, 0.26, 0.3]], vibrate: [80, 60, 80, 60, 160] },
+  duplicate: { tones: [[660, 0, 0.07]], vibrate: [25] },
+  foreign: { tones: [[440, 0, 0.12], [330, 0.14, 0.2]], vibrate: [150, 100, 150] },
+  error: { tones: [[220, 0, 0.18]], vibrate: [30, 40, 30] },
+};
+
+export function loadCuesEnabled() {
+  return storage.getItem(LS_KEY_CUES) !== "off";
+}
+
+export function saveCuesEnabled(enabled) {
+  storage.setItem(LS_KEY_CUES, enabled ? "on" : "off");
+}
+
+let audio = null;
+
+// Browsers only start audio from a user gesture, so the app calls this on
+// the first tap; later cues triggered by the scanner can then play.
+export function unlockAudio() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  audio = audio || new AudioContext();
+  if (audio.state === "suspended") audio.resume().catch(() => {});
+}
+
+function playTones(tones) {
+  if (!audio || audio.state !== "running") return;
+  const now = audio.currentTime;
+  tones.forEach(([frequency, start, length]) => {
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    osc.frequency.value = frequency;
+    // Short fade in and out so the tones do not click
+    gain.gain.setValueAtTime(0, now + start);
+    gain.gain.linearRampToValueAtTime(0.2, now + start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + start + length);
+    osc.connect(gain).connect(audio.destination);
+    osc.start(now + start);
+    osc.stop(now + start + length + 0.02);
+  });
+}
+
+export function playCue(kind) {
+  const cue = CUES[kind];
+  if (!cue) return;
+  try {
+    playTones(cue.tones);
+    navigator.vibrate?.(cue.vibrate);
+  } catch (err) {
+    console.warn("Cue failed", err);
+  }
+}
@@ -0,0 +1,87 @@
+// ---------------------------
+// Scan feedback
+// ---------------------------
+// Every code the visitor points at gets a reaction: a toast, plus a sound and
+// vibration (see cues.js) that tell the kinds apart without looking.
+//
+//   new          a station was found
+//   duplicate    a station that was already collected
+//   blocked      a station the quest rules do not allow yet
+//   rejected     names a station but fails the signature or date checks
+//   other-event  an OPENHOUSE: code from a different event or quest
+//   unknown      any other code
+//
+// The camera reports a code on every frame while it is in view, so camera
+// feedback goes through a gate (createFeedbackGate). Typed codes, NFC tags
+// and station links are deliberate and always get feedback.
+
+export const FEEDBACK_CUES = {
+  new: "success",
+  duplicate: "duplicate",
+  blocked: "error",
+  rejected: "error",
+  "other-event": "foreign",
+  unknown: "error",
+};
+
+// How long a code must be out of view before it gets the same feedback again
+export const FEEDBACK_COOLDOWN_MS = {
+  new: 0,
+  duplicate: 8000,
+  blocked: 8000,
+  rejected: 8000,
+  "other-event": 8000,
+  unknown: 8000,
+};
+
+// Minimum time between any two camera toasts, so several codes in view take
+// turns instead of talking over each other. A new station never waits.
+const GAP_MS = 1500;
+
+// allow(kind, key) is true when feedback for this sighting should play. key
+// is the station id, or the raw text for codes that name no station, so a
+// station that was just found is not reported as "already collected" on the
+// next frame.
+export function createFeedbackGate({ cooldowns = FEEDBACK_COOLDOWN_MS, gapMs = GAP_MS } = {}) {
+  const lastSeen = new Map(); // key -> time last reported
+  let lastShown = -Infinity;
+
+  return {
+    allow(kind, key, now = Date.now()) {
+      const quiet = now - (lastSeen.get(key) ?? -Infinity) < (cooldowns[kind] ?? 0);
+      if (quiet) {
+        // Still in view: stay quiet until it has been away for the cooldown
+        lastSeen.set(key, now);
+        return false;
+      }
+      if (kind !== "new" && now - lastShown < gapMs) return false;
+      lastSeen.set(key, now);
+      lastShown = now;
+      // Forget codes long out of view so the map stays small
+      const longest = Math.max(...Object.values(cooldowns));
+      lastSeen.forEach((at, k) => now - at >= longest && lastSeen.delete(k));
+      return true;
+    },
+    reset() {
+      lastSeen.clear();
+      lastShown = -Infinity;
+    },
+  };
+}
+
+// Feedback kind for a rejected validator result (see quest/stationCodes.js)
+export function rejectionFeedback(match) {
+  if (match.reason === "unknown" || match.reason === "other-event") return match.reason;
+  return "rejected";
+}
+
+// Feedback kind for each result of scanning a team QR (see team/useTeam.js)
+export const TEAM_FEEDBACK = {
+  joined: "new",
+  linked: "new",
+  synced: "new",
+  full: "blocked",
+  "other-team": "blocked",
+  "other-quest": "other-event",
+  invalid: "unknown",
+};
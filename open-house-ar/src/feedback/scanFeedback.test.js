@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FEEDBACK_CUES, TEAM_FEEDBACK, createFeedbackGate, rejectionFeedback } from "./scanFeedback";
+
+describe("feedback gate", () => {
+  it("always reports a new station", () => {
+    const gate = createFeedbackGate();
+    assert.equal(gate.allow("new", "LIBRARY", 0), true);
+    assert.equal(gate.allow("new", "GYM", 100), true);
+  });
+
+  it("stays quiet while a code stays in view and speaks once it was away", () => {
+    const gate = createFeedbackGate();
+    assert.equal(gate.allow("duplicate", "LIBRARY", 0), true);
+    assert.equal(gate.allow("duplicate", "LIBRARY", 7000), false);
+    assert.equal(gate.allow("duplicate", "LIBRARY", 14000), false);
+    assert.equal(gate.allow("duplicate", "LIBRARY", 22000), true);
+  });
+
+  it("does not call a station just found already collected", () => {
+    const gate = createFeedbackGate();
+    assert.equal(gate.allow("new", "LIBRARY", 0), true);
+    assert.equal(gate.allow("duplicate", "LIBRARY", 50), false);
+  });
+
+  it("lets several codes in view take turns", () => {
+    const gate = createFeedbackGate();
+    assert.equal(gate.allow("unknown", "hello", 0), true);
+    assert.equal(gate.allow("unknown", "world", 1000), false);
+    assert.equal(gate.allow("unknown", "world", 1600), true);
+  });
+
+  it("forgets everything on reset", () => {
+    const gate = createFeedbackGate();
+    gate.allow("blocked", "GYM", 0);
+    gate.reset();
+    assert.equal(gate.allow("blocked", "GYM", 10), true);
+  });
+});
+
+describe("feedback kinds", () => {
+  it("tell foreign and unknown codes apart from rejected station codes", () => {
+    assert.equal(rejectionFeedback({ ok: false, reason: "unknown" }), "unknown");
+    assert.equal(rejectionFeedback({ ok: false, reason: "other-event" }), "other-event");
+    assert.equal(rejectionFeedback({ ok: false, reason: "forged", id: "GYM" }), "rejected");
+    assert.equal(rejectionFeedback({ ok: false, reason: "unsupported", id: "GYM" }), "rejected");
+  });
+
+  it("give every team code result a cue", () => {
+    Object.values(TEAM_FEEDBACK).forEach((kind) => assert.ok(FEEDBACK_CUES[kind], kind));
+  });
+});
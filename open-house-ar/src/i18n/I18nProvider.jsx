@@ -0,0 +1,41 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { DEFAULT_LANGUAGE, LANGUAGES, LS_KEY_LANGUAGE, createTranslator, matchLanguage } from "./i18n";
+import { I18nContext } from "./useI18n";
+import { storage } from "../storage/safeStorage";
+
+// ?lang=zh (e.g. on a poster link) wins over the saved choice, which wins
+// over the browser's languages
+function initialLanguage() {
+  const fromUrl = new URLSearchParams(window.location.search).get("lang");
+  if (fromUrl && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(fromUrl)) return fromUrl;
+  const saved = storage.getItem(LS_KEY_LANGUAGE);
+  if (saved) return saved;
+  const codes = LANGUAGES.map((l) => l.code);
+  return matchLanguage([...(navigator.languages || [navigator.language])], codes) || DEFAULT_LANGUAGE;
+}
+
+// ---------------------------
+// Current language for the whole app
+// ---------------------------
+// Also sets <html lang dir> so text direction and fonts follow the language.
+export default function I18nProvider({ children }) {
+  const [lang, setLang] = useState(initialLanguage);
+
+  const value = useMemo(
+    () => ({
+      ...createTranslator(lang),
+      setLang(code) {
+        storage.setItem(LS_KEY_LANGUAGE, code);
+        setLang(code);
+      },
+    }),
+    [lang]
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = value.locale;
+    document.documentElement.dir = value.dir;
+  }, [value]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,121 @@
+import en from "./messages/en";
+import zh from "./messages/zh";
+import ms from "./messages/ms";
+import ta from "./messages/ta";
+
+// ---------------------------
+// Interface languages
+// ---------------------------
+// Every visitor-facing string comes from a message catalogue in ./messages.
+// Messages may use {placeholders}; counted messages are objects keyed by
+// Intl.PluralRules category ({ one, other }). A key missing from a catalogue
+// falls back to English. Quest text (station names, hints, quizzes) is
+// translated in the quest file instead (see localizeQuest.js).
+//
+// Organiser screens (#/staff, #/posters, #/dashboard, #/map) stay in English but
+// format dates in the chosen language.
+
+export const LANGUAGES = [
+  { code: "en", name: "English", locale: "en-SG" },
+  { code: "zh", name: "中文", locale: "zh-SG" },
+  { code: "ms", name: "Bahasa Melayu", locale: "ms-SG" },
+  { code: "ta", name: "தமிழ்", locale: "ta-SG" },
+];
+export const DEFAULT_LANGUAGE = "en";
+export const LS_KEY_LANGUAGE = "ohq_language_v1";
+
+const CATALOGUES = { en, zh, ms, ta };
+const RTL_LANGUAGES = new Set(["ar", "dv", "fa", "he", "ps", "sd", "ug", "ur", "yi"]);
+
+const baseOf = (code) => String(code).toLowerCase().split("-")[0];
+
+export const isRtl = (code) => RTL_LANGUAGES.has(baseOf(code));
+
+// Display name of a language in that language ("Français" for "fr")
+export function languageName(code) {
+  const known = LANGUAGES.find((l) => l.code === code);
+  if (known) return known.name;
+  try {
+    return new Intl.DisplayNames([code], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// First of the preferred languages (e.g. navigator.languages) that is
+// available, matching "zh-Hans-SG" to "zh"; null when none is
+export function matchLanguage(preferred, available) {
+  for (const code of preferred.filter(Boolean)) {
+    const exact = available.find((a) => a.toLowerCase() === code.toLowerCase());
+    if (exact) return exact;
+    const base = available.find((a) => baseOf(a) === baseOf(code));
+    if (base) return base;
+  }
+  return null;
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+}
+
+// ---------------------------
+// Translator for one language
+// ---------------------------
+// { lang, locale, dir, t(key, vars), formatTime, formatDateTime, formatNumber,
+//   formatDuration, formatList }
+export function createTranslator(lang) {
+  const catalogue = CATALOGUES[baseOf(lang)] || {};
+  const locale = LANGUAGES.find((l) => l.code === lang)?.locale || lang;
+  const safe = (make, fallback) => {
+    try {
+      return make(locale);
+    } catch {
+      return make(fallback);
+    }
+  };
+  const plurals = safe((l) => new Intl.PluralRules(l), "en");
+  const timeFormat = safe((l) => new Intl.DateTimeFormat(l, { hour: "numeric", minute: "2-digit" }), "en");
+  const dateTimeFormat = safe(
+    (l) => new Intl.DateTimeFormat(l, { dateStyle: "medium", timeStyle: "short" }),
+    "en"
+  );
+  const numberFormat = safe((l) => new Intl.NumberFormat(l), "en");
+  const minuteFormat = safe(
+    (l) => new Intl.NumberFormat(l, { style: "unit", unit: "minute", unitDisplay: "short" }),
+    "en"
+  );
+
+  function t(key, vars = {}) {
+    let message = catalogue[key] ?? en[key];
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      message = message[plurals.select(Number(vars.count))] ?? message.other;
+    }
+    const formatted = { ...vars };
+    if (typeof vars.count === "number") formatted.count = numberFormat.format(vars.count);
+    return interpolate(message, formatted);
+  }
+
+  return {
+    lang,
+    locale,
+    dir: isRtl(lang) ? "rtl" : "ltr",
+    t,
+    formatTime: (ms) => timeFormat.format(ms),
+    formatDateTime: (ms) => dateTimeFormat.format(ms),
+    formatNumber: (n) => numberFormat.format(n),
+    // Whole minutes, with anything under one shown as "< 1 min"
+    formatDuration: (ms) =>
+      ms < 60000
+        ? t("duration.under", { duration: minuteFormat.format(1) })
+        : minuteFormat.format(Math.round(ms / 60000)),
+    // "A, B or C" in the language's own style
+    formatList: (items, type = "conjunction") => {
+      try {
+        return new Intl.ListFormat(locale, { type }).format(items);
+      } catch {
+        return items.join(", ");
+      }
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { LANGUAGES, matchLanguage } from "./i18n";
+
+// ---------------------------
+// Quest text in the visitor's language
+// ---------------------------
+// Applies the quest's "translations" (see quest/schema.js) for one language.
+// Only text changes: ids, codes and rules stay the same, so progress and
+// scoring are unaffected by switching language. Text challenges accept the
+// translated answers as well as the original ones.
+
+// Languages to offer: the app's own plus any the quest is translated into
+export function questLanguages(quest) {
+  const codes = new Set([...LANGUAGES.map((l) => l.code), quest.language]);
+  [quest, ...quest.stations].forEach((item) => Object.keys(item.translations || {}).forEach((c) => codes.add(c)));
+  return [...codes];
+}
+
+function pick(translations, lang) {
+  if (!translations) return null;
+  const code = matchLanguage([lang], Object.keys(translations));
+  return code ? translations[code] : null;
+}
+
+function localizeStation(station, lang) {
+  const text = pick(station.translations, lang);
+  if (!text) return station;
+  const { challenge, ar, ...rest } = text;
+  return {
+    ...station,
+    ...rest,
+    challenge: station.challenge && {
+      ...station.challenge,
+      ...challenge,
+      answers: challenge?.answers ? [...challenge.answers, ...station.challenge.answers] : station.challenge.answers,
+    },
+    ar: station.ar && { ...station.ar, ...ar },
+  };
+}
+
+export function localizeQuest(quest, lang) {
+  if (lang === quest.language) return quest;
+  return {
+    ...quest,
+    ...pick(quest.translations, lang),
+    stations: quest.stations.map((s) => localizeStation(s, lang)),
+  };
+}
@@ -0,0 +1,195 @@
+// English: the reference catalogue. Every key used by the app must be here.
+export default {
+  "app.loading": "Loading quest…",
+  "app.language": "Language",
+  "app.offline": "Offline",
+  "app.offlineNote": "scanning still works, progress is saved on this phone",
+  "app.score": "Score: {score}",
+  "app.completed": "{done}/{total} completed",
+  "app.syncPending": {
+    one: "{count} update waiting to reach the organisers",
+    other: "{count} updates waiting to reach the organisers",
+  },
+  "app.cues": "Sound and vibration",
+  "announce.found": "{station} found. {done} of {total} done.",
+
+  "station.optional": "(optional)",
+  "station.next": "Next",
+  "station.closed": "Other path",
+  "station.duplicate": "You have already found {station}.",
+  "toast.new": "Station found: {station}",
+
+  "picker.title": "Several stations are in view. Which one are you at?",
+  "picker.cancel": "None of these",
+
+  "rule.closed": "This station is on a different path than the one you chose.",
+  "rule.locked": "Go to {stations} first.",
+  "rule.not-started": "The quest has not started yet. It opens at {time}.",
+  "rule.ended": "The event has ended, so stations can no longer be scanned.",
+  "rule.station-closed": "{station} is closed right now. It opens again at {time}.",
+  "rule.station-closed-today": "{station} is closed for the rest of the day.",
+
+  "code.forged": "This code's signature is not valid. Please use the official poster.",
+  "code.expired": "This code has expired.",
+  "code.not-yet-valid": "This code is not active yet.",
+  "code.other-event": "This code belongs to a different event.",
+  "code.unsigned": "This code is not signed for this quest.",
+  "code.unsupported": "This browser cannot check signed codes. Please update it or use another browser.",
+  "code.unknown": "This code is not part of this quest.",
+
+  "scanner.denied": "Camera blocked. Allow camera access in your browser settings and reload.",
+  "scanner.missing": "No camera was found on this device.",
+  "scanner.failed": "Camera access failed. Allow permissions and reload.",
+  "scanner.unsupported": "Scanner library failed to load. Try a newer browser.",
+
+  "nfc.start": "📶 Use station NFC tags",
+  "nfc.listening": "Hold the top of your phone near a station's NFC tag.",
+  "nfc.denied": "NFC is blocked. Allow it in the browser settings to use station tags.",
+  "nfc.failed": "NFC could not be started. Check that it is turned on in the phone settings.",
+
+  "visit.share": "Leaving early? Share my visit",
+  "visit.hide": "Hide visit code",
+  "visit.explain": "Show this to a staff member so the organisers can improve the trail.",
+  "visit.qrLabel": "Visit QR code",
+
+  "team.title": "Playing as a family or group?",
+  "team.intro": "Make a team and the stations found on any of your phones count for everyone.",
+  "team.name": "Your name (optional)",
+  "team.create": "Create a team",
+  "team.joinHint": "To join a team, point this phone's camera at the team QR on the other phone.",
+  "team.members": {
+    one: "Team of {count} phone",
+    other: "Team of {count} phones",
+  },
+  "team.unnamed": "Phone {id}",
+  "team.you": "(this phone)",
+  "team.connected": {
+    one: "{count} teammate connected now",
+    other: "{count} teammates connected now",
+  },
+  "team.notConnected": "Not connected. Use Share progress, or add a phone again to reconnect.",
+  "team.invite": "Add a phone",
+  "team.full": "This team is full.",
+  "team.sync": "Share progress",
+  "team.hide": "Hide QR code",
+  "team.inviteHelp": "On the other phone, open this quest and point its camera at this QR code. Then scan the QR code it shows.",
+  "team.replyHelp": "Now point the other phone's camera at this QR code to finish joining.",
+  "team.syncHelp": "Point a teammate's camera at this QR code to share what this phone has found. It works without internet.",
+  "team.qrLabel": "Team QR code",
+  "team.qrTooLong": "This code is too long to show as a QR code.",
+  "team.leave": "Leave team",
+  "team.leaveConfirm": "Leave the team? Stations found so far stay on this phone.",
+  "team.joined": "You joined the team.",
+  "team.linked": "Phones connected. Stations now count for the whole team.",
+  "team.synced": "Team progress updated.",
+  "team.other-team": "This phone is already in another team. Leave it first.",
+  "team.other-quest": "This team QR code is for a different quest.",
+  "team.invalid": "This team QR code could not be read.",
+  "team.found": "{stations} found by your team.",
+  "map.title": "Campus map",
+  "map.view": "Show stations as",
+  "map.showMap": "Map",
+  "map.showList": "List",
+  "map.floors": "Floors",
+  "map.floorProgress": "{done}/{total}",
+  "map.planAlt": "Floor plan: {floor}",
+  "map.tapHint": "Tap a pin to see the station and its hint.",
+  "map.nextOnFloor": "Next: {station} ({floor})",
+  "map.zoomIn": "Zoom in",
+  "map.zoomOut": "Zoom out",
+  "map.resetZoom": "Show the whole floor",
+  "map.state.done": "Found",
+  "map.state.next": "Suggested next",
+  "map.state.available": "Not found yet",
+  "map.state.locked": "Locked",
+  "map.state.closed": "Other path",
+  "schedule.startsIn": "Starts in {countdown}",
+  "schedule.startsAt": "Opens {time}",
+  "schedule.endsIn": "Time left: {countdown}",
+  "schedule.endsAt": "Ends {time}",
+  "schedule.ended.close": "The event has ended. Stations can no longer be scanned.",
+  "schedule.ended.finish": "Time's up! Show your code below at the prize desk.",
+  "schedule.ended.continue": "The event has ended, but you can still finish the quest.",
+  "schedule.ended.done": "The event has ended. Thanks for visiting!",
+  "hours.closedUntil": "Closed now, opens {time}",
+  "hours.closedToday": "Closed for the rest of the day",
+
+  "complete.title": "Quest Complete!",
+  "complete.timeUp": "Time's up! You found {done} of {total} stations.",
+  "complete.finishedAt": "Finished {time}",
+  "complete.score": "Final score {total}: stations {base}, quiz {quiz}, streak {streak}, time {time}",
+  "complete.qrLabel": "Completion QR code",
+  "complete.tokenFailed": "This browser could not create your completion code. Show this screen to a staff member.",
+  "qr.tooLong": "This code is too long for a QR code. Staff can paste the text code instead.",
+  "organiser.open": "Organiser tools",
+
+  "challenge.correct": "Correct! Station complete.",
+  "challenge.continue": "Continue",
+  "challenge.lockedOut": {
+    one: "Out of tries. Scan the code again in {count} second to retry.",
+    other: "Out of tries. Scan the code again in {count} seconds to retry.",
+  },
+  "challenge.close": "Close",
+  "challenge.placeholder": "Your answer",
+  "challenge.wrong": "Not quite.",
+  "challenge.triesLeft": { one: "{count} try left.", other: "{count} tries left." },
+  "challenge.later": "Later",
+  "challenge.answer": "Answer",
+
+  "manual.toggle": "Can't scan? Type the code",
+  "manual.label": "Code printed under the QR code",
+  "manual.placeholder": "e.g. 7KQ-M2D",
+  "manual.submit": "Check in",
+  "manual.unknown": "That code does not match any station. Check it and try again.",
+  "manual.lockedOut": {
+    one: "Too many wrong codes. Try again in {count} second.",
+    other: "Too many wrong codes. Try again in {count} seconds.",
+  },
+
+  "camera.settings": "Camera settings",
+  "camera.camera": "Camera",
+  "camera.automatic": "Automatic (rear camera)",
+  "camera.inUse": "(in use)",
+  "camera.torchOn": "Torch on",
+  "camera.torchOff": "Torch off",
+  "camera.zoom": "Zoom",
+  "camera.focus": "Focus",
+  "camera.focus.continuous": "Auto (continuous)",
+  "camera.focus.single-shot": "Tap to focus",
+  "camera.focus.manual": "Fixed",
+  "camera.noControls": "This camera does not offer torch, zoom or focus controls in this browser.",
+  "camera.tip": "Tip: tap the camera view to focus on a poster.",
+
+  "pwa.update": "A new version of the quest app is available. Your progress is kept.",
+  "pwa.updateButton": "Update",
+  "pwa.install": "Add the quest to your home screen so it opens without Wi-Fi.",
+  "pwa.installButton": "Install",
+  "pwa.notNow": "Not now",
+
+  "journey.title": "My journey",
+  "journey.soFar": "{duration} so far",
+  "journey.total": "{duration} in total",
+  "journey.noTime": "time not recorded",
+  "journey.after": "{duration} after the previous station",
+  "journey.complete": "Quest complete",
+  "journey.timeUp": "Event ended",
+  "journey.summary": {
+    one: "{count} scan: {found} found, {repeats} repeated, {early} too early, {rejected} not accepted",
+    other: "{count} scans: {found} found, {repeats} repeated, {early} too early, {rejected} not accepted",
+  },
+  "journey.showAll": "Show every scan",
+  "journey.hideAll": "Hide scans",
+  "journey.download": "Download my journey",
+  "journey.result.valid": "Found",
+  "journey.result.duplicate": "Already found",
+  "journey.result.blocked": "Not yet",
+  "journey.result.rejected": "Invalid code",
+  "journey.result.unknown": "Unknown code",
+  "journey.via.typed": "(typed)",
+  "journey.via.nfc": "(NFC tag)",
+  "journey.via.link": "(link)",
+  "journey.via.organiser": "(by staff)",
+  "journey.via.team": "(by your team)",
+
+  "duration.under": "< {duration}",
+};
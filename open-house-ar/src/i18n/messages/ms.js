@@ -0,0 +1,179 @@
+// Bahasa Melayu
+export default {
+  "app.loading": "Memuatkan misi…",
+  "app.language": "Bahasa",
+  "app.offline": "Luar talian",
+  "app.offlineNote": "imbasan masih berfungsi, kemajuan disimpan dalam telefon ini",
+  "app.score": "Markah: {score}",
+  "app.completed": "{done}/{total} selesai",
+  "app.syncPending": { other: "{count} kemas kini menunggu untuk dihantar kepada penganjur" },
+  "app.cues": "Bunyi dan getaran",
+  "announce.found": "{station} dijumpai. {done} daripada {total} selesai.",
+
+  "station.optional": "(pilihan)",
+  "station.next": "Seterusnya",
+  "station.closed": "Laluan lain",
+  "station.duplicate": "Anda sudah menjumpai {station}.",
+  "toast.new": "Stesen ditemui: {station}",
+
+  "picker.title": "Beberapa stesen kelihatan. Anda berada di stesen yang mana?",
+  "picker.cancel": "Tiada satu pun",
+
+  "rule.closed": "Stesen ini berada di laluan yang berbeza daripada laluan yang anda pilih.",
+  "rule.locked": "Pergi ke {stations} dahulu.",
+  "rule.not-started": "Misi belum bermula. Ia dibuka pada {time}.",
+  "rule.ended": "Acara telah tamat, jadi stesen tidak boleh diimbas lagi.",
+  "rule.station-closed": "{station} ditutup sekarang. Ia dibuka semula pada {time}.",
+  "rule.station-closed-today": "{station} ditutup untuk sepanjang hari ini.",
+
+  "code.forged": "Tandatangan kod ini tidak sah. Sila gunakan poster rasmi.",
+  "code.expired": "Kod ini telah tamat tempoh.",
+  "code.not-yet-valid": "Kod ini belum aktif.",
+  "code.other-event": "Kod ini milik acara lain.",
+  "code.unsigned": "Kod ini tidak ditandatangani untuk misi ini.",
+  "code.unsupported": "Pelayar ini tidak dapat menyemak kod bertandatangan. Sila kemas kininya atau gunakan pelayar lain.",
+  "code.unknown": "Kod ini bukan sebahagian daripada pencarian ini.",
+
+  "scanner.denied": "Kamera disekat. Benarkan akses kamera dalam tetapan pelayar, kemudian muat semula.",
+  "scanner.missing": "Tiada kamera ditemui pada peranti ini.",
+  "scanner.failed": "Akses kamera gagal. Berikan kebenaran dan muat semula.",
+  "scanner.unsupported": "Pengimbas gagal dimuatkan. Cuba pelayar yang lebih baharu.",
+
+  "nfc.start": "📶 Guna tag NFC stesen",
+  "nfc.listening": "Dekatkan bahagian atas telefon anda dengan tag NFC stesen.",
+  "nfc.denied": "NFC disekat. Benarkan dalam tetapan pelayar untuk menggunakan tag stesen.",
+  "nfc.failed": "NFC tidak dapat dimulakan. Pastikan NFC dihidupkan dalam tetapan telefon.",
+
+  "visit.share": "Pulang awal? Kongsi lawatan saya",
+  "visit.hide": "Sembunyikan kod lawatan",
+  "visit.explain": "Tunjukkan kod ini kepada kakitangan supaya penganjur dapat menambah baik laluan.",
+  "visit.qrLabel": "Kod QR lawatan",
+
+  "team.title": "Bermain bersama keluarga atau kumpulan?",
+  "team.intro": "Buat satu pasukan dan stesen yang ditemui pada mana-mana telefon anda dikira untuk semua.",
+  "team.name": "Nama anda (pilihan)",
+  "team.create": "Buat pasukan",
+  "team.joinHint": "Untuk menyertai pasukan, halakan kamera telefon ini ke QR pasukan pada telefon yang satu lagi.",
+  "team.members": { other: "Pasukan {count} telefon" },
+  "team.unnamed": "Telefon {id}",
+  "team.you": "(telefon ini)",
+  "team.connected": { other: "{count} rakan sepasukan disambungkan sekarang" },
+  "team.notConnected": "Tidak disambungkan. Gunakan Kongsi kemajuan, atau tambah telefon sekali lagi untuk menyambung semula.",
+  "team.invite": "Tambah telefon",
+  "team.full": "Pasukan ini sudah penuh.",
+  "team.sync": "Kongsi kemajuan",
+  "team.hide": "Sembunyikan kod QR",
+  "team.inviteHelp": "Pada telefon yang satu lagi, buka pencarian ini dan halakan kameranya ke kod QR ini. Kemudian imbas kod QR yang dipaparkannya.",
+  "team.replyHelp": "Sekarang halakan kamera telefon yang satu lagi ke kod QR ini untuk selesai menyertai.",
+  "team.syncHelp": "Halakan kamera rakan sepasukan ke kod QR ini untuk berkongsi stesen yang ditemui telefon ini. Tidak perlu internet.",
+  "team.qrLabel": "Kod QR pasukan",
+  "team.qrTooLong": "Kod ini terlalu panjang untuk dipaparkan sebagai kod QR.",
+  "team.leave": "Keluar pasukan",
+  "team.leaveConfirm": "Keluar dari pasukan? Stesen yang sudah ditemui kekal pada telefon ini.",
+  "team.joined": "Anda telah menyertai pasukan.",
+  "team.linked": "Telefon disambungkan. Stesen kini dikira untuk seluruh pasukan.",
+  "team.synced": "Kemajuan pasukan dikemas kini.",
+  "team.other-team": "Telefon ini sudah berada dalam pasukan lain. Keluar dahulu.",
+  "team.other-quest": "Kod QR pasukan ini untuk pencarian lain.",
+  "team.invalid": "Kod QR pasukan ini tidak dapat dibaca.",
+  "team.found": "{stations} ditemui oleh pasukan anda.",
+  "map.title": "Peta kampus",
+  "map.view": "Tunjukkan stesen sebagai",
+  "map.showMap": "Peta",
+  "map.showList": "Senarai",
+  "map.floors": "Tingkat",
+  "map.floorProgress": "{done}/{total}",
+  "map.planAlt": "Pelan lantai: {floor}",
+  "map.tapHint": "Ketik pin untuk melihat stesen dan petunjuknya.",
+  "map.nextOnFloor": "Seterusnya: {station} ({floor})",
+  "map.zoomIn": "Zum masuk",
+  "map.zoomOut": "Zum keluar",
+  "map.resetZoom": "Tunjukkan seluruh tingkat",
+  "map.state.done": "Dijumpai",
+  "map.state.next": "Cadangan seterusnya",
+  "map.state.available": "Belum dijumpai",
+  "map.state.locked": "Berkunci",
+  "map.state.closed": "Laluan lain",
+  "schedule.startsIn": "Bermula dalam {countdown}",
+  "schedule.startsAt": "Dibuka {time}",
+  "schedule.endsIn": "Masa tinggal: {countdown}",
+  "schedule.endsAt": "Tamat {time}",
+  "schedule.ended.close": "Acara telah tamat. Stesen tidak boleh diimbas lagi.",
+  "schedule.ended.finish": "Masa tamat! Tunjukkan kod di bawah di kaunter hadiah.",
+  "schedule.ended.continue": "Acara telah tamat, tetapi anda masih boleh menamatkan misi.",
+  "schedule.ended.done": "Acara telah tamat. Terima kasih kerana melawat!",
+  "hours.closedUntil": "Ditutup sekarang, dibuka {time}",
+  "hours.closedToday": "Ditutup untuk sepanjang hari ini",
+
+  "complete.title": "Misi Selesai!",
+  "complete.timeUp": "Masa tamat! Anda menjumpai {done} daripada {total} stesen.",
+  "complete.finishedAt": "Selesai {time}",
+  "complete.score": "Markah akhir {total}: stesen {base}, kuiz {quiz}, berturut-turut {streak}, masa {time}",
+  "complete.qrLabel": "Kod QR penyelesaian",
+  "complete.tokenFailed": "Pelayar ini tidak dapat menghasilkan kod penyelesaian anda. Tunjukkan skrin ini kepada kakitangan.",
+  "qr.tooLong": "Kod ini terlalu panjang untuk kod QR. Kakitangan boleh menampal kod teks sebagai gantinya.",
+  "organiser.open": "Alat penganjur",
+
+  "challenge.correct": "Betul! Stesen selesai.",
+  "challenge.continue": "Teruskan",
+  "challenge.lockedOut": { other: "Cubaan sudah habis. Imbas kod sekali lagi dalam {count} saat untuk mencuba semula." },
+  "challenge.close": "Tutup",
+  "challenge.placeholder": "Jawapan anda",
+  "challenge.wrong": "Belum tepat.",
+  "challenge.triesLeft": { other: "Tinggal {count} cubaan lagi." },
+  "challenge.later": "Nanti",
+  "challenge.answer": "Jawab",
+
+  "manual.toggle": "Tidak boleh imbas? Taip kod",
+  "manual.label": "Kod yang dicetak di bawah kod QR",
+  "manual.placeholder": "cth. 7KQ-M2D",
+  "manual.submit": "Daftar masuk",
+  "manual.unknown": "Kod itu tidak sepadan dengan mana-mana stesen. Semak dan cuba lagi.",
+  "manual.lockedOut": { other: "Terlalu banyak kod salah. Cuba lagi dalam {count} saat." },
+
+  "camera.settings": "Tetapan kamera",
+  "camera.camera": "Kamera",
+  "camera.automatic": "Automatik (kamera belakang)",
+  "camera.inUse": "(sedang digunakan)",
+  "camera.torchOn": "Lampu suluh hidup",
+  "camera.torchOff": "Lampu suluh mati",
+  "camera.zoom": "Zum",
+  "camera.focus": "Fokus",
+  "camera.focus.continuous": "Auto (berterusan)",
+  "camera.focus.single-shot": "Ketik untuk fokus",
+  "camera.focus.manual": "Tetap",
+  "camera.noControls": "Kamera ini tidak menyediakan kawalan lampu suluh, zum atau fokus dalam pelayar ini.",
+  "camera.tip": "Petua: ketik paparan kamera untuk fokus pada poster.",
+
+  "pwa.update": "Versi baharu aplikasi misi tersedia. Kemajuan anda tidak akan hilang.",
+  "pwa.updateButton": "Kemas kini",
+  "pwa.install": "Tambah misi ini ke skrin utama supaya ia boleh dibuka tanpa Wi-Fi.",
+  "pwa.installButton": "Pasang",
+  "pwa.notNow": "Bukan sekarang",
+
+  "journey.title": "Perjalanan saya",
+  "journey.soFar": "{duration} setakat ini",
+  "journey.total": "{duration} kesemuanya",
+  "journey.noTime": "masa tidak direkodkan",
+  "journey.after": "{duration} selepas stesen sebelumnya",
+  "journey.complete": "Misi selesai",
+  "journey.timeUp": "Acara tamat",
+  "journey.summary": {
+    other: "{count} imbasan: {found} ditemui, {repeats} berulang, {early} terlalu awal, {rejected} tidak diterima",
+  },
+  "journey.showAll": "Tunjukkan semua imbasan",
+  "journey.hideAll": "Sembunyikan imbasan",
+  "journey.download": "Muat turun perjalanan saya",
+  "journey.result.valid": "Ditemui",
+  "journey.result.duplicate": "Sudah ditemui",
+  "journey.result.blocked": "Belum boleh",
+  "journey.result.rejected": "Kod tidak sah",
+  "journey.result.unknown": "Kod tidak dikenali",
+  "journey.via.typed": "(ditaip)",
+  "journey.via.nfc": "(tag NFC)",
+  "journey.via.link": "(pautan)",
+  "journey.via.organiser": "(oleh petugas)",
+  "journey.via.team": "(oleh pasukan anda)",
+
+  "duration.under": "kurang daripada {duration}",
+};
@@ -0,0 +1,195 @@
+// தமிழ்
+export default {
+  "app.loading": "தேடலை ஏற்றுகிறது…",
+  "app.language": "மொழி",
+  "app.offline": "ஆஃப்லைன்",
+  "app.offlineNote": "ஸ்கேன் செய்யலாம், முன்னேற்றம் இந்தக் கைபேசியில் சேமிக்கப்படும்",
+  "app.score": "மதிப்பெண்: {score}",
+  "app.completed": "{done}/{total} முடிந்தது",
+  "app.syncPending": {
+    one: "{count} புதுப்பிப்பு ஏற்பாட்டாளர்களுக்கு அனுப்பக் காத்திருக்கிறது",
+    other: "{count} புதுப்பிப்புகள் ஏற்பாட்டாளர்களுக்கு அனுப்பக் காத்திருக்கின்றன",
+  },
+  "app.cues": "ஒலி மற்றும் அதிர்வு",
+  "announce.found": "{station} கண்டுபிடிக்கப்பட்டது. {total}-இல் {done} முடிந்தது.",
+
+  "station.optional": "(விருப்பத்தேர்வு)",
+  "station.next": "அடுத்தது",
+  "station.closed": "வேறு பாதை",
+  "station.duplicate": "{station} ஏற்கனவே கண்டுபிடித்துவிட்டீர்கள்.",
+  "toast.new": "நிலையம் கண்டுபிடிக்கப்பட்டது: {station}",
+
+  "picker.title": "பல நிலையங்கள் தெரிகின்றன. நீங்கள் எந்த நிலையத்தில் இருக்கிறீர்கள்?",
+  "picker.cancel": "இவற்றில் எதுவுமில்லை",
+
+  "rule.closed": "இந்த நிலையம் நீங்கள் தேர்ந்தெடுத்த பாதையில் இல்லை.",
+  "rule.locked": "முதலில் {stations} செல்லுங்கள்.",
+  "rule.not-started": "தேடல் இன்னும் தொடங்கவில்லை. இது {time} மணிக்குத் திறக்கும்.",
+  "rule.ended": "நிகழ்வு முடிந்துவிட்டது, எனவே நிலையங்களை இனி ஸ்கேன் செய்ய முடியாது.",
+  "rule.station-closed": "{station} இப்போது மூடப்பட்டுள்ளது. இது {time} மணிக்கு மீண்டும் திறக்கும்.",
+  "rule.station-closed-today": "{station} இன்று மீதமுள்ள நேரம் மூடப்பட்டுள்ளது.",
+
+  "code.forged": "இந்தக் குறியீட்டின் கையொப்பம் செல்லாது. அதிகாரப்பூர்வ சுவரொட்டியைப் பயன்படுத்துங்கள்.",
+  "code.expired": "இந்தக் குறியீடு காலாவதியாகிவிட்டது.",
+  "code.not-yet-valid": "இந்தக் குறியீடு இன்னும் செயல்பாட்டுக்கு வரவில்லை.",
+  "code.other-event": "இந்தக் குறியீடு வேறொரு நிகழ்வுக்கு உரியது.",
+  "code.unsigned": "இந்தக் குறியீடு இந்தத் தேடலுக்காகக் கையொப்பமிடப்படவில்லை.",
+  "code.unsupported": "இந்த உலாவியால் கையொப்பமிட்ட குறியீடுகளைச் சரிபார்க்க முடியாது. அதைப் புதுப்பிக்கவும் அல்லது வேறு உலாவியைப் பயன்படுத்தவும்.",
+  "code.unknown": "இந்தக் குறியீடு இந்தத் தேடலைச் சேர்ந்ததல்ல.",
+
+  "scanner.denied": "கேமரா தடுக்கப்பட்டுள்ளது. உலாவி அமைப்புகளில் கேமராவை அனுமதித்து மீண்டும் ஏற்றுங்கள்.",
+  "scanner.missing": "இந்தச் சாதனத்தில் கேமரா எதுவும் இல்லை.",
+  "scanner.failed": "கேமராவைத் திறக்க முடியவில்லை. அனுமதி வழங்கி மீண்டும் ஏற்றுங்கள்.",
+  "scanner.unsupported": "ஸ்கேனரை ஏற்ற முடியவில்லை. புதிய உலாவியைப் பயன்படுத்துங்கள்.",
+
+  "nfc.start": "📶 நிலைய NFC குறிகளைப் பயன்படுத்து",
+  "nfc.listening": "உங்கள் கைபேசியின் மேற்பகுதியை நிலையத்தின் NFC குறிக்கு அருகில் பிடியுங்கள்.",
+  "nfc.denied": "NFC தடுக்கப்பட்டுள்ளது. நிலையக் குறிகளைப் பயன்படுத்த உலாவி அமைப்புகளில் அனுமதியுங்கள்.",
+  "nfc.failed": "NFC-ஐத் தொடங்க முடியவில்லை. கைபேசி அமைப்புகளில் அது இயக்கப்பட்டுள்ளதா எனப் பாருங்கள்.",
+
+  "visit.share": "சீக்கிரம் புறப்படுகிறீர்களா? என் வருகையைப் பகிர்",
+  "visit.hide": "வருகைக் குறியீட்டை மறை",
+  "visit.explain": "ஏற்பாட்டாளர்கள் பாதையை மேம்படுத்த உதவ, இதை ஒரு பணியாளரிடம் காட்டுங்கள்.",
+  "visit.qrLabel": "வருகை QR குறியீடு",
+
+  "team.title": "குடும்பமாக அல்லது குழுவாக விளையாடுகிறீர்களா?",
+  "team.intro": "ஒரு அணியை உருவாக்குங்கள்; உங்கள் எந்தத் தொலைபேசியில் கண்டுபிடித்த நிலையமும் அனைவருக்கும் கணக்கிடப்படும்.",
+  "team.name": "உங்கள் பெயர் (விருப்பம்)",
+  "team.create": "அணியை உருவாக்கு",
+  "team.joinHint": "அணியில் சேர, இந்தத் தொலைபேசியின் கேமராவை மற்றத் தொலைபேசியில் உள்ள அணி QR குறியீட்டை நோக்கிக் காட்டுங்கள்.",
+  "team.members": {
+    one: "{count} தொலைபேசி கொண்ட அணி",
+    other: "{count} தொலைபேசிகள் கொண்ட அணி",
+  },
+  "team.unnamed": "தொலைபேசி {id}",
+  "team.you": "(இந்தத் தொலைபேசி)",
+  "team.connected": {
+    one: "இப்போது {count} அணி உறுப்பினர் இணைக்கப்பட்டுள்ளார்",
+    other: "இப்போது {count} அணி உறுப்பினர்கள் இணைக்கப்பட்டுள்ளனர்",
+  },
+  "team.notConnected": "இணைக்கப்படவில்லை. முன்னேற்றத்தைப் பகிரவும், அல்லது மீண்டும் இணைக்க தொலைபேசியை மீண்டும் சேர்க்கவும்.",
+  "team.invite": "தொலைபேசியைச் சேர்",
+  "team.full": "இந்த அணி நிரம்பிவிட்டது.",
+  "team.sync": "முன்னேற்றத்தைப் பகிர்",
+  "team.hide": "QR குறியீட்டை மறை",
+  "team.inviteHelp": "மற்றத் தொலைபேசியில் இந்தத் தேடலைத் திறந்து, அதன் கேமராவை இந்த QR குறியீட்டை நோக்கிக் காட்டுங்கள். பின்னர் அது காட்டும் QR குறியீட்டை ஸ்கேன் செய்யுங்கள்.",
+  "team.replyHelp": "இப்போது சேர்வதை முடிக்க, மற்றத் தொலைபேசியின் கேமராவை இந்த QR குறியீட்டை நோக்கிக் காட்டுங்கள்.",
+  "team.syncHelp": "இந்தத் தொலைபேசி கண்டுபிடித்தவற்றைப் பகிர, அணி உறுப்பினரின் கேமராவை இந்த QR குறியீட்டை நோக்கிக் காட்டுங்கள். இணையம் தேவையில்லை.",
+  "team.qrLabel": "அணி QR குறியீடு",
+  "team.qrTooLong": "இந்தக் குறியீட்டை QR குறியீடாகக் காட்ட முடியாத அளவு நீளமானது.",
+  "team.leave": "அணியிலிருந்து வெளியேறு",
+  "team.leaveConfirm": "அணியிலிருந்து வெளியேறவா? இதுவரை கண்டுபிடித்த நிலையங்கள் இந்தத் தொலைபேசியில் இருக்கும்.",
+  "team.joined": "நீங்கள் அணியில் சேர்ந்துவிட்டீர்கள்.",
+  "team.linked": "தொலைபேசிகள் இணைக்கப்பட்டன. இனி நிலையங்கள் முழு அணிக்கும் கணக்கிடப்படும்.",
+  "team.synced": "அணியின் முன்னேற்றம் புதுப்பிக்கப்பட்டது.",
+  "team.other-team": "இந்தத் தொலைபேசி ஏற்கனவே வேறு அணியில் உள்ளது. முதலில் அதிலிருந்து வெளியேறுங்கள்.",
+  "team.other-quest": "இந்த அணி QR குறியீடு வேறு தேடலுக்கானது.",
+  "team.invalid": "இந்த அணி QR குறியீட்டைப் படிக்க முடியவில்லை.",
+  "team.found": "{stations} உங்கள் அணியால் கண்டுபிடிக்கப்பட்டது.",
+  "map.title": "வளாக வரைபடம்",
+  "map.view": "நிலையங்களைக் காட்டும் விதம்",
+  "map.showMap": "வரைபடம்",
+  "map.showList": "பட்டியல்",
+  "map.floors": "தளங்கள்",
+  "map.floorProgress": "{done}/{total}",
+  "map.planAlt": "தளவரைபடம்: {floor}",
+  "map.tapHint": "நிலையத்தையும் அதன் குறிப்பையும் காண ஒரு குறியைத் தட்டவும்.",
+  "map.nextOnFloor": "அடுத்து: {station} ({floor})",
+  "map.zoomIn": "பெரிதாக்கு",
+  "map.zoomOut": "சிறிதாக்கு",
+  "map.resetZoom": "முழுத் தளத்தையும் காட்டு",
+  "map.state.done": "கண்டுபிடிக்கப்பட்டது",
+  "map.state.next": "பரிந்துரைக்கப்பட்ட அடுத்தது",
+  "map.state.available": "இன்னும் கண்டுபிடிக்கவில்லை",
+  "map.state.locked": "பூட்டப்பட்டது",
+  "map.state.closed": "வேறு பாதை",
+  "schedule.startsIn": "{countdown} இல் தொடங்கும்",
+  "schedule.startsAt": "{time} மணிக்குத் திறக்கும்",
+  "schedule.endsIn": "மீதமுள்ள நேரம்: {countdown}",
+  "schedule.endsAt": "{time} மணிக்கு முடியும்",
+  "schedule.ended.close": "நிகழ்வு முடிந்துவிட்டது. நிலையங்களை இனி ஸ்கேன் செய்ய முடியாது.",
+  "schedule.ended.finish": "நேரம் முடிந்தது! கீழே உள்ள குறியீட்டைப் பரிசு மேசையில் காட்டுங்கள்.",
+  "schedule.ended.continue": "நிகழ்வு முடிந்துவிட்டது, ஆனால் நீங்கள் இன்னும் தேடலை முடிக்கலாம்.",
+  "schedule.ended.done": "நிகழ்வு முடிந்துவிட்டது. வருகைக்கு நன்றி!",
+  "hours.closedUntil": "இப்போது மூடப்பட்டுள்ளது, {time} மணிக்குத் திறக்கும்",
+  "hours.closedToday": "இன்று மீதமுள்ள நேரம் மூடப்பட்டுள்ளது",
+
+  "complete.title": "தேடல் நிறைவடைந்தது!",
+  "complete.timeUp": "நேரம் முடிந்தது! நீங்கள் {total} நிலையங்களில் {done} கண்டுபிடித்தீர்கள்.",
+  "complete.finishedAt": "முடிந்த நேரம்: {time}",
+  "complete.score": "இறுதி மதிப்பெண் {total}: நிலையங்கள் {base}, வினாடி வினா {quiz}, தொடர் {streak}, நேரம் {time}",
+  "complete.qrLabel": "நிறைவு QR குறியீடு",
+  "complete.tokenFailed": "இந்த உலாவியால் உங்கள் நிறைவுக் குறியீட்டை உருவாக்க முடியவில்லை. இந்தத் திரையை ஊழியரிடம் காட்டுங்கள்.",
+  "qr.tooLong": "இந்தக் குறியீடு QR குறியீட்டிற்கு மிக நீளமானது. ஊழியர்கள் உரைக் குறியீட்டை ஒட்டலாம்.",
+  "organiser.open": "ஏற்பாட்டாளர் கருவிகள்",
+
+  "challenge.correct": "சரியான பதில்! நிலையம் நிறைவடைந்தது.",
+  "challenge.continue": "தொடர்க",
+  "challenge.lockedOut": {
+    one: "முயற்சிகள் தீர்ந்துவிட்டன. {count} வினாடி கழித்து குறியீட்டை மீண்டும் ஸ்கேன் செய்யுங்கள்.",
+    other: "முயற்சிகள் தீர்ந்துவிட்டன. {count} வினாடிகள் கழித்து குறியீட்டை மீண்டும் ஸ்கேன் செய்யுங்கள்.",
+  },
+  "challenge.close": "மூடு",
+  "challenge.placeholder": "உங்கள் பதில்",
+  "challenge.wrong": "சரியில்லை.",
+  "challenge.triesLeft": { one: "இன்னும் {count} முயற்சி உள்ளது.", other: "இன்னும் {count} முயற்சிகள் உள்ளன." },
+  "challenge.later": "பிறகு",
+  "challenge.answer": "பதிலளி",
+
+  "manual.toggle": "ஸ்கேன் செய்ய முடியவில்லையா? குறியீட்டைத் தட்டச்சு செய்யுங்கள்",
+  "manual.label": "QR குறியீட்டின் கீழ் அச்சிடப்பட்ட குறியீடு",
+  "manual.placeholder": "எ.கா. 7KQ-M2D",
+  "manual.submit": "பதிவு செய்",
+  "manual.unknown": "இந்தக் குறியீடு எந்த நிலையத்துடனும் பொருந்தவில்லை. சரிபார்த்து மீண்டும் முயலுங்கள்.",
+  "manual.lockedOut": {
+    one: "தவறான குறியீடுகள் அதிகம். {count} வினாடி கழித்து மீண்டும் முயலுங்கள்.",
+    other: "தவறான குறியீடுகள் அதிகம். {count} வினாடிகள் கழித்து மீண்டும் முயலுங்கள்.",
+  },
+
+  "camera.settings": "கேமரா அமைப்புகள்",
+  "camera.camera": "கேமரா",
+  "camera.automatic": "தானியங்கி (பின்புறக் கேமரா)",
+  "camera.inUse": "(பயன்பாட்டில்)",
+  "camera.torchOn": "டார்ச் இயக்கத்தில்",
+  "camera.torchOff": "டார்ச் அணைப்பில்",
+  "camera.zoom": "பெரிதாக்கம்",
+  "camera.focus": "குவியம்",
+  "camera.focus.continuous": "தானியங்கி (தொடர்ச்சியாக)",
+  "camera.focus.single-shot": "தொட்டுக் குவியப்படுத்து",
+  "camera.focus.manual": "நிலையானது",
+  "camera.noControls": "இந்த உலாவியில் இந்தக் கேமராவுக்கு டார்ச், பெரிதாக்கம், குவியக் கட்டுப்பாடுகள் இல்லை.",
+  "camera.tip": "குறிப்பு: சுவரொட்டியில் குவியப்படுத்த கேமரா காட்சியைத் தொடுங்கள்.",
+
+  "pwa.update": "தேடல் செயலியின் புதிய பதிப்பு வந்துள்ளது. உங்கள் முன்னேற்றம் அப்படியே இருக்கும்.",
+  "pwa.updateButton": "புதுப்பி",
+  "pwa.install": "Wi-Fi இல்லாமலும் திறக்க, தேடலை முகப்புத் திரையில் சேருங்கள்.",
+  "pwa.installButton": "நிறுவு",
+  "pwa.notNow": "இப்போது வேண்டாம்",
+
+  "journey.title": "என் பயணம்",
+  "journey.soFar": "இதுவரை {duration}",
+  "journey.total": "மொத்தம் {duration}",
+  "journey.noTime": "நேரம் பதிவாகவில்லை",
+  "journey.after": "முந்தைய நிலையத்திலிருந்து {duration}",
+  "journey.complete": "தேடல் நிறைவடைந்தது",
+  "journey.timeUp": "நிகழ்வு முடிந்தது",
+  "journey.summary": {
+    one: "{count} ஸ்கேன்: கண்டவை {found}, மீண்டும் {repeats}, முன்கூட்டியே {early}, ஏற்கப்படாதவை {rejected}",
+    other: "{count} ஸ்கேன்கள்: கண்டவை {found}, மீண்டும் {repeats}, முன்கூட்டியே {early}, ஏற்கப்படாதவை {rejected}",
+  },
+  "journey.showAll": "எல்லா ஸ்கேன்களையும் காட்டு",
+  "journey.hideAll": "ஸ்கேன்களை மறை",
+  "journey.download": "என் பயணத்தைப் பதிவிறக்கு",
+  "journey.result.valid": "கண்டுபிடிக்கப்பட்டது",
+  "journey.result.duplicate": "ஏற்கனவே கண்டது",
+  "journey.result.blocked": "இன்னும் இல்லை",
+  "journey.result.rejected": "செல்லாத குறியீடு",
+  "journey.result.unknown": "அறியப்படாத குறியீடு",
+  "journey.via.typed": "(தட்டச்சு)",
+  "journey.via.nfc": "(NFC குறி)",
+  "journey.via.link": "(இணைப்பு)",
+  "journey.via.organiser": "(பணியாளர் மூலம்)",
+  "journey.via.team": "(உங்கள் அணி மூலம்)",
+
+  "duration.under": "{duration}-க்கும் குறைவு",
+};
@@ -0,0 +1,177 @@
+// 简体中文
+export default {
+  "app.loading": "正在加载任务…",
+  "app.language": "语言",
+  "app.offline": "离线",
+  "app.offlineNote": "仍可扫描，进度保存在这部手机上",
+  "app.score": "得分：{score}",
+  "app.completed": "已完成 {done}/{total}",
+  "app.syncPending": { other: "{count} 条记录正在等待发送给主办方" },
+  "app.cues": "声音和振动",
+  "announce.found": "已找到{station}。已完成 {done}/{total}。",
+
+  "station.optional": "（可选）",
+  "station.next": "下一站",
+  "station.closed": "其他路线",
+  "station.duplicate": "你已经找到{station}了。",
+  "toast.new": "已找到站点：{station}",
+
+  "picker.title": "画面中有多个站点。你在哪一个站点？",
+  "picker.cancel": "都不是",
+
+  "rule.closed": "这个站点在另一条路线上，不是你选择的路线。",
+  "rule.locked": "请先前往{stations}。",
+  "rule.not-started": "任务尚未开始，将于{time}开放。",
+  "rule.ended": "活动已结束，无法再扫描站点。",
+  "rule.station-closed": "{station}目前关闭，将于{time}重新开放。",
+  "rule.station-closed-today": "{station}今天余下时间关闭。",
+
+  "code.forged": "此二维码的签名无效，请使用官方海报。",
+  "code.expired": "此二维码已过期。",
+  "code.not-yet-valid": "此二维码尚未启用。",
+  "code.other-event": "此二维码属于其他活动。",
+  "code.unsigned": "此二维码没有为本任务签名。",
+  "code.unsupported": "此浏览器无法验证签名二维码，请更新浏览器或换用其他浏览器。",
+  "code.unknown": "此代码不属于本次寻宝。",
+
+  "scanner.denied": "相机已被阻止。请在浏览器设置中允许使用相机，然后重新加载。",
+  "scanner.missing": "这部设备上找不到相机。",
+  "scanner.failed": "无法使用相机。请允许权限后重新加载。",
+  "scanner.unsupported": "扫描组件加载失败，请使用较新的浏览器。",
+
+  "nfc.start": "📶 使用站点 NFC 标签",
+  "nfc.listening": "请将手机顶部靠近站点的 NFC 标签。",
+  "nfc.denied": "NFC 已被阻止。请在浏览器设置中允许后使用站点标签。",
+  "nfc.failed": "无法启动 NFC。请在手机设置中确认已开启 NFC。",
+
+  "visit.share": "要提前离开吗？分享我的参观记录",
+  "visit.hide": "隐藏参观二维码",
+  "visit.explain": "请向工作人员出示此码，帮助主办方改进路线。",
+  "visit.qrLabel": "参观二维码",
+
+  "team.title": "和家人或朋友一起玩？",
+  "team.intro": "创建一个团队，任何一部手机找到的站点都算全队的。",
+  "team.name": "你的名字（可选）",
+  "team.create": "创建团队",
+  "team.joinHint": "要加入团队，请用这部手机的摄像头对准另一部手机上的团队二维码。",
+  "team.members": { other: "团队共 {count} 部手机" },
+  "team.unnamed": "手机 {id}",
+  "team.you": "（本机）",
+  "team.connected": { other: "目前已连接 {count} 位队友" },
+  "team.notConnected": "未连接。请使用“分享进度”，或再次添加手机以重新连接。",
+  "team.invite": "添加手机",
+  "team.full": "该团队已满。",
+  "team.sync": "分享进度",
+  "team.hide": "隐藏二维码",
+  "team.inviteHelp": "在另一部手机上打开此任务，用它的摄像头对准这个二维码，然后扫描它显示的二维码。",
+  "team.replyHelp": "现在用另一部手机的摄像头对准这个二维码，完成加入。",
+  "team.syncHelp": "让队友的摄像头对准这个二维码，即可分享本机找到的站点。无需联网。",
+  "team.qrLabel": "团队二维码",
+  "team.qrTooLong": "此代码太长，无法显示为二维码。",
+  "team.leave": "退出团队",
+  "team.leaveConfirm": "要退出团队吗？已找到的站点会保留在这部手机上。",
+  "team.joined": "你已加入团队。",
+  "team.linked": "手机已连接。现在找到的站点算全队的。",
+  "team.synced": "团队进度已更新。",
+  "team.other-team": "这部手机已在另一个团队中。请先退出。",
+  "team.other-quest": "这个团队二维码属于另一个任务。",
+  "team.invalid": "无法读取这个团队二维码。",
+  "team.found": "你的团队找到了{stations}。",
+  "map.title": "校园地图",
+  "map.view": "站点显示方式",
+  "map.showMap": "地图",
+  "map.showList": "列表",
+  "map.floors": "楼层",
+  "map.floorProgress": "{done}/{total}",
+  "map.planAlt": "平面图：{floor}",
+  "map.tapHint": "点击标记查看站点和提示。",
+  "map.nextOnFloor": "下一站：{station}（{floor}）",
+  "map.zoomIn": "放大",
+  "map.zoomOut": "缩小",
+  "map.resetZoom": "显示整层",
+  "map.state.done": "已找到",
+  "map.state.next": "建议下一站",
+  "map.state.available": "尚未找到",
+  "map.state.locked": "未解锁",
+  "map.state.closed": "其他路线",
+  "schedule.startsIn": "{countdown}后开始",
+  "schedule.startsAt": "{time}开放",
+  "schedule.endsIn": "剩余时间：{countdown}",
+  "schedule.endsAt": "{time}结束",
+  "schedule.ended.close": "活动已结束，无法再扫描站点。",
+  "schedule.ended.finish": "时间到！请到领奖处出示下方的代码。",
+  "schedule.ended.continue": "活动已结束，但你仍可完成任务。",
+  "schedule.ended.done": "活动已结束，感谢参观！",
+  "hours.closedUntil": "目前关闭，{time}开放",
+  "hours.closedToday": "今天余下时间关闭",
+
+  "complete.title": "任务完成！",
+  "complete.timeUp": "时间到！你找到了{done}/{total}个站点。",
+  "complete.finishedAt": "完成时间：{time}",
+  "complete.score": "总分 {total}：站点 {base}，问答 {quiz}，连对 {streak}，时间 {time}",
+  "complete.qrLabel": "完成二维码",
+  "complete.tokenFailed": "此浏览器无法生成你的完成码。请向工作人员出示此屏幕。",
+  "qr.tooLong": "此代码太长，无法生成二维码。工作人员可以改为粘贴下方的文字代码。",
+  "organiser.open": "工作人员工具",
+
+  "challenge.correct": "答对了！本站完成。",
+  "challenge.continue": "继续",
+  "challenge.lockedOut": { other: "尝试次数已用完。请在 {count} 秒后再次扫描二维码重试。" },
+  "challenge.close": "关闭",
+  "challenge.placeholder": "你的答案",
+  "challenge.wrong": "不太对。",
+  "challenge.triesLeft": { other: "还剩 {count} 次机会。" },
+  "challenge.later": "稍后",
+  "challenge.answer": "提交答案",
+
+  "manual.toggle": "无法扫描？输入代码",
+  "manual.label": "二维码下方印的代码",
+  "manual.placeholder": "例如 7KQ-M2D",
+  "manual.submit": "签到",
+  "manual.unknown": "该代码与任何站点都不匹配。请检查后重试。",
+  "manual.lockedOut": { other: "错误代码过多。请在 {count} 秒后重试。" },
+
+  "camera.settings": "相机设置",
+  "camera.camera": "相机",
+  "camera.automatic": "自动（后置相机）",
+  "camera.inUse": "（使用中）",
+  "camera.torchOn": "手电筒：开",
+  "camera.torchOff": "手电筒：关",
+  "camera.zoom": "缩放",
+  "camera.focus": "对焦",
+  "camera.focus.continuous": "自动（连续）",
+  "camera.focus.single-shot": "点按对焦",
+  "camera.focus.manual": "固定",
+  "camera.noControls": "在这个浏览器中，此相机不提供手电筒、缩放或对焦控制。",
+  "camera.tip": "提示：点按相机画面即可对焦海报。",
+
+  "pwa.update": "任务应用有新版本，你的进度会保留。",
+  "pwa.updateButton": "更新",
+  "pwa.install": "把任务添加到主屏幕，没有 Wi-Fi 也能打开。",
+  "pwa.installButton": "安装",
+  "pwa.notNow": "暂不",
+
+  "journey.title": "我的旅程",
+  "journey.soFar": "目前用时 {duration}",
+  "journey.total": "共用时 {duration}",
+  "journey.noTime": "未记录时间",
+  "journey.after": "距上一站 {duration}",
+  "journey.complete": "任务完成",
+  "journey.timeUp": "活动结束",
+  "journey.summary": { other: "扫描 {count} 次：找到 {found}，重复 {repeats}，太早 {early}，未接受 {rejected}" },
+  "journey.showAll": "显示所有扫描",
+  "journey.hideAll": "隐藏扫描记录",
+  "journey.download": "下载我的旅程",
+  "journey.result.valid": "找到",
+  "journey.result.duplicate": "已找到",
+  "journey.result.blocked": "还不能扫描",
+  "journey.result.rejected": "无效二维码",
+  "journey.result.unknown": "未知二维码",
+  "journey.via.typed": "（手动输入）",
+  "journey.via.nfc": "（NFC 标签）",
+  "journey.via.link": "（链接）",
+  "journey.via.organiser": "（工作人员）",
+  "journey.via.team": "（团队）",
+
+  "duration.under": "不到 {duration}",
+};
@@ -0,0 +1,10 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LANGUAGE, createTranslator } from "./i18n";
+
+// Screens rendered outside I18nProvider get English
+export const I18nContext = createContext({ ...createTranslator(DEFAULT_LANGUAGE), setLang: () => {} });
+
+// { lang, locale, dir, t, format…, setLang }
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,150 @@
+import { useEffect, useRef, useState } from "react";
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+const WHEEL_STEP = 1.2;
+// Pointer travel (px) after which a press counts as a drag, not a tap
+const TAP_SLOP = 6;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+// The view with its scale in range, moved so the plan still covers a
+// viewport of width × height
+export function clampView({ scale, x, y }, width, height) {
+  const s = clampScale(scale);
+  return {
+    scale: s,
+    x: Math.min(0, Math.max(width - width * s, x)),
+    y: Math.min(0, Math.max(height - height * s, y)),
+  };
+}
+
+// The view at a new scale, with the content that was under viewport point
+// `from` now under `to` (the same point for the wheel and zoom buttons, the
+// moving midpoint of a pinch)
+export function zoomAround(view, scale, from, to = from) {
+  const s = clampScale(scale);
+  const ratio = s / view.scale;
+  return { scale: s, x: to.x - (from.x - view.x) * ratio, y: to.y - (from.y - view.y) * ratio };
+}
+
+// ---------------------------
+// Pan and zoom for a floor plan
+// ---------------------------
+// One finger (or the mouse) drags, two fingers pinch and the mouse wheel
+// zooms around the pointer. view is { scale, x, y }: the content is scaled
+// from its top left corner, then moved x, y pixels. It never zooms out past
+// the whole plan and never drags the plan out of view.
+//
+// Spread handlers on the viewport element and attach viewportRef to it. A
+// press that turned into a drag must not also tap the pin under it, so
+// wasDrag() tells click handlers to ignore it.
+export function usePanZoom() {
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const viewportRef = useRef(null);
+  const pointers = useRef(new Map()); // pointerId -> { x, y } in the viewport
+  const gesture = useRef(null); // { view, points, moved }
+  const dragged = useRef(false);
+
+  // Gesture callbacks read the view of the latest render
+  const latest = useRef(view);
+  useEffect(() => {
+    latest.current = view;
+  });
+
+  function clamp(next) {
+    const el = viewportRef.current;
+    return el ? clampView(next, el.clientWidth, el.clientHeight) : { ...next, scale: clampScale(next.scale) };
+  }
+
+  // Zooms by factor, keeping the content under (px, py) in place
+  function zoomAt(factor, px, py) {
+    const from = latest.current;
+    setView(clamp(zoomAround(from, from.scale * factor, { x: px, y: py })));
+  }
+
+  function zoomBy(factor) {
+    const el = viewportRef.current;
+    if (el) zoomAt(factor, el.clientWidth / 2, el.clientHeight / 2);
+  }
+
+  function reset() {
+    setView({ scale: 1, x: 0, y: 0 });
+  }
+
+  const localPoint = (e) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  // A new gesture starts whenever a finger is added or lifted, so going
+  // from two fingers to one does not make the plan jump
+  function restart(moved) {
+    gesture.current = { view: latest.current, points: [...pointers.current.values()], moved };
+  }
+
+  function onPointerDown(e) {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    pointers.current.set(e.pointerId, localPoint(e));
+    if (pointers.current.size === 1) dragged.current = false;
+    restart(gesture.current?.moved && pointers.current.size > 1);
+  }
+
+  function onPointerMove(e) {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, localPoint(e));
+    const start = gesture.current;
+    const now = [...pointers.current.values()];
+
+    if (now.length === 1 && start.points.length === 1) {
+      const dx = now[0].x - start.points[0].x;
+      const dy = now[0].y - start.points[0].y;
+      if (!start.moved && Math.hypot(dx, dy) < TAP_SLOP) return;
+      start.moved = true;
+      setView(clamp({ ...start.view, x: start.view.x + dx, y: start.view.y + dy }));
+    } else if (now.length >= 2 && start.points.length >= 2) {
+      const [a, b] = start.points;
+      const scale = start.view.scale * (distance(now[0], now[1]) / distance(a, b));
+      start.moved = true;
+      setView(clamp(zoomAround(start.view, scale, midpoint(a, b), midpoint(now[0], now[1]))));
+    }
+    if (start.moved) dragged.current = true;
+  }
+
+  function onPointerUp(e) {
+    if (!pointers.current.delete(e.pointerId)) return;
+    if (pointers.current.size) restart(true);
+    else gesture.current = null;
+  }
+
+  // React wheel listeners are passive, so the page would scroll as well
+  useEffect(() => {
+    const el = viewportRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? WHEEL_STEP : 1 / WHEEL_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  });
+
+  return {
+    view,
+    viewportRef,
+    handlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp,
+      onPointerLeave: onPointerUp,
+    },
+    zoomBy,
+    reset,
+    wasDrag: () => dragged.current,
+    zoomed: view.scale > MIN_SCALE,
+  };
+}
@@ -0,0 +1,33 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { clampView, zoomAround } from "./usePanZoom";
+
+describe("pan and zoom", () => {
+  it("zooms around a point, keeping the content under it in place", () => {
+    const view = zoomAround({ scale: 1, x: 0, y: 0 }, 2, { x: 50, y: 20 });
+    assert.deepEqual(view, { scale: 2, x: -50, y: -20 });
+    // Content at (50, 20) is still drawn at (50, 20)
+    assert.equal(50 * view.scale + view.x, 50);
+    assert.equal(20 * view.scale + view.y, 20);
+  });
+
+  it("follows the midpoint of a pinch", () => {
+    assert.deepEqual(zoomAround({ scale: 1, x: 0, y: 0 }, 2, { x: 50, y: 50 }, { x: 60, y: 40 }), {
+      scale: 2,
+      x: -40,
+      y: -60,
+    });
+  });
+
+  it("keeps the scale between the whole plan and five times", () => {
+    assert.deepEqual(zoomAround({ scale: 2, x: -50, y: -50 }, 0.5, { x: 50, y: 50 }), { scale: 1, x: 0, y: 0 });
+    assert.equal(zoomAround({ scale: 4, x: 0, y: 0 }, 8, { x: 0, y: 0 }).scale, 5);
+    assert.equal(clampView({ scale: 0.5, x: 0, y: 0 }, 100, 100).scale, 1);
+  });
+
+  it("never drags the plan out of view", () => {
+    assert.deepEqual(clampView({ scale: 2, x: 10, y: -300 }, 100, 100), { scale: 2, x: 0, y: -100 });
+    assert.deepEqual(clampView({ scale: 2, x: -50, y: -50 }, 100, 100), { scale: 2, x: -50, y: -50 });
+    assert.deepEqual(clampView({ scale: 1, x: -20, y: 20 }, 100, 100), { scale: 1, x: 0, y: 0 });
+  });
+});
@@ -0,0 +1,42 @@
+import { base64UrlDecode, base64UrlEncode } from "../quest/stationCodes.js";
+
+// ---------------------------
+// Organiser PIN
+// ---------------------------
+// The quest file only carries a salted PBKDF2 hash of the PIN:
+//
+//   "organiser": { "pinHash": "pbkdf2-sha256:210000:<salt>:<hash>" }
+//
+// Create it with `npm run sign-codes -- pin <PIN>`. Quest files are public,
+// so the hash keeps the PIN off the screen but a short PIN can still be
+// found by trying every combination: use 6 or more digits and a new PIN for
+// each event. (Imported by scripts/sign-codes.js, hence the .js import.)
+
+const SCHEME = "pbkdf2-sha256";
+const ITERATIONS = 210000;
+
+async function derive(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(pin).trim()),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+}
+
+export async function hashPin(pin, { iterations = ITERATIONS, salt = crypto.getRandomValues(new Uint8Array(16)) } = {}) {
+  const hash = await derive(pin, salt, iterations);
+  return `${SCHEME}:${iterations}:${base64UrlEncode(salt)}:${base64UrlEncode(hash)}`;
+}
+
+export async function verifyPin(pin, pinHash) {
+  const [scheme, iterations, salt, hash] = String(pinHash).split(":");
+  if (scheme !== SCHEME || !salt || !hash) return false;
+  try {
+    return base64UrlEncode(await derive(pin, base64UrlDecode(salt), Number(iterations))) === hash;
+  } catch {
+    return false;
+  }
+}
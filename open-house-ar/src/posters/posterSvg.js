@@ -0,0 +1,107 @@
+import QRCode from "qrcode";
+
+// ---------------------------
+// Printable station posters
+// ---------------------------
+// Posters are plain SVG documents measured in millimetres, so printing at
+// 100% scale gives a QR code of exactly the chosen size.
+export const PAPER_SIZES = {
+  A4: { label: "A4", width: 210, height: 297 },
+  Letter: { label: "US Letter", width: 215.9, height: 279.4 },
+};
+
+export const QR_SIZE_CM = { min: 4, recommendedMin: 8, recommendedMax: 10, default: 9 };
+
+const MARGIN_MM = 15;
+const QR_TOP_MM = 78;
+const BELOW_QR_MM = 40; // short code + hint + footer
+const FONT = "system-ui, Helvetica, Arial, sans-serif";
+
+const escapeXml = (text) =>
+  String(text ?? "").replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Largest QR edge (cm) that still fits inside the margins with the texts
+export function maxQrSizeCm(paper) {
+  const { width, height } = PAPER_SIZES[paper];
+  return Math.floor(Math.min(width - 2 * MARGIN_MM, height - QR_TOP_MM - BELOW_QR_MM - MARGIN_MM) / 10);
+}
+
+// shortCode (see quest/shortCodes.js) is printed under the QR for visitors
+// who type it in instead of scanning
+export async function buildPosterSvg({ quest, station, payload, shortCode, paper = "A4", sizeCm }) {
+  const { width, height } = PAPER_SIZES[paper];
+  const accent = quest.branding?.accentColor || "#059669";
+  const qrMm = Math.min(sizeCm, maxQrSizeCm(paper)) * 10;
+  const qrX = (width - qrMm) / 2;
+  const qrY = QR_TOP_MM;
+  const cx = width / 2;
+
+  const qr = await QRCode.toString(payload, { type: "svg", margin: 0, errorCorrectionLevel: "M" });
+  const placedQr = qr.replace("<svg ", `<svg x="${qrX}" y="${qrY}" width="${qrMm}" height="${qrMm}" `);
+
+  const lines = [
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<rect width="${width}" height="12" fill="${escapeXml(accent)}"/>`,
+    `<text x="${cx}" y="32" font-size="9" font-weight="700" fill="${escapeXml(accent)}">${escapeXml(quest.title)}</text>`,
+  ];
+  if (quest.branding?.subtitle) {
+    lines.push(`<text x="${cx}" y="41" font-size="5" fill="#52525b">${escapeXml(quest.branding.subtitle)}</text>`);
+  }
+  lines.push(`<text x="${cx}" y="64" font-size="13" font-weight="700" fill="#18181b">${escapeXml(station.name)}</text>`);
+  lines.push(placedQr);
+
+  if (shortCode) {
+    lines.push(
+      `<text x="${cx}" y="${qrY + qrMm + 9}" font-size="6" fill="#18181b">Can't scan? Type <tspan font-family="ui-monospace, Menlo, monospace" font-weight="700">${escapeXml(shortCode)}</tspan></text>`
+    );
+  }
+  if (station.hint) {
+    lines.push(
+      `<text x="${cx}" y="${qrY + qrMm + 19}" font-size="6" fill="#3f3f46">Hint: ${escapeXml(station.hint)}</text>`
+    );
+  }
+  lines.push(
+    `<text x="${cx}" y="${height - MARGIN_MM}" font-size="4.5" fill="#71717a">Scan with your phone camera in the Open House Quest · Station ${escapeXml(station.id)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+    `<g font-family="${FONT}" text-anchor="middle">`,
+    ...lines,
+    "</g>",
+    "</svg>",
+  ].join("\n");
+}
+
+export function svgDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Rasterises a poster SVG at the given print resolution
+export function posterPngBlob(svg, paper = "A4", dpi = 300) {
+  const { width, height } = PAPER_SIZES[paper];
+  const px = (mm) => Math.round((mm / 25.4) * dpi);
+
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = px(width);
+      canvas.height = px(height);
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png");
+    };
+    img.onerror = () => reject(new Error("Poster could not be rendered"));
+    img.src = svgDataUrl(svg);
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
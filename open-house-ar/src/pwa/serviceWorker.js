@@ -0,0 +1,136 @@
+// ---------------------------
+// Service worker (offline support)
+// ---------------------------
+// Not bundled by Vite: scripts/precache-plugin.js copies this file to
+// dist/sw.js after each build and fills in the list of built files and a
+// content hash. Strategies:
+//
+//   page navigations   network first, cached index.html when offline
+//   quest files        network first (so edits show up), cache fallback
+//   other sites' data  network; offline only a kept quest file is served
+//   everything else    cache first, then network (and keep a copy)
+//
+// A new version waits until the page asks it to take over (update banner).
+
+const VERSION = "__CACHE_VERSION__";
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__;
+// Tailwind is loaded from its CDN in index.html; keep an opaque copy.
+// Normalised like Request.url ("https://cdn.tailwindcss.com/") so they match.
+const EXTERNAL_URLS = ["https://cdn.tailwindcss.com"].map((url) => new URL(url).href);
+
+const SHELL_CACHE = `ohq-shell-${VERSION}`;
+const RUNTIME_CACHE = "ohq-runtime-v1";
+const NETWORK_TIMEOUT_MS = 4000;
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(PRECACHE_URLS.map(scoped));
+      await Promise.all(
+        EXTERNAL_URLS.map(async (url) => {
+          try {
+            await cache.put(url, await fetch(url, { mode: "no-cors" }));
+          } catch {
+            // The page still works without styles; retried on next install
+          }
+        })
+      );
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names.filter((n) => n.startsWith("ohq-shell-") && n !== SHELL_CACHE).map((n) => caches.delete(n))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// Messages from the page (see src/pwa/usePwa.js)
+//   { type: "SKIP_WAITING" }           activate the waiting version now
+//   { type: "CACHE_URLS", urls: [] }   keep copies of e.g. the active quest file
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SKIP_WAITING") self.skipWaiting();
+  if (msg.type === "CACHE_URLS" && Array.isArray(msg.urls)) {
+    event.waitUntil(
+      caches.open(RUNTIME_CACHE).then((cache) =>
+        Promise.all(
+          msg.urls.map((url) =>
+            fetch(url, { cache: "no-cache" })
+              .then((res) => res.ok && cache.put(url, res))
+              .catch(() => {})
+          )
+        )
+      )
+    );
+  }
+});
+
+function fetchWithTimeout(request) {
+  return Promise.race([
+    fetch(request),
+    new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), NETWORK_TIMEOUT_MS)),
+  ]);
+}
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const res = await fetchWithTimeout(request);
+    if (res.ok) cache.put(request.url, res.clone());
+    return res;
+  } catch (err) {
+    const cached =
+      (await caches.match(request.url, { ignoreSearch: true })) ||
+      (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Other sites' data is neither cached nor timed out. Only a quest file the
+// page asked to keep (CACHE_URLS) is served from the cache when offline.
+async function networkOrKept(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const kept = await (await caches.open(RUNTIME_CACHE)).match(request.url);
+    if (kept) return kept;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  const sameScope = request.url.startsWith(self.registration.scope);
+
+  if (request.mode === "navigate" && sameScope) {
+    event.respondWith(networkFirst(request, scoped("index.html")));
+  } else if (/\.(json|ya?ml)$/i.test(url.pathname)) {
+    event.respondWith(sameScope ? networkFirst(request) : networkOrKept(request));
+  } else if (sameScope || EXTERNAL_URLS.includes(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
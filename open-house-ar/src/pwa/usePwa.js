@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { resolveQuestUrl } from "../quest/loadQuest";
+
+// ---------------------------
+// Service worker registration + update flow
+// ---------------------------
+// Only registered in production builds; the dev server has no sw.js.
+// updateReady turns true when a new version has installed and is waiting;
+// applyUpdate() hands over to it and reloads once it is in control.
+export function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return undefined;
+    let cancelled = false;
+    let reloading = false;
+
+    const onControllerChange = () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    };
+
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((reg) => {
+        const offer = (worker) => {
+          // Only an update if a previous version already controls the page
+          if (worker && navigator.serviceWorker.controller && !cancelled) setWaiting(worker);
+        };
+        offer(reg.waiting);
+        reg.addEventListener("updatefound", () => {
+          const worker = reg.installing;
+          worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed") offer(worker);
+          });
+        });
+        return navigator.serviceWorker.ready;
+      })
+      .then((reg) => {
+        // Keep a copy of the quest in use, wherever it is hosted
+        reg.active?.postMessage({ type: "CACHE_URLS", urls: [resolveQuestUrl()] });
+      })
+      .catch((err) => console.warn("Service worker registration failed", err));
+
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    return () => {
+      cancelled = true;
+      navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+
+  function applyUpdate() {
+    waiting?.postMessage({ type: "SKIP_WAITING" });
+  }
+
+  return { updateReady: Boolean(waiting), applyUpdate };
+}
+
+// ---------------------------
+// Install prompt
+// ---------------------------
+// Chrome fires beforeinstallprompt once, possibly before React mounts, so
+// the event is captured as soon as this module loads.
+let deferredPrompt = null;
+const promptListeners = new Set();
+
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    promptListeners.forEach((fn) => fn(e));
+  });
+  window.addEventListener("appinstalled", () => {
+    deferredPrompt = null;
+    promptListeners.forEach((fn) => fn(null));
+  });
+}
+
+export function useInstallPrompt() {
+  const [prompt, setPrompt] = useState(deferredPrompt);
+
+  useEffect(() => {
+    promptListeners.add(setPrompt);
+    return () => promptListeners.delete(setPrompt);
+  }, []);
+
+  async function install() {
+    if (!prompt) return;
+    prompt.prompt();
+    await prompt.userChoice.catch(() => null);
+    deferredPrompt = null;
+    setPrompt(null);
+  }
+
+  return { canInstall: Boolean(prompt), install };
+}
+
+// ---------------------------
+// Online / offline
+// ---------------------------
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return online;
+}
@@ -0,0 +1,62 @@
+// ---------------------------
+// Station challenges
+// ---------------------------
+// A station may ask a question after its code is scanned; the station only
+// counts once the answer is right.
+//
+//   { "type": "choice", "question": "…", "choices": ["A", "B"], "answer": 1 }
+//   { "type": "text",   "question": "…", "answers": ["newton", "isaac newton"] }
+//   { "type": "number", "question": "…", "answer": 42, "tolerance": 0.5 }
+//
+// Optional: "retries" (wrong answers allowed before a pause; unlimited when
+// omitted), "lockoutSeconds" (length of that pause, default 60) and
+// "explanation" (shown once answered correctly).
+
+// Per-station attempt record: { wrong, streak, lockedUntil }, saved with the
+// rest of the quest progress (see storage/questState.js)
+
+const normalizeText = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+export function checkAnswer(challenge, response) {
+  switch (challenge.type) {
+    case "choice":
+      return Number(response) === challenge.answer;
+    case "text":
+      return challenge.answers.some((a) => normalizeText(a) === normalizeText(response));
+    case "number": {
+      const value = Number(String(response).replace(",", "."));
+      return String(response).trim() !== "" && Math.abs(value - challenge.answer) <= challenge.tolerance;
+    }
+    default:
+      return false;
+  }
+}
+
+// Remaining wrong answers before a pause, or Infinity when unlimited
+export function triesLeft(challenge, record) {
+  if (challenge.retries === undefined) return Infinity;
+  return Math.max(challenge.retries + 1 - (record?.streak || 0), 0);
+}
+
+export function lockedFor(record, now = Date.now()) {
+  return record?.lockedUntil && record.lockedUntil > now ? record.lockedUntil - now : 0;
+}
+
+// Returns the updated attempt record after one answer. `wrong` counts every
+// wrong answer, `streak` only those since the last pause.
+export function recordAnswer(challenge, record = {}, correct, now = Date.now()) {
+  if (correct) return { ...record, streak: 0, lockedUntil: null };
+
+  const updated = { ...record, wrong: (record.wrong || 0) + 1, streak: (record.streak || 0) + 1 };
+  if (triesLeft(challenge, updated) === 0) {
+    updated.lockedUntil = now + challenge.lockoutSeconds * 1000;
+    updated.streak = 0;
+  }
+  return updated;
+}
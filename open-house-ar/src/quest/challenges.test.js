@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkAnswer, lockedFor, recordAnswer, triesLeft } from "./challenges";
+
+describe("checkAnswer", () => {
+  it("checks each challenge type", () => {
+    assert.equal(checkAnswer({ type: "choice", answer: 1 }, "1"), true);
+    assert.equal(checkAnswer({ type: "choice", answer: 1 }, 0), false);
+    assert.equal(checkAnswer({ type: "text", answers: ["Isaac Newton"] }, "  isaac   NEWTON "), true);
+    assert.equal(checkAnswer({ type: "text", answers: ["café"] }, "Cafe"), true);
+    assert.equal(checkAnswer({ type: "number", answer: 3.5, tolerance: 0.1 }, "3,45"), true);
+    assert.equal(checkAnswer({ type: "number", answer: 0, tolerance: 0 }, " "), false);
+  });
+});
+
+describe("attempts", () => {
+  const challenge = { type: "choice", answer: 1, retries: 1, lockoutSeconds: 60 };
+
+  it("pauses after the retries run out", () => {
+    let record = recordAnswer(challenge, {}, false, 0);
+    assert.equal(triesLeft(challenge, record), 1);
+    record = recordAnswer(challenge, record, false, 0);
+    assert.equal(record.wrong, 2);
+    assert.equal(lockedFor(record, 0), 60_000);
+    assert.equal(lockedFor(record, 60_000), 0);
+    // The pause gives the full number of tries back
+    assert.equal(triesLeft(challenge, record), 2);
+  });
+
+  it("keeps counting wrong answers after a right one", () => {
+    const record = recordAnswer(challenge, { wrong: 1, streak: 1 }, true);
+    assert.deepEqual(record, { wrong: 1, streak: 0, lockedUntil: null });
+    assert.equal(triesLeft({ type: "choice" }, record), Infinity);
+  });
+});
@@ -0,0 +1,202 @@
+import { base64UrlDecode, base64UrlEncode } from "./stationCodes";
+import {
+  KEY_ALGORITHMS,
+  deviceIdFromPublicKey,
+  getDeviceIdentity,
+  importDevicePublicKey,
+  signWithDevice,
+} from "./deviceIdentity";
+import { evaluateProgress } from "./questRules";
+import { computeScore } from "./scoring";
+import { createProofChecker, packProofs, unpackProofs } from "./stationProofs";
+
+// ---------------------------
+// Completion token
+// ---------------------------
+//   OHQT1.<base64url claims JSON>.<base64url signature>
+//   OHQT1.<base64url claims JSON>.<base64url proofs>.<base64url signature>
+//
+// The second form is for quests that only accept signed codes: proofs are
+// the codes that checked each station in, packed as bytes (see
+// stationProofs.js).
+//
+// claims: { q: quest id, k: device public key, s: { stationId: unix seconds },
+//           a: "P-256" when the device key is ECDSA rather than Ed25519
+//              (see deviceIdentity.js),
+//           f: finish time in unix seconds (0 for a visit still in progress),
+//           w: { stationId: wrong challenge answers } (only when non-zero),
+//           p: score (quests with scoring),
+//           t: { i: team id, m: [{ d: device id, n: name }] } (team play),
+//           x: 1 when the event ended before the quest was complete
+//              (schedule.afterEnd "finish", see schedule.js) }
+//
+// The signature proves the token was produced by the device holding `k` and
+// has not been edited since. The device key is made up by the phone itself,
+// so for quests with signed codes each station also has to come with the
+// code that checked it in. That is good enough for prize desks; it is not a
+// substitute for server-side checks.
+// Visits in progress use the same format so the organiser dashboard can
+// import them ("Share my visit").
+const TOKEN_PREFIX = "OHQT1";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const toSeconds = (ms) => Math.floor(ms / 1000);
+
+export const TOKEN_MESSAGES = {
+  malformed: "This is not a completion code.",
+  forged: "Signature check failed: this code was altered or forged.",
+  "other-quest": "This completion code is for a different quest.",
+  incomplete: "This completion code does not meet the quest's completion rules.",
+  unproven: "Some stations were not checked in with a valid station code, so the quest is not complete.",
+  unsupported: "This browser cannot check signed station codes. Use an up-to-date Chrome, Safari or Firefox.",
+};
+
+// progress: station.id -> completion time in ms (or true when unknown)
+// challengeState: station.id -> { wrong } (see challenges.js)
+// team: { id, members } when playing as a team (see team/teamState.js)
+// proofs: station.id -> code that checked it in (see stationProofs.js)
+export async function createCompletionToken({
+  quest,
+  progress,
+  completeAt,
+  challengeState = {},
+  team = null,
+  proofs = {},
+}) {
+  const device = await getDeviceIdentity();
+  const stations = {};
+  const wrong = {};
+  quest.stations.forEach((s) => {
+    const at = progress[s.id];
+    if (at) stations[s.id] = typeof at === "number" ? toSeconds(at) : 0;
+    if (challengeState[s.id]?.wrong) wrong[s.id] = challengeState[s.id].wrong;
+  });
+
+  const claims = { q: quest.id, k: device.publicKey, s: stations, f: completeAt ? toSeconds(completeAt) : 0 };
+  if (device.algorithm !== "Ed25519") claims.a = device.algorithm;
+  if (Object.keys(wrong).length > 0) claims.w = wrong;
+  const score = computeScore(quest, progress, challengeState);
+  if (score) claims.p = score.total;
+  if (team) claims.t = { i: team.id, m: team.members.map((m) => ({ d: m.id, n: m.name })) };
+  if (completeAt && !evaluateProgress(quest, progress).complete) claims.x = 1;
+  const parts = [TOKEN_PREFIX, base64UrlEncode(encoder.encode(JSON.stringify(claims)))];
+  const packed = packProofs(quest, progress, proofs);
+  if (packed.length > 0) parts.push(base64UrlEncode(packed));
+  const signed = parts.join(".");
+  const sig = await signWithDevice(device, encoder.encode(signed));
+  return `${signed}.${base64UrlEncode(sig)}`;
+}
+
+// ---------------------------
+// Reading tokens
+// ---------------------------
+// Checks format, signature and quest id only. Resolves to
+//   { ok: true, deviceId, finishedAt: ms | null, stations: { id: ms | null }, wrong, team, proofs }
+// team is { id, members: [{ deviceId, name }] } or null. Members are listed
+// by the phone that signed the token; only that phone's own id is proven.
+//   { ok: false, reason, message }
+export async function readVisitToken(token, quest) {
+  const reject = (reason) => ({ ok: false, reason, message: TOKEN_MESSAGES[reason] });
+
+  const parts = String(token || "").trim().split(".");
+  if (!(parts.length === 3 || parts.length === 4) || parts[0] !== TOKEN_PREFIX) return reject("malformed");
+  const sig = parts.pop();
+
+  let claims;
+  let packed;
+  try {
+    claims = JSON.parse(decoder.decode(base64UrlDecode(parts[1])));
+    packed = parts[2] ? base64UrlDecode(parts[2]) : null;
+  } catch {
+    return reject("malformed");
+  }
+  if (!claims || typeof claims.k !== "string" || typeof claims.s !== "object") {
+    return reject("malformed");
+  }
+  const algorithm = claims.a ?? "Ed25519";
+  if (!Object.hasOwn(KEY_ALGORITHMS, algorithm)) return reject("malformed");
+
+  let valid = false;
+  try {
+    const key = await importDevicePublicKey(claims.k, algorithm);
+    valid = await crypto.subtle.verify(
+      KEY_ALGORITHMS[algorithm].sign,
+      key,
+      base64UrlDecode(sig),
+      encoder.encode(parts.join("."))
+    );
+  } catch {
+    valid = false;
+  }
+  if (!valid) return reject("forged");
+
+  if (claims.q !== quest.id) return reject("other-quest");
+
+  // A time of 0 means "scanned, time unknown" (progress saved before timestamps)
+  const stations = {};
+  Object.entries(claims.s).forEach(([id, at]) => (stations[id] = at ? at * 1000 : null));
+
+  return {
+    ok: true,
+    deviceId: await deviceIdFromPublicKey(claims.k),
+    finishedAt: claims.f ? claims.f * 1000 : null,
+    stations,
+    wrong: claims.w || {},
+    team: readTeam(claims.t),
+    timeUp: claims.x === 1,
+    proofs: unpackProofs(quest, packed),
+  };
+}
+
+function readTeam(team) {
+  if (!team || typeof team.i !== "string" || !Array.isArray(team.m)) return null;
+  return {
+    id: team.i,
+    members: team.m
+      .filter((m) => m && typeof m.d === "string")
+      .map((m) => ({ deviceId: m.d, name: typeof m.n === "string" ? m.n : "" })),
+  };
+}
+
+// ---------------------------
+// Staff-side verification
+// ---------------------------
+// Resolves to
+//   { ok: true, deviceId, finishedAt, stations: { id: ms | null }, unproven, score, team, timeUp }
+// Only stations whose proof checks out count (unproven lists the others, see
+// stationProofs.js), and the score is recomputed from them rather than
+// trusted. A browser that cannot check signed codes rejects the token as
+// "unsupported" instead of calling the stations unproven. An incomplete quest only passes as timeUp, when the quest
+// finishes unfinished quests at the end of the event and that end has passed
+// on this phone too.
+//   { ok: false, reason, message, unproven? }
+export async function verifyCompletionToken(token, quest, now = Date.now()) {
+  const visit = await readVisitToken(token, quest);
+  if (!visit.ok) return visit;
+
+  const check = createProofChecker(quest);
+  const { proven, unproven, unsupported } = await check(visit.stations, visit.proofs, visit.finishedAt ?? now);
+  if (unsupported) return { ok: false, reason: "unsupported", message: TOKEN_MESSAGES.unsupported };
+  const progress = Object.fromEntries(proven.map((id) => [id, visit.stations[id] ?? true]));
+  const { schedule } = quest;
+  const timeUp = visit.timeUp && schedule?.afterEnd === "finish" && now >= schedule.end;
+  if (!visit.finishedAt || !(evaluateProgress(quest, progress).complete || timeUp)) {
+    const reason = unproven.length > 0 ? "unproven" : "incomplete";
+    return { ok: false, reason, message: TOKEN_MESSAGES[reason], unproven };
+  }
+
+  const challengeState = {};
+  Object.entries(visit.wrong).forEach(([id, wrong]) => (challengeState[id] = { wrong }));
+
+  return {
+    ok: true,
+    deviceId: visit.deviceId,
+    finishedAt: visit.finishedAt,
+    stations: visit.stations,
+    unproven,
+    score: computeScore(quest, progress, challengeState),
+    team: visit.team,
+    timeUp: Boolean(timeUp),
+  };
+}
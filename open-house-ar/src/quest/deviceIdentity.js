@@ -0,0 +1,89 @@
+import { base64UrlDecode, base64UrlEncode } from "./stationCodes";
+import { storage } from "../storage/safeStorage";
+
+// ---------------------------
+// Per-device signing key
+// ---------------------------
+// Each visitor device creates a key pair on first use. The public key
+// travels inside the completion token, so staff can check the signature
+// offline; the device id shown to staff is derived from that key.
+//
+// Ed25519 needs Chrome 137+, Safari 17+ or Firefox 129+. Older phones fall
+// back to ECDSA P-256, which every browser with WebCrypto supports; tokens
+// name the algorithm they were signed with (see completionToken.js).
+const LS_KEY_DEVICE = "ohq_device_key_v1";
+
+export const KEY_ALGORITHMS = {
+  Ed25519: { key: { name: "Ed25519" }, sign: { name: "Ed25519" } },
+  "P-256": { key: { name: "ECDSA", namedCurve: "P-256" }, sign: { name: "ECDSA", hash: "SHA-256" } },
+};
+const PREFERRED = ["Ed25519", "P-256"];
+
+let devicePromise = null;
+
+export async function deviceIdFromPublicKey(publicKey) {
+  const digest = await crypto.subtle.digest("SHA-256", base64UrlDecode(publicKey));
+  return base64UrlEncode(digest).slice(0, 10).toUpperCase();
+}
+
+export function importDevicePublicKey(publicKey, algorithm = "Ed25519") {
+  return crypto.subtle.importKey("raw", base64UrlDecode(publicKey), KEY_ALGORITHMS[algorithm].key, false, [
+    "verify",
+  ]);
+}
+
+async function generate(algorithm) {
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHMS[algorithm].key, true, ["sign", "verify"]);
+  const publicKey = base64UrlEncode(await crypto.subtle.exportKey("raw", pair.publicKey));
+  const privateKey = base64UrlEncode(await crypto.subtle.exportKey("pkcs8", pair.privateKey));
+  storage.setItem(LS_KEY_DEVICE, JSON.stringify({ publicKey, privateKey, algorithm }));
+  return { publicKey, privateKey: pair.privateKey, algorithm };
+}
+
+async function createDevice() {
+  const saved = storage.getItem(LS_KEY_DEVICE);
+  if (saved) {
+    try {
+      // Keys saved before the fallback existed are Ed25519
+      const { publicKey, privateKey, algorithm = "Ed25519" } = JSON.parse(saved);
+      const key = await crypto.subtle.importKey(
+        "pkcs8",
+        base64UrlDecode(privateKey),
+        KEY_ALGORITHMS[algorithm].key,
+        false,
+        ["sign"]
+      );
+      return { publicKey, privateKey: key, algorithm, deviceId: await deviceIdFromPublicKey(publicKey) };
+    } catch (err) {
+      console.error("Stored device key unusable, creating a new one", err);
+    }
+  }
+
+  let lastError;
+  for (const algorithm of PREFERRED) {
+    try {
+      const device = await generate(algorithm);
+      return { ...device, deviceId: await deviceIdFromPublicKey(device.publicKey) };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// Resolves to { publicKey, privateKey: CryptoKey, algorithm, deviceId }.
+// Rejects when the browser has no usable WebCrypto at all (pages served
+// over plain http); the next call tries again.
+export function getDeviceIdentity() {
+  devicePromise =
+    devicePromise ||
+    createDevice().catch((err) => {
+      devicePromise = null;
+      throw err;
+    });
+  return devicePromise;
+}
+
+export async function signWithDevice(device, bytes) {
+  return crypto.subtle.sign(KEY_ALGORITHMS[device.algorithm].sign, device.privateKey, bytes);
+}
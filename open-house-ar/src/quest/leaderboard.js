@@ -0,0 +1,36 @@
+import { readJson, writeJson } from "../storage/safeStorage";
+
+// ---------------------------
+// Kiosk leaderboard
+// ---------------------------
+// Scores collected by the staff verifier on this device, per quest:
+//   { "<quest id>": { "<device id>": { nickname, score, finishedAt, verifiedAt } } }
+// Only staff-verified completion tokens end up here.
+export const LS_KEY_LEADERBOARD = "ohq_leaderboard_v1";
+
+function readAll() {
+  return readJson(LS_KEY_LEADERBOARD, {});
+}
+
+export function recordScore(questId, deviceId, { nickname, score, finishedAt }) {
+  const all = readAll();
+  all[questId] = {
+    ...all[questId],
+    [deviceId]: { nickname, score, finishedAt, verifiedAt: Date.now() },
+  };
+  writeJson(LS_KEY_LEADERBOARD, all);
+}
+
+// Highest score first; ties go to whoever finished earlier
+export function topScores(questId, limit = 10) {
+  return Object.entries(readAll()[questId] || {})
+    .map(([deviceId, entry]) => ({ deviceId, ...entry }))
+    .sort((a, b) => b.score - a.score || a.finishedAt - b.finishedAt)
+    .slice(0, limit);
+}
+
+export function clearLeaderboard(questId) {
+  const all = readAll();
+  delete all[questId];
+  writeJson(LS_KEY_LEADERBOARD, all);
+}
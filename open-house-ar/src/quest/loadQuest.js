@@ -0,0 +1,56 @@
+import { QuestError, validateQuest } from "./schema";
+
+// ---------------------------
+// Quest file location
+// ---------------------------
+// Without a ?quest= parameter the bundled public/quests/default.json is used.
+// ?quest=science-day        -> public/quests/science-day.json
+// ?quest=events/2025.yaml   -> that path, relative to the site root
+// ?quest=https://…/q.json   -> an absolute URL (must allow CORS)
+const DEFAULT_QUEST = "default";
+const QUEST_DIR = "quests/";
+
+export function resolveQuestUrl(search = window.location.search) {
+  const param = new URLSearchParams(search).get("quest")?.trim() || DEFAULT_QUEST;
+  const base = new URL(import.meta.env.BASE_URL, window.location.origin);
+
+  if (/^https?:\/\//i.test(param)) return new URL(param).href;
+  if (param.includes("/") || /\.(json|ya?ml)$/i.test(param)) {
+    return new URL(param.replace(/^\/+/, ""), base).href;
+  }
+  return new URL(`${QUEST_DIR}${encodeURIComponent(param)}.json`, base).href;
+}
+
+function isYaml(url, contentType) {
+  return /\.ya?ml$/i.test(new URL(url).pathname) || /yaml/i.test(contentType || "");
+}
+
+// ---------------------------
+// Fetch + parse + validate
+// ---------------------------
+export async function loadQuest(url = resolveQuestUrl()) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-cache" });
+  } catch {
+    throw new QuestError("Could not download the quest file", [url]);
+  }
+  if (!res.ok) {
+    throw new QuestError(`Quest file not found (HTTP ${res.status})`, [url]);
+  }
+
+  const text = await res.text();
+  let raw;
+  try {
+    if (isYaml(url, res.headers.get("content-type"))) {
+      const { parse } = await import("yaml");
+      raw = parse(text);
+    } else {
+      raw = JSON.parse(text);
+    }
+  } catch (err) {
+    throw new QuestError("Quest file could not be read", [err.message]);
+  }
+
+  return validateQuest(raw);
+}
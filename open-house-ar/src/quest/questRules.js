@@ -0,0 +1,143 @@
+// ---------------------------
+// Quest rules
+// ---------------------------
+// Decides, from the quest definition and the visitor's progress, which
+// stations are done, which may be scanned next and when the quest is over.
+//
+//   mode: "free"        any station, any order (default)
+//   mode: "sequential"  stations in list order; optional ones may be skipped
+//   station.optional    never required for completion
+//   completion.count    "N of M": finish after N stations instead of all
+//   branches            [{ id, options: { name: [stationIds] } }]; scanning a
+//                       station of one option closes the other options
+//
+// Station states: "done" | "next" | "available" | "locked" | "closed"
+
+// branch option each station belongs to: stationId -> { branch, option }
+function branchIndex(quest) {
+  const index = {};
+  (quest.branches || []).forEach((branch) => {
+    Object.entries(branch.options).forEach(([option, ids]) => {
+      ids.forEach((id) => (index[id] = { branch: branch.id, option }));
+    });
+  });
+  return index;
+}
+
+// branch id -> chosen option (or undefined while undecided). If stations of
+// several options are done, the option scanned first wins.
+function chosenOptions(quest, progress) {
+  const chosen = {};
+  (quest.branches || []).forEach((branch) => {
+    let first = Infinity;
+    Object.entries(branch.options).forEach(([option, ids]) => {
+      ids.forEach((id) => {
+        const at = progress[id] === true ? 0 : progress[id];
+        if (at !== undefined && at !== false && at !== null && at < first) {
+          first = at;
+          chosen[branch.id] = option;
+        }
+      });
+    });
+  });
+  return chosen;
+}
+
+export function evaluateProgress(quest, progress) {
+  const byId = Object.fromEntries(quest.stations.map((s) => [s.id, s]));
+  const requiredIds = (ids) => ids.filter((id) => !byId[id].optional);
+  const index = branchIndex(quest);
+  const chosen = chosenOptions(quest, progress);
+  const states = {};
+
+  const isClosed = (s) => {
+    const member = index[s.id];
+    return Boolean(member && chosen[member.branch] && chosen[member.branch] !== member.option);
+  };
+  const isUndecided = (s) => {
+    const member = index[s.id];
+    return Boolean(member && !chosen[member.branch]);
+  };
+
+  const open = quest.stations.filter((s) => !isClosed(s));
+  quest.stations.forEach((s) => {
+    if (isClosed(s)) states[s.id] = "closed";
+    else if (progress[s.id]) states[s.id] = "done";
+  });
+
+  if (quest.mode === "sequential") {
+    // Walk the list; the first unfinished required station is next. While a
+    // branch is undecided, the first station of every option is next.
+    let blocked = false;
+    open.forEach((s) => {
+      if (states[s.id]) return;
+      if (blocked) {
+        states[s.id] = "locked";
+        return;
+      }
+      if (s.optional) {
+        states[s.id] = "available";
+        return;
+      }
+      if (isUndecided(s)) {
+        const { branch } = index[s.id];
+        const options = quest.branches.find((b) => b.id === branch).options;
+        Object.values(options).forEach((ids) => {
+          const [first] = requiredIds(ids);
+          if (first && !states[first]) states[first] = "next";
+        });
+        if (!states[s.id]) states[s.id] = "locked";
+      } else {
+        states[s.id] = "next";
+      }
+      blocked = true;
+    });
+  } else {
+    open.forEach((s) => {
+      if (!states[s.id]) states[s.id] = "available";
+    });
+  }
+
+  // ---------------------------
+  // Completion
+  // ---------------------------
+  const doneCount = open.filter((s) => progress[s.id]).length;
+  let targetCount;
+  let complete;
+  if (quest.completion?.count) {
+    targetCount = quest.completion.count;
+    complete = doneCount >= targetCount;
+  } else {
+    // Undecided branches count as one option's worth of required stations
+    const required = open.filter((s) => !s.optional && !isUndecided(s));
+    const pendingBranches = (quest.branches || []).filter((b) => !chosen[b.id]);
+    const pendingSize = pendingBranches.reduce(
+      (sum, b) => sum + Math.min(...Object.values(b.options).map((ids) => requiredIds(ids).length)),
+      0
+    );
+    targetCount = required.length + pendingSize;
+    complete = pendingSize === 0 && required.every((s) => progress[s.id]);
+  }
+
+  return {
+    states,
+    next: quest.stations.filter((s) => states[s.id] === "next"),
+    doneCount: Math.min(doneCount, targetCount),
+    targetCount,
+    complete,
+  };
+}
+
+// ---------------------------
+// May this station be scanned now?
+// ---------------------------
+// Returns null when allowed, otherwise { reason } (plus the names of the
+// next stations, "next", when locked). The app shows the "rule.<reason>"
+// message (see i18n/).
+export function checkScanAllowed(quest, progress, stationId) {
+  const { states, next } = evaluateProgress(quest, progress);
+  const state = states[stationId];
+  if (state === "closed") return { reason: "closed" };
+  if (state === "locked") return { reason: "locked", next: next.map((s) => s.name) };
+  return null;
+}
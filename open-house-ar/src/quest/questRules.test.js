@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkScanAllowed, evaluateProgress } from "./questRules";
+import { validateQuest } from "./schema";
+
+const station = (id, extra = {}) => ({ id, name: id, code: `OPENHOUSE:${id}`, ...extra });
+
+const makeQuest = (fields) =>
+  validateQuest({ schemaVersion: 1, id: "test", title: "Test", security: { allowLegacyCodes: true }, ...fields });
+
+describe("free order", () => {
+  const quest = makeQuest({ stations: [station("A"), station("B"), station("C", { optional: true })] });
+
+  it("lets every station be scanned", () => {
+    assert.equal(checkScanAllowed(quest, {}, "B"), null);
+    assert.deepEqual(evaluateProgress(quest, {}).states, { A: "available", B: "available", C: "available" });
+  });
+
+  it("completes without the optional stations", () => {
+    const result = evaluateProgress(quest, { A: 1, B: 2 });
+    assert.equal(result.complete, true);
+    assert.equal(result.targetCount, 2);
+  });
+});
+
+describe("sequential mode", () => {
+  const quest = makeQuest({
+    mode: "sequential",
+    stations: [station("A"), station("EXTRA", { optional: true }), station("B"), station("C")],
+  });
+
+  it("opens one required station at a time", () => {
+    const { states, next } = evaluateProgress(quest, { A: 1 });
+    assert.deepEqual(states, { A: "done", EXTRA: "available", B: "next", C: "locked" });
+    assert.deepEqual(next.map((s) => s.id), ["B"]);
+  });
+
+  it("refuses stations out of order and names the next one", () => {
+    const refused = checkScanAllowed(quest, { A: 1 }, "C");
+    assert.equal(refused.reason, "locked");
+    assert.deepEqual(refused.next, ["B"]);
+    assert.equal(checkScanAllowed(quest, { A: 1 }, "B"), null);
+  });
+
+  it("lets optional stations be skipped", () => {
+    assert.equal(evaluateProgress(quest, { A: 1, B: 2, C: 3 }).complete, true);
+  });
+});
+
+describe("N of M", () => {
+  const quest = makeQuest({ completion: { count: 2 }, stations: [station("A"), station("B"), station("C")] });
+
+  it("completes after N stations", () => {
+    assert.equal(evaluateProgress(quest, { A: 1 }).complete, false);
+    const result = evaluateProgress(quest, { A: 1, C: 2 });
+    assert.equal(result.complete, true);
+    assert.equal(result.doneCount, 2);
+  });
+});
+
+describe("branches", () => {
+  const quest = makeQuest({
+    mode: "sequential",
+    branches: [{ id: "track", options: { science: ["LAB", "LAB2"], arts: ["ART"] } }],
+    stations: [station("START"), station("LAB"), station("LAB2"), station("ART"), station("END")],
+  });
+
+  it("offers the first station of every option while undecided", () => {
+    const { next, targetCount } = evaluateProgress(quest, { START: 1 });
+    assert.deepEqual(next.map((s) => s.id), ["LAB", "ART"]);
+    // START, END and the shorter option
+    assert.equal(targetCount, 3);
+  });
+
+  it("closes the other options once one is chosen", () => {
+    const progress = { START: 1, ART: 2 };
+    assert.equal(evaluateProgress(quest, progress).states.LAB, "closed");
+    assert.equal(checkScanAllowed(quest, progress, "LAB").reason, "closed");
+    assert.equal(checkScanAllowed(quest, progress, "END"), null);
+    assert.equal(evaluateProgress(quest, { ...progress, END: 3 }).complete, true);
+  });
+
+  it("keeps the option scanned first when both were scanned", () => {
+    const { states, complete } = evaluateProgress(quest, { START: 1, LAB: 3, ART: 2, END: 4 });
+    assert.equal(states.LAB, "closed");
+    assert.equal(complete, true);
+  });
+
+  it("must have a required station in every option", () => {
+    const options = { science: ["LAB"], arts: ["ART"] };
+    assert.throws(
+      () =>
+        makeQuest({
+          branches: [{ id: "track", options }],
+          stations: [station("LAB"), station("ART", { optional: true })],
+        }),
+      (err) => err.issues.some((issue) => issue.includes("arts"))
+    );
+  });
+});
@@ -0,0 +1,23 @@
+import { readJson, writeJson } from "../storage/safeStorage";
+
+// ---------------------------
+// Prizes handed out on this staff device
+// ---------------------------
+// Stored as { "<quest id>:<device id>": redeemedAt } so a visitor who resets
+// and finishes again on the same phone is flagged as a duplicate.
+const LS_KEY_REDEEMED = "ohq_redeemed_v1";
+
+function readAll() {
+  return readJson(LS_KEY_REDEEMED, {});
+}
+
+export function getRedemption(questId, deviceId) {
+  return readAll()[`${questId}:${deviceId}`] || null;
+}
+
+export function markRedeemed(questId, deviceId, at = Date.now()) {
+  const all = readAll();
+  all[`${questId}:${deviceId}`] = at;
+  writeJson(LS_KEY_REDEEMED, all);
+  return at;
+}
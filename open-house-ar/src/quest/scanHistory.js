@@ -0,0 +1,125 @@
+// ---------------------------
+// Scan history
+// ---------------------------
+// Every code the visitor scans, types or taps, newest last:
+//
+//   { at, result, stationId, code, via? }
+//
+// result:    "valid"     accepted (the station completes, or its challenge opens)
+//            "duplicate" a station that was already done
+//            "blocked"   a real station the quest rules do not allow yet
+//            "rejected"  names a station but fails the signature or date checks
+//            "unknown"   not one of this quest's codes
+// stationId: null for unknown codes
+// code:      the raw text, only kept (shortened) for unknown codes
+// via:       how the code arrived when not through the camera: "typed" (a
+//            short code, see quest/shortCodes.js), "nfc" (a tag), "link" (a
+//            station link that opened the app), "organiser" (marked done
+//            in the organiser tools) or "team" (found by a teammate's phone,
+//            see team/useTeam.js)
+//
+// The detector reports a code on every frame while it is in view, so the
+// same code is only logged again once it has been out of view for
+// REPEAT_GAP_MS (see createRepeatFilter).
+
+export const MAX_HISTORY = 500;
+const REPEAT_GAP_MS = 10000;
+const MAX_CODE_LENGTH = 80;
+const VIA = ["typed", "nfc", "link", "organiser", "team"];
+
+export function scanEntry(result, { stationId = null, code = null, at = Date.now(), via } = {}) {
+  return {
+    at,
+    result,
+    stationId,
+    code: result === "unknown" && code ? String(code).slice(0, MAX_CODE_LENGTH) : null,
+    ...(VIA.includes(via) && { via }),
+  };
+}
+
+export function appendScan(history, entry) {
+  return [...history, entry].slice(-MAX_HISTORY);
+}
+
+// isRepeat(key) is true while the same code keeps being reported. Several
+// codes can be in view at once, so each key is tracked on its own.
+export function createRepeatFilter(gapMs = REPEAT_GAP_MS) {
+  const lastSeen = new Map(); // key -> time last reported
+  return {
+    isRepeat(key, now = Date.now()) {
+      const repeat = now - (lastSeen.get(key) ?? -Infinity) < gapMs;
+      lastSeen.set(key, now);
+      // Forget codes long out of view so the map stays small
+      lastSeen.forEach((at, k) => now - at >= gapMs && lastSeen.delete(k));
+      return repeat;
+    },
+    reset() {
+      lastSeen.clear();
+    },
+  };
+}
+
+// Drops malformed entries and those for stations no longer in the quest
+export function reconcileHistory(quest, history) {
+  if (!Array.isArray(history)) return [];
+  const ids = new Set(quest.stations.map((s) => s.id));
+  return history
+    .filter(
+      (e) =>
+        e &&
+        Number.isFinite(e.at) &&
+        typeof e.result === "string" &&
+        (e.stationId === null || ids.has(e.stationId))
+    )
+    .slice(-MAX_HISTORY);
+}
+
+// ---------------------------
+// "My journey"
+// ---------------------------
+// Found stations in the order they were found, with the time since the
+// previous one. Stations saved before timestamps existed (true) come last
+// with no time.
+export function journey(quest, progress, history = []) {
+  const found = quest.stations
+    .filter((s) => progress[s.id])
+    .map((s) => ({ id: s.id, name: s.name, at: typeof progress[s.id] === "number" ? progress[s.id] : null }))
+    .sort((a, b) => (a.at ?? Infinity) - (b.at ?? Infinity));
+
+  let previous = null;
+  const steps = found.map((step) => {
+    const gapMs = step.at !== null && previous !== null ? step.at - previous : null;
+    if (step.at !== null) previous = step.at;
+    return { ...step, gapMs };
+  });
+
+  const counts = { valid: 0, duplicate: 0, blocked: 0, rejected: 0, unknown: 0 };
+  history.forEach((e) => (counts[e.result] = (counts[e.result] || 0) + 1));
+
+  const times = steps.map((s) => s.at).filter((at) => at !== null);
+  return {
+    steps,
+    counts,
+    totalScans: history.length,
+    durationMs: times.length > 1 ? times[times.length - 1] - times[0] : null,
+  };
+}
+
+// Everything this device knows about the visit, for "Download my journey"
+export function exportJourney(quest, { progress, completedAt, history }) {
+  const stations = {};
+  quest.stations.forEach((s) => {
+    if (progress[s.id]) stations[s.id] = typeof progress[s.id] === "number" ? new Date(progress[s.id]).toISOString() : null;
+  });
+  return JSON.stringify(
+    {
+      questId: quest.id,
+      exportedAt: new Date().toISOString(),
+      completedAt: completedAt ? new Date(completedAt).toISOString() : null,
+      stations,
+      scans: history.map((e) => ({ ...e, at: new Date(e.at).toISOString() })),
+    },
+    null,
+    2
+  );
+}
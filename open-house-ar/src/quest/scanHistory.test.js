@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_HISTORY,
+  appendScan,
+  createRepeatFilter,
+  exportJourney,
+  journey,
+  reconcileHistory,
+  scanEntry,
+} from "./scanHistory";
+import { validateQuest } from "./schema";
+
+const quest = validateQuest({
+  schemaVersion: 1,
+  id: "test",
+  title: "Test",
+  security: { allowLegacyCodes: true },
+  stations: [
+    { id: "LIBRARY", name: "Library", code: "OPENHOUSE:LIBRARY" },
+    { id: "GYM", name: "Gym", code: "OPENHOUSE:GYM" },
+    { id: "LAB", name: "Lab", code: "OPENHOUSE:LAB" },
+  ],
+});
+
+describe("scanEntry", () => {
+  it("keeps the raw text of unknown codes only, shortened", () => {
+    const unknown = scanEntry("unknown", { code: "x".repeat(200), at: 1 });
+    assert.deepEqual(unknown, { at: 1, result: "unknown", stationId: null, code: "x".repeat(80) });
+    assert.equal(scanEntry("valid", { stationId: "GYM", code: "OPENHOUSE:GYM", at: 1 }).code, null);
+  });
+
+  it("records how the code arrived when it is a known way", () => {
+    assert.equal(scanEntry("valid", { stationId: "GYM", via: "typed" }).via, "typed");
+    assert.equal("via" in scanEntry("valid", { stationId: "GYM", via: "camera" }), false);
+  });
+});
+
+describe("appendScan", () => {
+  it(`keeps the newest ${MAX_HISTORY} entries`, () => {
+    let history = [];
+    for (let at = 0; at < MAX_HISTORY + 5; at++) history = appendScan(history, scanEntry("unknown", { at }));
+    assert.equal(history.length, MAX_HISTORY);
+    assert.equal(history[0].at, 5);
+    assert.equal(history.at(-1).at, MAX_HISTORY + 4);
+  });
+});
+
+describe("createRepeatFilter", () => {
+  it("logs a code again only after it was out of view for the gap", () => {
+    const filter = createRepeatFilter(1000);
+    assert.equal(filter.isRepeat("A", 0), false);
+    assert.equal(filter.isRepeat("A", 500), true);
+    assert.equal(filter.isRepeat("A", 1400), true);
+    assert.equal(filter.isRepeat("B", 1400), false);
+    assert.equal(filter.isRepeat("A", 2400), false);
+  });
+
+  it("forgets every code on reset", () => {
+    const filter = createRepeatFilter(1000);
+    filter.isRepeat("A", 0);
+    filter.reset();
+    assert.equal(filter.isRepeat("A", 10), false);
+  });
+});
+
+describe("reconcileHistory", () => {
+  it("drops malformed entries and stations no longer in the quest", () => {
+    const kept = [scanEntry("valid", { stationId: "GYM", at: 1 }), scanEntry("unknown", { code: "hello", at: 2 })];
+    const history = [
+      ...kept,
+      scanEntry("valid", { stationId: "POOL", at: 3 }),
+      { at: "yesterday", result: "valid", stationId: "GYM" },
+      null,
+    ];
+    assert.deepEqual(reconcileHistory(quest, history), kept);
+    assert.deepEqual(reconcileHistory(quest, "not a list"), []);
+  });
+});
+
+describe("journey", () => {
+  it("lists found stations in order with the time between them", () => {
+    const progress = { LIBRARY: 5000, GYM: 2000, LAB: true };
+    const history = [
+      scanEntry("valid", { stationId: "GYM", at: 2000 }),
+      scanEntry("duplicate", { stationId: "GYM", at: 3000 }),
+      scanEntry("valid", { stationId: "LIBRARY", at: 5000 }),
+    ];
+    const result = journey(quest, progress, history);
+    assert.deepEqual(
+      result.steps.map(({ id, gapMs }) => [id, gapMs]),
+      [
+        ["GYM", null],
+        ["LIBRARY", 3000],
+        ["LAB", null],
+      ]
+    );
+    assert.deepEqual(result.counts, { valid: 2, duplicate: 1, blocked: 0, rejected: 0, unknown: 0 });
+    assert.equal(result.totalScans, 3);
+    assert.equal(result.durationMs, 3000);
+  });
+
+  it("has no duration before a second station", () => {
+    assert.equal(journey(quest, { GYM: 2000 }).durationMs, null);
+  });
+});
+
+describe("exportJourney", () => {
+  it("writes times as ISO text", () => {
+    const history = [scanEntry("valid", { stationId: "GYM", at: 1000 })];
+    const data = JSON.parse(exportJourney(quest, { progress: { GYM: 1000, LAB: true }, completedAt: null, history }));
+    assert.equal(data.questId, "test");
+    assert.equal(data.completedAt, null);
+    assert.deepEqual(data.stations, { GYM: "1970-01-01T00:00:01.000Z", LAB: null });
+    assert.equal(data.scans[0].at, "1970-01-01T00:00:01.000Z");
+  });
+});
@@ -0,0 +1,64 @@
+// ---------------------------
+// Event window and station opening hours
+// ---------------------------
+// quest.schedule: { start: ms | null, end: ms, afterEnd } (see schema.js)
+// station.hours:  [{ from, to }] in minutes after midnight, every day
+//
+// Times are read from the phone's clock: visitors are on site, so the phone
+// is in the event's time zone. Stations a teammate found are checked at the
+// time they were found; organiser overrides are not checked.
+
+// "before" | "open" | "ended"; a quest without a schedule is always open
+export function eventPhase(schedule, now = Date.now()) {
+  if (!schedule) return "open";
+  if (schedule.start && now < schedule.start) return "before";
+  return now >= schedule.end ? "ended" : "open";
+}
+
+// Today at the given minutes after midnight (24:00 is the next midnight)
+function atMinutes(now, minutes) {
+  const day = new Date(now);
+  day.setHours(0, minutes, 0, 0);
+  return day.getTime();
+}
+
+// { open: true } or { open: false, opensAt: ms | null } where null means
+// the station does not open again today
+export function stationOpening(station, now = Date.now()) {
+  if (!station.hours) return { open: true };
+  const ranges = station.hours.map(({ from, to }) => ({ from: atMinutes(now, from), to: atMinutes(now, to) }));
+  if (ranges.some((r) => now >= r.from && now < r.to)) return { open: true };
+  const later = ranges.map((r) => r.from).filter((from) => from > now);
+  return { open: false, opensAt: later.length ? Math.min(...later) : null };
+}
+
+// Why a scan of this station is refused right now, or null:
+//   { reason: "not-started", at: start }
+//   { reason: "ended" }
+//   { reason: "station-closed", at: next opening or null for not again }
+export function checkScanTime(quest, stationId, now = Date.now()) {
+  const { schedule } = quest;
+  const phase = eventPhase(schedule, now);
+  if (phase === "before") return { reason: "not-started", at: schedule.start };
+  if (phase === "ended" && schedule.afterEnd !== "continue") return { reason: "ended" };
+
+  const opening = stationOpening(quest.stations.find((s) => s.id === stationId), now);
+  if (opening.open) return null;
+  const { opensAt } = opening;
+  // An opening after the event is over does not count
+  const reopens = opensAt && !(phase === "open" && schedule && opensAt >= schedule.end);
+  return { reason: "station-closed", at: reopens ? opensAt : null };
+}
+
+// The next moment the event phase or a station's hours change, or null
+export function nextScheduleChange(quest, now = Date.now()) {
+  const times = [];
+  if (quest.schedule) times.push(quest.schedule.start, quest.schedule.end);
+  quest.stations.forEach((s) =>
+    s.hours?.forEach(({ from, to }) => times.push(atMinutes(now, from), atMinutes(now, to)))
+  );
+  // Hours start over at midnight
+  if (quest.stations.some((s) => s.hours)) times.push(atMinutes(now, 24 * 60));
+  const later = times.filter((at) => at && at > now);
+  return later.length ? Math.min(...later) : null;
+}
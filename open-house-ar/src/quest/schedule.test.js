@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkScanTime, eventPhase, nextScheduleChange } from "./schedule";
+import { validateQuest } from "./schema";
+
+// Station hours are read in the phone's time zone, so the test times are too
+const at = (hours, minutes = 0) => new Date(2025, 10, 15, hours, minutes).getTime();
+
+const makeQuest = (afterEnd) =>
+  validateQuest({
+    schemaVersion: 1,
+    id: "test",
+    title: "Test",
+    security: { allowLegacyCodes: true },
+    schedule: { start: new Date(at(9)).toISOString(), end: new Date(at(17)).toISOString(), afterEnd },
+    stations: [
+      { id: "A", name: "A", code: "OPENHOUSE:A" },
+      { id: "LAB", name: "Lab", code: "OPENHOUSE:LAB", hours: ["10:00-12:00", "13:00-18:00"] },
+    ],
+  });
+
+describe("event window", () => {
+  const quest = makeQuest();
+
+  it("has a phase", () => {
+    assert.equal(eventPhase(undefined, at(3)), "open");
+    assert.equal(eventPhase(quest.schedule, at(8)), "before");
+    assert.equal(eventPhase(quest.schedule, at(12)), "open");
+    assert.equal(eventPhase(quest.schedule, at(17)), "ended");
+  });
+
+  it("refuses scans outside the event", () => {
+    assert.deepEqual(checkScanTime(quest, "A", at(8)), { reason: "not-started", at: at(9) });
+    assert.deepEqual(checkScanTime(quest, "A", at(18)), { reason: "ended" });
+    assert.equal(checkScanTime(makeQuest("continue"), "A", at(18)), null);
+  });
+});
+
+describe("station hours", () => {
+  const quest = makeQuest();
+
+  it("refuses scans while the station is closed", () => {
+    assert.equal(checkScanTime(quest, "LAB", at(11)), null);
+    assert.deepEqual(checkScanTime(quest, "LAB", at(12, 30)), { reason: "station-closed", at: at(13) });
+  });
+
+  it("does not promise an opening after the event", () => {
+    const quest = makeQuest();
+    quest.stations[1].hours = [{ from: 10 * 60, to: 12 * 60 }, { from: 17 * 60 + 30, to: 18 * 60 }];
+    assert.deepEqual(checkScanTime(quest, "LAB", at(12, 30)), { reason: "station-closed", at: null });
+  });
+
+  it("finds the next change", () => {
+    assert.equal(nextScheduleChange(quest, at(9, 30)), at(10));
+    assert.equal(nextScheduleChange(quest, at(12)), at(13));
+  });
+});
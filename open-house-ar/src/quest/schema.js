@@ -0,0 +1,733 @@
+import { normalizeShortCode } from "./shortCodes.js";
+
+// ---------------------------
+// Quest definition schema
+// ---------------------------
+// A quest file describes one open house event:
+//
+//   {
+//     "schemaVersion": 1,
+//     "id": "np-openhouse-2025",
+//     "title": "Open House AR Quest",
+//     "prize": "Collect a goodie bag at the info counter",
+//     "security": { "publicKey": "<base64url Ed25519 key>", "eventId": "np-2025" },
+//     "branding": { "subtitle": "Ngee Ann Polytechnic", "accentColor": "#059669" },
+//     "stations": [
+//       { "id": "LIBRARY", "name": "School Library", "code": "OPENHOUSE:LIBRARY", "hint": "..." }
+//     ]
+//   }
+//
+// Optional trail rules (see questRules.js): "mode", "completion",
+// "branches" and per-station "optional". Stations may also carry a quiz
+// "challenge" (see challenges.js), "points" (see scoring.js) and "ar"
+// content shown over the code (see ar/arScene.js). "sync" points scans at an
+// optional organiser backend. "language" names the language the quest text
+// is written in and "translations" (on the quest and on each station)
+// overrides that text per language (see i18n/localizeQuest.js). Stations
+// may set the "shortCode" (or, with signed codes only, "shortCodeHash") for
+// typing in instead of scanning, and "manualEntry" turns typing on or off
+// (see shortCodes.js). "organiser"
+// holds the hashed PIN for the organiser tools (see organiser/pin.js).
+// "team" lets families share one quest across several phones (see src/team/).
+// "map" holds floor plans and stations place a "pin" on them (see
+// components/CampusMap.jsx). "schedule" limits scanning to the event and
+// stations may have opening "hours" (see schedule.js).
+
+export const QUEST_SCHEMA_VERSION = 1;
+
+// Signed-only quests put a 64-byte proof per station into the completion
+// code; beyond this many stations it no longer fits a QR code phones can scan
+// off another phone's screen (see stationProofs.js).
+export const MAX_SIGNED_STATIONS = 12;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const BASE64URL_KEY = /^[A-Za-z0-9_-]{43}$/;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const PIN_HASH = /^pbkdf2-sha256:\d+:[A-Za-z0-9_-]+:[A-Za-z0-9_-]{43}$/;
+const SHORT_CODE = /^[A-Za-z0-9][A-Za-z0-9 -]{2,14}[A-Za-z0-9]$/;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+const isWholeNumber = (v) => Number.isInteger(v) && v >= 0;
+
+export class QuestError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "QuestError";
+    this.issues = issues;
+  }
+}
+
+// ---------------------------
+// Station challenge (quiz after scanning)
+// ---------------------------
+const CHALLENGE_TYPES = ["choice", "text", "number"];
+
+function validateChallenge(challenge, at, issues) {
+  if (challenge === undefined) return undefined;
+  if (!isObject(challenge)) {
+    issues.push(`${at} must be an object`);
+    return undefined;
+  }
+
+  const { type, question, choices, answer, answers, tolerance, retries, lockoutSeconds, explanation } =
+    challenge;
+  if (!CHALLENGE_TYPES.includes(type)) {
+    issues.push(`${at}.type must be one of ${CHALLENGE_TYPES.join(", ")}`);
+  }
+  if (!isNonEmptyString(question)) issues.push(`${at}.question is missing`);
+
+  if (type === "choice") {
+    if (!Array.isArray(choices) || choices.length < 2 || !choices.every(isNonEmptyString)) {
+      issues.push(`${at}.choices must list at least two options`);
+    } else if (!Number.isInteger(answer) || answer < 0 || answer >= choices.length) {
+      issues.push(`${at}.answer must be the index (0-based) of the correct choice`);
+    }
+  }
+  if (type === "text" && !(Array.isArray(answers) && answers.length > 0 && answers.every(isNonEmptyString))) {
+    issues.push(`${at}.answers must list the accepted answers`);
+  }
+  if (type === "number") {
+    if (typeof answer !== "number") issues.push(`${at}.answer must be a number`);
+    if (tolerance !== undefined && !(typeof tolerance === "number" && tolerance >= 0)) {
+      issues.push(`${at}.tolerance must be a number of 0 or more`);
+    }
+  }
+  if (retries !== undefined && !isWholeNumber(retries)) {
+    issues.push(`${at}.retries must be a whole number of 0 or more`);
+  }
+  if (lockoutSeconds !== undefined && !isWholeNumber(lockoutSeconds)) {
+    issues.push(`${at}.lockoutSeconds must be a whole number of 0 or more`);
+  }
+  if (explanation !== undefined && typeof explanation !== "string") {
+    issues.push(`${at}.explanation must be text`);
+  }
+
+  return {
+    type,
+    question: question?.trim(),
+    choices: type === "choice" ? choices : undefined,
+    answer: type === "text" ? undefined : answer,
+    answers: type === "text" ? answers : undefined,
+    tolerance: type === "number" ? tolerance ?? 0 : undefined,
+    retries,
+    lockoutSeconds: lockoutSeconds ?? 60,
+    explanation: explanation?.trim() || undefined,
+  };
+}
+
+// ---------------------------
+// Station AR content
+// ---------------------------
+const AR_TYPES = ["badge", "card", "model"];
+
+function validateAr(ar, at, issues) {
+  if (ar === undefined) return undefined;
+  if (!isObject(ar)) {
+    issues.push(`${at} must be an object`);
+    return undefined;
+  }
+
+  const { type, text, title, body, color, src, scale } = ar;
+  if (!AR_TYPES.includes(type)) issues.push(`${at}.type must be one of ${AR_TYPES.join(", ")}`);
+  if (color !== undefined && !HEX_COLOR.test(color)) issues.push(`${at}.color must look like #10b981`);
+  if (type === "card" && !isNonEmptyString(title)) issues.push(`${at}.title is missing`);
+  if (type === "model") {
+    if (!isNonEmptyString(src)) issues.push(`${at}.src must point to a .glb or .gltf file`);
+    if (scale !== undefined && !(typeof scale === "number" && scale > 0)) {
+      issues.push(`${at}.scale must be a number above 0`);
+    }
+  }
+
+  return {
+    type,
+    text: type === "badge" ? text : undefined,
+    title: type === "card" ? title : undefined,
+    body: type === "card" ? body : undefined,
+    color,
+    src: type === "model" ? src : undefined,
+    scale: type === "model" ? scale ?? 1 : undefined,
+  };
+}
+
+// ---------------------------
+// Translations
+// ---------------------------
+//   "translations": { "zh": { "name": "图书馆", "hint": "…" }, "ms": { … } }
+//
+// Quests may translate title and prize; stations name and hint, plus
+// "challenge" (question, choices, answers, explanation) and "ar" (text,
+// title, body). Anything left out shows in the quest's own language.
+function validateTexts(texts, fields, at, issues) {
+  const out = {};
+  fields.forEach((field) => {
+    if (texts[field] === undefined) return;
+    if (isNonEmptyString(texts[field])) out[field] = texts[field].trim();
+    else issues.push(`${at}.${field} must be text`);
+  });
+  return out;
+}
+
+function validateTranslations(translations, at, issues, validateOne) {
+  if (translations === undefined) return undefined;
+  if (!isObject(translations)) {
+    issues.push(`${at} must map language codes to translated text`);
+    return undefined;
+  }
+  const out = {};
+  Object.entries(translations).forEach(([lang, texts]) => {
+    if (!LANGUAGE_CODE.test(lang)) issues.push(`${at}: "${lang}" is not a language code such as "zh" or "ms"`);
+    else if (!isObject(texts)) issues.push(`${at}.${lang} must be an object`);
+    else out[lang] = validateOne(texts, `${at}.${lang}`);
+  });
+  return out;
+}
+
+function validateStationTranslation(texts, at, station, issues) {
+  const out = validateTexts(texts, ["name", "hint"], at, issues);
+  const { challenge, ar } = station;
+
+  if (texts.challenge !== undefined) {
+    if (!isObject(texts.challenge) || !challenge) {
+      issues.push(`${at}.challenge needs a matching station challenge`);
+    } else {
+      const t = texts.challenge;
+      out.challenge = validateTexts(t, ["question", "explanation"], `${at}.challenge`, issues);
+      if (t.choices !== undefined) {
+        // Choices are matched by position, so the list must line up
+        const count = challenge.choices?.length ?? 0;
+        if (
+          challenge.type !== "choice" ||
+          !Array.isArray(t.choices) ||
+          t.choices.length !== count ||
+          !t.choices.every(isNonEmptyString)
+        ) {
+          issues.push(`${at}.challenge.choices must translate each of the ${count} choices in order`);
+        } else {
+          out.challenge.choices = t.choices.map((c) => c.trim());
+        }
+      }
+      if (t.answers !== undefined) {
+        if (challenge.type !== "text" || !Array.isArray(t.answers) || !t.answers.every(isNonEmptyString)) {
+          issues.push(`${at}.challenge.answers must list accepted answers for a text challenge`);
+        } else {
+          out.challenge.answers = t.answers;
+        }
+      }
+    }
+  }
+
+  if (texts.ar !== undefined) {
+    if (!isObject(texts.ar) || !ar) issues.push(`${at}.ar needs matching station ar content`);
+    else out.ar = validateTexts(texts.ar, ["text", "title", "body"], `${at}.ar`, issues);
+  }
+  return out;
+}
+
+// ---------------------------
+// Station validation
+// ---------------------------
+function validateStation(station, index, issues) {
+  const at = `stations[${index}]`;
+  if (!isObject(station)) {
+    issues.push(`${at} must be an object`);
+    return null;
+  }
+
+  if (!isNonEmptyString(station.id)) {
+    issues.push(`${at}.id is missing`);
+  } else if (!ID_PATTERN.test(station.id)) {
+    issues.push(`${at}.id "${station.id}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (!isNonEmptyString(station.name)) issues.push(`${at}.name is missing`);
+  if (!isNonEmptyString(station.code)) {
+    issues.push(`${at}.code is missing`);
+  } else if (station.code.includes(";")) {
+    issues.push(`${at}.code must not contain ";" (reserved for signed codes)`);
+  }
+  if (station.hint !== undefined && typeof station.hint !== "string") {
+    issues.push(`${at}.hint must be text`);
+  }
+  const { shortCode, shortCodeHash } = station;
+  if (shortCode !== undefined && !(typeof shortCode === "string" && SHORT_CODE.test(shortCode))) {
+    issues.push(`${at}.shortCode must be 4 to 16 letters or digits (spaces and "-" allowed inside)`);
+  }
+  if (shortCodeHash !== undefined && !(typeof shortCodeHash === "string" && PIN_HASH.test(shortCodeHash))) {
+    issues.push(`${at}.shortCodeHash must come from \`npm run sign-codes -- short-codes\``);
+  }
+  if (station.optional !== undefined && typeof station.optional !== "boolean") {
+    issues.push(`${at}.optional must be true or false`);
+  }
+  const challenge = validateChallenge(station.challenge, `${at}.challenge`, issues);
+  if (station.points !== undefined && !isWholeNumber(station.points)) {
+    issues.push(`${at}.points must be a whole number of 0 or more`);
+  }
+  const ar = validateAr(station.ar, `${at}.ar`, issues);
+  const pin = validatePin(station.pin, `${at}.pin`, issues);
+  const hours = validateHours(station.hours, `${at}.hours`, issues);
+  const translations = validateTranslations(station.translations, `${at}.translations`, issues, (texts, where) =>
+    validateStationTranslation(texts, where, { challenge, ar }, issues)
+  );
+
+  return {
+    id: String(station.id ?? "").trim(),
+    name: String(station.name ?? "").trim(),
+    code: String(station.code ?? "").trim(),
+    shortCode: station.shortCode || undefined,
+    shortCodeHash: station.shortCodeHash || undefined,
+    hint: station.hint?.trim() || undefined,
+    optional: station.optional === true,
+    challenge,
+    points: station.points,
+    ar,
+    pin,
+    hours,
+    translations,
+  };
+}
+
+// ---------------------------
+// Security block (see stationCodes.js)
+// ---------------------------
+// Either a publicKey for signed codes or an explicit opt-in to plain
+// OPENHOUSE:<ID> codes is required.
+function validateSecurity(security, issues) {
+  if (security === undefined) {
+    issues.push("security is missing: set security.publicKey or security.allowLegacyCodes");
+    return undefined;
+  }
+  if (!isObject(security)) {
+    issues.push("security must be an object");
+    return undefined;
+  }
+
+  const { publicKey, eventId, allowLegacyCodes } = security;
+  if (publicKey !== undefined && !(typeof publicKey === "string" && BASE64URL_KEY.test(publicKey))) {
+    issues.push("security.publicKey must be a base64url Ed25519 public key (43 characters)");
+  }
+  if (eventId !== undefined && !isNonEmptyString(eventId)) {
+    issues.push("security.eventId must be text");
+  }
+  if (allowLegacyCodes !== undefined && typeof allowLegacyCodes !== "boolean") {
+    issues.push("security.allowLegacyCodes must be true or false");
+  }
+  if (!publicKey && allowLegacyCodes !== true) {
+    issues.push("security needs a publicKey unless allowLegacyCodes is true");
+  }
+
+  return {
+    publicKey: publicKey || undefined,
+    eventId: eventId?.trim() || undefined,
+    allowLegacyCodes: allowLegacyCodes === true,
+  };
+}
+
+// ---------------------------
+// Branding block (printed posters)
+// ---------------------------
+function validateBranding(branding, issues) {
+  if (branding === undefined) return undefined;
+  if (!isObject(branding)) {
+    issues.push("branding must be an object");
+    return undefined;
+  }
+  if (branding.subtitle !== undefined && typeof branding.subtitle !== "string") {
+    issues.push("branding.subtitle must be text");
+  }
+  if (branding.accentColor !== undefined && !HEX_COLOR.test(branding.accentColor)) {
+    issues.push('branding.accentColor must be a hex colour such as "#059669"');
+  }
+  return {
+    subtitle: branding.subtitle?.trim() || undefined,
+    accentColor: branding.accentColor || undefined,
+  };
+}
+
+// ---------------------------
+// Scoring block (see scoring.js)
+// ---------------------------
+function validateScoring(scoring, issues) {
+  if (scoring === undefined) return undefined;
+  if (!isObject(scoring)) {
+    issues.push("scoring must be an object");
+    return undefined;
+  }
+
+  ["stationPoints", "quizBonus", "streakBonus"].forEach((key) => {
+    if (scoring[key] !== undefined && !isWholeNumber(scoring[key])) {
+      issues.push(`scoring.${key} must be a whole number of 0 or more`);
+    }
+  });
+  if (scoring.leaderboardSize !== undefined && !(isWholeNumber(scoring.leaderboardSize) && scoring.leaderboardSize > 0)) {
+    issues.push("scoring.leaderboardSize must be a whole number above 0");
+  }
+
+  let timeBonus;
+  if (scoring.timeBonus !== undefined) {
+    const { targetMinutes, pointsPerMinute } = scoring.timeBonus || {};
+    if (!(typeof targetMinutes === "number" && targetMinutes > 0) || !isWholeNumber(pointsPerMinute)) {
+      issues.push("scoring.timeBonus needs targetMinutes (> 0) and pointsPerMinute (whole number)");
+    } else {
+      timeBonus = { targetMinutes, pointsPerMinute };
+    }
+  }
+
+  return {
+    stationPoints: scoring.stationPoints ?? 100,
+    quizBonus: scoring.quizBonus ?? 0,
+    streakBonus: scoring.streakBonus ?? 0,
+    timeBonus,
+    leaderboardSize: scoring.leaderboardSize ?? 10,
+  };
+}
+
+// ---------------------------
+// Optional organiser backend (see src/sync/)
+// ---------------------------
+//   "sync": { "endpoint": "https://organiser.example.org/ohq" }
+function validateSync(sync, issues) {
+  if (sync === undefined) return undefined;
+  if (!isObject(sync) || !isNonEmptyString(sync.endpoint)) {
+    issues.push("sync.endpoint must be the backend URL");
+    return undefined;
+  }
+  let url;
+  try {
+    url = new URL(sync.endpoint);
+  } catch {
+    url = null;
+  }
+  if (!url || !/^https?:$/.test(url.protocol)) {
+    issues.push("sync.endpoint must be an absolute http(s) URL");
+    return undefined;
+  }
+  return { endpoint: sync.endpoint.trim().replace(/\/+$/, "") };
+}
+
+// ---------------------------
+// Organiser tools (see organiser/pin.js)
+// ---------------------------
+//   "organiser": { "pinHash": "pbkdf2-sha256:210000:<salt>:<hash>" }
+// Without it the quest offers no organiser tools at all.
+function validateOrganiser(organiser, issues) {
+  if (organiser === undefined) return undefined;
+  if (!isObject(organiser) || !(typeof organiser.pinHash === "string" && PIN_HASH.test(organiser.pinHash))) {
+    issues.push("organiser.pinHash must be a PIN hash from `npm run sign-codes -- pin <PIN>`");
+    return undefined;
+  }
+  return { pinHash: organiser.pinHash };
+}
+
+// ---------------------------
+// Campus map (see components/CampusMap.jsx)
+// ---------------------------
+//   "map": { "floors": [{ "id": "G", "name": "Ground floor", "image": "maps/ground.svg" }] }
+//
+// Images are resolved like quest files (relative to the site root). A
+// station's "pin": { "floor": "G", "x": 0.42, "y": 0.61 } places it on a
+// floor; x and y are fractions of the image's width and height from its top
+// left corner. The pin editor at #/map writes them.
+function validateMap(map, issues) {
+  if (map === undefined) return undefined;
+  if (!isObject(map) || !Array.isArray(map.floors) || map.floors.length === 0) {
+    issues.push("map.floors must be a non-empty list");
+    return undefined;
+  }
+  const seen = new Set();
+  const floors = map.floors.map((floor, i) => {
+    const at = `map.floors[${i}]`;
+    if (!isObject(floor)) {
+      issues.push(`${at} must be an object`);
+      return null;
+    }
+    if (!(isNonEmptyString(floor.id) && ID_PATTERN.test(floor.id))) {
+      issues.push(`${at}.id may only contain letters, digits, "-" and "_"`);
+    } else if (seen.has(floor.id)) {
+      issues.push(`${at}.id "${floor.id}" is used twice`);
+    }
+    seen.add(floor.id);
+    if (!isNonEmptyString(floor.name)) issues.push(`${at}.name is missing`);
+    if (!isNonEmptyString(floor.image)) issues.push(`${at}.image must point to an image or SVG file`);
+    return { id: floor.id, name: String(floor.name ?? "").trim(), image: String(floor.image ?? "").trim() };
+  });
+  return { floors: floors.filter(Boolean) };
+}
+
+const isFraction = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+function validatePin(pin, at, issues) {
+  if (pin === undefined) return undefined;
+  if (!isObject(pin) || !isNonEmptyString(pin.floor) || !isFraction(pin.x) || !isFraction(pin.y)) {
+    issues.push(`${at} must be { "floor": "<floor id>", "x": 0–1, "y": 0–1 }`);
+    return undefined;
+  }
+  return { floor: pin.floor, x: pin.x, y: pin.y };
+}
+
+// ---------------------------
+// Event window and opening hours (see schedule.js)
+// ---------------------------
+//   "schedule": { "start": "2025-11-15T09:00:00+08:00", "end": "2025-11-15T16:00:00+08:00",
+//                 "afterEnd": "close" }
+//
+// "end" is required, "start" optional; times without an offset are the
+// phone's local time. "afterEnd" is what happens to quests not finished by
+// the end: "close" stops scanning, "finish" ends them as they stand with a
+// completion code for the stations found, "continue" keeps scanning open.
+// Stations may have daily "hours": ["09:00-12:00", "13:00-16:00"].
+const AFTER_END = ["close", "finish", "continue"];
+const HOURS_RANGE = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+function validateSchedule(schedule, issues) {
+  if (schedule === undefined) return undefined;
+  if (!isObject(schedule)) {
+    issues.push("schedule must be an object");
+    return undefined;
+  }
+  const time = (field) => {
+    const value = schedule[field];
+    if (value === undefined) return null;
+    const ms = typeof value === "string" ? Date.parse(value) : NaN;
+    if (Number.isNaN(ms)) issues.push(`schedule.${field} must be a date and time such as "2025-11-15T09:00:00+08:00"`);
+    return ms;
+  };
+  const start = time("start");
+  const end = time("end");
+  if (schedule.end === undefined) issues.push("schedule.end is missing");
+  else if (start !== null && start >= end) issues.push("schedule.end must be after schedule.start");
+  const { afterEnd = "close" } = schedule;
+  if (!AFTER_END.includes(afterEnd)) {
+    issues.push(`schedule.afterEnd must be one of ${AFTER_END.map((a) => `"${a}"`).join(", ")}`);
+  }
+  return { start, end, afterEnd };
+}
+
+// Each range in minutes after midnight: { from, to }
+function validateHours(hours, at, issues) {
+  if (hours === undefined) return undefined;
+  if (!Array.isArray(hours) || hours.length === 0) {
+    issues.push(`${at} must be a list such as ["09:00-12:00", "13:00-16:00"]`);
+    return undefined;
+  }
+  return hours
+    .map((range, i) => {
+      const m = typeof range === "string" ? HOURS_RANGE.exec(range.trim()) : null;
+      const from = m && Number(m[1]) * 60 + Number(m[2]);
+      const to = m && Number(m[3]) * 60 + Number(m[4]);
+      if (!m || to > 24 * 60 || from >= to) {
+        issues.push(`${at}[${i}] must be a time range such as "09:00-12:00"`);
+        return null;
+      }
+      return { from, to };
+    })
+    .filter(Boolean);
+}
+
+// ---------------------------
+// Team play (see src/team/)
+// ---------------------------
+//   "team": { "maxMembers": 4, "stun": ["stun:stun.example.org:3478"] }
+// Without it every phone plays on its own. Phones on the same Wi-Fi connect
+// directly; "stun" servers help phones on mobile data find each other.
+const TEAM_SIZE = { min: 2, max: 8, default: 4 };
+
+function validateTeam(team, issues) {
+  if (team === undefined) return undefined;
+  if (!isObject(team)) {
+    issues.push("team must be an object");
+    return undefined;
+  }
+  const maxMembers = team.maxMembers ?? TEAM_SIZE.default;
+  if (!(Number.isInteger(maxMembers) && maxMembers >= TEAM_SIZE.min && maxMembers <= TEAM_SIZE.max)) {
+    issues.push(`team.maxMembers must be a whole number from ${TEAM_SIZE.min} to ${TEAM_SIZE.max}`);
+  }
+  const stun = team.stun ?? [];
+  if (!Array.isArray(stun) || !stun.every((url) => typeof url === "string" && /^stuns?:/.test(url))) {
+    issues.push('team.stun must be a list of "stun:" server addresses');
+  }
+  return { maxMembers, stun };
+}
+
+// ---------------------------
+// Trail rules: mode, "N of M" completion, branches
+// ---------------------------
+const MODES = ["free", "sequential"];
+
+function validateRules(raw, stations, issues) {
+  const mode = raw.mode ?? "free";
+  if (!MODES.includes(mode)) issues.push(`mode must be one of ${MODES.join(", ")}`);
+
+  let completion;
+  if (raw.completion !== undefined) {
+    const count = raw.completion?.count;
+    if (!isObject(raw.completion) || !Number.isInteger(count) || count < 1 || count > stations.length) {
+      issues.push(`completion.count must be a whole number from 1 to ${stations.length}`);
+    } else {
+      completion = { count };
+    }
+  }
+
+  const byId = new Map(stations.filter(Boolean).map((s) => [s.id, s]));
+  const claimed = new Map();
+  let branches = [];
+  if (raw.branches !== undefined) {
+    if (!Array.isArray(raw.branches)) {
+      issues.push("branches must be a list");
+    } else {
+      branches = raw.branches.map((branch, i) => {
+        const at = `branches[${i}]`;
+        if (!isObject(branch) || !isNonEmptyString(branch.id) || !isObject(branch.options)) {
+          issues.push(`${at} needs an id and an options object`);
+          return null;
+        }
+        const entries = Object.entries(branch.options);
+        if (entries.length < 2) issues.push(`${at}.options needs at least two paths`);
+        entries.forEach(([option, ids]) => {
+          if (!Array.isArray(ids) || ids.length === 0) {
+            issues.push(`${at}.options.${option} must list station ids`);
+            return;
+          }
+          ids.forEach((id) => {
+            if (!byId.has(id)) issues.push(`${at}.options.${option} refers to unknown station "${id}"`);
+            else if (claimed.has(id)) issues.push(`station "${id}" appears in both ${claimed.get(id)} and ${at}`);
+            else claimed.set(id, at);
+          });
+          // The trail points visitors at an option's first required station
+          if (ids.every((id) => byId.get(id)?.optional)) {
+            issues.push(`${at}.options.${option} needs at least one station that is not optional`);
+          }
+        });
+        return { id: branch.id.trim(), options: branch.options };
+      });
+    }
+  }
+
+  return { mode, completion, branches: branches.filter(Boolean) };
+}
+
+// ---------------------------
+// Quest validation
+// ---------------------------
+// Returns the normalised quest, or throws a QuestError listing every problem
+// found so organisers can fix the file in one pass.
+export function validateQuest(raw) {
+  const issues = [];
+
+  if (!isObject(raw)) {
+    throw new QuestError("Quest file must contain an object", ["top level is not an object"]);
+  }
+
+  if (raw.schemaVersion !== QUEST_SCHEMA_VERSION) {
+    issues.push(
+      `schemaVersion must be ${QUEST_SCHEMA_VERSION} (found ${JSON.stringify(raw.schemaVersion)})`
+    );
+  }
+  if (!isNonEmptyString(raw.id)) issues.push("id is missing");
+  if (!isNonEmptyString(raw.title)) issues.push("title is missing");
+  if (raw.prize !== undefined && typeof raw.prize !== "string") issues.push("prize must be text");
+  if (raw.manualEntry !== undefined && typeof raw.manualEntry !== "boolean") {
+    issues.push("manualEntry must be true or false");
+  }
+  if (raw.language !== undefined && !(typeof raw.language === "string" && LANGUAGE_CODE.test(raw.language))) {
+    issues.push('language must be a language code such as "en"');
+  }
+  const translations = validateTranslations(raw.translations, "translations", issues, (texts, where) =>
+    validateTexts(texts, ["title", "prize"], where, issues)
+  );
+  const security = validateSecurity(raw.security, issues);
+  const branding = validateBranding(raw.branding, issues);
+  const scoring = validateScoring(raw.scoring, issues);
+  const sync = validateSync(raw.sync, issues);
+  const organiser = validateOrganiser(raw.organiser, issues);
+  const team = validateTeam(raw.team, issues);
+  const map = validateMap(raw.map, issues);
+  const schedule = validateSchedule(raw.schedule, issues);
+
+  let stations = [];
+  if (!Array.isArray(raw.stations) || raw.stations.length === 0) {
+    issues.push("stations must be a non-empty list");
+  } else {
+    stations = raw.stations.map((s, i) => validateStation(s, i, issues));
+
+    const seenIds = new Map();
+    const seenCodes = new Map();
+    const seenShortCodes = new Map();
+    stations.forEach((s, i) => {
+      if (!s) return;
+      if (s.id) {
+        if (seenIds.has(s.id)) {
+          issues.push(`stations[${i}].id "${s.id}" duplicates stations[${seenIds.get(s.id)}]`);
+        } else {
+          seenIds.set(s.id, i);
+        }
+      }
+      const code = s.code.toUpperCase();
+      if (code) {
+        if (seenCodes.has(code)) {
+          issues.push(`stations[${i}].code "${s.code}" duplicates stations[${seenCodes.get(code)}]`);
+        } else {
+          seenCodes.set(code, i);
+        }
+      }
+      const short = s.shortCode && normalizeShortCode(s.shortCode);
+      if (short) {
+        if (seenShortCodes.has(short)) {
+          issues.push(`stations[${i}].shortCode "${s.shortCode}" duplicates stations[${seenShortCodes.get(short)}]`);
+        } else {
+          seenShortCodes.set(short, i);
+        }
+      }
+    });
+  }
+
+  const floorIds = new Set(map?.floors.map((f) => f.id));
+  stations.forEach((s, i) => {
+    if (s?.pin && !floorIds.has(s.pin.floor)) {
+      issues.push(`stations[${i}].pin.floor "${s.pin.floor}" is not one of the map's floors`);
+    }
+  });
+
+  const rules = validateRules(raw, stations, issues);
+
+  // Typing is off by default once codes are signed. Without unsigned codes, a
+  // short code in the public quest file would check in without a signature.
+  const manualEntry = raw.manualEntry ?? !security?.publicKey;
+  if (security && !security.allowLegacyCodes) {
+    stations.forEach((s, i) => {
+      if (s?.shortCode) issues.push(`stations[${i}].shortCode is public; use shortCodeHash for signed-only quests`);
+    });
+    if (manualEntry && !stations.some((s) => s?.shortCodeHash)) {
+      issues.push("manualEntry needs stations[].shortCodeHash from `npm run sign-codes -- short-codes`");
+    }
+    if (stations.length > MAX_SIGNED_STATIONS) {
+      issues.push(
+        `signed-only quests support at most ${MAX_SIGNED_STATIONS} stations so the completion QR code stays scannable`
+      );
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new QuestError("Quest definition is invalid", issues);
+  }
+
+  return {
+    schemaVersion: raw.schemaVersion,
+    id: raw.id.trim(),
+    title: raw.title.trim(),
+    prize: raw.prize?.trim() || undefined,
+    language: raw.language || "en",
+    manualEntry,
+    translations,
+    security,
+    branding,
+    scoring,
+    sync,
+    organiser,
+    team,
+    map,
+    schedule,
+    ...rules,
+    stations,
+  };
+}
@@ -0,0 +1,56 @@
+import { evaluateProgress } from "./questRules";
+
+// ---------------------------
+// Scoring
+// ---------------------------
+// Enabled by a "scoring" block in the quest file:
+//
+//   "scoring": {
+//     "stationPoints": 100,          // per station, unless station.points is set
+//     "quizBonus": 50,               // challenge answered on the first try
+//     "streakBonus": 25,             // each further first-try answer in a row
+//     "timeBonus": { "targetMinutes": 30, "pointsPerMinute": 10 },
+//     "leaderboardSize": 10
+//   }
+//
+// The score is derived only from scan times and challenge attempts, so the
+// staff verifier can recompute it from a completion token.
+
+const firstTry = (record) => !(record?.wrong > 0);
+
+// progress: station.id -> time scanned in ms (true when unknown)
+// challengeState: station.id -> { wrong }
+export function computeScore(quest, progress, challengeState = {}) {
+  const cfg = quest.scoring;
+  if (!cfg) return null;
+
+  const done = quest.stations.filter((s) => progress[s.id]);
+  const base = done.reduce((sum, s) => sum + (s.points ?? cfg.stationPoints), 0);
+
+  // Quiz accuracy and streaks, in the order challenges were completed
+  let quizBonus = 0;
+  let streakBonus = 0;
+  let streak = 0;
+  done
+    .filter((s) => s.challenge)
+    .sort((a, b) => Number(progress[a.id]) - Number(progress[b.id]))
+    .forEach((s) => {
+      if (firstTry(challengeState[s.id])) {
+        quizBonus += cfg.quizBonus;
+        streak += 1;
+        if (streak >= 2) streakBonus += cfg.streakBonus;
+      } else {
+        streak = 0;
+      }
+    });
+
+  // Time bonus for finishing faster than the target
+  let timeBonus = 0;
+  const times = done.map((s) => progress[s.id]).filter((t) => typeof t === "number" && t > 0);
+  if (cfg.timeBonus && times.length > 1 && evaluateProgress(quest, progress).complete) {
+    const minutes = (Math.max(...times) - Math.min(...times)) / 60000;
+    timeBonus = Math.round(Math.max(0, cfg.timeBonus.targetMinutes - minutes) * cfg.timeBonus.pointsPerMinute);
+  }
+
+  return { total: base + quizBonus + streakBonus + timeBonus, base, quizBonus, streakBonus, timeBonus };
+}
@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeScore } from "./scoring";
+import { validateQuest } from "./schema";
+
+const challenge = { type: "choice", question: "?", choices: ["a", "b"], answer: 0 };
+const quest = validateQuest({
+  schemaVersion: 1,
+  id: "test",
+  title: "Test",
+  security: { allowLegacyCodes: true },
+  scoring: {
+    stationPoints: 100,
+    quizBonus: 50,
+    streakBonus: 25,
+    timeBonus: { targetMinutes: 30, pointsPerMinute: 10 },
+  },
+  stations: [
+    { id: "A", name: "A", code: "OPENHOUSE:A", challenge },
+    { id: "B", name: "B", code: "OPENHOUSE:B", challenge, points: 200 },
+    { id: "C", name: "C", code: "OPENHOUSE:C", challenge },
+  ],
+});
+const minutes = (m) => m * 60000;
+
+describe("computeScore", () => {
+  it("is null without a scoring block", () => {
+    assert.equal(computeScore({ ...quest, scoring: undefined }, { A: 1 }), null);
+  });
+
+  it("adds station points, quiz and streak bonuses and the time bonus", () => {
+    const progress = { A: minutes(1), B: minutes(11), C: minutes(21) };
+    assert.deepEqual(computeScore(quest, progress), {
+      total: 400 + 150 + 50 + 100,
+      base: 400,
+      quizBonus: 150,
+      streakBonus: 50,
+      timeBonus: 100,
+    });
+  });
+
+  it("breaks the streak on a wrong answer and gives no time bonus before finishing", () => {
+    const score = computeScore(quest, { A: minutes(1), B: minutes(2) }, { A: { wrong: 1 } });
+    assert.equal(score.quizBonus, 50);
+    assert.equal(score.streakBonus, 0);
+    assert.equal(score.timeBonus, 0);
+  });
+});
@@ -0,0 +1,101 @@
+import { importPrivateKey } from "./stationCodes.js";
+import { hashPin, verifyPin } from "../organiser/pin.js";
+
+// ---------------------------
+// Short codes for typing instead of scanning
+// ---------------------------
+// Every poster prints a short code such as "7KQ-M2D" under its QR, so
+// visitors who cannot use the camera can still check in. "manualEntry" turns
+// typing on or off; it is off by default for quests with a public key.
+//
+// Quests that accept unsigned codes (security.allowLegacyCodes) use the
+// station's "shortCode" from the quest file, or else a code derived from the
+// quest id, event id and station code. Anyone can work those out from the
+// public quest file, but the same file already holds the unsigned codes.
+//
+// Quests that only accept signed codes must not publish working codes, so
+// their codes are derived with the private key and the quest file only holds
+// a salted hash of each ("shortCodeHash", same format as the organiser PIN).
+// `npm run sign-codes -- short-codes` prints both; the poster studio prints
+// the codes once the private key is pasted in.
+//
+// Derived codes use Crockford base32 (no I, L, O or U) and typing is
+// forgiving: case, spaces and dashes are ignored and O/I/L read as 0/1/1.
+// (Imported by schema.js and scripts/sign-codes.js, hence the .js imports.)
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const LENGTH = 6;
+
+export function normalizeShortCode(text) {
+  return String(text ?? "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+}
+
+// Printed as "7KQ-M2D"
+function formatShortCode(bytes) {
+  let code = "";
+  for (let i = 0; i < LENGTH; i++) code += ALPHABET[bytes[i] % ALPHABET.length];
+  return `${code.slice(0, 3)}-${code.slice(3)}`;
+}
+
+function shortCodeSeed(quest, station) {
+  return `${quest.id}|${quest.security?.eventId || ""}|${station.code.toUpperCase()}`;
+}
+
+async function deriveShortCode(quest, station) {
+  const seed = new TextEncoder().encode(shortCodeSeed(quest, station));
+  return formatShortCode(new Uint8Array(await crypto.subtle.digest("SHA-256", seed)));
+}
+
+// Ed25519 signatures are deterministic, so signing the seed gives the same
+// code every time and nobody without the private key can work it out
+export async function keyedShortCode(quest, station, privateKey) {
+  const key = typeof privateKey === "string" ? await importPrivateKey(privateKey) : privateKey;
+  const seed = new TextEncoder().encode(`short-code|${shortCodeSeed(quest, station)}`);
+  const sig = await crypto.subtle.sign("Ed25519", key, seed);
+  return formatShortCode(new Uint8Array(await crypto.subtle.digest("SHA-256", sig)));
+}
+
+export function hashShortCode(code) {
+  return hashPin(normalizeShortCode(code));
+}
+
+// Resolves to stationId -> printable short code ({} when typing is off).
+// Quests that only accept signed codes need the private key (as from
+// `sign-codes keygen`); stations without a shortCodeHash get no code.
+export async function stationShortCodes(quest, privateKey) {
+  if (!quest.manualEntry) return {};
+  const codes = {};
+  const key = privateKey ? await importPrivateKey(privateKey) : null;
+  for (const station of quest.stations) {
+    if (quest.security.allowLegacyCodes) {
+      codes[station.id] = station.shortCode?.toUpperCase() || (await deriveShortCode(quest, station));
+    } else if (key && station.shortCodeHash) {
+      codes[station.id] = await keyedShortCode(quest, station, key);
+    }
+  }
+  return codes;
+}
+
+// match(text) resolves to { ok: true, id } or { ok: false, reason: "unknown" }
+export function createShortCodeMatcher(quest) {
+  let index = null;
+  const hashed = quest.security.allowLegacyCodes ? [] : quest.stations.filter((s) => s.shortCodeHash);
+  return async function match(text) {
+    if (!quest.manualEntry) return { ok: false, reason: "unknown" };
+    if (!index) {
+      const codes = await stationShortCodes(quest);
+      index = new Map(Object.entries(codes).map(([id, code]) => [normalizeShortCode(code), id]));
+    }
+    const typed = normalizeShortCode(text);
+    let id = index.get(typed);
+    if (!id && typed.length === LENGTH) {
+      const checks = await Promise.all(hashed.map((s) => verifyPin(typed, s.shortCodeHash)));
+      id = hashed[checks.indexOf(true)]?.id;
+    }
+    return id ? { ok: true, id } : { ok: false, reason: "unknown" };
+  };
+}
@@ -0,0 +1,91 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createShortCodeMatcher,
+  hashShortCode,
+  keyedShortCode,
+  normalizeShortCode,
+  stationShortCodes,
+} from "./shortCodes";
+import { generateSigningKeys } from "./stationCodes";
+import { validateQuest } from "./schema";
+
+const stations = [
+  { id: "LIBRARY", name: "Library", code: "OPENHOUSE:LIBRARY" },
+  { id: "GYM", name: "Gym", code: "OPENHOUSE:GYM" },
+];
+
+const makeQuest = (fields) => validateQuest({ schemaVersion: 1, id: "test", title: "Test", ...fields });
+
+describe("normalizeShortCode", () => {
+  it("ignores case, spaces and dashes and reads O, I and L as digits", () => {
+    assert.equal(normalizeShortCode(" 7kq-m2d "), "7KQM2D");
+    assert.equal(normalizeShortCode("OIL"), "011");
+  });
+});
+
+describe("quests with unsigned codes", () => {
+  const quest = makeQuest({
+    security: { allowLegacyCodes: true },
+    stations: [{ ...stations[0], shortCode: "BOOKS" }, stations[1]],
+  });
+
+  it("use the station's short code or derive one", async () => {
+    const codes = await stationShortCodes(quest);
+    assert.equal(codes.LIBRARY, "BOOKS");
+    assert.match(codes.GYM, /^[0-9A-Z]{3}-[0-9A-Z]{3}$/);
+    assert.deepEqual(await stationShortCodes(quest), codes);
+  });
+
+  it("match typed codes", async () => {
+    const match = createShortCodeMatcher(quest);
+    const { GYM } = await stationShortCodes(quest);
+    assert.deepEqual(await match("books"), { ok: true, id: "LIBRARY" });
+    assert.deepEqual(await match(GYM.toLowerCase().replace("-", " ")), { ok: true, id: "GYM" });
+    assert.equal((await match("NOPE")).ok, false);
+  });
+});
+
+describe("quests with signed codes only", () => {
+  let keys;
+  let quest;
+  let codes;
+
+  before(async () => {
+    keys = await generateSigningKeys();
+    const code = await keyedShortCode({ id: "test", security: {} }, stations[0], keys.privateKey);
+    quest = makeQuest({
+      security: { publicKey: keys.publicKey },
+      manualEntry: true,
+      stations: [{ ...stations[0], shortCodeHash: await hashShortCode(code) }, stations[1]],
+    });
+    codes = await stationShortCodes(quest, keys.privateKey);
+  });
+
+  it("have typing off by default", () => {
+    assert.equal(makeQuest({ security: { publicKey: keys.publicKey }, stations }).manualEntry, false);
+  });
+
+  it("only print codes for stations with a hash", () => {
+    assert.deepEqual(Object.keys(codes), ["LIBRARY"]);
+  });
+
+  it("match the keyed code against its hash", async () => {
+    const match = createShortCodeMatcher(quest);
+    assert.deepEqual(await match(codes.LIBRARY), { ok: true, id: "LIBRARY" });
+  });
+
+  it("refuse codes anyone could derive from the quest file", async () => {
+    const legacy = makeQuest({ security: { allowLegacyCodes: true }, stations });
+    const publicCodes = await stationShortCodes(legacy);
+    const match = createShortCodeMatcher(quest);
+    assert.equal((await match(publicCodes.LIBRARY)).ok, false);
+  });
+
+  it("reject public short codes in the quest file", () => {
+    const withShortCode = [{ ...stations[0], shortCode: "BOOKS" }];
+    assert.throws(() => makeQuest({ security: { publicKey: keys.publicKey }, stations: withShortCode }), (err) =>
+      err.issues.some((issue) => issue.includes("shortCodeHash"))
+    );
+  });
+});
@@ -0,0 +1,214 @@
+// ---------------------------
+// Station QR payloads
+// ---------------------------
+// Signed codes keep the readable station code up front and append claims and
+// an Ed25519 signature, separated by ";":
+//
+//   OPENHOUSE:LIBRARY;e=np-2025;nbf=1761890400;exp=1761926400;sig=<base64url>
+//
+//   e    event id (must equal quest.security.eventId when that is set)
+//   nbf  not valid before, unix seconds (optional)
+//   exp  not valid after, unix seconds (optional)
+//   sig  signature over everything before ";sig="
+//
+// Verification is fully offline: the quest file carries the public key, the
+// private key stays with the organisers (see scripts/sign-codes.js).
+//
+// The same code can also travel as a station link (see buildStationLink),
+// for the phone's own camera app and for NFC tags.
+
+const SIG_SEPARATOR = ";sig=";
+// Every Open House station code starts with this, so a code with the prefix
+// that names none of this quest's stations comes from another event.
+export const CODE_PREFIX = "OPENHOUSE:";
+
+const encoder = new TextEncoder();
+
+export function base64UrlEncode(bytes) {
+  let bin = "";
+  new Uint8Array(bytes).forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function base64UrlDecode(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// Undo the "\:" escaping some QR generators apply to colons.
+export function normalizePayload(payload) {
+  return String(payload || "").replace(/\\:/g, ":").trim();
+}
+
+// ---------------------------
+// Parse / build
+// ---------------------------
+// Returns { code, claims, signed, sig } or null for empty input.
+export function parseStationPayload(payload) {
+  const text = normalizePayload(payload);
+  if (!text) return null;
+
+  const sigAt = text.lastIndexOf(SIG_SEPARATOR);
+  const signed = sigAt >= 0 ? text.slice(0, sigAt) : text;
+  const sig = sigAt >= 0 ? text.slice(sigAt + SIG_SEPARATOR.length) : null;
+
+  const [code, ...parts] = signed.split(";");
+  const claims = {};
+  parts.forEach((part) => {
+    const eq = part.indexOf("=");
+    if (eq > 0) claims[part.slice(0, eq)] = part.slice(eq + 1);
+  });
+
+  return { code: code.trim(), claims, signed, sig };
+}
+
+export function buildSignedText(code, { eventId, notBefore, expires } = {}) {
+  let text = code;
+  if (eventId) text += `;e=${eventId}`;
+  if (notBefore) text += `;nbf=${Math.floor(notBefore)}`;
+  if (expires) text += `;exp=${Math.floor(expires)}`;
+  return text;
+}
+
+// ---------------------------
+// Station links
+// ---------------------------
+//   https://example.org/quest/?quest=trail&station=LIBRARY&e=np-2025&exp=1761926400&sig=<base64url>
+//
+// "station" is the station id; e, nbf, exp and sig are the claims and
+// signature of the payload the link was built from. A link is turned back
+// into that payload and checked like any scanned code.
+export const LINK_PARAMS = ["station", "e", "nbf", "exp", "sig"];
+const LINK_CLAIMS = ["e", "nbf", "exp"];
+
+// baseUrl is the quest's address, including ?quest= when it is not the default
+export function buildStationLink(baseUrl, station, payload) {
+  const url = new URL(baseUrl);
+  url.hash = "";
+  LINK_PARAMS.forEach((name) => url.searchParams.delete(name));
+  url.searchParams.set("station", station.id);
+  const parsed = parseStationPayload(payload);
+  LINK_CLAIMS.forEach((name) => parsed?.claims[name] && url.searchParams.set(name, parsed.claims[name]));
+  if (parsed?.sig) url.searchParams.set("sig", parsed.sig);
+  return url.href;
+}
+
+// The payload a station link stands for, or null when text is not a link to
+// one of these stations.
+export function linkPayload(text, stations) {
+  let url;
+  try {
+    url = new URL(normalizePayload(text));
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  const params = url.searchParams;
+  const station = stations.find((s) => s.id === params.get("station"));
+  if (!station) return null;
+
+  let payload = station.code;
+  LINK_CLAIMS.forEach((name) => params.has(name) && (payload += `;${name}=${params.get(name)}`));
+  return params.has("sig") ? `${payload}${SIG_SEPARATOR}${params.get("sig")}` : payload;
+}
+
+// ---------------------------
+// Keys
+// ---------------------------
+export async function importPublicKey(publicKey) {
+  return crypto.subtle.importKey("raw", base64UrlDecode(publicKey), { name: "Ed25519" }, false, [
+    "verify",
+  ]);
+}
+
+export async function importPrivateKey(privateKey) {
+  return crypto.subtle.importKey("pkcs8", base64UrlDecode(privateKey), { name: "Ed25519" }, false, [
+    "sign",
+  ]);
+}
+
+export async function generateSigningKeys() {
+  const pair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+  return {
+    publicKey: base64UrlEncode(await crypto.subtle.exportKey("raw", pair.publicKey)),
+    privateKey: base64UrlEncode(await crypto.subtle.exportKey("pkcs8", pair.privateKey)),
+  };
+}
+
+export async function signStationCode(code, privateKey, claims = {}) {
+  const key = typeof privateKey === "string" ? await importPrivateKey(privateKey) : privateKey;
+  const text = buildSignedText(code, claims);
+  const sig = await crypto.subtle.sign("Ed25519", key, encoder.encode(text));
+  return `${text}${SIG_SEPARATOR}${base64UrlEncode(sig)}`;
+}
+
+// nbf and exp in seconds; NaN unless a whole number
+const claimSeconds = (value) => (/^\d+$/.test(value) ? Number(value) : NaN);
+
+// ---------------------------
+// Validator
+// ---------------------------
+// Creates validate(payload, now?) for one quest. payload is a scanned code
+// or a station link. It resolves to
+//   { ok: true, id }               accepted station code
+//   { ok: false, reason, id? }     rejected: "forged", "expired",
+//                                  "not-yet-valid", "other-event",
+//                                  "unsigned", "unsupported", or "unknown"
+//                                  for codes that are not ours at all.
+//                                  "other-event" without an id is an Open
+//                                  House code for none of these stations
+// The app shows the "code.<reason>" message (see i18n/).
+// Signature checks are cached per payload because the detector reports the
+// same code on every frame. Browsers without Ed25519 (see README) reject
+// every signed code as "unsupported" rather than calling them forged.
+export function createPayloadValidator(quest) {
+  const { publicKey, eventId, allowLegacyCodes } = quest.security || {};
+  const byCode = new Map(quest.stations.map((s) => [s.code.toUpperCase(), s]));
+  const sigCache = new Map();
+  let keyPromise = null;
+
+  const reject = (reason, id) => ({ ok: false, reason, id });
+
+  // Resolves to true or false, or null when the key cannot be imported
+  async function verifySignature(parsed) {
+    if (!publicKey) return false;
+    if (!sigCache.has(parsed.signed + parsed.sig)) {
+      keyPromise = keyPromise || importPublicKey(publicKey).catch(() => null);
+      const check = keyPromise.then(
+        (key) =>
+          key &&
+          crypto.subtle
+            .verify("Ed25519", key, base64UrlDecode(parsed.sig), encoder.encode(parsed.signed))
+            .catch(() => false)
+      );
+      sigCache.set(parsed.signed + parsed.sig, check);
+    }
+    return sigCache.get(parsed.signed + parsed.sig);
+  }
+
+  return async function validate(payload, now = Date.now()) {
+    const parsed = parseStationPayload(linkPayload(payload, quest.stations) ?? payload);
+    if (!parsed) return reject("unknown");
+
+    const station = byCode.get(parsed.code.toUpperCase());
+    if (!station) return reject(parsed.code.toUpperCase().startsWith(CODE_PREFIX) ? "other-event" : "unknown");
+
+    if (!parsed.sig) {
+      return allowLegacyCodes ? { ok: true, id: station.id } : reject("unsigned", station.id);
+    }
+
+    const valid = await verifySignature(parsed);
+    if (valid === null) return reject("unsupported", station.id);
+    if (!valid) return reject("forged", station.id);
+
+    const { e, nbf, exp } = parsed.claims;
+    if (eventId && e !== eventId) return reject("other-event", station.id);
+    // A window claim that is not a whole number of seconds never passes
+    const seconds = now / 1000;
+    if (nbf !== undefined && !(seconds >= claimSeconds(nbf))) return reject("not-yet-valid", station.id);
+    if (exp !== undefined && !(seconds <= claimSeconds(exp))) return reject("expired", station.id);
+
+    return { ok: true, id: station.id };
+  };
+}
@@ -0,0 +1,104 @@
+import { afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { buildStationLink, createPayloadValidator, generateSigningKeys, signStationCode } from "./stationCodes";
+import { validateQuest } from "./schema";
+
+const stations = [
+  { id: "LIBRARY", name: "Library", code: "OPENHOUSE:LIBRARY" },
+  { id: "GYM", name: "Gym", code: "OPENHOUSE:GYM" },
+];
+
+const makeQuest = (security) => validateQuest({ schemaVersion: 1, id: "test", title: "Test", security, stations });
+
+describe("signed station codes", () => {
+  let keys;
+  let validate;
+  const now = Date.parse("2025-11-15T10:00:00Z");
+  const seconds = now / 1000;
+
+  before(async () => {
+    keys = await generateSigningKeys();
+    validate = createPayloadValidator(makeQuest({ publicKey: keys.publicKey, eventId: "np-2025" }));
+  });
+
+  it("accepts a code signed with the quest's key", async () => {
+    const payload = await signStationCode("OPENHOUSE:LIBRARY", keys.privateKey, { eventId: "np-2025" });
+    assert.deepEqual(await validate(payload, now), { ok: true, id: "LIBRARY" });
+  });
+
+  it("accepts the same code as a station link", async () => {
+    const payload = await signStationCode("OPENHOUSE:GYM", keys.privateKey, { eventId: "np-2025" });
+    const link = buildStationLink("https://example.org/quest/", stations[1], payload);
+    assert.deepEqual(await validate(link, now), { ok: true, id: "GYM" });
+  });
+
+  it("rejects codes signed with another key", async () => {
+    const other = await generateSigningKeys();
+    const payload = await signStationCode("OPENHOUSE:LIBRARY", other.privateKey, { eventId: "np-2025" });
+    const result = await validate(payload, now);
+    assert.equal(result.reason, "forged");
+    assert.equal(result.id, "LIBRARY");
+  });
+
+  it("rejects a signature moved to another station", async () => {
+    const payload = await signStationCode("OPENHOUSE:LIBRARY", keys.privateKey, { eventId: "np-2025" });
+    const moved = payload.replace("OPENHOUSE:LIBRARY", "OPENHOUSE:GYM");
+    assert.equal((await validate(moved, now)).reason, "forged");
+  });
+
+  it("rejects codes for another event", async () => {
+    const payload = await signStationCode("OPENHOUSE:LIBRARY", keys.privateKey, { eventId: "np-2024" });
+    assert.equal((await validate(payload, now)).reason, "other-event");
+    assert.equal((await validate("OPENHOUSE:CANTEEN", now)).reason, "other-event");
+  });
+
+  it("checks the validity window", async () => {
+    const payload = await signStationCode("OPENHOUSE:LIBRARY", keys.privateKey, {
+      eventId: "np-2025",
+      notBefore: seconds - 60,
+      expires: seconds + 60,
+    });
+    assert.equal((await validate(payload, now)).ok, true);
+    assert.equal((await validate(payload, now - 120_000)).reason, "not-yet-valid");
+    assert.equal((await validate(payload, now + 120_000)).reason, "expired");
+  });
+
+  it("never passes a window that is not a number", async () => {
+    const payload = await signStationCode(`OPENHOUSE:LIBRARY;nbf=soon;exp=${seconds + 60}`, keys.privateKey, {
+      eventId: "np-2025",
+    });
+    assert.equal((await validate(payload, now)).reason, "not-yet-valid");
+    const noEnd = await signStationCode("OPENHOUSE:LIBRARY;exp=", keys.privateKey, { eventId: "np-2025" });
+    assert.equal((await validate(noEnd, now)).reason, "expired");
+  });
+
+  it("rejects unsigned codes", async () => {
+    assert.equal((await validate("OPENHOUSE:LIBRARY", now)).reason, "unsigned");
+  });
+
+  it("ignores text that is not a station code", async () => {
+    assert.deepEqual(await validate("https://example.org/menu", now), { ok: false, reason: "unknown", id: undefined });
+  });
+});
+
+describe("unsigned station codes", () => {
+  it("are accepted when the quest allows them", async () => {
+    const validate = createPayloadValidator(makeQuest({ allowLegacyCodes: true }));
+    assert.deepEqual(await validate("openhouse:library"), { ok: true, id: "LIBRARY" });
+  });
+});
+
+describe("browsers without Ed25519", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("say they cannot check signed codes instead of calling them forged", async () => {
+    const keys = await generateSigningKeys();
+    const payload = await signStationCode("OPENHOUSE:GYM", keys.privateKey);
+    mock.method(crypto.subtle, "importKey", async () => {
+      throw new DOMException("Unrecognized name.", "NotSupportedError");
+    });
+    const result = await createPayloadValidator(makeQuest({ publicKey: keys.publicKey }))(payload);
+    assert.equal(result.reason, "unsupported");
+    assert.equal(result.id, "GYM");
+  });
+});
@@ -0,0 +1,187 @@
+import {
+  base64UrlDecode,
+  base64UrlEncode,
+  buildSignedText,
+  createPayloadValidator,
+  linkPayload,
+  normalizePayload,
+  parseStationPayload,
+} from "./stationCodes";
+import { createShortCodeMatcher, normalizeShortCode } from "./shortCodes";
+
+// ---------------------------
+// Proof of each check-in
+// ---------------------------
+// proofs: station.id -> the code that checked the station in on this phone
+// (or a teammate's, see team/): the signed payload that was scanned, from a
+// station link or NFC tag, or the short code that was typed.
+//
+// Completion tokens and team codes carry them, so staff and teammates can
+// check every station against the quest's public key instead of trusting
+// the list of stations. Only quests that accept nothing but signed codes
+// need this; anyone can produce the plain codes of the other quests anyway.
+// Stations an organiser marked done have no proof.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function needsProofs(quest) {
+  return Boolean(quest.security?.publicKey) && !quest.security.allowLegacyCodes;
+}
+
+// The proof to keep for a code that checked in. via as in scanHistory.js.
+export function proofFor(text, via, stations) {
+  if (via === "typed") return normalizeShortCode(text);
+  return normalizePayload(linkPayload(text, stations) ?? text);
+}
+
+// ---------------------------
+// Packed proofs
+// ---------------------------
+// Tokens and team codes carry the proofs as bytes so a quest with
+// MAX_SIGNED_STATIONS stations still fits a QR code (see schema.js): each
+// signed code is its 64 signature bytes, and claims shared by several codes
+// are listed once.
+//
+//   number of claim sets, then per set:
+//     flags (1 e, 2 nbf, 4 exp), e as length + UTF-8, nbf and exp as
+//     4-byte seconds
+//   then per station:
+//     station index, claim set index, the 64 signature bytes   signed code
+//     station index, TYPED, length, the code in ASCII           typed code
+//
+// Proofs that do not fit (claims other than those, a code signed in another
+// layout) are left out, so their stations count as unproven.
+const TYPED = 0xff;
+const SIGNATURE_BYTES = 64;
+const MAX_SECONDS = 0xffffffff;
+const TYPED_CODE = /^[0-9A-Z]{1,32}$/;
+
+// { set: "e|nbf|exp", claims, sig } for a signed code of this station
+function signedParts(proof, code) {
+  const parsed = parseStationPayload(proof);
+  if (!parsed?.sig || parsed.code.toUpperCase() !== code.toUpperCase()) return null;
+  const { e, nbf, exp, ...other } = parsed.claims;
+  if (Object.keys(other).length > 0) return null;
+  if ([nbf, exp].some((v) => v !== undefined && !(/^\d+$/.test(v) && Number(v) <= MAX_SECONDS))) return null;
+  const seconds = (v) => (v === undefined ? undefined : Number(v));
+  const claims = { eventId: e, notBefore: seconds(nbf), expires: seconds(exp) };
+  // The layout must give back the exact text that was signed
+  if (buildSignedText(parsed.code, claims) !== parsed.signed) return null;
+  let sig;
+  try {
+    sig = base64UrlDecode(parsed.sig);
+  } catch {
+    return null;
+  }
+  return sig.length === SIGNATURE_BYTES ? { set: `${e ?? ""}|${nbf ?? ""}|${exp ?? ""}`, claims, sig } : null;
+}
+
+const uint32 = (n) => [n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+// The proofs of the stations done, for a token or team code. Empty for
+// quests that need no proofs.
+export function packProofs(quest, progress, proofs) {
+  if (!needsProofs(quest)) return new Uint8Array(0);
+  const sets = new Map(); // "e|nbf|exp" -> { index, claims }
+  const records = [];
+  quest.stations.forEach(({ id, code }, i) => {
+    const proof = proofs[id];
+    if (!progress[id] || typeof proof !== "string" || i >= TYPED) return;
+    const signed = signedParts(proof, code);
+    if (signed) {
+      if (!sets.has(signed.set)) sets.set(signed.set, { index: sets.size, claims: signed.claims });
+      const { index } = sets.get(signed.set);
+      if (index < TYPED) records.push(i, index, ...signed.sig);
+    } else if (TYPED_CODE.test(proof)) {
+      records.push(i, TYPED, proof.length, ...encoder.encode(proof));
+    }
+  });
+
+  const header = [Math.min(sets.size, TYPED)];
+  [...sets.values()].slice(0, TYPED).forEach(({ claims: { eventId, notBefore, expires } }) => {
+    const e = eventId ? encoder.encode(eventId).slice(0, 0xff) : null;
+    header.push((e ? 1 : 0) | (notBefore ? 2 : 0) | (expires ? 4 : 0));
+    if (e) header.push(e.length, ...e);
+    if (notBefore) header.push(...uint32(notBefore));
+    if (expires) header.push(...uint32(expires));
+  });
+  return sets.size === 0 && records.length === 0 ? new Uint8Array(0) : Uint8Array.from([...header, ...records]);
+}
+
+// Undoes packProofs: station.id -> the signed payload or typed code.
+// Malformed bytes give {}.
+export function unpackProofs(quest, bytes) {
+  const proofs = {};
+  if (!(bytes instanceof Uint8Array) || bytes.length === 0) return proofs;
+  let at = 0;
+  const take = (n) => {
+    if (at + n > bytes.length) throw new RangeError("Packed proofs end early");
+    at += n;
+    return bytes.subarray(at - n, at);
+  };
+  const readUint32 = () => take(4).reduce((n, b) => n * 256 + b, 0);
+
+  try {
+    const sets = [];
+    const [setCount] = take(1);
+    for (let i = 0; i < setCount; i++) {
+      const [flags] = take(1);
+      const claims = {};
+      if (flags & 1) claims.eventId = decoder.decode(take(take(1)[0]));
+      if (flags & 2) claims.notBefore = readUint32();
+      if (flags & 4) claims.expires = readUint32();
+      sets.push(claims);
+    }
+    while (at < bytes.length) {
+      const [index, kind] = take(2);
+      if (kind !== TYPED && !sets[kind]) throw new RangeError("Unknown claim set");
+      const proof = kind === TYPED ? take(take(1)[0]) : take(SIGNATURE_BYTES);
+      const station = quest.stations[index];
+      if (!station) continue;
+      proofs[station.id] =
+        kind === TYPED
+          ? decoder.decode(proof)
+          : `${buildSignedText(station.code, sets[kind])};sig=${base64UrlEncode(proof)}`;
+    }
+  } catch {
+    return {};
+  }
+  return proofs;
+}
+
+// ---------------------------
+// Checking proofs
+// ---------------------------
+// Creates check(stations, proofs, fallbackAt?) for one quest. stations is
+// station.id -> time found in ms (true or null when unknown, false while
+// pending). Signed codes are checked at the time the station was found, so a
+// code that expired later still counts. Resolves to
+//   { proven: [station ids], unproven: [station ids], unsupported }
+// unsupported is true when this browser cannot check signed codes at all
+// (see stationCodes.js). Every station is proven for quests that need no
+// proofs.
+export function createProofChecker(quest) {
+  const validatePayload = createPayloadValidator(quest);
+  const matchShortCode = createShortCodeMatcher(quest);
+
+  async function checkOne(id, proof, at) {
+    if (typeof proof !== "string" || !proof) return { ok: false };
+    let match = await validatePayload(proof, at);
+    if (!match.ok && !match.id) match = await matchShortCode(proof);
+    return match.ok ? { ok: match.id === id } : match;
+  }
+
+  return async function check(stations, proofs, fallbackAt = Date.now()) {
+    const ids = Object.keys(stations).filter((id) => stations[id] !== false);
+    if (!needsProofs(quest)) return { proven: ids, unproven: [], unsupported: false };
+    const results = await Promise.all(
+      ids.map((id) => checkOne(id, proofs[id], Number.isFinite(stations[id]) ? stations[id] : fallbackAt))
+    );
+    return {
+      proven: ids.filter((id, i) => results[i].ok),
+      unproven: ids.filter((id, i) => !results[i].ok),
+      unsupported: results.some((r) => r.reason === "unsupported"),
+    };
+  };
+}
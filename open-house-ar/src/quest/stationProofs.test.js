@@ -0,0 +1,161 @@
+import { before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import QRCode from "qrcode";
+import { createCompletionToken, readVisitToken, verifyCompletionToken } from "./completionToken";
+import { generateSigningKeys, signStationCode } from "./stationCodes";
+import { createProofChecker, packProofs, proofFor, unpackProofs } from "./stationProofs";
+import { MAX_SIGNED_STATIONS, QuestError, validateQuest } from "./schema";
+
+const stations = [
+  { id: "A", name: "A", code: "OPENHOUSE:A" },
+  { id: "B", name: "B", code: "OPENHOUSE:B" },
+];
+
+describe("station proofs", () => {
+  let keys;
+  let quest;
+  const proofs = {};
+  const progress = { A: 1000, B: 2000 };
+
+  before(async () => {
+    keys = await generateSigningKeys();
+    quest = validateQuest({
+      schemaVersion: 1,
+      id: "test",
+      title: "Test",
+      security: { publicKey: keys.publicKey, eventId: "np-2025" },
+      stations,
+    });
+    for (const { id, code } of stations) {
+      proofs[id] = proofFor(await signStationCode(code, keys.privateKey, { eventId: "np-2025" }), "camera", stations);
+    }
+  });
+
+  it("packs proofs as signature bytes and unpacks them again", () => {
+    const packed = packProofs(quest, progress, proofs);
+    // One shared claim set ("np-2025"), then station index, set and signature
+    assert.equal(packed.length, 10 + 2 * 66);
+    assert.deepEqual(unpackProofs(quest, packed), proofs);
+  });
+
+  it("packs typed codes and leaves out what does not fit", () => {
+    const packed = packProofs(quest, progress, { A: "7KQM2D", B: "OPENHOUSE:B;x=1;sig=abc" });
+    assert.deepEqual(unpackProofs(quest, packed), { A: "7KQM2D" });
+    assert.deepEqual(unpackProofs(quest, packProofs(quest, progress, proofs).subarray(0, 50)), {});
+  });
+
+  it("proves stations with their own signed code only", async () => {
+    const check = createProofChecker(quest);
+    assert.deepEqual(await check(progress, proofs), { proven: ["A", "B"], unproven: [], unsupported: false });
+    assert.deepEqual(await check({ A: 1000, B: 2000 }, { A: proofs.B, B: "OPENHOUSE:B" }), {
+      proven: [],
+      unproven: ["A", "B"],
+      unsupported: false,
+    });
+    assert.deepEqual(await check({ A: 1000, B: false }, {}), { proven: [], unproven: ["A"], unsupported: false });
+  });
+
+  it("needs no proofs when unsigned codes are allowed", async () => {
+    const security = { allowLegacyCodes: true };
+    const legacy = validateQuest({ schemaVersion: 1, id: "legacy", title: "Legacy", security, stations });
+    assert.equal(packProofs(legacy, progress, proofs).length, 0);
+    assert.deepEqual(await createProofChecker(legacy)(progress, {}), { proven: ["A", "B"], unproven: [], unsupported: false });
+  });
+
+  describe("completion tokens", () => {
+    it("verify when every station is proven", async () => {
+      const token = await createCompletionToken({ quest, progress, completeAt: 3000, proofs });
+      const result = await verifyCompletionToken(token, quest);
+      assert.equal(result.ok, true);
+      assert.deepEqual(result.unproven, []);
+    });
+
+    it("are refused when a station has no valid code", async () => {
+      const token = await createCompletionToken({ quest, progress, completeAt: 3000, proofs: { A: proofs.A } });
+      const result = await verifyCompletionToken(token, quest);
+      assert.equal(result.reason, "unproven");
+      assert.deepEqual(result.unproven, ["B"]);
+    });
+
+    it("are not judged by a browser that cannot check signed codes", async () => {
+      const token = await createCompletionToken({ quest, progress, completeAt: 3000, proofs });
+      const importKey = crypto.subtle.importKey.bind(crypto.subtle);
+      // The device key still imports (it may be P-256); the station key does not
+      mock.method(
+        crypto.subtle,
+        "importKey",
+        (format, data, ...rest) =>
+        Buffer.from(data).toString("base64url") === keys.publicKey
+            ? Promise.reject(new DOMException("Unrecognized name.", "NotSupportedError"))
+            : importKey(format, data, ...rest)
+      );
+      const result = await verifyCompletionToken(token, quest);
+      mock.restoreAll();
+      assert.equal(result.reason, "unsupported");
+    });
+
+    it("are refused once altered", async () => {
+      const token = await createCompletionToken({ quest, progress, completeAt: 3000, proofs });
+      const [prefix, body, packed, sig] = token.split(".");
+      const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+      claims.f = 4;
+      const altered = [prefix, Buffer.from(JSON.stringify(claims)).toString("base64url"), packed, sig].join(".");
+      assert.equal((await verifyCompletionToken(altered, quest)).reason, "forged");
+    });
+  });
+
+  describe("signed-only quests", () => {
+    const many = (count) =>
+      Array.from({ length: count }, (_, i) => ({
+        id: `STATION-${i + 1}`,
+        name: `Station ${i + 1}`,
+        code: `OPENHOUSE:STATION-${i + 1}`,
+      }));
+
+    it(`are limited to ${MAX_SIGNED_STATIONS} stations`, () => {
+      const raw = { schemaVersion: 1, id: "big", title: "Big", security: { publicKey: keys.publicKey } };
+      assert.doesNotThrow(() => validateQuest({ ...raw, stations: many(MAX_SIGNED_STATIONS) }));
+      assert.throws(
+        () => validateQuest({ ...raw, stations: many(MAX_SIGNED_STATIONS + 1) }),
+        (err) => err instanceof QuestError && err.issues.some((issue) => issue.includes("at most"))
+      );
+      const legacy = { ...raw, security: { allowLegacyCodes: true }, stations: many(MAX_SIGNED_STATIONS + 1) };
+      assert.doesNotThrow(() => validateQuest(legacy));
+    });
+
+    it(`still fit a QR code with ${MAX_SIGNED_STATIONS} stations`, async () => {
+      const big = validateQuest({
+        schemaVersion: 1,
+        id: "np-openhouse-2025",
+        title: "Big",
+        security: { publicKey: keys.publicKey, eventId: "np-2025" },
+        scoring: {},
+        stations: many(MAX_SIGNED_STATIONS),
+      });
+      const bigProgress = {};
+      const bigProofs = {};
+      const challengeState = {};
+      for (const [i, { id, code }] of big.stations.entries()) {
+        // Every code with its own window so no claims are shared
+        const claims = { eventId: "np-2025", nbf: 1760000000 + i, exp: 1770000000 + i };
+        bigProofs[id] = proofFor(await signStationCode(code, keys.privateKey, claims), "camera", big.stations);
+        bigProgress[id] = 1760000000000 + i * 600000;
+        challengeState[id] = { wrong: 9 };
+      }
+      const team = {
+        id: "t".repeat(22),
+        members: Array.from({ length: 8 }, (_, i) => ({ id: `${i}`.repeat(22), name: "Visitor with a long name" })),
+      };
+      const token = await createCompletionToken({
+        quest: big,
+        progress: bigProgress,
+        completeAt: 1760009000000,
+        challengeState,
+        team,
+        proofs: bigProofs,
+      });
+      assert.deepEqual((await readVisitToken(token, big)).proofs, bigProofs);
+      assert.doesNotThrow(() => QRCode.create(token, { errorCorrectionLevel: "L" }));
+    });
+  });
+});
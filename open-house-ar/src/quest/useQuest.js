@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+import { loadQuest, resolveQuestUrl } from "./loadQuest";
+
+// ---------------------------
+// Load the active quest once on mount
+// ---------------------------
+// status: "loading" | "ready" | "error"
+export function useQuest() {
+  const [state, setState] = useState({ status: "loading", quest: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    const url = resolveQuestUrl();
+
+    loadQuest(url)
+      .then((quest) => {
+        if (!cancelled) setState({ status: "ready", quest, error: null });
+      })
+      .catch((error) => {
+        console.error(error);
+        if (!cancelled) setState({ status: "error", quest: null, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+}
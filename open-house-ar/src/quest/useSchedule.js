@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { eventPhase, nextScheduleChange } from "./schedule";
+
+// Browsers run timers longer than about 24.8 days straight away
+const MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------
+// Event clock
+// ---------------------------
+// { now, phase } for a quest's schedule (see schedule.js). Only updates when
+// the event starts or ends or a station opens or closes, not every second;
+// see components/EventCountdown.jsx for the ticking countdown. Timers stop
+// while the phone sleeps, so the clock is read again when the page is shown.
+export function useSchedule(quest) {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const next = nextScheduleChange(quest, now);
+    if (next === null) return undefined;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(next - now, MAX_DELAY_MS));
+    return () => clearTimeout(timer);
+  }, [quest, now]);
+
+  useEffect(() => {
+    const onVisible = () => document.visibilityState === "visible" && setNow(Date.now());
+    document.addEventListener("visibilitychange", onVisible);
+    return () => document.removeEventListener("visibilitychange", onVisible);
+  }, []);
+
+  return { now, phase: eventPhase(quest.schedule, now) };
+}
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from "react";
+import { LINK_PARAMS } from "./stationCodes";
+
+// ---------------------------
+// Station links opened from outside the app
+// ---------------------------
+// A poster scanned with the phone's own camera app, or an NFC tag read while
+// the quest is closed, opens a station link (see stationCodes.js). The quest
+// loads as usual and onLink(url) receives the link once; the station
+// parameters are then removed from the address bar so reloading or sharing
+// the page does not check in again.
+export function useStationLink(onLink) {
+  const onLinkRef = useRef(onLink);
+  useEffect(() => {
+    onLinkRef.current = onLink;
+  });
+
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has("station")) return;
+    const link = url.href;
+    LINK_PARAMS.forEach((name) => url.searchParams.delete(name));
+    window.history.replaceState(window.history.state, "", url.href);
+    onLinkRef.current?.(link);
+  }, []);
+}
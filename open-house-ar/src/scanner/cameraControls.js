@@ -0,0 +1,74 @@
+import { readJson, storage, writeJson } from "../storage/safeStorage";
+
+// ---------------------------
+// Camera selection and track controls
+// ---------------------------
+// Torch, zoom and focus are not part of every browser's MediaStreamTrack, so
+// each control is only offered when track.getCapabilities() lists it.
+// Failures to apply a setting are reported as false instead of thrown.
+
+export const LS_KEY_CAMERA = "ohq_camera_v1";
+
+export function loadCameraPreference() {
+  return readJson(LS_KEY_CAMERA, null)?.deviceId || null;
+}
+
+export function saveCameraPreference(deviceId) {
+  if (deviceId) writeJson(LS_KEY_CAMERA, { deviceId });
+  else storage.removeItem(LS_KEY_CAMERA);
+}
+
+// Labels are only filled in once camera permission has been granted
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+// { torch, zoom: { min, max, step } | null, focusModes: [], pointsOfInterest }
+export function readCapabilities(track) {
+  const caps = track?.getCapabilities?.() || {};
+  return {
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+    zoom:
+      caps.zoom && caps.zoom.max > caps.zoom.min
+        ? { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1 }
+        : null,
+    focusModes: Array.isArray(caps.focusMode) ? caps.focusMode : [],
+    pointsOfInterest: "pointsOfInterest" in caps,
+  };
+}
+
+export function readSettings(track) {
+  return track?.getSettings?.() || {};
+}
+
+export async function applyTrackSetting(track, name, value) {
+  try {
+    await track.applyConstraints({ advanced: [{ [name]: value }] });
+    return true;
+  } catch (err) {
+    console.warn(`Camera setting ${name} not applied`, err);
+    return false;
+  }
+}
+
+// Focus on a point given in 0..1 frame coordinates. Falls back to a one-off
+// autofocus pass when the browser cannot focus on a specific point.
+export async function focusAt(track, x, y) {
+  const { focusModes, pointsOfInterest } = readCapabilities(track);
+  const mode = focusModes.includes("single-shot") ? "single-shot" : focusModes.includes("continuous") ? "continuous" : null;
+  const constraint = {};
+  if (pointsOfInterest) constraint.pointsOfInterest = [{ x, y }];
+  if (mode) constraint.focusMode = mode;
+  if (!Object.keys(constraint).length) return false;
+  try {
+    await track.applyConstraints({ advanced: [constraint] });
+    return true;
+  } catch (err) {
+    console.warn("Tap to focus not supported", err);
+    return false;
+  }
+}
@@ -0,0 +1,100 @@
+import { cornersFromFinderPatterns } from "../ar/pose";
+
+// ---------------------------
+// QR decoding off the main thread
+// ---------------------------
+// Messages in:
+//   { type: "init" }                     -> { type: "ready", engine } | { type: "failed" }
+//   { type: "frame", id, bitmap }        -> { type: "result", id, codes: [{ payload, corners }], ms }
+// The ImageBitmap is transferred in and closed here once decoded. The worker
+// prefers BarcodeDetector (Chrome exposes it to workers), which finds every
+// code in the frame, and otherwise runs the ZXing QR reader on the frame's
+// luminance, which finds at most one.
+
+let decode = null;
+
+async function createDetectorDecoder() {
+  if (!self.BarcodeDetector) return null;
+  const formats = await self.BarcodeDetector.getSupportedFormats?.();
+  if (formats && !formats.includes("qr_code")) return null;
+  const detector = new self.BarcodeDetector({ formats: ["qr_code"] });
+
+  return async (bitmap) =>
+    (await detector.detect(bitmap)).map((code) => ({
+      payload: code.rawValue || "",
+      corners: code.cornerPoints?.length === 4 ? code.cornerPoints.map(({ x, y }) => ({ x, y })) : null,
+    }));
+}
+
+async function createZxingDecoder() {
+  if (typeof OffscreenCanvas === "undefined") return null;
+  const { BinaryBitmap, DecodeHintType, HybridBinarizer, QRCodeReader, RGBLuminanceSource } = await import(
+    "@zxing/library"
+  );
+  const reader = new QRCodeReader();
+  const hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+  let canvas = null;
+  let ctx = null;
+
+  return (bitmap) => {
+    const { width, height } = bitmap;
+    if (!canvas || canvas.width !== width || canvas.height !== height) {
+      canvas = new OffscreenCanvas(width, height);
+      ctx = canvas.getContext("2d", { willReadFrequently: true });
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    const rgba = ctx.getImageData(0, 0, width, height).data;
+    const luminance = new Uint8ClampedArray(width * height);
+    for (let i = 0, j = 0; i < luminance.length; i++, j += 4) {
+      luminance[i] = (rgba[j] + 2 * rgba[j + 1] + rgba[j + 2]) >> 2;
+    }
+
+    try {
+      const source = new RGBLuminanceSource(luminance, width, height);
+      const result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)), hints);
+      const points = result.getResultPoints().map((p) => ({ x: p.getX(), y: p.getY() }));
+      return [{ payload: result.getText(), corners: cornersFromFinderPatterns(points) }];
+    } catch {
+      return []; // no code in this frame
+    } finally {
+      reader.reset();
+    }
+  };
+}
+
+self.onmessage = async (event) => {
+  const msg = event.data;
+
+  if (msg.type === "init") {
+    try {
+      let engine = "detector";
+      decode = await createDetectorDecoder();
+      if (!decode) {
+        engine = "zxing";
+        decode = await createZxingDecoder();
+      }
+      self.postMessage(decode ? { type: "ready", engine } : { type: "failed" });
+    } catch (err) {
+      self.postMessage({ type: "failed", message: String(err?.message || err) });
+    }
+    return;
+  }
+
+  if (msg.type === "frame") {
+    const started = performance.now();
+    let codes = [];
+    try {
+      codes = decode ? await decode(msg.bitmap) : [];
+    } catch {
+      // Detector busy or frame unreadable; report as empty
+    } finally {
+      msg.bitmap.close();
+    }
+    self.postMessage({
+      type: "result",
+      id: msg.id,
+      codes,
+      ms: performance.now() - started,
+    });
+  }
+};
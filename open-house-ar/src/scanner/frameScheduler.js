@@ -0,0 +1,46 @@
+// ---------------------------
+// Adaptive scan scheduling
+// ---------------------------
+// Decides how long to wait before grabbing the next frame:
+//
+//   code seen recently   scan as fast as decoding allows (ACTIVE_MS minimum)
+//   nothing in view      slow down to IDLE_MS to save battery
+//   tab hidden           HIDDEN_MS; browsers throttle timers there anyway
+//
+// It also keeps a one-second window of decode times for the debug overlay.
+
+const ACTIVE_MS = 33;
+const IDLE_MS = 250;
+const HIDDEN_MS = 2000;
+const ACTIVE_WINDOW_MS = 2000; // how long a detection keeps the fast rate
+
+export function createFrameScheduler() {
+  let lastSeenAt = 0;
+  let lastDecodeMs = 0;
+  const decodes = []; // timestamps of finished decodes
+
+  return {
+    // found: whether this frame contained a code; ms: time spent decoding
+    record(found, ms, now = performance.now()) {
+      if (found) lastSeenAt = now;
+      lastDecodeMs = ms;
+      decodes.push(now);
+      while (decodes.length && now - decodes[0] > 1000) decodes.shift();
+    },
+
+    nextDelay(now = performance.now()) {
+      if (typeof document !== "undefined" && document.hidden) return HIDDEN_MS;
+      if (now - lastSeenAt < ACTIVE_WINDOW_MS) return Math.max(ACTIVE_MS - lastDecodeMs, 0);
+      return IDLE_MS;
+    },
+
+    stats(now = performance.now()) {
+      const recent = decodes.filter((t) => now - t <= 1000).length;
+      return {
+        fps: recent,
+        decodeMs: Math.round(lastDecodeMs),
+        idle: now - lastSeenAt >= ACTIVE_WINDOW_MS,
+      };
+    },
+  };
+}
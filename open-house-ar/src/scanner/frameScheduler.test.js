@@ -0,0 +1,37 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFrameScheduler } from "./frameScheduler";
+
+describe("frame scheduler", () => {
+  afterEach(() => delete globalThis.document);
+
+  it("waits long between frames while nothing is in view", () => {
+    const scheduler = createFrameScheduler();
+    scheduler.record(false, 20, 10_000);
+    assert.equal(scheduler.nextDelay(10_000), 250);
+    assert.equal(scheduler.stats(10_000).idle, true);
+  });
+
+  it("scans as fast as decoding allows after a code was seen", () => {
+    const scheduler = createFrameScheduler();
+    scheduler.record(true, 10, 10_000);
+    assert.equal(scheduler.nextDelay(10_000), 23);
+    scheduler.record(false, 50, 10_100);
+    assert.equal(scheduler.nextDelay(10_100), 0);
+    // Back to the slow rate two seconds after the last code
+    assert.equal(scheduler.nextDelay(12_000), 250);
+  });
+
+  it("slows right down while the tab is hidden", () => {
+    const scheduler = createFrameScheduler();
+    scheduler.record(true, 10, 10_000);
+    globalThis.document = { hidden: true };
+    assert.equal(scheduler.nextDelay(10_000), 2000);
+  });
+
+  it("counts the decodes of the last second", () => {
+    const scheduler = createFrameScheduler();
+    [9_000, 10_100, 10_400, 10_900].forEach((at) => scheduler.record(false, 12.4, at));
+    assert.deepEqual(scheduler.stats(11_000), { fps: 3, decodeMs: 12, idle: true });
+  });
+});
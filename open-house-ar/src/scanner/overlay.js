@@ -0,0 +1,80 @@
+// ---------------------------
+// Scan overlay drawing
+// ---------------------------
+// Detector coordinates are in intrinsic video pixels, but the <video> is laid
+// out with object-fit: cover, so phones that crop the stream show a scaled and
+// shifted picture. The overlay canvas matches the element's CSS size and maps
+// every point through the same cover transform.
+
+export const OVERLAY_COLORS = {
+  valid: "#22c55e", // new station accepted (green)
+  done: "#38bdf8", // station already scanned (sky)
+  blocked: "#f59e0b", // our station, but not scannable yet (amber)
+  "other-event": "#a855f7", // a code from a different Open House event (purple)
+  unknown: "#ef4444", // not a code for this quest (red)
+};
+
+// Boxes stay fully visible for HOLD_MS, then fade out over FADE_MS
+const HOLD_MS = 300;
+const FADE_MS = 500;
+
+// Scale and offset that object-fit: cover applies to the video
+export function coverTransform(video, width, height) {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  if (!vw || !vh) return null;
+  const scale = Math.max(width / vw, height / vh);
+  return { scale, dx: (width - vw * scale) / 2, dy: (height - vh * scale) / 2 };
+}
+
+export function rectCorners(rect) {
+  if (!rect) return null;
+  const { x, y, width, height } = rect;
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ];
+}
+
+export function mapPoints(points, { scale, dx, dy }) {
+  return points.map((p) => ({ x: p.x * scale + dx, y: p.y * scale + dy }));
+}
+
+// detection: { corners, status, at, label? } with corners in video pixels.
+// label (a station name) is drawn above the code, so visitors can tell side
+// by side posters apart.
+export function drawDetection(ctx, detection, transform, now = Date.now()) {
+  if (!detection?.corners || !transform) return false;
+  const age = now - detection.at;
+  const alpha = age <= HOLD_MS ? 1 : 1 - (age - HOLD_MS) / FADE_MS;
+  if (alpha <= 0) return false;
+
+  const points = mapPoints(detection.corners, transform);
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.lineWidth = 4;
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = OVERLAY_COLORS[detection.status] || OVERLAY_COLORS.unknown;
+  ctx.beginPath();
+  points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.stroke();
+
+  if (detection.label) {
+    const top = points.reduce((a, b) => (b.y < a.y ? b : a));
+    const dpr = typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
+    ctx.font = `600 ${Math.round(14 * dpr)}px system-ui, sans-serif`;
+    const width = ctx.measureText(detection.label).width + 12 * dpr;
+    const height = 22 * dpr;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fillRect(top.x - width / 2, top.y - height - 4 * dpr, width, height);
+    ctx.fillStyle = "#000000";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(detection.label, top.x, top.y - height / 2 - 4 * dpr);
+  }
+  ctx.restore();
+  return true;
+}
@@ -0,0 +1,26 @@
+// ---------------------------
+// Stable codes
+// ---------------------------
+// A single frame can misread a code (glare, motion blur, a code at the edge
+// of the picture), so a code only counts once it has been decoded in
+// STABLE_FRAMES frames in a row. At the scanner's fast rate that is about a
+// tenth of a second.
+
+export const STABLE_FRAMES = 3;
+
+export function createStabilityFilter(frames = STABLE_FRAMES) {
+  let streaks = new Map(); // payload -> consecutive frames seen
+
+  return {
+    // payloads: every code decoded in this frame. Returns the stable ones.
+    update(payloads) {
+      const next = new Map();
+      new Set(payloads).forEach((payload) => next.set(payload, (streaks.get(payload) || 0) + 1));
+      streaks = next;
+      return new Set([...next].filter(([, count]) => count >= frames).map(([payload]) => payload));
+    },
+    reset() {
+      streaks = new Map();
+    },
+  };
+}
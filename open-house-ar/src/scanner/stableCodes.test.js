@@ -0,0 +1,34 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { STABLE_FRAMES, createStabilityFilter } from "./stableCodes";
+
+describe("stable codes", () => {
+  it(`count a code once it was read in ${STABLE_FRAMES} frames in a row`, () => {
+    const filter = createStabilityFilter();
+    for (let i = 1; i < STABLE_FRAMES; i++) assert.deepEqual(filter.update(["A"]), new Set());
+    assert.deepEqual(filter.update(["A"]), new Set(["A"]));
+    assert.deepEqual(filter.update(["A"]), new Set(["A"]));
+  });
+
+  it("start over when a frame misses the code", () => {
+    const filter = createStabilityFilter(2);
+    filter.update(["A"]);
+    filter.update([]);
+    assert.deepEqual(filter.update(["A"]), new Set());
+    assert.deepEqual(filter.update(["A"]), new Set(["A"]));
+  });
+
+  it("track several codes in view on their own", () => {
+    const filter = createStabilityFilter(2);
+    filter.update(["A", "A"]);
+    assert.deepEqual(filter.update(["A", "B"]), new Set(["A"]));
+    assert.deepEqual(filter.update(["B"]), new Set(["B"]));
+  });
+
+  it("forget every streak on reset", () => {
+    const filter = createStabilityFilter(2);
+    filter.update(["A"]);
+    filter.reset();
+    assert.deepEqual(filter.update(["A"]), new Set());
+  });
+});
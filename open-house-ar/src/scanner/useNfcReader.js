@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from "react";
+
+// ---------------------------
+// NFC station tags
+// ---------------------------
+// Reads tags with Web NFC (Chrome on Android) and reports every text or URL
+// record to onRead(text). Tags normally hold the station link (see
+// quest/stationCodes.js), which also opens the quest when the app is closed.
+//
+// Browsers only start reading after a tap, so `start()` belongs on a button.
+// Once the visitor has allowed NFC, reading starts by itself on later visits.
+//
+// status: "unsupported", "idle", "listening", "denied" or "failed"
+export function useNfcReader({ active = true, onRead }) {
+  const supported = typeof window !== "undefined" && "NDEFReader" in window;
+  const [wanted, setWanted] = useState(false);
+  const [status, setStatus] = useState(supported ? "idle" : "unsupported");
+
+  // Always call the latest handler so readings never see stale state
+  const onReadRef = useRef(onRead);
+  useEffect(() => {
+    onReadRef.current = onRead;
+  });
+
+  useEffect(() => {
+    if (!supported) return;
+    navigator.permissions
+      ?.query({ name: "nfc" })
+      .then((permission) => permission.state === "granted" && setWanted(true))
+      .catch(() => {});
+  }, [supported]);
+
+  useEffect(() => {
+    if (!supported || !active || !wanted) return undefined;
+    const controller = new AbortController();
+    const reader = new window.NDEFReader();
+
+    reader.onreading = (event) => {
+      event.message.records.forEach((record) => {
+        const text = recordText(record);
+        if (text) onReadRef.current?.(text);
+      });
+    };
+    reader
+      .scan({ signal: controller.signal })
+      .then(() => !controller.signal.aborted && setStatus("listening"))
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.warn("NFC unavailable", err);
+        setStatus(err?.name === "NotAllowedError" ? "denied" : "failed");
+      });
+
+    return () => {
+      controller.abort();
+      setStatus("idle");
+    };
+  }, [supported, active, wanted]);
+
+  return { status, start: () => setWanted(true) };
+}
+
+function recordText(record) {
+  if (!["text", "url", "absolute-url"].includes(record.recordType) || !record.data) return null;
+  return new TextDecoder(record.encoding || "utf-8").decode(record.data);
+}
@@ -0,0 +1,265 @@
+import { useEffect, useRef, useState } from "react";
+import { cornersFromFinderPatterns } from "../ar/pose";
+import { createFrameScheduler } from "./frameScheduler";
+
+// ---------------------------
+// Optional barcode formats
+// ---------------------------
+const BARCODE_FORMATS = ["qr_code"];
+const WORKER_INIT_TIMEOUT_MS = 5000;
+
+// ---------------------------
+// Camera + Scanner
+// ---------------------------
+// Starts the rear camera on videoRef while `active` is true and reports the
+// codes found in every decoded frame to onCodes(codes), an empty list when
+// there were none:
+//
+//   [{ payload, rect, corners }]
+//
+// corners are the four code corners in video pixels (TL, TR, BR, BL) when
+// known, rect the bounding box when only that is. BarcodeDetector reports
+// every code in the frame, ZXing at most one.
+//
+// Frames are decoded in a Web Worker (decodeWorker.js) when the browser can
+// transfer ImageBitmaps; otherwise on the main thread with BarcodeDetector or
+// a lazily loaded ZXing reader. Either way frameScheduler.js sets the pace.
+// `engine` names the decoder in use ("worker:detector", "worker:zxing",
+// "detector" or "zxing"). With `debug`, `stats` ({ fps, decodeMs, idle }) is
+// refreshed every second.
+//
+// deviceId picks a specific camera; without it (or when that camera is gone)
+// the rear camera is used. The running video track is returned so callers can
+// offer torch, zoom and focus controls (see cameraControls.js).
+//
+// `error` is the browser's message; `errorCode` ("denied", "missing",
+// "failed" or "unsupported") lets callers show their own translated text.
+export function useQrScanner(videoRef, { active = true, deviceId = null, debug = false, onCodes }) {
+  const [granted, setGranted] = useState(null);
+  const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [track, setTrack] = useState(null);
+  const [engine, setEngine] = useState(null);
+  const [stats, setStats] = useState(null);
+
+  // Always call the latest handler so scan loops never see stale state
+  const onCodesRef = useRef(onCodes);
+  useEffect(() => {
+    onCodesRef.current = onCodes;
+  });
+
+  useEffect(() => {
+    let stop = false;
+    let worker = null;
+    let timer = 0;
+    let statsTimer = 0;
+    const video = videoRef.current;
+    const scheduler = createFrameScheduler();
+    const report = (codes) => onCodesRef.current?.(codes);
+
+    // Wait as long as the scheduler says, then grab the next painted frame.
+    // Hidden tabs get no animation frames, so scanning pauses until visible.
+    const schedule = (tick) => {
+      if (stop) return;
+      timer = setTimeout(() => requestAnimationFrame(tick), scheduler.nextDelay());
+    };
+
+    async function startCamera() {
+      setError(null);
+      setErrorCode(null);
+      const constraints = (id) => ({
+        video: id
+          ? { deviceId: { exact: id }, width: 1280, height: 720 }
+          : { facingMode: "environment", width: 1280, height: 720 },
+        audio: false,
+      });
+      try {
+        let stream;
+        try {
+          stream = await navigator.mediaDevices.getUserMedia(constraints(deviceId));
+        } catch (err) {
+          // A remembered camera may have been unplugged or renamed
+          if (!deviceId || !["OverconstrainedError", "NotFoundError"].includes(err?.name)) throw err;
+          stream = await navigator.mediaDevices.getUserMedia(constraints(null));
+        }
+        if (!video || stop) {
+          stream.getTracks().forEach((t) => t.stop());
+          return false;
+        }
+        video.srcObject = stream;
+        await video.play();
+        setTrack(stream.getVideoTracks()[0] || null);
+        setGranted(true);
+        return true;
+      } catch (err) {
+        console.error(err);
+        setError(err?.message || "Camera access failed. Allow permissions and reload.");
+        if (["NotAllowedError", "SecurityError"].includes(err?.name)) setErrorCode("denied");
+        else if (["NotFoundError", "OverconstrainedError"].includes(err?.name)) setErrorCode("missing");
+        else setErrorCode("failed");
+        setGranted(false);
+        return false;
+      }
+    }
+
+    // Resolves to { worker, engine } once the decode worker is usable, else null
+    function startWorker() {
+      if (typeof Worker === "undefined" || typeof createImageBitmap === "undefined") {
+        return Promise.resolve(null);
+      }
+      return new Promise((resolve) => {
+        let w;
+        try {
+          w = new Worker(new URL("./decodeWorker.js", import.meta.url), { type: "module" });
+        } catch {
+          resolve(null);
+          return;
+        }
+        const fail = () => {
+          clearTimeout(giveUp);
+          w.terminate();
+          resolve(null);
+        };
+        const giveUp = setTimeout(fail, WORKER_INIT_TIMEOUT_MS);
+        w.onerror = fail;
+        w.onmessage = (e) => {
+          if (e.data.type !== "ready") return fail();
+          clearTimeout(giveUp);
+          resolve({ worker: w, engine: e.data.engine });
+        };
+        w.postMessage({ type: "init" });
+      });
+    }
+
+    // Frames are captured as ImageBitmaps and decoded in the worker; one
+    // frame is in flight at a time so slow phones never queue up work.
+    function loopWorker() {
+      let frameId = 0;
+      const tick = async () => {
+        if (stop) return;
+        if (video.readyState < 2) return schedule(tick);
+        let bitmap;
+        try {
+          bitmap = await createImageBitmap(video);
+        } catch {
+          return schedule(tick);
+        }
+        if (stop) return bitmap.close();
+        frameId += 1;
+        worker.postMessage({ type: "frame", id: frameId, bitmap }, [bitmap]);
+      };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type !== "result" || stop) return;
+        scheduler.record(msg.codes.length > 0, msg.ms);
+        report(msg.codes.map((code) => ({ ...code, rect: null })));
+        schedule(tick);
+      };
+      // A crashed worker hands over to the main-thread scanners
+      worker.onerror = () => {
+        worker.terminate();
+        worker = null;
+        if (!stop) loopMainThread();
+      };
+      tick();
+    }
+
+    // Main-thread fallback: native BarcodeDetector
+    function loopBarcodeDetector() {
+      const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+
+      const tick = async () => {
+        if (stop) return;
+        const started = performance.now();
+        let codes = [];
+        try {
+          if (video.readyState >= 2) {
+            codes = (await detector.detect(video)).map((barcode) => ({
+              payload: barcode.rawValue || "",
+              rect: barcode.boundingBox || null,
+              corners: barcode.cornerPoints?.length === 4 ? barcode.cornerPoints : null,
+            }));
+          }
+        } catch {
+          // Some browsers throw while the detector is busy; keep going
+        }
+        scheduler.record(codes.length > 0, performance.now() - started);
+        report(codes);
+        schedule(tick);
+      };
+      requestAnimationFrame(tick);
+    }
+
+    // Main-thread fallback: ZXing on a snapshot of the current frame
+    async function loopZXing() {
+      try {
+        const { BrowserMultiFormatReader } = await import("@zxing/browser");
+        const reader = new BrowserMultiFormatReader();
+        const canvas = document.createElement("canvas");
+        const tick = () => {
+          if (stop) return;
+          const started = performance.now();
+          let codes = [];
+          if (video.readyState >= 2) {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext("2d").drawImage(video, 0, 0);
+            try {
+              const result = reader.decodeFromCanvas(canvas);
+              const points = (result.getResultPoints?.() || []).map((p) => ({ x: p.getX(), y: p.getY() }));
+              codes = [{ payload: result.getText(), rect: null, corners: cornersFromFinderPatterns(points) }];
+            } catch {
+              // No code in this frame
+            }
+          }
+          scheduler.record(codes.length > 0, performance.now() - started);
+          report(codes);
+          schedule(tick);
+        };
+        tick();
+      } catch {
+        setError("Scanner library failed to load. Try a newer browser.");
+        setErrorCode("unsupported");
+      }
+    }
+
+    function loopMainThread() {
+      if (typeof window !== "undefined" && window.BarcodeDetector) {
+        setEngine("detector");
+        loopBarcodeDetector();
+      } else {
+        setEngine("zxing");
+        loopZXing();
+      }
+    }
+
+    if (!active) return undefined;
+
+    startCamera()
+      .then((started) => (started && !stop ? startWorker() : undefined))
+      .then((started) => {
+        if (started === undefined) return;
+        if (stop) return started?.worker.terminate();
+        if (started) {
+          worker = started.worker;
+          setEngine(`worker:${started.engine}`);
+          loopWorker();
+        } else {
+          loopMainThread();
+        }
+        if (debug) statsTimer = setInterval(() => setStats(scheduler.stats()), 1000);
+      });
+
+    return () => {
+      stop = true;
+      clearTimeout(timer);
+      clearInterval(statsTimer);
+      worker?.terminate();
+      const stream = video?.srcObject;
+      stream?.getTracks().forEach((t) => t.stop());
+      if (video) video.srcObject = null;
+    };
+  }, [videoRef, active, deviceId, debug]);
+
+  return { granted, error, errorCode, track, engine, stats };
+}
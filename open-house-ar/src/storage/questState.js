@@ -0,0 +1,148 @@
+import { evaluateProgress } from "../quest/questRules";
+import { reconcileHistory } from "../quest/scanHistory";
+import { storage } from "./safeStorage";
+
+// ---------------------------
+// Saved quest progress
+// ---------------------------
+// One record per quest id, so several events (or a test quest next to the
+// real one) never mix their progress:
+//
+//   ohq_quest:<questId> -> { version, savedAt, progress, completedAt, challenges, history, proofs }
+//
+// progress:    station.id -> time scanned in ms (true when the time is
+//              unknown), false while pending
+// completedAt: finish time in ms, or null
+// challenges:  station.id -> attempt record (see quest/challenges.js)
+// history:     every scan attempt (see quest/scanHistory.js)
+// proofs:      station.id -> code that checked it in (see quest/stationProofs.js)
+//
+// Bump STATE_VERSION and add a step to MIGRATIONS whenever this shape
+// changes. Records are reconciled with the quest on every load, so stations
+// added to or removed from quest.json after someone started are handled.
+
+export const STATE_VERSION = 4;
+const keyFor = (questId) => `ohq_quest:${questId}`;
+
+// Version 1: the global keys used before progress was kept per quest
+const LEGACY_KEYS = {
+  progress: "ohq_progress_v1",
+  completedAt: "ohq_completed_v1",
+  challenges: "ohq_challenges_v1",
+};
+
+// MIGRATIONS[n] turns a version n record into version n + 1
+const MIGRATIONS = {
+  1: (record) => ({
+    version: 2,
+    progress: record.progress,
+    completedAt: Number(record.completedAt) || null,
+    challenges: record.challenges,
+  }),
+  2: (record) => ({ ...record, version: 3, history: [] }),
+  3: (record) => ({ ...record, version: 4, proofs: {} }),
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+function parse(key) {
+  const text = storage.getItem(key);
+  if (text === null) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Progress from the pre-versioned keys, if it belongs to this quest
+function readLegacy(quest) {
+  const progress = parse(LEGACY_KEYS.progress);
+  if (!isObject(progress)) return null;
+  const ids = new Set(quest.stations.map((s) => s.id));
+  if (!Object.keys(progress).some((id) => ids.has(id))) return null;
+  return {
+    version: 1,
+    progress,
+    completedAt: parse(LEGACY_KEYS.completedAt),
+    challenges: parse(LEGACY_KEYS.challenges),
+  };
+}
+
+function migrate(record) {
+  let current = record;
+  while (current.version < STATE_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) throw new Error(`No migration from quest state version ${current.version}`);
+    current = step(current);
+  }
+  return current;
+}
+
+// Fits a saved record to the current station list: unknown stations are
+// dropped, new ones start pending and a finish time only stays while the
+// quest is still complete.
+export function reconcileState(quest, record = {}) {
+  const savedProgress = isObject(record.progress) ? record.progress : {};
+  const savedChallenges = isObject(record.challenges) ? record.challenges : {};
+  const savedProofs = isObject(record.proofs) ? record.proofs : {};
+
+  const progress = {};
+  const challenges = {};
+  const proofs = {};
+  quest.stations.forEach((s) => {
+    const value = savedProgress[s.id];
+    progress[s.id] = value === true || (Number.isFinite(value) && value > 0) ? value : false;
+    if (s.challenge && isObject(savedChallenges[s.id])) challenges[s.id] = savedChallenges[s.id];
+    if (typeof savedProofs[s.id] === "string") proofs[s.id] = savedProofs[s.id];
+  });
+
+  const completedAt =
+    Number.isFinite(record.completedAt) && evaluateProgress(quest, progress).complete ? record.completedAt : null;
+
+  return { progress, completedAt, challenges, history: reconcileHistory(quest, record.history), proofs };
+}
+
+export function saveQuestState(questId, { progress, completedAt, challenges, history, proofs }) {
+  const record = { version: STATE_VERSION, savedAt: Date.now(), progress, completedAt, challenges, history, proofs };
+  storage.setItem(keyFor(questId), JSON.stringify(record));
+}
+
+export function clearQuestState(questId) {
+  storage.removeItem(keyFor(questId));
+}
+
+// Size of the saved record in characters, for the organiser diagnostics
+export function questStateSize(questId) {
+  return storage.getItem(keyFor(questId))?.length ?? 0;
+}
+
+// Never throws: unreadable data is set aside under "<key>:corrupt" for
+// support and the visitor starts afresh.
+export function loadQuestState(quest) {
+  const key = keyFor(quest.id);
+  let record = parse(key);
+  if (record !== undefined && !(isObject(record) && Number.isInteger(record.version))) {
+    console.warn(`Saved progress for ${quest.id} is unreadable; starting afresh`);
+    storage.setItem(`${key}:corrupt`, storage.getItem(key));
+    record = undefined;
+  }
+
+  const fromLegacy = record === undefined && readLegacy(quest);
+  if (fromLegacy) record = fromLegacy;
+
+  let state;
+  try {
+    // Records from a newer build are read as well as they can be
+    state = reconcileState(quest, record ? migrate(record) : {});
+  } catch (err) {
+    console.warn(err);
+    state = reconcileState(quest);
+  }
+
+  if (fromLegacy) {
+    saveQuestState(quest.id, state);
+    Object.values(LEGACY_KEYS).forEach((k) => storage.removeItem(k));
+  }
+  return state;
+}
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { STATE_VERSION, loadQuestState, reconcileState, saveQuestState } from "./questState";
+import { storage } from "./safeStorage";
+import { validateQuest } from "../quest/schema";
+
+const quest = validateQuest({
+  schemaVersion: 1,
+  id: "test",
+  title: "Test",
+  security: { allowLegacyCodes: true },
+  stations: [
+    { id: "A", name: "A", code: "OPENHOUSE:A" },
+    {
+      id: "B",
+      name: "B",
+      code: "OPENHOUSE:B",
+      challenge: { type: "number", question: "How many?", answer: 3 },
+    },
+  ],
+});
+
+const KEY = "ohq_quest:test";
+const saved = () => JSON.parse(storage.getItem(KEY));
+
+// Without initStorage() the storage lives in memory
+beforeEach(() => {
+  [KEY, `${KEY}:corrupt`, "ohq_progress_v1", "ohq_completed_v1", "ohq_challenges_v1"].forEach((key) =>
+    storage.removeItem(key)
+  );
+  // Keep the expected warnings out of the test output
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("loading saved progress", () => {
+  it("starts afresh when nothing is saved", () => {
+    const state = loadQuestState(quest);
+    assert.deepEqual(state.progress, { A: false, B: false });
+    assert.equal(state.completedAt, null);
+    assert.deepEqual(state.proofs, {});
+  });
+
+  it("moves version 1 progress out of the global keys", () => {
+    storage.setItem("ohq_progress_v1", JSON.stringify({ A: 1000, B: true }));
+    storage.setItem("ohq_completed_v1", "2000");
+    storage.setItem("ohq_challenges_v1", JSON.stringify({ B: { wrong: 1 } }));
+
+    const state = loadQuestState(quest);
+    assert.deepEqual(state.progress, { A: 1000, B: true });
+    assert.equal(state.completedAt, 2000);
+    assert.deepEqual(state.challenges, { B: { wrong: 1 } });
+    assert.equal(storage.getItem("ohq_progress_v1"), null);
+    assert.equal(saved().version, STATE_VERSION);
+  });
+
+  it("leaves version 1 progress of another quest alone", () => {
+    storage.setItem("ohq_progress_v1", JSON.stringify({ OTHER: 1000 }));
+    assert.deepEqual(loadQuestState(quest).progress, { A: false, B: false });
+    assert.notEqual(storage.getItem("ohq_progress_v1"), null);
+  });
+
+  it("migrates version 2 and 3 records", () => {
+    storage.setItem(KEY, JSON.stringify({ version: 2, progress: { A: 1000 }, completedAt: null, challenges: {} }));
+    const fromV2 = loadQuestState(quest);
+    assert.deepEqual(fromV2.progress, { A: 1000, B: false });
+    assert.deepEqual(fromV2.history, []);
+    assert.deepEqual(fromV2.proofs, {});
+
+    const history = [{ result: "ok", stationId: "A", at: 1000, via: "camera" }];
+    const v3 = { version: 3, progress: { A: 1000 }, completedAt: null, challenges: {}, history };
+    storage.setItem(KEY, JSON.stringify(v3));
+    const fromV3 = loadQuestState(quest);
+    assert.equal(fromV3.history.length, 1);
+    assert.deepEqual(fromV3.proofs, {});
+  });
+
+  it("sets unreadable records aside", () => {
+    storage.setItem(KEY, "{not json");
+    assert.deepEqual(loadQuestState(quest).progress, { A: false, B: false });
+    assert.equal(storage.getItem(`${KEY}:corrupt`), "{not json");
+
+    storage.setItem(KEY, JSON.stringify({ progress: { A: 1000 } }));
+    assert.deepEqual(loadQuestState(quest).progress, { A: false, B: false });
+  });
+
+  it("reads back what was saved", () => {
+    const state = {
+      progress: { A: 1000, B: 2000 },
+      completedAt: 2000,
+      challenges: { B: { wrong: 2, streak: 0 } },
+      history: [],
+      proofs: { A: "OPENHOUSE:A" },
+    };
+    saveQuestState(quest.id, state);
+    assert.deepEqual(loadQuestState(quest), state);
+  });
+});
+
+describe("reconcileState", () => {
+  it("fits a record to the current stations", () => {
+    const state = reconcileState(quest, {
+      progress: { A: 1000, GONE: 1000, B: -5 },
+      completedAt: 3000,
+      challenges: { A: { wrong: 1 }, B: { wrong: 1 } },
+      proofs: { A: "OPENHOUSE:A", GONE: "OPENHOUSE:GONE", B: 42 },
+    });
+    assert.deepEqual(state.progress, { A: 1000, B: false });
+    // No longer complete, so no finish time
+    assert.equal(state.completedAt, null);
+    // A has no challenge
+    assert.deepEqual(state.challenges, { B: { wrong: 1 } });
+    assert.deepEqual(state.proofs, { A: "OPENHOUSE:A" });
+  });
+});
@@ -0,0 +1,148 @@
+// ---------------------------
+// Key-value storage that never throws
+// ---------------------------
+// Uses localStorage when it works. Where it is blocked (old Safari private
+// mode, some embedded browsers, storage disabled by policy) values live in
+// memory and are mirrored to IndexedDB, so they still survive a reload when
+// IndexedDB is allowed. initStorage() must resolve before the first read;
+// main.jsx waits for it before rendering.
+
+const IDB_NAME = "ohq-storage";
+const IDB_STORE = "kv";
+
+const memory = new Map();
+let backend = "memory"; // "local" | "indexeddb" | "memory"
+let idb = null;
+
+function probeLocalStorage() {
+  try {
+    const key = "__ohq_probe__";
+    localStorage.setItem(key, "1");
+    localStorage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function openIndexedDb() {
+  return new Promise((resolve) => {
+    try {
+      const req = indexedDB.open(IDB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+function idbHydrate(db) {
+  return new Promise((resolve) => {
+    const tx = db.transaction(IDB_STORE, "readonly");
+    const store = tx.objectStore(IDB_STORE);
+    const keys = store.getAllKeys();
+    const values = store.getAll();
+    tx.oncomplete = () => {
+      keys.result.forEach((key, i) => memory.set(key, values.result[i]));
+      resolve();
+    };
+    tx.onerror = () => resolve();
+  });
+}
+
+function idbWrite(key, value) {
+  if (!idb) return;
+  try {
+    const store = idb.transaction(IDB_STORE, "readwrite").objectStore(IDB_STORE);
+    if (value === null) store.delete(key);
+    else store.put(value, key);
+  } catch (err) {
+    console.warn("IndexedDB write failed", err);
+  }
+}
+
+let initPromise = null;
+
+export function initStorage() {
+  initPromise =
+    initPromise ||
+    (async () => {
+      if (typeof localStorage !== "undefined" && probeLocalStorage()) {
+        backend = "local";
+        return backend;
+      }
+      idb = typeof indexedDB !== "undefined" ? await openIndexedDb() : null;
+      if (idb) {
+        await idbHydrate(idb);
+        backend = "indexeddb";
+      }
+      console.warn(`localStorage unavailable; using ${backend} storage`);
+      return backend;
+    })();
+  return initPromise;
+}
+
+export function storageBackend() {
+  return backend;
+}
+
+// ---------------------------
+// Storage API (mirrors localStorage)
+// ---------------------------
+// A failed localStorage write (e.g. quota) keeps the value in memory for
+// the rest of the session instead of losing it.
+export const storage = {
+  getItem(key) {
+    if (memory.has(key)) return memory.get(key);
+    if (backend !== "local") return null;
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  },
+  setItem(key, value) {
+    const text = String(value);
+    if (backend === "local") {
+      try {
+        localStorage.setItem(key, text);
+        memory.delete(key);
+        return true;
+      } catch (err) {
+        console.warn(`Could not save ${key}`, err);
+      }
+    }
+    memory.set(key, text);
+    idbWrite(key, text);
+    return backend !== "local";
+  },
+  removeItem(key) {
+    memory.delete(key);
+    idbWrite(key, null);
+    if (backend !== "local") return;
+    try {
+      localStorage.removeItem(key);
+    } catch {
+      // nothing stored there
+    }
+  },
+};
+
+// JSON helpers: unreadable values come back as the fallback
+export function readJson(key, fallback) {
+  const text = storage.getItem(key);
+  if (text === null) return fallback;
+  try {
+    return JSON.parse(text) ?? fallback;
+  } catch (err) {
+    console.warn(`Ignoring unreadable ${key}`, err);
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  return storage.setItem(key, JSON.stringify(value));
+}
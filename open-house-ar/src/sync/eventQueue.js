@@ -0,0 +1,86 @@
+// ---------------------------
+// Durable outbox for sync events
+// ---------------------------
+// Events wait in IndexedDB until the backend has acknowledged them, so scans
+// made in a Wi-Fi dead zone (or before a reload) are still delivered later.
+// Browsers without IndexedDB (or private modes that block it) fall back to
+// an in-memory list that lasts until the page is closed.
+//
+// One outbox holds the events of every quest played on this phone; each
+// quest's sync client only lists and counts its own (see syncClient.js).
+
+const DB_NAME = "ohq-sync";
+const STORE = "events";
+
+function openDb() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, 2);
+    } catch {
+      return resolve(null);
+    }
+    req.onupgradeneeded = (event) => {
+      const store =
+        event.oldVersion < 1
+          ? req.result.createObjectStore(STORE, { keyPath: "id" })
+          : req.transaction.objectStore(STORE);
+      // Version 2: events per quest, oldest first
+      store.createIndex("quest", ["questId", "at"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+}
+
+// Runs fn(store) in one transaction and resolves with the request's result
+function run(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function createMemoryQueue() {
+  const events = new Map();
+  return {
+    persistent: false,
+    async add(event) {
+      events.set(event.id, event);
+    },
+    async list(questId, limit) {
+      return [...events.values()]
+        .filter((e) => e.questId === questId)
+        .sort((a, b) => a.at - b.at)
+        .slice(0, limit);
+    },
+    async remove(ids) {
+      ids.forEach((id) => events.delete(id));
+    },
+    async count(questId) {
+      return [...events.values()].filter((e) => e.questId === questId).length;
+    },
+  };
+}
+
+const questRange = (questId) => IDBKeyRange.bound([questId, -Infinity], [questId, Infinity]);
+
+// Resolves to { persistent, add(event), list(questId, limit), remove(ids), count(questId) }
+export async function createEventQueue() {
+  const db = await openDb();
+  if (!db) return createMemoryQueue();
+
+  return {
+    persistent: true,
+    add: (event) => run(db, "readwrite", (store) => store.put(event)),
+    list: (questId, limit) =>
+      run(db, "readonly", (store) => store.index("quest").getAll(questRange(questId), limit)),
+    remove: (ids) => run(db, "readwrite", (store) => ids.forEach((id) => store.delete(id))),
+    count: (questId) => run(db, "readonly", (store) => store.index("quest").count(questRange(questId))),
+  };
+}
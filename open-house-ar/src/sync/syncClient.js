@@ -0,0 +1,112 @@
+import { getDeviceIdentity } from "../quest/deviceIdentity";
+import { createEventQueue } from "./eventQueue";
+
+// ---------------------------
+// Sync to the organiser backend
+// ---------------------------
+// Only created when the quest has "sync": { "endpoint": … }. Events are
+//
+//   { id, type: "scan", questId, deviceId, stationId, at }
+//   { id, type: "complete", questId, deviceId, at, score? }
+//
+// and are POSTed in batches to `${endpoint}/events` as { events: [...] }.
+// `id` is a random idempotency key: a batch that was stored but whose reply
+// got lost is simply sent again and the server ignores the duplicates.
+// The server stores the valid events of a batch and lists the malformed ones
+// in `rejected`. Backends that refuse a whole batch instead get the events
+// one at a time, so only the bad ones are dropped.
+
+const BATCH_SIZE = 25;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Rejections the server will keep giving; retrying would block the queue
+const isPermanent = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+export function createSyncClient({ endpoint, questId, onPending = () => {} }) {
+  const queuePromise = createEventQueue();
+  let stopped = false;
+  let flushing = false;
+  let attempt = 0;
+  let retryTimer = 0;
+
+  async function updatePending() {
+    const queue = await queuePromise;
+    onPending(await queue.count(questId));
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+    attempt += 1;
+    // Jitter so a hall full of phones does not retry in lockstep
+    retryTimer = setTimeout(flush, delay * (0.75 + Math.random() * 0.5));
+  }
+
+  async function flush() {
+    if (flushing || stopped) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    try {
+      const queue = await queuePromise;
+      let size = BATCH_SIZE;
+      for (;;) {
+        const batch = await queue.list(questId, size);
+        if (batch.length === 0 || stopped) break;
+
+        const res = await fetch(`${endpoint}/events`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ events: batch }),
+          keepalive: true,
+        });
+        if (!res.ok && !isPermanent(res.status)) throw new Error(`Sync failed (${res.status})`);
+        if (!res.ok && batch.length > 1) {
+          size = 1;
+          continue;
+        }
+        if (!res.ok) console.warn(`Sync rejected event ${batch[0].id} (${res.status}); dropping it`);
+        const { rejected } = res.ok ? await res.json().catch(() => ({})) : {};
+        if (rejected?.length) console.warn(`Sync rejected ${rejected.length} malformed event(s); dropping them`);
+
+        await queue.remove(batch.map((e) => e.id));
+        attempt = 0;
+      }
+    } catch (err) {
+      console.warn(err);
+      scheduleRetry();
+    } finally {
+      flushing = false;
+      updatePending();
+    }
+  }
+
+  async function record(type, data = {}) {
+    if (stopped) return;
+    const { deviceId } = await getDeviceIdentity();
+    const queue = await queuePromise;
+    await queue.add({ id: crypto.randomUUID(), type, questId, deviceId, at: Date.now(), ...data });
+    updatePending();
+    flush();
+  }
+
+  const onOnline = () => {
+    attempt = 0;
+    flush();
+  };
+
+  return {
+    record,
+    flush,
+    start() {
+      window.addEventListener("online", onOnline);
+      updatePending();
+      flush(); // events left over from an earlier visit
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      window.removeEventListener("online", onOnline);
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createSyncClient } from "./syncClient";
+import { createEventQueue } from "./eventQueue";
+
+// A backend that refuses any batch holding a scan without a station, like
+// the reference server did before it learnt to skip malformed events
+function strictBackend() {
+  const stored = [];
+  const post = async (url, { body }) => {
+    const { events } = JSON.parse(body);
+    if (events.some((e) => e.type === "scan" && typeof e.stationId !== "string")) {
+      return new Response(JSON.stringify({ error: "Malformed event in batch" }), { status: 422 });
+    }
+    stored.push(...events);
+    return Response.json({ accepted: events.length, duplicates: 0 });
+  };
+  return { stored, post };
+}
+
+// Lets the flushes started by record() finish
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("sync client", () => {
+  let offline;
+  let client;
+
+  beforeEach(() => {
+    globalThis.window = new EventTarget();
+    // Retries wait for a manual flush()
+    mock.timers.enable({ apis: ["setTimeout"] });
+    mock.method(console, "warn", () => {});
+    offline = async () => {
+      throw new TypeError("Failed to fetch");
+    };
+  });
+
+  afterEach(() => {
+    client.stop();
+    delete globalThis.window;
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it("drops only the events a backend keeps refusing", async () => {
+    const backend = strictBackend();
+    const fetch = mock.method(globalThis, "fetch", offline);
+    const pending = [];
+    client = createSyncClient({ endpoint: "https://sync.example", questId: "q", onPending: (n) => pending.push(n) });
+    await client.record("scan", { stationId: "A" });
+    await client.record("scan", { stationId: null });
+    await client.record("complete", {});
+    await settled();
+
+    fetch.mock.mockImplementation(backend.post);
+    await client.flush();
+    assert.deepEqual(
+      backend.stored.map((e) => e.type + (e.stationId ?? "")),
+      ["scanA", "complete"]
+    );
+    await settled();
+    assert.equal(pending.at(-1), 0);
+  });
+
+  it("sends the whole queue in one batch when the backend takes it", async () => {
+    const backend = strictBackend();
+    const fetch = mock.method(globalThis, "fetch", offline);
+    client = createSyncClient({ endpoint: "https://sync.example", questId: "q" });
+    await client.record("scan", { stationId: "A" });
+    await client.record("scan", { stationId: "B" });
+    await settled();
+
+    const calls = fetch.mock.callCount();
+    fetch.mock.mockImplementation(backend.post);
+    await client.flush();
+    assert.equal(fetch.mock.callCount() - calls, 1);
+    assert.equal(backend.stored.length, 2);
+  });
+});
+
+describe("event queue", () => {
+  it("lists and counts each quest's events on their own", async () => {
+    const queue = await createEventQueue();
+    await queue.add({ id: "1", questId: "a", at: 2 });
+    await queue.add({ id: "2", questId: "b", at: 1 });
+    await queue.add({ id: "3", questId: "a", at: 1 });
+    assert.deepEqual((await queue.list("a", 10)).map((e) => e.id), ["3", "1"]);
+    assert.equal(await queue.count("b"), 1);
+  });
+});
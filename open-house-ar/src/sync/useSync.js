@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createSyncClient } from "./syncClient";
+
+// ---------------------------
+// Optional organiser sync for one quest
+// ---------------------------
+// Without quest.sync the hook does nothing at all (no IndexedDB, no network):
+// record() is a no-op and pending stays 0.
+export function useSync(quest) {
+  const endpoint = quest.sync?.endpoint;
+  const [pending, setPending] = useState(0);
+  const clientRef = useRef(null);
+
+  useEffect(() => {
+    if (!endpoint) return undefined;
+    const client = createSyncClient({ endpoint, questId: quest.id, onPending: setPending });
+    clientRef.current = client;
+    client.start();
+    return () => {
+      client.stop();
+      clientRef.current = null;
+    };
+  }, [endpoint, quest.id]);
+
+  const record = useCallback((type, data) => {
+    clientRef.current?.record(type, data).catch((err) => console.warn("Sync event not queued", err));
+  }, []);
+
+  return { enabled: Boolean(endpoint), pending, record };
+}
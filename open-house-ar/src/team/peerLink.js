@@ -0,0 +1,98 @@
+// ---------------------------
+// Direct link between two team phones
+// ---------------------------
+// A WebRTC data channel. The offer and answer travel inside team QR codes
+// (see teamCodes.js) instead of through a signalling server, so every ICE
+// candidate is gathered before the description is handed over. Phones on the
+// same Wi-Fi find each other without any server; quest.team.stun helps
+// phones on mobile data.
+//
+//   host:   const link = await createOffer(stun)   -> show link.offer
+//   joiner: const link = await acceptOffer(offer, stun) -> show link.answer
+//   host:   await link.complete(answer)
+//
+// Each link has send(message), close() and an open flag, and calls its
+// onOpen, onMessage and onClose callbacks; messages are JSON.
+
+const GATHER_TIMEOUT_MS = 3000;
+
+export const peerLinksSupported = typeof window !== "undefined" && "RTCPeerConnection" in window;
+
+// Resolves once ICE gathering is done, or after GATHER_TIMEOUT_MS with the
+// candidates found so far
+function gathered(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, GATHER_TIMEOUT_MS);
+    pc.addEventListener("icegatheringstatechange", () => {
+      if (pc.iceGatheringState !== "complete") return;
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+function createLink(stun) {
+  const pc = new RTCPeerConnection({ iceServers: stun.length ? [{ urls: stun }] : [] });
+  const link = {
+    pc,
+    onOpen: null,
+    onMessage: null,
+    onClose: null,
+    open: false,
+    send(message) {
+      if (link.open) link.channel.send(JSON.stringify(message));
+    },
+    close() {
+      pc.close();
+    },
+  };
+
+  link.attach = (channel) => {
+    link.channel = channel;
+    channel.onopen = () => {
+      link.open = true;
+      link.onOpen?.();
+    };
+    channel.onmessage = (e) => {
+      try {
+        link.onMessage?.(JSON.parse(e.data));
+      } catch (err) {
+        console.warn("Team message ignored", err);
+      }
+    };
+    channel.onclose = () => {
+      if (!link.open) return;
+      link.open = false;
+      link.onClose?.();
+    };
+  };
+
+  pc.addEventListener("connectionstatechange", () => {
+    if (pc.connectionState !== "failed" && pc.connectionState !== "closed") return;
+    const wasOpen = link.open;
+    link.open = false;
+    if (wasOpen) link.onClose?.();
+  });
+  return link;
+}
+
+export async function createOffer(stun = []) {
+  const link = createLink(stun);
+  link.attach(link.pc.createDataChannel("team"));
+  await link.pc.setLocalDescription(await link.pc.createOffer());
+  await gathered(link.pc);
+  link.offer = link.pc.localDescription.sdp;
+  link.complete = (answer) => link.pc.setRemoteDescription({ type: "answer", sdp: answer });
+  return link;
+}
+
+export async function acceptOffer(offer, stun = []) {
+  const link = createLink(stun);
+  link.pc.addEventListener("datachannel", (e) => link.attach(e.channel));
+  await link.pc.setRemoteDescription({ type: "offer", sdp: offer });
+  await link.pc.setLocalDescription(await link.pc.createAnswer());
+  await gathered(link.pc);
+  link.answer = link.pc.localDescription.sdp;
+  return link;
+}
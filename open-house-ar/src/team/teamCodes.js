@@ -0,0 +1,60 @@
+import { base64UrlDecode, base64UrlEncode } from "../quest/stationCodes";
+
+// ---------------------------
+// Team QR codes
+// ---------------------------
+//   OHQTEAM1.<format><base64url body>
+//
+// format is "z" for a body deflated with CompressionStream, "j" for plain
+// JSON on browsers without it. The body is
+//
+//   { q: quest id, t: { id, members }, p: progress, s: station proofs,
+//     o: WebRTC offer, a: WebRTC answer, c: connection id }   (s, o, a, c optional)
+//
+// One format covers inviting a phone, answering the invite and re-syncing
+// without a network: whichever phone scans a team code merges the members and
+// progress it carries (see teamState.js); for quests with signed codes only
+// stations with a valid proof count (see quest/stationProofs.js). The offer
+// and answer are the signalling for the direct link between the two phones
+// (see peerLink.js), so no signalling server is needed.
+export const TEAM_CODE_PREFIX = "OHQTEAM1.";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export function isTeamCode(text) {
+  return String(text || "").startsWith(TEAM_CODE_PREFIX);
+}
+
+async function pipe(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+export async function packTeamCode(data) {
+  const json = encoder.encode(JSON.stringify(data));
+  if (typeof CompressionStream === "undefined") return `${TEAM_CODE_PREFIX}j${base64UrlEncode(json)}`;
+  return `${TEAM_CODE_PREFIX}z${base64UrlEncode(await pipe(json, new CompressionStream("deflate-raw")))}`;
+}
+
+// Resolves to the body, or null when text is not a readable team code
+export async function readTeamCode(text) {
+  if (!isTeamCode(text)) return null;
+  const body = String(text).trim().slice(TEAM_CODE_PREFIX.length);
+  try {
+    let bytes = base64UrlDecode(body.slice(1));
+    if (body[0] === "z") bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+    else if (body[0] !== "j") return null;
+    const data = JSON.parse(decoder.decode(bytes));
+    const valid =
+      isObject(data) &&
+      typeof data.q === "string" &&
+      isObject(data.t) &&
+      typeof data.t.id === "string" &&
+      Array.isArray(data.t.members) &&
+      isObject(data.p);
+    return valid ? data : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,66 @@
+import { base64UrlEncode } from "../quest/stationCodes";
+import { readJson, storage, writeJson } from "../storage/safeStorage";
+
+// ---------------------------
+// Team on this phone
+// ---------------------------
+//   ohq_team:<questId> -> { id, members: [{ id, name, joinedAt }] }
+//
+// id:      random team id
+// members: device ids (see quest/deviceIdentity.js) with the name each
+//          person typed, in the order they joined
+//
+// Progress is not kept here. Stations found by teammates are merged into
+// this phone's own progress (see mergeProgress), so the station list,
+// journey and completion token work exactly as for a single phone.
+const keyFor = (questId) => `ohq_team:${questId}`;
+const MAX_NAME_LENGTH = 24;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export function loadTeam(questId) {
+  const team = readJson(keyFor(questId), null);
+  return isObject(team) && typeof team.id === "string" && Array.isArray(team.members) ? team : null;
+}
+
+export function saveTeam(questId, team) {
+  if (team) writeJson(keyFor(questId), team);
+  else storage.removeItem(keyFor(questId));
+}
+
+export function cleanName(name) {
+  return String(name || "").trim().slice(0, MAX_NAME_LENGTH);
+}
+
+export function createTeam(member) {
+  const id = base64UrlEncode(crypto.getRandomValues(new Uint8Array(6)));
+  return { id, members: [{ ...member, name: cleanName(member.name), joinedAt: Date.now() }] };
+}
+
+// Members of both, each once, in the order they joined. Returns null when
+// the result would have more than maxMembers; a team that is already over
+// the limit (an older quest file) is kept as it is.
+export function mergeMembers(mine, theirs, maxMembers) {
+  const byId = new Map(mine.map((m) => [m.id, m]));
+  theirs
+    .filter((m) => isObject(m) && typeof m.id === "string" && !byId.has(m.id))
+    .forEach((m) => byId.set(m.id, { id: m.id, name: cleanName(m.name), joinedAt: Number(m.joinedAt) || 0 }));
+  const members = [...byId.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+  return members.length > Math.max(maxMembers, mine.length) ? null : members;
+}
+
+export const sameMembers = (a, b) => a.length === b.length && a.every((m, i) => m.id === b[i].id);
+
+// Stations a teammate found that this phone has not: returns the merged
+// progress and the ids of the stations it added. Times are the teammate's.
+export function mergeProgress(quest, progress, theirs) {
+  const merged = { ...progress };
+  const added = [];
+  quest.stations.forEach((s) => {
+    const at = theirs?.[s.id];
+    if (progress[s.id] || !(at === true || (Number.isFinite(at) && at > 0))) return;
+    merged[s.id] = at;
+    added.push(s.id);
+  });
+  return { progress: merged, added };
+}
@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mergeMembers, mergeProgress } from "./teamState";
+
+const quest = { stations: [{ id: "A" }, { id: "B" }, { id: "C" }, { id: "D" }] };
+
+describe("mergeProgress", () => {
+  it("adds only the stations this phone has not found", () => {
+    const mine = { A: 1000, B: false, C: false, D: false };
+    const theirs = { A: 500, B: 2000, C: true, D: false };
+    assert.deepEqual(mergeProgress(quest, mine, theirs), {
+      progress: { A: 1000, B: 2000, C: true, D: false },
+      added: ["B", "C"],
+    });
+  });
+
+  it("ignores unknown stations and values that are not scan times", () => {
+    const mine = { A: false, B: false, C: false, D: false };
+    const { progress, added } = mergeProgress(quest, mine, { A: "1000", B: -1, C: null, GONE: 1000 });
+    assert.deepEqual(progress, mine);
+    assert.deepEqual(added, []);
+    assert.deepEqual(mergeProgress(quest, mine, undefined).added, []);
+  });
+});
+
+describe("mergeMembers", () => {
+  const ann = { id: "ann", name: "Ann", joinedAt: 1 };
+  const bob = { id: "bob", name: "Bob", joinedAt: 2 };
+  const cat = { id: "cat", name: "Cat", joinedAt: 3 };
+
+  it("lists each member once in the order they joined", () => {
+    assert.deepEqual(mergeMembers([ann, cat], [bob, ann], 4), [ann, bob, cat]);
+  });
+
+  it("refuses to grow past the team size", () => {
+    assert.equal(mergeMembers([ann, bob], [cat], 2), null);
+    assert.deepEqual(mergeMembers([ann, bob, cat], [bob], 2), [ann, bob, cat]);
+  });
+
+  it("cleans names and drops malformed members", () => {
+    const merged = mergeMembers([ann], [{ id: "dan", name: "  Dan  ", joinedAt: 4 }, { name: "No id" }, null], 4);
+    assert.deepEqual(merged, [ann, { id: "dan", name: "Dan", joinedAt: 4 }]);
+  });
+});
@@ -0,0 +1,270 @@
+import { useEffect, useRef, useState } from "react";
+import { base64UrlDecode, base64UrlEncode } from "../quest/stationCodes";
+import { getDeviceIdentity } from "../quest/deviceIdentity";
+import { createProofChecker, packProofs, unpackProofs } from "../quest/stationProofs";
+import { isTeamCode, packTeamCode, readTeamCode } from "./teamCodes";
+import { acceptOffer, createOffer, peerLinksSupported } from "./peerLink";
+import { cleanName, createTeam, loadTeam, mergeMembers, sameMembers, saveTeam } from "./teamState";
+
+// What phones send each other, as link messages and in team QR codes (see
+// teamCodes.js); s holds the packed proofs of the stations in p
+function teamMessage(quest, team, progress, proofs) {
+  return { q: quest.id, t: team, p: progress, s: base64UrlEncode(packProofs(quest, progress, proofs)) };
+}
+
+function readProofs(quest, s) {
+  try {
+    return unpackProofs(quest, base64UrlDecode(s));
+  } catch {
+    return {};
+  }
+}
+
+// ---------------------------
+// Team play for one quest
+// ---------------------------
+// Without quest.team the hook does nothing: team stays null and every code
+// is left to the station scanner.
+//
+// A phone creates the team and shows an invite QR. The phone that scans it
+// joins and shows a reply QR; once the first phone scans that, the two are
+// linked directly (see peerLink.js) and send each other their progress
+// whenever it changes. Linked phones pass on what they hear, so a family can
+// be linked in a chain. Without a link (no Wi-Fi, an old browser, a reload)
+// the same QR codes still carry the team and its progress, and "sync" QR
+// codes can be swapped at any time.
+//
+// progress and proofs are this phone's (see quest/stationProofs.js);
+// onProgress(theirs, theirProofs) receives the stations a teammate found
+// that this phone has not, and merges them (see teamState.js mergeProgress).
+// Team codes are not signed, so for quests with signed codes only stations
+// that come with a valid station code are passed on.
+//
+// handleCode(text) takes a team QR seen by the camera. It resolves to null
+// when text is not a team code, otherwise to "joined", "synced", "linked",
+// "full", "other-team", "other-quest" or "invalid".
+export function useTeam(quest, { progress, proofs, onProgress }) {
+  const enabled = Boolean(quest.team);
+  const { maxMembers = 0, stun = [] } = quest.team || {};
+  const [team, setTeam] = useState(() => (enabled ? loadTeam(quest.id) : null));
+  const [me, setMe] = useState(null);
+  const [name, setName] = useState("");
+  // QR on screen: { purpose: "invite" | "reply" | "sync", extra: { o?, a?, c? } }
+  const [shown, setShown] = useState(null);
+  const [code, setCode] = useState(null);
+  const [connected, setConnected] = useState(0);
+  const links = useRef(new Set());
+  const pendingInvite = useRef(null); // { id, link } waiting for its reply
+  const answered = useRef(new Set()); // invites already replied to
+  const checkProofs = useRef(null);
+  if (!checkProofs.current) checkProofs.current = createProofChecker(quest);
+
+  // Link callbacks outlive renders, so they read the latest values here
+  const latest = useRef({});
+  useEffect(() => {
+    latest.current = { team, progress, proofs, onProgress };
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    getDeviceIdentity()
+      .then((device) => setMe(device.deviceId))
+      .catch((err) => console.error(err));
+  }, [enabled]);
+
+  useEffect(() => {
+    if (enabled) saveTeam(quest.id, team);
+  }, [enabled, quest.id, team]);
+
+  // Links close with the quest view
+  useEffect(() => {
+    const open = links.current;
+    return () => {
+      open.forEach((link) => link.close());
+      pendingInvite.current?.link.close();
+    };
+  }, []);
+
+  // ---------------------------
+  // Sharing progress
+  // ---------------------------
+  useEffect(() => {
+    if (!team) return;
+    links.current.forEach((link) => link.send(teamMessage(quest, team, progress, proofs)));
+  }, [quest, team, progress, proofs]);
+
+  // The QR on screen always carries the latest members and progress
+  useEffect(() => {
+    if (!team || !shown) {
+      setCode(null);
+      return undefined;
+    }
+    let cancelled = false;
+    packTeamCode({ ...teamMessage(quest, team, progress, proofs), ...shown.extra })
+      .then((text) => !cancelled && setCode({ purpose: shown.purpose, text }))
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [quest, team, progress, proofs, shown]);
+
+  // Passes on the stations this phone does not have yet whose proofs check
+  // out. The check is async, so progress is read again once it is done.
+  async function receiveProgress(data) {
+    if (!data.p || typeof data.p !== "object") return;
+    const proofsIn = readProofs(quest, data.s);
+    const mine = latest.current.progress;
+    const fresh = Object.fromEntries(Object.entries(data.p).filter(([id]) => !mine[id]));
+    const { proven } = await checkProofs.current(fresh, proofsIn);
+    if (proven.length === 0) return;
+    latest.current.onProgress(
+      Object.fromEntries(proven.map((id) => [id, fresh[id]])),
+      Object.fromEntries(proven.filter((id) => proofsIn[id]).map((id) => [id, proofsIn[id]]))
+    );
+  }
+
+  // Merges a teammate's members and progress; false when the team is full
+  function absorb(data) {
+    const current = latest.current.team;
+    const members = mergeMembers(current.members, data.t.members, maxMembers);
+    if (!members) return false;
+    if (!sameMembers(members, current.members)) {
+      latest.current.team = { ...current, members };
+      setTeam(latest.current.team);
+    }
+    receiveProgress(data).catch((err) => console.error(err));
+    return true;
+  }
+
+  function track(link) {
+    const count = () => setConnected([...links.current].filter((l) => l.open).length);
+    links.current.add(link);
+    link.onOpen = () => {
+      count();
+      const { team: current, progress: mine, proofs: myProofs } = latest.current;
+      if (current) link.send(teamMessage(quest, current, mine, myProofs));
+    };
+    link.onMessage = (data) => {
+      if (data?.q === quest.id && data.t?.id === latest.current.team?.id) absorb(data);
+    };
+    link.onClose = () => {
+      links.current.delete(link);
+      count();
+    };
+  }
+
+  // ---------------------------
+  // Actions
+  // ---------------------------
+  function create() {
+    if (!me) return;
+    setTeam(createTeam({ id: me, name }));
+  }
+
+  async function invite() {
+    pendingInvite.current?.link.close();
+    pendingInvite.current = null;
+    const extra = {};
+    if (peerLinksSupported) {
+      try {
+        const link = await createOffer(stun);
+        const id = base64UrlEncode(crypto.getRandomValues(new Uint8Array(6)));
+        pendingInvite.current = { id, link };
+        Object.assign(extra, { o: link.offer, c: id });
+      } catch (err) {
+        console.warn("Direct link unavailable; the invite carries progress only", err);
+      }
+    }
+    setShown({ purpose: "invite", extra });
+  }
+
+  function showSync() {
+    setShown({ purpose: "sync", extra: {} });
+  }
+
+  function hideCode() {
+    setShown(null);
+  }
+
+  // Stations found so far stay on this phone; teammates keep listing it
+  function leave() {
+    links.current.forEach((link) => link.close());
+    links.current.clear();
+    pendingInvite.current?.link.close();
+    pendingInvite.current = null;
+    setConnected(0);
+    setShown(null);
+    setTeam(null);
+  }
+
+  async function handleCode(text) {
+    if (!enabled || !isTeamCode(text)) return null;
+    const data = await readTeamCode(text);
+    if (!data) return "invalid";
+    if (data.q !== quest.id) return "other-quest";
+    const current = latest.current.team;
+    if (current && current.id !== data.t.id) return "other-team";
+    if (!me) return null;
+
+    const joining = !current;
+    if (joining) {
+      const self = { id: me, name: cleanName(name), joinedAt: Date.now() };
+      const members = mergeMembers(data.t.members, [self], maxMembers);
+      if (!members) return "full";
+      latest.current.team = { id: data.t.id, members };
+      setTeam(latest.current.team);
+      receiveProgress(data).catch((err) => console.error(err));
+    } else if (!absorb(data)) {
+      return "full";
+    }
+
+    // The reply to this phone's invite: complete the link
+    const invite = pendingInvite.current;
+    if (data.a && invite?.id === data.c) {
+      pendingInvite.current = null;
+      track(invite.link);
+      try {
+        await invite.link.complete(data.a);
+        setShown(null);
+        return "linked";
+      } catch (err) {
+        console.warn("Team link failed", err);
+        links.current.delete(invite.link);
+        return "synced";
+      }
+    }
+
+    // An invite: answer it, so the inviting phone can link back
+    if (data.o && peerLinksSupported && !answered.current.has(data.c)) {
+      answered.current.add(data.c);
+      try {
+        const link = await acceptOffer(data.o, stun);
+        track(link);
+        setShown({ purpose: "reply", extra: { a: link.answer, c: data.c } });
+        return joining ? "joined" : "synced";
+      } catch (err) {
+        console.warn("Team link failed", err);
+      }
+    }
+    // Without a link the inviting phone still learns about this one
+    if (joining) setShown({ purpose: "reply", extra: {} });
+    return joining ? "joined" : "synced";
+  }
+
+  return {
+    enabled,
+    maxMembers,
+    team,
+    me,
+    name,
+    setName,
+    code,
+    connected,
+    create,
+    invite,
+    showSync,
+    hideCode,
+    leave,
+    handleCode,
+  };
+}
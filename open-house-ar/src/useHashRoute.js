@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+
+// ---------------------------
+// Minimal hash router
+// ---------------------------
+// GitHub Pages serves a single index.html, so views live behind the hash:
+//   #/        visitor quest
+//   #/staff   staff completion verifier
+//   #/posters organiser poster printing
+//   #/leaderboard kiosk leaderboard of staff-verified scores
+//   #/dashboard organiser analytics from imported visits
+//   #/map     organiser pin placement for the campus map
+const currentRoute = () => window.location.hash.replace(/^#/, "") || "/";
+
+export function useHashRoute() {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const onChange = () => setRoute(currentRoute());
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+
+  return route;
+}
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import precachePlugin from './scripts/precache-plugin.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precachePlugin({ source: 'src/pwa/serviceWorker.js' })],
   base: '/NP-OpenHouse-QR/',  // ← add your GitHub repo name here
+  worker: { format: 'es' },    // the decode worker lazy-loads ZXing
 })
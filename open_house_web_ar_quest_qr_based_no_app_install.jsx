@@ -14,6 +14,7 @@ import { motion, AnimatePresence } from "framer-motion";
  *  - Drop this component into a React app (Vite/Next/Create React App)
  *  - Serve over HTTPS (required for camera access on mobile)
  *  - Edit STATIONS below and print matching QR codes for each station
+ *  - Optionally set EVENT (section 6) so scans only count during the event
  *
  * QR code content format:
  *  - Default expects a string like:  OPENHOUSE:STATION_ID
@@ -30,7 +31,7 @@ import { motion, AnimatePresence } from "framer-motion";
  */
 
 // 1) Configure your quest stops here
-const STATIONS: { id: string; name: string; code: string; hint?: string }[] = [
+const STATIONS: { id: string; name: string; code: string; hint?: string; hours?: string[] }[] = [
   { id: "ENTRANCE", name: "Main Entrance", code: "OPENHOUSE:ENTRANCE", hint: "Start here" },
   { id: "LIBRARY", name: "School Library", code: "OPENHOUSE:LIBRARY", hint: "Find the quiet thinkers" },
   { id: "GYM", name: "Gymnasium", code: "OPENHOUSE:GYM", hint: "Where the action happens" },
@@ -46,8 +47,73 @@ const LS_KEY_COMPLETED = "ohq_completed_v1";
 // 3) Optional: restrict accepted barcode formats (we use QR only by default)
 const BARCODE_FORMATS = ["qr_code"]; // BarcodeDetector format strings
 
+// 4) Organiser-only tools: Reset, the station codes and simulated scans.
+//    Keep this false for the event itself; visitors could otherwise wipe
+//    their progress or read every code off the screen. (The full app in
+//    open-house-ar/ puts these tools behind an organiser PIN.)
+const ORGANISER_TOOLS = false;
+
+// 5) Scan feedback: every code gets a toast, a vibration pattern (ms) and a
+//    short tone (Hz), different for each kind. The camera reports a code on
+//    every frame, so the same code only gets feedback again once it has been
+//    out of view for FEEDBACK_COOLDOWN_MS.
+const FEEDBACK = {
+  new: { vibrate: [60], tone: 880, style: "bg-emerald-500 text-black" },
+  duplicate: { vibrate: [25], tone: 660, style: "bg-sky-400 text-black" },
+  unknown: { vibrate: [30, 40, 30], tone: 220, style: "bg-red-500 text-white" },
+  "other-event": { vibrate: [150, 100, 150], tone: 330, style: "bg-purple-500 text-white" },
+  closed: { vibrate: [120], tone: 440, style: "bg-amber-400 text-black" },
+};
+const FEEDBACK_COOLDOWN_MS = 8000;
+// Every Open House code starts with this; one that matches no station
+// comes from a different event.
+const CODE_PREFIX = "OPENHOUSE:";
+
+// 6) Event window: scans only count between start and end (ISO times such
+//    as "2025-11-15T09:00:00+08:00"; null for no limit). afterEnd is what
+//    happens to quests not finished by the end: "close" stops scanning,
+//    "finish" ends them with the stations found so far, "continue" keeps
+//    scanning open. A station may also have daily opening hours, e.g.
+//    hours: ["09:00-12:00", "13:00-16:00"] (the phone's local time).
+const EVENT: { start: string | null; end: string | null; afterEnd: "close" | "finish" | "continue" } = {
+  start: null,
+  end: null,
+  afterEnd: "close",
+};
+const EVENT_START = EVENT.start ? Date.parse(EVENT.start) : null;
+const EVENT_END = EVENT.end ? Date.parse(EVENT.end) : null;
+
+// Why a station cannot be scanned at `now`, or null when it can
+function scanTimeProblem(station: (typeof STATIONS)[number], now: number): string | null {
+  if (EVENT_START && now < EVENT_START) {
+    return `The quest starts at ${new Date(EVENT_START).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}.`;
+  }
+  if (EVENT_END && now >= EVENT_END && EVENT.afterEnd !== "continue") {
+    return "The event has ended, so stations can no longer be scanned.";
+  }
+  if (!station.hours) return null;
+  const minutes = new Date(now).getHours() * 60 + new Date(now).getMinutes();
+  const toMinutes = (hm: string) => Number(hm.slice(0, 2)) * 60 + Number(hm.slice(3, 5));
+  const ranges = station.hours.map((r) => r.split("-").map(toMinutes));
+  if (ranges.some(([from, to]) => minutes >= from && minutes < to)) return null;
+  const next = station.hours.map((r) => r.split("-")[0]).find((from) => toMinutes(from) > minutes);
+  return next
+    ? `${station.name} is closed right now. It opens again at ${next}.`
+    : `${station.name} is closed for the rest of the day.`;
+}
+
+// 1:02:03, or 12:03 under an hour
+function formatCountdown(ms: number) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const pad = (n: number) => n.toString().padStart(2, "0");
+  const h = Math.floor(seconds / 3600);
+  const rest = `${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+  return h ? `${h}:${rest}` : rest.replace(/^0/, "");
+}
+
 // Types
 type ScanBox = { x: number; y: number; width: number; height: number } | null;
+type FeedbackKind = keyof typeof FEEDBACK;
 
 export default function OpenHouseAR() {
   const videoRef = useRef<HTMLVideoElement | null>(null);
@@ -59,6 +125,9 @@ export default function OpenHouseAR() {
   const [box, setBox] = useState<ScanBox>(null);
   const [justScanned, setJustScanned] = useState<string | null>(null);
   const [usingDetector, setUsingDetector] = useState<boolean>(false);
+  const [toast, setToast] = useState<{ kind: FeedbackKind; text: string; at: number } | null>(null);
+  const lastFeedback = useRef<Map<string, number>>(new Map()); // code/station -> last seen
+  const audioRef = useRef<AudioContext | null>(null);
   const [completeAt, setCompleteAt] = useState<number | null>(() => {
     const saved = localStorage.getItem(LS_KEY_COMPLETED);
     return saved ? Number(saved) : null;
@@ -79,6 +148,36 @@ export default function OpenHouseAR() {
   );
   const allDone = completedCount === STATIONS.length;
 
+  // Clock for the countdown banner; only ticks when the event has times
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!EVENT_START && !EVENT_END) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  const eventOver = EVENT_END !== null && now >= EVENT_END;
+  // afterEnd "finish": a quest still going at the end finishes as it stands
+  const timeUp = EVENT.afterEnd === "finish" && eventOver && !allDone && completedCount > 0;
+  useEffect(() => {
+    if (!timeUp || completeAt) return;
+    setCompleteAt(EVENT_END);
+    localStorage.setItem(LS_KEY_COMPLETED, String(EVENT_END));
+  }, [timeUp, completeAt]);
+
+  // Countdown banner text, amber for the last 15 minutes
+  let eventBanner: string | null = null;
+  if (EVENT_START && now < EVENT_START) eventBanner = `Starts in ${formatCountdown(EVENT_START - now)}`;
+  else if (EVENT_END && !eventOver) eventBanner = `Time left: ${formatCountdown(EVENT_END - now)}`;
+  else if (eventOver && allDone) eventBanner = "The event has ended. Thanks for visiting!";
+  else if (eventOver) {
+    eventBanner = {
+      close: "The event has ended. Stations can no longer be scanned.",
+      finish: "Time's up! Show your completion code to a staff member.",
+      continue: "The event has ended, but you can still finish the quest.",
+    }[EVENT.afterEnd];
+  }
+  const hurry = EVENT_END !== null && !eventOver && EVENT_END - now < 15 * 60 * 1000;
+
   // Initialize camera + scanner
   useEffect(() => {
     let stop = false;
@@ -136,7 +235,7 @@ export default function OpenHouseAR() {
                     height: best.boundingBox.height,
                   }
                 : null;
-              if (raw) onDetected(raw, box);
+              if (raw) onDetectedRef.current(raw, box);
             }
           }
         } catch (e) {
@@ -161,7 +260,7 @@ export default function OpenHouseAR() {
               videoRef.current as HTMLVideoElement
             );
             if (result?.getText) {
-              onDetected(result.getText(), null);
+              onDetectedRef.current(result.getText(), null);
             }
           } catch (e) {
             // Ignore timeouts/errors, keep trying
@@ -220,15 +319,68 @@ export default function OpenHouseAR() {
     return () => cancelAnimationFrame(raf);
   }, [box]);
 
+  // Browsers only play audio after the visitor has touched the page
+  useEffect(() => {
+    const unlock = () => {
+      // @ts-ignore
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      if (Ctx && !audioRef.current) audioRef.current = new Ctx();
+      audioRef.current?.resume().catch(() => {});
+    };
+    window.addEventListener("pointerdown", unlock, { once: true });
+    return () => window.removeEventListener("pointerdown", unlock);
+  }, []);
+
+  function giveFeedback(kind: FeedbackKind, text: string, key: string) {
+    const now = Date.now();
+    const seen = lastFeedback.current.get(key);
+    lastFeedback.current.set(key, now);
+    // Stay quiet while the same code is still in view. Keyed by station, so a
+    // station that was just scanned is not reported as collected right after.
+    if (seen !== undefined && now - seen < FEEDBACK_COOLDOWN_MS) return;
+
+    const { vibrate, tone } = FEEDBACK[kind];
+    navigator.vibrate?.(vibrate);
+    const audio = audioRef.current;
+    if (audio?.state === "running") {
+      const osc = audio.createOscillator();
+      const gain = audio.createGain();
+      osc.frequency.value = tone;
+      gain.gain.setValueAtTime(0.2, audio.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + 0.15);
+      osc.connect(gain).connect(audio.destination);
+      osc.start();
+      osc.stop(audio.currentTime + 0.16);
+    }
+    setToast({ kind, text, at: now });
+    setTimeout(() => setToast((t) => (t?.at === now ? null : t)), 2500);
+  }
+
   function onDetected(payload: string, rect: ScanBox) {
     setLastPayload(payload);
     if (rect) setBox(rect);
 
     const match = validatePayload(payload);
-    if (!match) return;
+    if (!match) {
+      const otherEvent = payload.trim().toUpperCase().startsWith(CODE_PREFIX);
+      giveFeedback(
+        otherEvent ? "other-event" : "unknown",
+        otherEvent ? "This code is from a different Open House event." : "This code is not part of the quest.",
+        payload
+      );
+      return;
+    }
 
     const id = match.id;
-    if (!progress[id]) {
+    const station = STATIONS.find((s) => s.id === id)!;
+    const name = station.name;
+    const closed = scanTimeProblem(station, Date.now());
+    if (progress[id]) {
+      giveFeedback("duplicate", `Already collected: ${name}`, id);
+    } else if (closed) {
+      giveFeedback("closed", closed, id);
+    } else {
+      giveFeedback("new", `Scanned: ${name}`, id);
       const updated = { ...progress, [id]: true };
       setProgress(updated);
       localStorage.setItem(LS_KEY_PROGRESS, JSON.stringify(updated));
@@ -246,6 +398,11 @@ export default function OpenHouseAR() {
     }
   }
 
+  // The scanner loops start once, so they call the latest onDetected (which
+  // sees the current progress) through this ref
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
   function validatePayload(payload: string): { id: string } | null {
     // Accept exact matches of STATIONS[].code (e.g., "OPENHOUSE:LIBRARY")
     const station = STATIONS.find((s) => s.code.trim() === payload.trim());
@@ -253,6 +410,7 @@ export default function OpenHouseAR() {
   }
 
   function resetProgress() {
+    if (!window.confirm("Reset all quest progress on this device?")) return;
     const cleared: Record<string, boolean> = {};
     STATIONS.forEach((s) => (cleared[s.id] = false));
     setProgress(cleared);
@@ -260,6 +418,7 @@ export default function OpenHouseAR() {
     localStorage.removeItem(LS_KEY_PROGRESS);
     localStorage.removeItem(LS_KEY_COMPLETED);
     setJustScanned(null);
+    lastFeedback.current.clear();
   }
 
   // Simple completion token (human-readable). For stronger verification,
@@ -293,16 +452,32 @@ export default function OpenHouseAR() {
             >
               {active ? "Pause Camera" : "Resume Camera"}
             </button>
-            <button
-              onClick={resetProgress}
-              className="px-3 py-1.5 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 text-sm"
-            >
-              Reset
-            </button>
+            {ORGANISER_TOOLS && (
+              <button
+                onClick={resetProgress}
+                className="px-3 py-1.5 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 text-sm"
+              >
+                Reset
+              </button>
+            )}
           </div>
         </div>
       </header>
 
+      {/* Event countdown */}
+      {eventBanner && (
+        <div className="max-w-5xl mx-auto px-4 pt-4">
+          <div
+            role="timer"
+            className={`px-4 py-2 rounded-xl text-sm text-center ${
+              hurry ? "bg-amber-400 text-black font-semibold" : "bg-zinc-900 border border-zinc-800"
+            }`}
+          >
+            {eventBanner}
+          </div>
+        </div>
+      )}
+
       {/* Camera + overlay */}
       <section className="relative max-w-5xl mx-auto px-4 pt-4">
         <div className="relative rounded-2xl overflow-hidden border border-zinc-800 bg-black aspect-video">
@@ -337,9 +512,22 @@ export default function OpenHouseAR() {
                 className="absolute inset-0 pointer-events-none"
               >
                 <div className="absolute inset-0 animate-ping rounded-2xl bg-emerald-500/10" />
-                <div className="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 px-4 py-2 rounded-xl bg-emerald-500 text-black font-semibold shadow">
-                  Scanned: {STATIONS.find((s) => s.id === justScanned)?.name}
-                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Scan feedback toast */}
+          <AnimatePresence>
+            {toast && (
+              <motion.div
+                key={toast.at}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0 }}
+                role="status"
+                className={`absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 px-4 py-2 rounded-xl font-semibold shadow pointer-events-none ${FEEDBACK[toast.kind].style}`}
+              >
+                {toast.text}
               </motion.div>
             )}
           </AnimatePresence>
@@ -386,32 +574,36 @@ export default function OpenHouseAR() {
                 {s.hint && (
                   <div className="text-xs text-zinc-400 mt-0.5">Hint: {s.hint}</div>
                 )}
-                <div className="text-[10px] text-zinc-500 mt-1 select-all">Code: {s.code}</div>
+                {ORGANISER_TOOLS && (
+                  <div className="text-[10px] text-zinc-500 mt-1 select-all">Code: {s.code}</div>
+                )}
               </div>
             </li>
           ))}
         </ul>
 
         {/* Demo helper for testing without printed codes */}
-        <details className="mt-4 text-sm text-zinc-400">
-          <summary className="cursor-pointer">Testing: simulate a scan (for organisers)</summary>
-          <div className="mt-2 flex gap-2 flex-wrap">
-            {STATIONS.map((s) => (
-              <button
-                key={s.id}
-                onClick={() => onDetected(s.code, null)}
-                className="px-3 py-1.5 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700"
-              >
-                Scan {s.id}
-              </button>
-            ))}
-          </div>
-        </details>
+        {ORGANISER_TOOLS && (
+          <details className="mt-4 text-sm text-zinc-400">
+            <summary className="cursor-pointer">Testing: simulate a scan (for organisers)</summary>
+            <div className="mt-2 flex gap-2 flex-wrap">
+              {STATIONS.map((s) => (
+                <button
+                  key={s.id}
+                  onClick={() => onDetected(s.code, null)}
+                  className="px-3 py-1.5 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700"
+                >
+                  Scan {s.id}
+                </button>
+              ))}
+            </div>
+          </details>
+        )}
       </section>
 
       {/* Completion screen */}
       <AnimatePresence>
-        {allDone && (
+        {(allDone || timeUp) && (
           <motion.section
             initial={{ y: 40, opacity: 0 }}
             animate={{ y: 0, opacity: 1 }}
@@ -423,7 +615,9 @@ export default function OpenHouseAR() {
                 <div className="flex items-center gap-3">
                   <div className="h-10 w-10 rounded-xl bg-emerald-400 text-black font-bold flex items-center justify-center">✓</div>
                   <div className="flex-1">
-                    <div className="font-semibold">Quest Complete!</div>
+                    <div className="font-semibold">
+                      {allDone ? "Quest Complete!" : `Time's up! You found ${completedCount} of ${STATIONS.length} stations.`}
+                    </div>
                     <div className="text-sm text-emerald-200/80">
                       Show this to a staff member to collect your prize.
                     </div>